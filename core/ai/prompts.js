@@ -106,22 +106,49 @@ export const Prompts = {
       '- focus: Switch to a specific tab',
       '- move: Move matching tabs to a new window',
       '- find: Search for tabs matching criteria',
+      '- stash: Save matching tabs to a stash and close them',
+      '- discard: Unload ("kebab") matching tabs to free memory',
+      '- reload: Reload matching tabs',
+      '- bookmark: Bookmark matching tabs',
+      '- saveSession: Save matching tabs as a named session',
+      '- pin / unpin: Pin or unpin matching tabs',
+      '- mute / unmute: Mute or unmute matching tabs',
+      '- ungroup: Remove matching tabs from their tab groups',
       '',
-      'Filter fields (all optional, combine as needed):',
+      'Filter fields (all optional; every field in one filter object must match):',
       '- domain: match by website domain (e.g., "youtube.com")',
       '- titleContains: match by text in the tab title',
       '- urlContains: match by text in the URL',
+      '- titleRegex / urlRegex: case-insensitive regular expression on the title or full URL',
+      '- pinned, audible, discarded: true or false',
+      '- lastAccessedOlderThan / lastAccessedNewerThan: whole minutes since the tab was last viewed (e.g., 1440 for "since yesterday")',
+      '- windowIndex: window number, starting at 1',
+      '- inGroup: exact name of the Chrome tab group the tab is in',
+      '- duplicateOf: true for every extra copy of an already open page, or a URL to match copies of that page',
+      '- anyOf: array of filter objects, at least one must match (OR)',
+      '- not: a filter object that must NOT match (use for "except ...")',
+      'Only use these fields. Never invent others.',
       '',
       'For the "group" action, also include:',
       '- groupName: name for the new tab group',
       '- color: one of blue, red, yellow, green, pink, purple, cyan, orange',
       '',
+      'For the "stash" and "saveSession" actions, optionally include:',
+      '- name: short name for the stash or session',
+      '',
       'Always include a human-readable "confirmation" message describing what will happen.',
       '',
+      'If the command asks for several operations, respond with an ordered "steps" array instead of a single action.',
+      'Each step is its own command object with "action", "filter", and any action-specific fields.',
+      'Steps cannot use the find or focus actions. Use at most 6 steps.',
+      '',
       'Respond ONLY with valid JSON, no markdown fences, no explanation.',
       '',
       'Response format:',
       '{"action":"close","filter":{"domain":"youtube.com"},"confirmation":"Close 5 YouTube tabs?"}',
+      '{"action":"close","filter":{"domain":"youtube.com","lastAccessedOlderThan":1440,"not":{"pinned":true}},"confirmation":"Close 3 YouTube tabs not viewed since yesterday, keeping pinned ones?"}',
+      '{"action":"stash","filter":{"inGroup":"Research"},"name":"Research","confirmation":"Stash 6 research tabs?"}',
+      '{"steps":[{"action":"group","filter":{"urlContains":"github.com/pulls"},"groupName":"PRs","color":"purple"},{"action":"stash","filter":{"lastAccessedOlderThan":10080}}],"confirmation":"Group GitHub PRs, then stash tabs older than a week?"}',
     ].join('\n'),
 
     buildUserPrompt(command, tabContext) {
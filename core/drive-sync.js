@@ -5,6 +5,7 @@ import {
   MAX_CAPTURED_GROUP_TITLE_LENGTH,
   MAX_CAPTURED_TEXT_LENGTH,
 } from './capture-limits.js';
+import { SESSION_METADATA_FIELDS, findSessionMetadataProblem } from './session-metadata.js';
 
 export const DRIVE_SYNC_VERSION = 2;
 export const DRIVE_TOMBSTONES_KEY = 'driveSyncTombstones';
@@ -19,9 +20,13 @@ export const MAX_DRIVE_TIMESTAMP = Number.MAX_SAFE_INTEGER;
 export const MAX_DRIVE_TOMBSTONE = MAX_DRIVE_TIMESTAMP - 1;
 
 const DANGEROUS_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
-const ROOT_KEYS = new Set(['version', 'sessions', 'manualGroups', 'tombstones']);
+const ROOT_KEYS = new Set(['version', 'sessions', 'manualGroups', 'focusProfiles', 'tombstones']);
 const LEGACY_ROOT_KEYS = new Set(['version', 'sessions', 'manualGroups']);
 const TOMBSTONE_KINDS = new Set(['sessions', 'manualGroups']);
+// Entity kinds added after v2 shipped. They are emitted only when present so
+// documents without them stay readable by older clients.
+const OPTIONAL_TOMBSTONE_KINDS = new Set(['focusProfiles']);
+const DELETION_KINDS = new Set([...TOMBSTONE_KINDS, ...OPTIONAL_TOMBSTONE_KINDS]);
 
 function fail(message) {
   throw new TypeError(`Invalid Drive sync document: ${message}`);
@@ -212,6 +217,8 @@ function normalizeSessions(value) {
     if (seen.has(id)) fail(`sessions contains duplicate ID ${id}`);
     seen.add(id);
     validateEntityTimestampFields(entity, `sessions[${index}]`);
+    const metadataProblem = findSessionMetadataProblem(entity);
+    if (metadataProblem) fail(`sessions[${index}].${metadataProblem}`);
     totalTabs += countSessionTabs(entity, `sessions[${index}]`);
     sessions.push(canonicalClone(entity));
   }
@@ -242,6 +249,21 @@ function normalizeManualGroups(value) {
   return { manualGroups: sortedNullMap(entries), totalTabs };
 }
 
+function normalizeFocusProfiles(value) {
+  if (!isPlainRecord(value)) fail('focusProfiles must be a map');
+  const keys = Object.keys(value);
+  if (keys.length > MAX_DRIVE_ENTITIES_PER_KIND) fail('focusProfiles exceed the 10,000 entity limit');
+  const entries = [];
+  for (const id of keys) {
+    validateId(id, 'focusProfiles key');
+    const entity = value[id];
+    if (!isPlainRecord(entity)) fail(`focusProfiles.${id} must be an object`);
+    validateEntityTimestampFields(entity, `focusProfiles.${id}`);
+    entries.push([id, canonicalClone(entity)]);
+  }
+  return sortedNullMap(entries);
+}
+
 function normalizeTombstoneMap(value, kind) {
   if (!isPlainRecord(value)) fail(`tombstones.${kind} must be a map`);
   const keys = Object.keys(value);
@@ -309,7 +331,8 @@ export function computeDeletionTombstone(entity, previousTombstone, deletedAt) {
 function normalizeDeletionTombstoneState(currentTombstones) {
   const root = isPlainRecord(currentTombstones) ? currentTombstones : {};
   const output = emptyDriveTombstones();
-  for (const kind of TOMBSTONE_KINDS) {
+  for (const kind of DELETION_KINDS) {
+    if (OPTIONAL_TOMBSTONE_KINDS.has(kind) && !Object.hasOwn(root, kind)) continue;
     const source = Object.hasOwn(root, kind) && isPlainRecord(root[kind]) ? root[kind] : {};
     const keys = Object.keys(source);
     if (keys.length > MAX_DRIVE_TOMBSTONES_PER_KIND) {
@@ -329,12 +352,13 @@ function normalizeDeletionTombstoneState(currentTombstones) {
  */
 export function recordDeletionTombstones(currentTombstones, kind, entries, deletedAt) {
   assertDeletionTimestamp(deletedAt);
-  if (!TOMBSTONE_KINDS.has(kind)) {
-    throw new TypeError('Deletion tombstone kind must be sessions or manualGroups');
+  if (!DELETION_KINDS.has(kind)) {
+    throw new TypeError('Deletion tombstone kind must be sessions, manualGroups, or focusProfiles');
   }
   if (!Array.isArray(entries)) throw new TypeError('Deletion tombstone entries must be an array');
 
   const nextTombstones = normalizeDeletionTombstoneState(currentTombstones);
+  if (!Object.hasOwn(nextTombstones, kind)) nextTombstones[kind] = Object.create(null);
   const seen = new Set();
   const prepared = [];
   let added = 0;
@@ -407,11 +431,14 @@ export function migrateDriveSyncDocument(input) {
   if (sessionTabs + groupTabs > MAX_DRIVE_TOTAL_TABS) {
     fail('document exceeds the 100,000 total tab and URL limit');
   }
+  const focusProfiles = Object.hasOwn(input, 'focusProfiles')
+    ? normalizeFocusProfiles(input.focusProfiles)
+    : null;
 
   let tombstones = emptyDriveTombstones();
   if (version === DRIVE_SYNC_VERSION) {
     if (!isPlainRecord(input.tombstones)) fail('tombstones must be an object');
-    assertOnlyKeys(input.tombstones, TOMBSTONE_KINDS, 'tombstones');
+    assertOnlyKeys(input.tombstones, DELETION_KINDS, 'tombstones');
     for (const kind of TOMBSTONE_KINDS) {
       if (!Object.hasOwn(input.tombstones, kind)) fail(`tombstones requires own ${kind}`);
     }
@@ -419,9 +446,16 @@ export function migrateDriveSyncDocument(input) {
       sessions: normalizeTombstoneMap(input.tombstones.sessions, 'sessions'),
       manualGroups: normalizeTombstoneMap(input.tombstones.manualGroups, 'manualGroups'),
     };
+    for (const kind of OPTIONAL_TOMBSTONE_KINDS) {
+      if (Object.hasOwn(input.tombstones, kind)) {
+        tombstones[kind] = normalizeTombstoneMap(input.tombstones[kind], kind);
+      }
+    }
   }
 
-  return { version: DRIVE_SYNC_VERSION, sessions, manualGroups, tombstones };
+  return focusProfiles
+    ? { version: DRIVE_SYNC_VERSION, sessions, manualGroups, focusProfiles, tombstones }
+    : { version: DRIVE_SYNC_VERSION, sessions, manualGroups, tombstones };
 }
 
 function sanitizeLegacySessionTimestamps(value) {
@@ -528,12 +562,31 @@ function chooseEntity(left, right) {
   return canonicalClone(leftString >= rightString ? left : right);
 }
 
-function mergeEntityMaps(leftEntries, rightEntries) {
+// A session edited on two devices keeps the newer tabs and, separately, the
+// newer name/notes/tags/folder/pin, so a rename is not lost to a later capture.
+// Metadata ties go to the entity chooseEntity picked, keeping merge symmetric.
+function chooseSession(left, right) {
+  const chosen = chooseEntity(left, right);
+  if (!left || !right) return chosen;
+  const metadataClock = (entity) => (
+    isEntityTimestamp(entity.metadataModifiedAt) ? entity.metadataModifiedAt : -1
+  );
+  const source = metadataClock(left) >= metadataClock(right) ? left : right;
+  if (metadataClock(source) <= metadataClock(chosen)) return chosen;
+  for (const field of SESSION_METADATA_FIELDS) {
+    if (Object.hasOwn(source, field)) chosen[field] = canonicalClone(source[field]);
+    else if (field !== 'name') delete chosen[field];
+  }
+  chosen.metadataModifiedAt = source.metadataModifiedAt;
+  return canonicalClone(chosen);
+}
+
+function mergeEntityMaps(leftEntries, rightEntries, choose = chooseEntity) {
   const left = new Map(leftEntries);
   const right = new Map(rightEntries);
   const ids = new Set([...left.keys(), ...right.keys()]);
   const merged = new Map();
-  for (const id of ids) merged.set(id, chooseEntity(left.get(id), right.get(id)));
+  for (const id of ids) merged.set(id, choose(left.get(id), right.get(id)));
   return merged;
 }
 
@@ -554,6 +607,7 @@ export function mergeDriveSyncDocuments(leftInput, rightInput) {
   const sessionEntities = mergeEntityMaps(
     left.sessions.map((entity) => [entity.id, entity]),
     right.sessions.map((entity) => [entity.id, entity]),
+    chooseSession,
   );
   const groupEntities = mergeEntityMaps(
     Object.entries(left.manualGroups),
@@ -571,22 +625,47 @@ export function mergeDriveSyncDocuments(leftInput, rightInput) {
       return createdOrder || lexicalCompare(leftEntity.id, rightEntity.id);
     });
 
-  const manualGroupEntries = [...groupEntities.entries()]
-    .filter(([id, entity]) => !Object.hasOwn(groupTombstones, id) ||
-      getDriveEntityTimestamp(entity) > groupTombstones[id])
-    .map(([id, entity]) => [id, canonicalClone(entity)]);
+  const manualGroups = mergeSurvivingEntities(groupEntities, groupTombstones);
+  const hasProfiles = [left, right].some((document) => (
+    Object.hasOwn(document, 'focusProfiles') || Object.hasOwn(document.tombstones, 'focusProfiles')
+  ));
+  if (!hasProfiles) {
+    return {
+      version: DRIVE_SYNC_VERSION,
+      sessions,
+      manualGroups,
+      tombstones: { sessions: sessionTombstones, manualGroups: groupTombstones },
+    };
+  }
 
+  const profileTombstones = mergeTombstones(
+    left.tombstones.focusProfiles ?? {},
+    right.tombstones.focusProfiles ?? {},
+  );
+  const profileEntities = mergeEntityMaps(
+    Object.entries(left.focusProfiles ?? {}),
+    Object.entries(right.focusProfiles ?? {}),
+  );
   return {
     version: DRIVE_SYNC_VERSION,
     sessions,
-    manualGroups: sortedNullMap(manualGroupEntries),
+    manualGroups,
+    focusProfiles: mergeSurvivingEntities(profileEntities, profileTombstones),
     tombstones: {
       sessions: sessionTombstones,
       manualGroups: groupTombstones,
+      focusProfiles: profileTombstones,
     },
   };
 }
 
+function mergeSurvivingEntities(entities, tombstones) {
+  return sortedNullMap([...entities.entries()]
+    .filter(([id, entity]) => !Object.hasOwn(tombstones, id) ||
+      getDriveEntityTimestamp(entity) > tombstones[id])
+    .map(([id, entity]) => [id, canonicalClone(entity)]));
+}
+
 function getValidCreatedAt(entity) {
   return isEntityTimestamp(entity?.createdAt) ? entity.createdAt : 0;
 }
@@ -604,7 +683,8 @@ function normalizeLocalEntity(entity) {
 function normalizeLocalTombstones(value) {
   const output = emptyDriveTombstones();
   const root = isPlainRecord(value) ? value : {};
-  for (const kind of TOMBSTONE_KINDS) {
+  for (const kind of DELETION_KINDS) {
+    if (OPTIONAL_TOMBSTONE_KINDS.has(kind) && !Object.hasOwn(root, kind)) continue;
     const source = Object.hasOwn(root, kind) && isPlainRecord(root[kind]) ? root[kind] : {};
     output[kind] = sortedNullMap(
       Object.keys(source).map((id) => [id, normalizeDriveTombstone(source[id])]),
@@ -623,24 +703,32 @@ export function canonicalizeLocalDriveSyncDocument(input) {
   const rawManualGroups = Object.hasOwn(input, 'manualGroups') ? input.manualGroups : undefined;
   const rawTombstones = Object.hasOwn(input, 'tombstones') ? input.tombstones : undefined;
   const sessions = canonicalizeLocalSessions(rawSessions ?? []);
-  const manualGroups = isPlainRecord(rawManualGroups)
-    ? sortedNullMap(Object.entries(rawManualGroups).map(
-      ([id, entity]) => [id, normalizeLocalEntity(entity)],
-    ))
-    : rawManualGroups ?? {};
-  return migrateDriveSyncDocument({
+  const normalizeEntityMap = (value) => (isPlainRecord(value)
+    ? sortedNullMap(Object.entries(value).map(([id, entity]) => [id, normalizeLocalEntity(entity)]))
+    : value ?? {});
+  const document = {
     version: DRIVE_SYNC_VERSION,
     sessions,
-    manualGroups,
+    manualGroups: normalizeEntityMap(rawManualGroups),
     tombstones: normalizeLocalTombstones(rawTombstones),
-  });
+  };
+  if (Object.hasOwn(input, 'focusProfiles') && input.focusProfiles != null) {
+    document.focusProfiles = normalizeEntityMap(input.focusProfiles);
+  }
+  return migrateDriveSyncDocument(document);
 }
 
 export async function readLocalDriveSyncDocument() {
-  const values = await Storage.getMany(['sessions', 'manualGroups', DRIVE_TOMBSTONES_KEY]);
+  const values = await Storage.getMany([
+    'sessions',
+    'manualGroups',
+    'focusProfiles',
+    DRIVE_TOMBSTONES_KEY,
+  ]);
   const canonical = canonicalizeLocalDriveSyncDocument({
     sessions: values.sessions ?? [],
     manualGroups: values.manualGroups,
+    focusProfiles: values.focusProfiles,
     tombstones: values[DRIVE_TOMBSTONES_KEY],
   });
   if (localSessionsNeedWriteBack(values.sessions ?? [], canonical.sessions)) {
@@ -651,11 +739,13 @@ export async function readLocalDriveSyncDocument() {
 
 export async function writeLocalDriveSyncDocument(document) {
   const canonical = migrateDriveSyncDocument(document);
-  await Storage.setMany({
+  const values = {
     sessions: canonical.sessions,
     manualGroups: canonical.manualGroups,
     [DRIVE_TOMBSTONES_KEY]: canonical.tombstones,
-  });
+  };
+  if (Object.hasOwn(canonical, 'focusProfiles')) values.focusProfiles = canonical.focusProfiles;
+  await Storage.setMany(values);
   return canonical;
 }
 
@@ -0,0 +1,78 @@
+// core/duplicate-guard.js — Catch tabs that open a page which is already open
+//
+// Mode and scope live in settings (duplicatePrevention, duplicatePreventionScope).
+// Domains where duplicates are fine are stored in chrome.storage.local under
+// key 'duplicateAllowDomains' as a list of canonical hostnames; each entry also
+// covers its subdomains. Matching uses the shared URL normalization profile.
+
+import { Storage } from './storage.js';
+import { normalizeUrl } from './duplicates.js';
+import { getUrlNormalization } from './url-normalization.js';
+import { canonicalHostname, hostnameMatches } from './url-match.js';
+
+export const DUPLICATE_ALLOW_DOMAINS_KEY = 'duplicateAllowDomains';
+export const MAX_DUPLICATE_ALLOW_DOMAINS = 200;
+const MAX_DOMAIN_LENGTH = 253;
+
+export function normalizeAllowDomains(input) {
+  if (!Array.isArray(input)) throw new TypeError('Allowed domains must be an array');
+  if (input.length > MAX_DUPLICATE_ALLOW_DOMAINS) {
+    throw new TypeError(`Allowed domains cannot have more than ${MAX_DUPLICATE_ALLOW_DOMAINS} entries`);
+  }
+  const domains = [];
+  for (const entry of input) {
+    const domain = typeof entry === 'string' && entry.length <= MAX_DOMAIN_LENGTH && !entry.includes('/')
+      ? canonicalHostname(entry)
+      : null;
+    if (!domain) throw new TypeError(`Invalid allowed domain: ${String(entry).slice(0, 60)}`);
+    if (!domains.includes(domain)) domains.push(domain);
+  }
+  return domains;
+}
+
+export async function getDuplicateAllowDomains() {
+  const stored = await Storage.get(DUPLICATE_ALLOW_DOMAINS_KEY);
+  try {
+    return stored === null ? [] : normalizeAllowDomains(stored);
+  } catch {
+    return [];
+  }
+}
+
+export async function saveDuplicateAllowDomains(input) {
+  const domains = normalizeAllowDomains(input);
+  await Storage.set(DUPLICATE_ALLOW_DOMAINS_KEY, domains);
+  return domains;
+}
+
+function isWebUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find an already-open tab showing the same page a tab is navigating to.
+ * Only web pages are considered, allowlisted domains never match, and tabs in
+ * another profile mode (incognito vs regular) are ignored.
+ * @param {Object} tab - The new tab
+ * @param {string} url - The URL it is opening (pendingUrl or the navigation URL)
+ * @param {'window'|'global'} scope - Search the tab's window or every window
+ * @returns {Promise<Object|null>} The existing tab to switch to
+ */
+export async function findOpenDuplicate(tab, url, scope) {
+  if (!isWebUrl(url)) return null;
+  const [allowDomains, profile] = await Promise.all([getDuplicateAllowDomains(), getUrlNormalization()]);
+  if (allowDomains.some((domain) => hostnameMatches(url, domain))) return null;
+
+  const target = normalizeUrl(url, profile);
+  const candidates = await chrome.tabs.query(scope === 'window' ? { windowId: tab.windowId } : {});
+  return candidates.find((candidate) => (
+    candidate.id !== tab.id &&
+    Boolean(candidate.incognito) === Boolean(tab.incognito) &&
+    normalizeUrl(candidate.url || candidate.pendingUrl || '', profile) === target
+  )) || null;
+}
@@ -1,19 +1,26 @@
 // core/duplicates.js — Duplicate tab detection
 
 import { getAllTabs } from './tabs-api.js';
+import { applyUrlNormalization, getUrlNormalization } from './url-normalization.js';
 
-export function normalizeUrl(url) {
+/**
+ * Comparison key for duplicate detection. Without a profile only trailing path
+ * slashes are ignored; pass the user's profile (see url-normalization.js) to
+ * also drop tracking params, fragments, scheme, www. or path case.
+ */
+export function normalizeUrl(url, profile = null) {
   try {
     const u = new URL(url);
     u.pathname = u.pathname.replace(/\/+$/, '') || '/';
     if (u.origin === 'null') return u.href;
+    if (profile) return applyUrlNormalization(u, profile);
     return u.origin + u.pathname + u.search + u.hash;
   } catch {
     return url;
   }
 }
 
-function isChromeNewTabUrl(url) {
+export function isChromeNewTabUrl(url) {
   if (typeof url !== 'string' || !url) return false;
   try {
     const parsed = new URL(url);
@@ -41,13 +48,13 @@ export function collectUndoUrls(duplicateGroups, closingTabIds) {
 }
 
 export async function findDuplicates() {
-  const tabs = await getAllTabs({ allWindows: true });
+  const [tabs, profile] = await Promise.all([getAllTabs({ allWindows: true }), getUrlNormalization()]);
   const urlMap = new Map();
 
   for (const tab of tabs) {
     const originalUrl = tab.url || '';
     if (isChromeNewTabUrl(originalUrl)) continue;
-    const normalized = normalizeUrl(originalUrl);
+    const normalized = normalizeUrl(originalUrl, profile);
     if (!normalized) continue;
     if (!urlMap.has(normalized)) urlMap.set(normalized, []);
     urlMap.get(normalized).push(tab);
@@ -101,3 +108,145 @@ export async function findEmptyPages() {
 
   return emptyPages;
 }
+
+// ── Near-duplicates ──
+
+export const SIMILARITY_THRESHOLD = 0.75;
+// Pairwise scoring is quadratic per host, so very busy hosts are sampled.
+const MAX_SIMILARITY_TABS_PER_HOST = 150;
+// Titles carry most of the signal: same-path pages (search results, one doc at
+// different anchors) only cluster when their titles agree too.
+const PATH_WEIGHT = 0.35;
+const TITLE_WEIGHT = 0.65;
+
+function titleTokens(title) {
+  return new Set(String(title || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+function jaccard(left, right) {
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  for (const token of left) if (right.has(token)) shared++;
+  return shared / (left.size + right.size - shared);
+}
+
+function pathPrefixScore(left, right) {
+  const longest = Math.max(left.length, right.length);
+  if (longest === 0) return 1;
+  let shared = 0;
+  while (shared < longest && left[shared] === right[shared]) shared++;
+  return shared / longest;
+}
+
+/**
+ * Score how likely two tabs show the same page in a different state, from 0 to 1.
+ * Both entries come from describeForSimilarity().
+ */
+export function similarityScore(left, right) {
+  if (left.host !== right.host) return 0;
+  return PATH_WEIGHT * pathPrefixScore(left.segments, right.segments) +
+    TITLE_WEIGHT * jaccard(left.tokens, right.tokens);
+}
+
+function describeForSimilarity(tab, profile) {
+  const url = tab.url || '';
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+  return {
+    tab,
+    host: parsed.hostname.replace(/^www\./, ''),
+    segments: parsed.pathname.split('/').filter(Boolean),
+    tokens: titleTokens(tab.title),
+    exactKey: normalizeUrl(url, profile),
+  };
+}
+
+function findRoot(parents, index) {
+  while (parents[index] !== index) {
+    parents[index] = parents[parents[index]];
+    index = parents[index];
+  }
+  return index;
+}
+
+function clusterHost(entries, threshold) {
+  const parents = entries.map((_, index) => index);
+  const scores = new Map();
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const score = similarityScore(entries[i], entries[j]);
+      scores.set(`${i}:${j}`, score);
+      if (score >= threshold) parents[findRoot(parents, i)] = findRoot(parents, j);
+    }
+  }
+
+  const members = new Map();
+  entries.forEach((_, index) => {
+    const root = findRoot(parents, index);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(index);
+  });
+
+  const clusters = [];
+  for (const indexes of members.values()) {
+    // A cluster of one exact URL is already an exact duplicate group.
+    if (new Set(indexes.map((index) => entries[index].exactKey)).size < 2) continue;
+    let total = 0;
+    let pairs = 0;
+    for (let a = 0; a < indexes.length; a++) {
+      for (let b = a + 1; b < indexes.length; b++) {
+        total += scores.get(`${indexes[a]}:${indexes[b]}`);
+        pairs++;
+      }
+    }
+    clusters.push({ confidence: Math.round((total / pairs) * 100) / 100, entries: indexes.map((i) => entries[i]) });
+  }
+  return clusters;
+}
+
+/**
+ * Cluster web tabs that are probably the same page in a different state:
+ * same host, a shared path prefix and similar titles, but not the same
+ * normalized URL. Tabs in each cluster are ordered most recently used first.
+ * @returns {Promise<Array>} [{ host, confidence, tabs }], highest confidence first
+ */
+export async function findSimilarTabs({ threshold = SIMILARITY_THRESHOLD } = {}) {
+  const [tabs, profile] = await Promise.all([getAllTabs({ allWindows: true }), getUrlNormalization()]);
+  const byHost = new Map();
+  for (const tab of tabs) {
+    const entry = describeForSimilarity(tab, profile);
+    if (!entry) continue;
+    if (!byHost.has(entry.host)) byHost.set(entry.host, []);
+    const hostEntries = byHost.get(entry.host);
+    if (hostEntries.length < MAX_SIMILARITY_TABS_PER_HOST) hostEntries.push(entry);
+  }
+
+  const clusters = [];
+  for (const [host, entries] of byHost) {
+    if (entries.length < 2) continue;
+    for (const cluster of clusterHost(entries, threshold)) {
+      const ordered = cluster.entries
+        .map((entry) => entry.tab)
+        .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+      clusters.push({
+        host,
+        confidence: cluster.confidence,
+        tabs: ordered.map((t) => ({
+          id: t.id,
+          title: t.title,
+          favIconUrl: t.favIconUrl,
+          active: t.active,
+          windowId: t.windowId,
+          url: t.url,
+          lastAccessed: t.lastAccessed,
+        })),
+      });
+    }
+  }
+  return clusters.sort((a, b) => b.confidence - a.confidence);
+}
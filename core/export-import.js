@@ -2,6 +2,7 @@
 
 import {
   MAX_PORTABLE_IMPORT_BYTES,
+  PORTABLE_OPTIONAL_SECTIONS,
   createPortableExportDocument,
   mergePortableSections,
   parsePortableExportDocument,
@@ -23,10 +24,13 @@ export const PORTABLE_KIND_SECTIONS = Object.freeze({
     'sessions',
     'stashes',
     'manualGroups',
+    'groupRules',
     'keepAwakeDomains',
     'bookmarks',
     'settings',
     'focusProfilePrefs',
+    'focusProfiles',
+    'focusCategories',
     'focusHistory',
     'aiSettings',
   ]),
@@ -39,6 +43,7 @@ const PORTABLE_SECTION_REPOSITORIES = Object.freeze({
   sessions: Object.freeze({ storageKey: 'sessions', empty: () => [] }),
   stashes: Object.freeze({ stashStore: true, empty: () => [] }),
   manualGroups: Object.freeze({ storageKey: 'manualGroups', empty: () => Object.create(null) }),
+  groupRules: Object.freeze({ storageKey: 'groupRules', empty: () => Object.create(null) }),
   keepAwakeDomains: Object.freeze({
     storageKey: 'keepAwakeDomains',
     empty: () => [],
@@ -55,6 +60,14 @@ const PORTABLE_SECTION_REPOSITORIES = Object.freeze({
     storageKey: 'focusProfilePrefs',
     empty: () => Object.create(null),
   }),
+  focusProfiles: Object.freeze({
+    storageKey: 'focusProfiles',
+    empty: () => Object.create(null),
+  }),
+  focusCategories: Object.freeze({
+    storageKey: 'focusCategories',
+    empty: () => Object.create(null),
+  }),
   focusHistory: Object.freeze({ storageKey: 'focusHistory', empty: () => [] }),
   aiSettings: Object.freeze({ storageKey: 'aiSettings', empty: () => Object.create(null) }),
 });
@@ -229,7 +242,11 @@ export async function readPortableImportFile(file, acceptedKinds) {
 }
 
 export function downloadJson(payload, filename) {
-  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+  downloadText(JSON.stringify(payload, null, 2), filename, 'application/json');
+}
+
+export function downloadText(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
   let anchor = null;
   let attached = false;
@@ -253,7 +270,9 @@ function validateParsedImportDocument(document) {
   if (!document || typeof document !== 'object' || Array.isArray(document)) {
     throw new TypeError('Portable import document must be a normalized object');
   }
-  const sections = portableKindSections(document.kind);
+  const sections = portableKindSections(document.kind).filter((section) => (
+    Object.hasOwn(document, section) || !PORTABLE_OPTIONAL_SECTIONS.includes(section)
+  ));
   for (const section of sections) {
     if (!Object.hasOwn(document, section)) {
       throw new TypeError(`Portable ${document.kind} import requires ${section}`);
@@ -10,6 +10,21 @@ import {
   MAX_DRIVE_TOMBSTONE,
   MAX_DRIVE_TOMBSTONES_PER_KIND,
 } from './drive-sync.js';
+import {
+  CUSTOM_PROFILE_ID_PATTERN,
+  MAX_PROFILE_DOMAINS,
+  MAX_PROFILE_ICON_LENGTH,
+  MAX_PROFILE_NAME_LENGTH,
+} from './focus-profiles.js';
+import { MAX_FOCUS_RULES, createFocusRule } from './focus-policy.js';
+import {
+  MAX_CUSTOM_CATEGORIES,
+  isBuiltinCategoryId,
+  isCustomCategoryId,
+  normalizeCategoryOverlay,
+} from './focus-blocklists.js';
+import { GROUP_RULE_ID_PATTERN, MAX_GROUP_RULES, normalizeGroupRule } from './group-rules.js';
+import { findSessionMetadataProblem } from './session-metadata.js';
 
 export const PORTABLE_EXPORT_VERSION = 2;
 export const MAX_PORTABLE_IMPORT_BYTES = 25 * 1024 * 1024;
@@ -23,14 +38,22 @@ const SECTION_ORDER = Object.freeze([
   'sessions',
   'stashes',
   'manualGroups',
+  'groupRules',
   'keepAwakeDomains',
   'bookmarks',
   'settings',
   'focusProfilePrefs',
+  'focusProfiles',
+  'focusCategories',
   'focusHistory',
   'aiSettings',
 ]);
 
+// Full-export sections added after version 2 shipped. Older full documents
+// omit them, so parsing treats a missing optional section as empty.
+export const PORTABLE_OPTIONAL_SECTIONS = Object.freeze(['focusProfiles', 'groupRules', 'focusCategories']);
+const OPTIONAL_FULL_SECTIONS = new Set(PORTABLE_OPTIONAL_SECTIONS);
+
 const KIND_SECTIONS = Object.freeze({
   full: SECTION_ORDER,
   sessions: Object.freeze(['sessions']),
@@ -59,12 +82,35 @@ const FOCUS_PREF_KEYS = new Set([
   'blockedCategories',
   'allowlist',
   'blockedDomains',
+  'rules',
   'strictMode',
   'aiBlocking',
   'duration',
   'tabAction',
 ]);
 const FOCUS_TAB_ACTIONS = new Set(['kebab', 'stash', 'group', 'none']);
+const FOCUS_PROFILE_KEYS = new Set([
+  'name',
+  'icon',
+  'color',
+  'allowedDomains',
+  'blockedDomains',
+  'blockedCategories',
+  'suggestedDuration',
+  'createdAt',
+  'modifiedAt',
+]);
+const GROUP_RULE_KEYS = new Set([
+  'enabled',
+  'match',
+  'conditions',
+  'groupName',
+  'color',
+  'targetWindow',
+  'order',
+  'createdAt',
+  'modifiedAt',
+]);
 const textEncoder = new TextEncoder();
 let activeCanonicalStashValidation = null;
 
@@ -362,6 +408,8 @@ function validateSessionsCanonical(value) {
         (!Number.isSafeInteger(record.version) || record.version < 1)) {
       fail(`sessions[${index}].version must be a positive integer`);
     }
+    const metadataProblem = findSessionMetadataProblem(record);
+    if (metadataProblem) fail(`sessions[${index}].${metadataProblem}`);
     totalTabs += countWindowTabs(record, `sessions[${index}]`);
     sessions.push(record);
   }
@@ -527,6 +575,12 @@ function validateSettingValue(key, value) {
     }
     return;
   }
+  if (constraint.type === 'pattern') {
+    if (typeof value !== 'string' || !constraint.pattern.test(value)) {
+      fail(`settings.${key} has an invalid format`);
+    }
+    return;
+  }
   if (constraint.enum && !constraint.enum.includes(value)) {
     fail(`settings.${key} must be one of ${constraint.enum.join(', ')}`);
   }
@@ -598,6 +652,19 @@ function validateFocusAllowlist(value, path) {
   });
 }
 
+function validateFocusRules(value, path) {
+  if (!Array.isArray(value)) fail(`${path} must be an array`);
+  if (value.length > MAX_FOCUS_RULES) fail(`${path} exceeds the ${MAX_FOCUS_RULES} rule limit`);
+  return value.map((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!isPlainRecord(entry)) fail(`${entryPath} must be an object`);
+    assertOnlyKeys(entry, new Set(['action', 'type', 'pattern']), entryPath);
+    const rule = createFocusRule(entry.action, entry.type, entry.pattern);
+    if (!rule) fail(`${entryPath} requires an allow/block action, a glob/regex type and a valid pattern`);
+    return sortedNullMap([['action', rule.action], ['pattern', rule.pattern], ['type', rule.type]]);
+  });
+}
+
 function validateFocusPrefsCanonical(value) {
   if (!isPlainRecord(value)) fail('focusProfilePrefs must be a map');
   const keys = Object.keys(value);
@@ -621,6 +688,9 @@ function validateFocusPrefsCanonical(value) {
         case 'allowlist':
           normalized.push([key, validateFocusAllowlist(prefs.allowlist, `${path}.allowlist`)]);
           break;
+        case 'rules':
+          normalized.push([key, validateFocusRules(prefs.rules, `${path}.rules`)]);
+          break;
         case 'strictMode':
         case 'aiBlocking':
           if (typeof prefs[key] !== 'boolean') fail(`${path}.${key} must be a boolean`);
@@ -643,6 +713,102 @@ function validateFocusPrefsCanonical(value) {
   return sortedNullMap(entries);
 }
 
+function validateFocusProfilesCanonical(value) {
+  if (!isPlainRecord(value)) fail('focusProfiles must be a map');
+  const keys = Object.keys(value);
+  if (keys.length > MAX_PORTABLE_SECTION_RECORDS) {
+    fail(`focusProfiles exceed the ${MAX_PORTABLE_SECTION_RECORDS.toLocaleString('en-US')} record limit`);
+  }
+  const entries = [];
+  for (const id of keys) {
+    validateId(id, 'focusProfiles key');
+    if (!CUSTOM_PROFILE_ID_PATTERN.test(id)) fail(`focusProfiles.${id} is not a custom profile ID`);
+    const record = value[id];
+    const path = `focusProfiles.${id}`;
+    if (!isPlainRecord(record)) fail(`${path} must be an object`);
+    assertOnlyKeys(record, FOCUS_PROFILE_KEYS, path);
+    validateRecordName(record, path);
+    if (record.name.length > MAX_PROFILE_NAME_LENGTH) {
+      fail(`${path}.name exceeds ${MAX_PROFILE_NAME_LENGTH} characters`);
+    }
+    if (typeof record.icon !== 'string' || record.icon.length === 0 ||
+        [...record.icon].length > MAX_PROFILE_ICON_LENGTH) {
+      fail(`${path}.icon must be 1 to ${MAX_PROFILE_ICON_LENGTH} characters`);
+    }
+    if (!MANUAL_GROUP_COLORS.has(record.color)) fail(`${path}.color is invalid`);
+    for (const key of ['allowedDomains', 'blockedDomains', 'blockedCategories']) {
+      validateFocusStringArray(record[key], `${path}.${key}`);
+      if (record[key].length > MAX_PROFILE_DOMAINS) {
+        fail(`${path}.${key} exceeds the ${MAX_PROFILE_DOMAINS} item limit`);
+      }
+    }
+    if (!Number.isInteger(record.suggestedDuration) ||
+        record.suggestedDuration < 1 || record.suggestedDuration > 480) {
+      fail(`${path}.suggestedDuration must be an integer from 1 to 480`);
+    }
+    validateOptionalTimestamps(record, path);
+    entries.push([id, record]);
+  }
+  return sortedNullMap(entries);
+}
+
+function validateFocusCategoriesCanonical(value) {
+  if (!isPlainRecord(value)) fail('focusCategories must be a map');
+  if (Object.keys(value).filter(isCustomCategoryId).length > MAX_CUSTOM_CATEGORIES) {
+    fail(`focusCategories exceed the ${MAX_CUSTOM_CATEGORIES} custom category limit`);
+  }
+  const entries = [];
+  for (const id of Object.keys(value)) {
+    validateId(id, 'focusCategories key');
+    if (!isBuiltinCategoryId(id) && !isCustomCategoryId(id)) fail(`focusCategories.${id} is not a category ID`);
+    const record = value[id];
+    const path = `focusCategories.${id}`;
+    if (!isPlainRecord(record)) fail(`${path} must be an object`);
+    validateOptionalTimestamps(record, path);
+    const { createdAt = 0, modifiedAt = 0, ...fields } = record;
+    let normalized;
+    try {
+      normalized = normalizeCategoryOverlay(id, fields, { createdAt, modifiedAt });
+    } catch (error) {
+      fail(`${path}: ${error.message}`);
+    }
+    if (!Object.hasOwn(record, 'createdAt')) delete normalized.createdAt;
+    if (!Object.hasOwn(record, 'modifiedAt')) delete normalized.modifiedAt;
+    entries.push([id, sortedNullMap(Object.entries(normalized))]);
+  }
+  return sortedNullMap(entries);
+}
+
+function validateGroupRulesCanonical(value) {
+  if (!isPlainRecord(value)) fail('groupRules must be a map');
+  const keys = Object.keys(value);
+  if (keys.length > MAX_GROUP_RULES) {
+    fail(`groupRules exceed the ${MAX_GROUP_RULES} rule limit`);
+  }
+  const entries = [];
+  for (const id of keys) {
+    validateId(id, 'groupRules key');
+    if (!GROUP_RULE_ID_PATTERN.test(id)) fail(`groupRules.${id} is not a rule ID`);
+    const record = value[id];
+    const path = `groupRules.${id}`;
+    if (!isPlainRecord(record)) fail(`${path} must be an object`);
+    assertOnlyKeys(record, GROUP_RULE_KEYS, path);
+    validateOptionalTimestamps(record, path);
+    const { order, createdAt = 0, modifiedAt = 0, ...fields } = record;
+    let normalized;
+    try {
+      normalized = normalizeGroupRule(fields, { order, createdAt, modifiedAt });
+    } catch (error) {
+      fail(`${path}: ${error.message}`);
+    }
+    // Keep timestamps absent when the source omitted them, like other records.
+    if (!Object.hasOwn(record, 'createdAt')) delete normalized.createdAt;
+    if (!Object.hasOwn(record, 'modifiedAt')) delete normalized.modifiedAt;
+    entries.push([id, normalized]);
+  }
+  return sortedNullMap(entries);
+}
+
 function focusHistoryIdentity(record, path) {
   if (Object.hasOwn(record, 'runId')) {
     return `run:${validateId(record.runId, `${path}.runId`)}`;
@@ -807,6 +973,15 @@ function validateSectionsCanonical(input, { allowAISecrets = false } = {}) {
       case 'focusProfilePrefs':
         sections.focusProfilePrefs = validateFocusPrefsCanonical(input.focusProfilePrefs);
         break;
+      case 'focusProfiles':
+        sections.focusProfiles = validateFocusProfilesCanonical(input.focusProfiles);
+        break;
+      case 'groupRules':
+        sections.groupRules = validateGroupRulesCanonical(input.groupRules);
+        break;
+      case 'focusCategories':
+        sections.focusCategories = validateFocusCategoriesCanonical(input.focusCategories);
+        break;
       case 'focusHistory':
         sections.focusHistory = validateFocusHistoryCanonical(input.focusHistory);
         break;
@@ -864,14 +1039,20 @@ function parseV2(root) {
     fail('kind must be full, sessions, stashes, or settings');
   }
   if (!Object.hasOwn(root, 'exportedAt')) fail('version 2 requires exportedAt');
-  const requiredSections = KIND_SECTIONS[root.kind];
-  const allowed = new Set(['version', 'kind', 'exportedAt', ...requiredSections]);
+  const kindSections = KIND_SECTIONS[root.kind];
+  const allowed = new Set(['version', 'kind', 'exportedAt', ...kindSections]);
   assertOnlyKeys(root, allowed, 'root');
-  for (const section of requiredSections) {
-    if (!Object.hasOwn(root, section)) fail(`${root.kind} export requires ${section}`);
-  }
   const rawSections = Object.create(null);
-  for (const section of requiredSections) rawSections[section] = root[section];
+  const empty = emptyFullSections();
+  for (const section of kindSections) {
+    if (Object.hasOwn(root, section)) {
+      rawSections[section] = root[section];
+    } else if (OPTIONAL_FULL_SECTIONS.has(section)) {
+      rawSections[section] = empty[section];
+    } else {
+      fail(`${root.kind} export requires ${section}`);
+    }
+  }
   const sections = validateSectionsCanonical(rawSections);
   return buildDocument(root.kind, validateExportedAt(root.exportedAt), sections);
 }
@@ -881,10 +1062,13 @@ function emptyFullSections() {
   sections.sessions = [];
   sections.stashes = [];
   sections.manualGroups = Object.create(null);
+  sections.groupRules = Object.create(null);
   sections.keepAwakeDomains = [];
   sections.bookmarks = [];
   sections.settings = Object.create(null);
   sections.focusProfilePrefs = Object.create(null);
+  sections.focusProfiles = Object.create(null);
+  sections.focusCategories = Object.create(null);
   sections.focusHistory = [];
   sections.aiSettings = sanitizeAISettings(null);
   return sections;
@@ -968,11 +1152,18 @@ function rawSectionValues(kind, sections) {
   if (!isPlainRecord(sections)) fail('sections must be an object');
   const expected = KIND_SECTIONS[kind];
   const keys = ownKeys(sections, 'sections');
-  if (keys.length !== expected.length || keys.some((key) => !expected.includes(key))) {
+  const required = expected.filter((section) => !OPTIONAL_FULL_SECTIONS.has(section));
+  if (keys.some((key) => !expected.includes(key)) ||
+      required.some((section) => !keys.includes(section))) {
     fail(`${kind} export requires exactly its named sections`);
   }
+  const empty = emptyFullSections();
   const output = Object.create(null);
   for (const section of expected) {
+    if (!keys.includes(section)) {
+      output[section] = empty[section];
+      continue;
+    }
     const value = ownDataValue(sections, section, 'sections', { required: true });
     output[section] = section === 'aiSettings' ? sanitizeAISettings(value) : value;
   }
@@ -1006,9 +1197,13 @@ function normalizeSectionBundle(value, {
 function normalizeTombstones(value) {
   const canonical = canonicalizeJson(value, { forbidSensitive: false });
   if (!isPlainRecord(canonical)) fail('tombstones must be an object');
-  assertOnlyKeys(canonical, new Set(['sessions', 'manualGroups']), 'tombstones');
-  const output = { sessions: Object.create(null), manualGroups: Object.create(null) };
-  for (const kind of ['sessions', 'manualGroups']) {
+  assertOnlyKeys(canonical, new Set(['sessions', 'manualGroups', 'focusProfiles']), 'tombstones');
+  const output = {
+    sessions: Object.create(null),
+    manualGroups: Object.create(null),
+    focusProfiles: Object.create(null),
+  };
+  for (const kind of ['sessions', 'manualGroups', 'focusProfiles']) {
     const source = Object.hasOwn(canonical, kind) ? canonical[kind] : Object.create(null);
     if (!isPlainRecord(source)) fail(`tombstones.${kind} must be a map`);
     if (Object.keys(source).length > MAX_DRIVE_TOMBSTONES_PER_KIND) {
@@ -1058,7 +1253,7 @@ function reviveImportedSessions(local, incoming, tombstones, now) {
   });
 }
 
-function reviveImportedGroups(local, incoming, tombstones, now) {
+function reviveImportedMapEntries(local, incoming, tombstones, now) {
   const entries = [];
   for (const [id, record] of Object.entries(incoming || {})) {
     if (Object.hasOwn(local || {}, id) || !Object.hasOwn(tombstones, id)) {
@@ -1160,7 +1355,7 @@ export function mergePortableSections(existing, incoming, { tombstones, now }) {
         sections.stashes = mergeRecordArrays(local.stashes, imported.stashes, (record) => record.id);
         break;
       case 'manualGroups': {
-        const revived = reviveImportedGroups(
+        const revived = reviveImportedMapEntries(
           local.manualGroups || Object.create(null),
           imported.manualGroups || Object.create(null),
           canonicalTombstones.manualGroups,
@@ -1169,6 +1364,12 @@ export function mergePortableSections(existing, incoming, { tombstones, now }) {
         sections.manualGroups = mergeMaps(local.manualGroups, revived);
         break;
       }
+      case 'groupRules':
+        sections.groupRules = mergeMaps(local.groupRules, imported.groupRules);
+        break;
+      case 'focusCategories':
+        sections.focusCategories = mergeMaps(local.focusCategories, imported.focusCategories);
+        break;
       case 'keepAwakeDomains':
         sections.keepAwakeDomains = [...new Set([
           ...(local.keepAwakeDomains || []),
@@ -1188,6 +1389,16 @@ export function mergePortableSections(existing, incoming, { tombstones, now }) {
       case 'focusProfilePrefs':
         sections.focusProfilePrefs = mergeMaps(local.focusProfilePrefs, imported.focusProfilePrefs);
         break;
+      case 'focusProfiles': {
+        const revived = reviveImportedMapEntries(
+          local.focusProfiles || Object.create(null),
+          imported.focusProfiles || Object.create(null),
+          canonicalTombstones.focusProfiles,
+          now,
+        );
+        sections.focusProfiles = mergeMaps(local.focusProfiles, revived);
+        break;
+      }
       case 'focusHistory':
         sections.focusHistory = mergeRecordArrays(
           local.focusHistory,
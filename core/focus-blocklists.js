@@ -2,7 +2,8 @@
 
 /**
  * Curated lists of known distracting domains by category.
- * Users can toggle entire categories on/off in Focus Mode.
+ * Users can toggle entire categories on/off in Focus Mode, and edit them
+ * through overlays (see "Category overlays" below).
  */
 
 export const BLOCKLIST_CATEGORIES = {
@@ -150,15 +151,194 @@ export const BLOCKLIST_CATEGORIES = {
   },
 };
 
+// ── Category overlays ──
+// User edits never touch the curated lists. A built-in category's overlay is
+// { added[], removed[], modifiedAt }; a custom category ('custom-*') is
+// { name, icon, added[], createdAt, modifiedAt }. Resolving applies each
+// overlay to the current curated list, so curated updates still flow in.
+
+export const CUSTOM_CATEGORY_ID_PATTERN = /^custom-[a-z0-9]{1,32}$/;
+export const MAX_CUSTOM_CATEGORIES = 50;
+export const MAX_CATEGORY_DOMAINS = 10_000;
+export const MAX_CATEGORY_NAME_LENGTH = 40;
+export const MAX_CATEGORY_ICON_LENGTH = 4;
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9_])?\.)*[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const IP_ADDRESS_PATTERN = /^(?:\d{1,3}(?:\.\d{1,3}){3}|[0-9a-f:]*:[0-9a-f:.]*)$/i;
+const HOSTS_FILE_LOCAL_NAMES = new Set([
+  'localhost', 'localhost.localdomain', 'local', 'broadcasthost',
+  'ip6-localhost', 'ip6-loopback', 'ip6-localnet', 'ip6-mcastprefix',
+  'ip6-allnodes', 'ip6-allrouters', 'ip6-allhosts', '0.0.0.0',
+]);
+const categoryDomainSets = new WeakMap();
+
+export function isBuiltinCategoryId(id) {
+  return typeof id === 'string' && Object.hasOwn(BLOCKLIST_CATEGORIES, id);
+}
+
+export function isCustomCategoryId(id) {
+  return typeof id === 'string' && CUSTOM_CATEGORY_ID_PATTERN.test(id);
+}
+
+/** Lowercase a bare hostname (or a URL's hostname); null when it is not one. */
+export function normalizeCategoryDomain(value) {
+  if (typeof value !== 'string') return null;
+  let candidate = value.trim().toLowerCase();
+  if (candidate.includes('://')) {
+    try {
+      candidate = new URL(candidate).hostname;
+    } catch {
+      return null;
+    }
+  }
+  candidate = candidate.replace(/\.+$/, '');
+  if (!HOSTNAME_PATTERN.test(candidate) || !candidate.includes('.')) return null;
+  if (IP_ADDRESS_PATTERN.test(candidate)) return null;
+  return candidate;
+}
+
+/**
+ * Parse a hosts file or a one-domain-per-line list. Comments (`#`) and blank
+ * lines are ignored; in hosts lines the leading address is dropped and every
+ * name after it is read. Local names and unparseable tokens count as skipped.
+ * @returns {{ domains: string[], skipped: number }}
+ */
+export function parseDomainList(text) {
+  if (typeof text !== 'string') throw new TypeError('Domain list must be text');
+  const domains = new Set();
+  let skipped = 0;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+    let tokens = line.split(/\s+/);
+    if (tokens.length > 1 && IP_ADDRESS_PATTERN.test(tokens[0])) tokens = tokens.slice(1);
+    for (const token of tokens) {
+      const domain = HOSTS_FILE_LOCAL_NAMES.has(token.toLowerCase()) ? null : normalizeCategoryDomain(token);
+      if (domain) domains.add(domain);
+      else skipped += 1;
+    }
+  }
+  return { domains: [...domains], skipped };
+}
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function normalizeDomainArray(value, label) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) throw new TypeError(`${label} must be an array`);
+  if (value.length > MAX_CATEGORY_DOMAINS) {
+    throw new TypeError(`${label} exceed the ${MAX_CATEGORY_DOMAINS.toLocaleString('en-US')} domain limit`);
+  }
+  const output = new Set();
+  for (const entry of value) {
+    const domain = normalizeCategoryDomain(entry);
+    if (!domain) throw new TypeError(`${label} must contain valid domain names`);
+    output.add(domain);
+  }
+  return [...output].sort();
+}
+
+/**
+ * Validate one stored overlay and return a fresh canonical record. Built-in
+ * overlays may only add and remove domains; custom categories carry a name
+ * and icon and only add.
+ */
+export function normalizeCategoryOverlay(id, input, { createdAt, modifiedAt }) {
+  if (!isPlainRecord(input)) throw new TypeError('Focus category must be a plain object');
+  const builtin = isBuiltinCategoryId(id);
+  if (!builtin && !isCustomCategoryId(id)) throw new TypeError('Focus category ID is invalid');
+  const allowed = builtin ? ['added', 'removed'] : ['name', 'icon', 'added'];
+  for (const key of Object.keys(input)) {
+    if (!allowed.includes(key)) throw new TypeError(`Unknown focus category field: ${key}`);
+  }
+  if (![createdAt, modifiedAt].every((value) => Number.isSafeInteger(value) && value >= 0)) {
+    throw new TypeError('Focus category timestamps must be non-negative safe integers');
+  }
+
+  const added = normalizeDomainArray(input.added, 'Added domains');
+  if (builtin) {
+    const curated = new Set(BLOCKLIST_CATEGORIES[id].domains);
+    const removed = normalizeDomainArray(input.removed, 'Removed domains').filter((domain) => curated.has(domain));
+    return {
+      added: added.filter((domain) => !curated.has(domain)),
+      removed,
+      createdAt,
+      modifiedAt,
+    };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (name.length === 0 || name.length > MAX_CATEGORY_NAME_LENGTH) {
+    throw new TypeError(`Focus category name must be 1 to ${MAX_CATEGORY_NAME_LENGTH} characters`);
+  }
+  const icon = input.icon === undefined ? '🚫' : input.icon;
+  if (typeof icon !== 'string' || icon.trim().length === 0 || [...icon.trim()].length > MAX_CATEGORY_ICON_LENGTH) {
+    throw new TypeError(`Focus category icon must be 1 to ${MAX_CATEGORY_ICON_LENGTH} characters`);
+  }
+  return { name, icon: icon.trim(), added, createdAt, modifiedAt };
+}
+
+/**
+ * Apply stored overlays to the curated lists.
+ * @param {Object} overlays - { [categoryId]: overlay }; malformed entries are ignored
+ * @returns {Object} { [categoryId]: { id, name, icon, builtIn, edited, domains[] } }
+ */
+export function resolveBlocklistCategories(overlays = {}) {
+  const stored = isPlainRecord(overlays) ? overlays : {};
+  const resolved = {};
+  for (const category of Object.values(BLOCKLIST_CATEGORIES)) {
+    const overlay = isPlainRecord(stored[category.id]) ? stored[category.id] : null;
+    const removed = new Set(Array.isArray(overlay?.removed) ? overlay.removed : []);
+    const domains = new Set(category.domains.filter((domain) => !removed.has(domain)));
+    for (const domain of Array.isArray(overlay?.added) ? overlay.added : []) domains.add(domain);
+    resolved[category.id] = {
+      id: category.id,
+      name: category.name,
+      icon: category.icon,
+      builtIn: true,
+      edited: Boolean(overlay),
+      domains: [...domains],
+    };
+  }
+  const custom = Object.entries(stored)
+    .filter(([id, overlay]) => isCustomCategoryId(id) && isPlainRecord(overlay) && typeof overlay.name === 'string')
+    .sort(([leftId, left], [rightId, right]) => left.name.localeCompare(right.name) || (leftId < rightId ? -1 : 1));
+  for (const [id, overlay] of custom) {
+    resolved[id] = {
+      id,
+      name: overlay.name,
+      icon: typeof overlay.icon === 'string' ? overlay.icon : '🚫',
+      builtIn: false,
+      edited: true,
+      domains: Array.isArray(overlay.added) ? [...overlay.added] : [],
+    };
+  }
+  return resolved;
+}
+
+function domainSetOf(category) {
+  let domains = categoryDomainSets.get(category.domains);
+  if (!domains) {
+    domains = new Set(category.domains);
+    categoryDomainSets.set(category.domains, domains);
+  }
+  return domains;
+}
+
 /**
  * Get all domains from enabled categories.
  * @param {string[]} enabledCategories - Array of category IDs to include
+ * @param {Object} [categories] - Resolved categories; defaults to the curated lists
  * @returns {string[]} - Flat array of all domains from enabled categories
  */
-export function getBlockedDomainsFromCategories(enabledCategories) {
+export function getBlockedDomainsFromCategories(enabledCategories, categories = BLOCKLIST_CATEGORIES) {
   const domains = new Set();
   for (const catId of enabledCategories) {
-    const cat = BLOCKLIST_CATEGORIES[catId];
+    const cat = categories[catId];
     if (cat) {
       for (const domain of cat.domains) {
         domains.add(domain);
@@ -172,23 +352,26 @@ export function getBlockedDomainsFromCategories(enabledCategories) {
  * Check if a hostname matches any domain in the enabled categories.
  * @param {string} hostname - The hostname to check
  * @param {string[]} enabledCategories - Array of category IDs
+ * @param {Object} [categories] - Resolved categories; defaults to the curated lists
  * @returns {{ blocked: boolean, category: string|null }}
  */
-export function checkAgainstBlocklists(hostname, enabledCategories) {
+export function checkAgainstBlocklists(hostname, enabledCategories, categories = BLOCKLIST_CATEGORIES) {
   if (!hostname || !enabledCategories?.length) {
     return { blocked: false, category: null };
   }
 
-  const normalizedHost = hostname.toLowerCase();
+  // The host itself and each parent domain, so imported lists of any size
+  // cost one lookup per label.
+  const labels = hostname.toLowerCase().split('.');
+  const candidates = labels.map((_, index) => labels.slice(index).join('.'));
 
   for (const catId of enabledCategories) {
-    const cat = BLOCKLIST_CATEGORIES[catId];
-    if (!cat) continue;
+    const cat = Object.hasOwn(categories, catId) ? categories[catId] : null;
+    if (!Array.isArray(cat?.domains)) continue;
 
-    for (const domain of cat.domains) {
-      if (normalizedHost === domain || normalizedHost.endsWith('.' + domain)) {
-        return { blocked: true, category: cat.name };
-      }
+    const domains = domainSetOf(cat);
+    if (candidates.some((candidate) => domains.has(candidate))) {
+      return { blocked: true, category: cat.name };
     }
   }
 
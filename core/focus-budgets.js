@@ -0,0 +1,342 @@
+// core/focus-budgets.js — Daily time budgets for domains and Focus categories
+//
+// Budgets are stored in chrome.storage.local under key 'focusBudgets' as
+// [{ id, target: 'domain'|'category', value, minutes, enabled }]. A domain
+// budget covers the domain and its subdomains; a category budget covers every
+// domain the category blocks, edits included.
+//
+// Today's usage lives under 'focusBudgetUsage' as { date: 'YYYY-MM-DD',
+// usedMs: { [budgetId]: ms }, active: { url, since } | null }. `active` is the
+// page being counted right now. The worker moves it whenever the active tab,
+// the focused window or the idle state changes, and once a minute, crediting
+// the time spent on the previous page. Usage starts over each local day.
+
+import { Storage } from './storage.js';
+import {
+  checkAgainstBlocklists,
+  isBuiltinCategoryId,
+  isCustomCategoryId,
+  normalizeCategoryDomain,
+} from './focus-blocklists.js';
+import { resolveEnabledCategories } from './focus-categories.js';
+
+export const FOCUS_BUDGETS_KEY = 'focusBudgets';
+export const FOCUS_BUDGET_USAGE_KEY = 'focusBudgetUsage';
+export const MAX_FOCUS_BUDGETS = 50;
+export const MAX_BUDGET_MINUTES = 24 * 60;
+// The most one step may credit. Steps are at most a minute apart while the
+// worker runs, so anything longer is a sleeping machine, not browsing.
+export const MAX_BUDGET_CREDIT_MS = 2 * 60 * 1000;
+
+const BUDGET_FIELDS = new Set(['id', 'target', 'value', 'minutes', 'enabled']);
+const BUDGET_ID_PATTERN = /^budget-[a-z0-9]{1,32}$/;
+const BUDGET_TARGETS = new Set(['domain', 'category']);
+// Over-budget pages land on the same interstitial as Focus runs.
+const BLOCKED_PAGE = 'sidepanel/blocked.html';
+
+let _usageWriteQueue = Promise.resolve();
+
+// Activity is recorded from tab, window and idle listeners as well as from
+// budget edits, so serialize read-modify-write cycles on the usage record.
+function withUsageWrite(operation) {
+  const pending = _usageWriteQueue.then(operation, operation);
+  _usageWriteQueue = pending.catch(() => {});
+  return pending;
+}
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function localDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function startOfLocalDay(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/** When today's usage resets: the next local midnight. */
+export function nextBudgetReset(now) {
+  const date = new Date(startOfLocalDay(now));
+  date.setDate(date.getDate() + 1);
+  return date.getTime();
+}
+
+/**
+ * Validate one budget and return a fresh canonical record. A missing id is
+ * allowed for new budgets; saveFocusBudget assigns one.
+ */
+export function normalizeFocusBudget(input) {
+  if (!isPlainRecord(input)) throw new TypeError('Focus budget must be a plain object');
+  for (const key of Object.keys(input)) {
+    if (!BUDGET_FIELDS.has(key)) throw new TypeError(`Unknown focus budget field: ${key}`);
+  }
+  if (input.id !== undefined && (typeof input.id !== 'string' || !BUDGET_ID_PATTERN.test(input.id))) {
+    throw new TypeError('Focus budget ID is invalid');
+  }
+  if (!BUDGET_TARGETS.has(input.target)) throw new TypeError('Focus budget target must be domain or category');
+  let value;
+  if (input.target === 'domain') {
+    value = normalizeCategoryDomain(input.value);
+    if (!value) throw new TypeError('Focus budget needs a valid domain');
+  } else {
+    value = input.value;
+    if (!isBuiltinCategoryId(value) && !isCustomCategoryId(value)) {
+      throw new TypeError('Focus budget needs a valid category');
+    }
+  }
+  if (!Number.isInteger(input.minutes) || input.minutes < 1 || input.minutes > MAX_BUDGET_MINUTES) {
+    throw new TypeError(`Focus budget minutes must be an integer from 1 to ${MAX_BUDGET_MINUTES}`);
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    throw new TypeError('Focus budget enabled must be a boolean');
+  }
+  const budget = { target: input.target, value, minutes: input.minutes, enabled: input.enabled !== false };
+  return input.id === undefined ? budget : { id: input.id, ...budget };
+}
+
+export async function getFocusBudgets() {
+  const stored = await Storage.get(FOCUS_BUDGETS_KEY);
+  if (!Array.isArray(stored)) return [];
+  const budgets = [];
+  for (const entry of stored) {
+    try {
+      const budget = normalizeFocusBudget(entry);
+      if (budget.id) budgets.push(budget);
+    } catch {
+      // Skip a corrupt entry rather than losing every budget.
+    }
+  }
+  return budgets;
+}
+
+function generateBudgetId(budgets) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const id = `budget-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    if (!budgets.some((budget) => budget.id === id)) return id;
+  }
+  throw new Error('Unable to generate a unique focus budget ID');
+}
+
+/**
+ * Create a budget, or replace an existing one with the same id. Usage already
+ * counted today is kept, so raising a limit reopens a site straight away.
+ * @returns {Promise<Object>} The stored budget
+ */
+export async function saveFocusBudget(input) {
+  let budget = normalizeFocusBudget(input);
+  const budgets = await getFocusBudgets();
+  if (budget.id) {
+    const index = budgets.findIndex((entry) => entry.id === budget.id);
+    if (index === -1) throw new Error('Focus budget not found');
+    budgets[index] = budget;
+  } else {
+    if (budgets.length >= MAX_FOCUS_BUDGETS) {
+      throw new Error(`Focus budgets are limited to ${MAX_FOCUS_BUDGETS}`);
+    }
+    budget = { id: generateBudgetId(budgets), ...budget };
+    budgets.push(budget);
+  }
+  await Storage.set(FOCUS_BUDGETS_KEY, budgets);
+  return budget;
+}
+
+export async function deleteFocusBudget(budgetId) {
+  const budgets = await getFocusBudgets();
+  const remaining = budgets.filter((budget) => budget.id !== budgetId);
+  if (remaining.length === budgets.length) throw new Error('Focus budget not found');
+  await Storage.set(FOCUS_BUDGETS_KEY, remaining);
+  await withUsageWrite(async () => {
+    const usage = await readUsage();
+    if (!Object.hasOwn(usage.usedMs, budgetId)) return;
+    delete usage.usedMs[budgetId];
+    await Storage.set(FOCUS_BUDGET_USAGE_KEY, usage);
+  });
+  return { deleted: true };
+}
+
+// ── Usage ──
+
+async function readUsage() {
+  const stored = await Storage.get(FOCUS_BUDGET_USAGE_KEY);
+  const usedMs = {};
+  if (isPlainRecord(stored?.usedMs)) {
+    for (const [id, ms] of Object.entries(stored.usedMs)) {
+      if (Number.isFinite(ms) && ms > 0) usedMs[id] = ms;
+    }
+  }
+  const active = isPlainRecord(stored?.active) && typeof stored.active.url === 'string' &&
+    Number.isFinite(stored.active.since)
+    ? { url: stored.active.url, since: stored.active.since }
+    : null;
+  return {
+    date: typeof stored?.date === 'string' ? stored.date : null,
+    usedMs,
+    active,
+  };
+}
+
+function webHostname(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') return parsed.hostname.toLowerCase();
+  } catch {
+    // Not a web page.
+  }
+  return null;
+}
+
+async function loadEnabledBudgets() {
+  const budgets = (await getFocusBudgets()).filter((budget) => budget.enabled);
+  const categoryIds = budgets.filter((budget) => budget.target === 'category').map((budget) => budget.value);
+  const categories = categoryIds.length ? await resolveEnabledCategories(categoryIds) : {};
+  return { budgets, categories };
+}
+
+function budgetCovers(budget, hostname, categories) {
+  if (budget.target === 'domain') {
+    return hostname === budget.value || hostname.endsWith(`.${budget.value}`);
+  }
+  return checkAgainstBlocklists(hostname, [budget.value], categories).blocked;
+}
+
+function budgetsCovering(url, budgets, categories) {
+  const hostname = url ? webHostname(url) : null;
+  if (!hostname) return [];
+  return budgets.filter((budget) => budgetCovers(budget, hostname, categories));
+}
+
+function budgetLabel(budget, categories) {
+  return budget.target === 'category' ? categories[budget.value]?.name ?? budget.value : budget.value;
+}
+
+function isExhausted(budget, usedMs) {
+  return (usedMs[budget.id] || 0) >= budget.minutes * 60 * 1000;
+}
+
+// Usage as of now: a new day starts from zero and the time on the active page
+// so far is credited, counting from midnight at most.
+function settleUsage(usage, budgets, categories, now) {
+  const today = localDateKey(now);
+  const usedMs = usage.date === today ? { ...usage.usedMs } : {};
+  if (usage.active) {
+    const since = Math.max(usage.active.since, startOfLocalDay(now));
+    const credit = Math.min(Math.max(0, now - since), MAX_BUDGET_CREDIT_MS);
+    if (credit > 0) {
+      for (const budget of budgetsCovering(usage.active.url, budgets, categories)) {
+        usedMs[budget.id] = (usedMs[budget.id] || 0) + credit;
+      }
+    }
+  }
+  return { date: today, usedMs };
+}
+
+/**
+ * Credit the page counted so far and start counting `url`, or stop counting
+ * when it is null (idle, Chrome in the background, no web page).
+ * @returns {Promise<Object|null>} An exhausted budget covering `url`, if any
+ */
+export function recordBudgetActivity(url, now = Date.now()) {
+  return withUsageWrite(async () => {
+    const [{ budgets, categories }, usage] = await Promise.all([loadEnabledBudgets(), readUsage()]);
+    if (budgets.length === 0 && !usage.active) return null;
+    const settled = settleUsage(usage, budgets, categories, now);
+    const covering = budgetsCovering(url, budgets, categories);
+    await Storage.set(FOCUS_BUDGET_USAGE_KEY, {
+      ...settled,
+      active: covering.length ? { url, since: now } : null,
+    });
+    return covering.find((budget) => isExhausted(budget, settled.usedMs)) ?? null;
+  });
+}
+
+/** The first exhausted budget covering a URL, or null. */
+export async function findExhaustedBudget(url, now = Date.now()) {
+  const [{ budgets, categories }, usage] = await Promise.all([loadEnabledBudgets(), readUsage()]);
+  if (budgets.length === 0) return null;
+  const { usedMs } = settleUsage(usage, budgets, categories, now);
+  return budgetsCovering(url, budgets, categories).find((budget) => isExhausted(budget, usedMs)) ?? null;
+}
+
+/**
+ * Budgets with today's usage, for the Focus panel. The active page's time so
+ * far is included without being written.
+ */
+export async function listFocusBudgets(now = Date.now()) {
+  const budgets = await getFocusBudgets();
+  const categoryIds = budgets.filter((budget) => budget.target === 'category').map((budget) => budget.value);
+  const [categories, usage] = await Promise.all([
+    categoryIds.length ? resolveEnabledCategories(categoryIds) : {},
+    readUsage(),
+  ]);
+  const { usedMs } = settleUsage(usage, budgets.filter((budget) => budget.enabled), categories, now);
+  const resetsAt = nextBudgetReset(now);
+  return budgets.map((budget) => {
+    const limitMs = budget.minutes * 60 * 1000;
+    const used = Math.min(usedMs[budget.id] || 0, limitMs);
+    return {
+      ...budget,
+      label: budgetLabel(budget, categories),
+      usedMs: used,
+      limitMs,
+      exhausted: budget.enabled && used >= limitMs,
+      resetsAt,
+    };
+  });
+}
+
+// ── Blocking ──
+
+export function getBudgetBlockedPageUrl({ budgetId, url, label }) {
+  const params = new URLSearchParams({ budget: budgetId, url, reason: `Daily budget used up: ${label}` });
+  return chrome.runtime.getURL(`${BLOCKED_PAGE}?${params}`);
+}
+
+/**
+ * Send a tab that is still on `url` to the blocked page. Returns false when
+ * the tab has gone or moved on in the meantime.
+ */
+export async function blockOverBudgetTab({ tabId, url, budget }) {
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch {
+    return false;
+  }
+  if (tab.url !== url && tab.pendingUrl !== url) return false;
+  const categories = budget.target === 'category' ? await resolveEnabledCategories([budget.value]) : {};
+  const label = budgetLabel(budget, categories);
+  try {
+    await chrome.tabs.update(tabId, { url: getBudgetBlockedPageUrl({ budgetId: budget.id, url, label }) });
+  } catch {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * What the blocked page shows for a budget block. `blocking` turns false once
+ * the budget is raised, disabled or deleted, or the day rolls over.
+ */
+export async function getBudgetBlockedPageInfo({ budgetId, url }, now = Date.now()) {
+  const domain = webHostname(url);
+  if (!domain) throw new TypeError('Focus budget blocked page needs a web page URL');
+  const [{ budgets, categories }, usage] = await Promise.all([loadEnabledBudgets(), readUsage()]);
+  const budget = budgets.find((entry) => entry.id === budgetId) ?? null;
+  const { usedMs } = settleUsage(usage, budgets, categories, now);
+  return {
+    blocking: Boolean(budget) && budgetsCovering(url, [budget], categories).length > 0 && isExhausted(budget, usedMs),
+    domain,
+    label: budget ? budgetLabel(budget, categories) : null,
+    minutes: budget?.minutes ?? null,
+    resetsAt: nextBudgetReset(now),
+  };
+}
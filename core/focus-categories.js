@@ -0,0 +1,157 @@
+// core/focus-categories.js — User edits to Focus blocklist categories, stored as overlays
+
+import { Storage } from './storage.js';
+import {
+  BLOCKLIST_CATEGORIES,
+  MAX_CATEGORY_DOMAINS,
+  MAX_CUSTOM_CATEGORIES,
+  isBuiltinCategoryId,
+  isCustomCategoryId,
+  normalizeCategoryOverlay,
+  parseDomainList,
+  resolveBlocklistCategories,
+} from './focus-blocklists.js';
+
+// Stored in chrome.storage.local under key 'focusCategories':
+// { [categoryId]: overlay } — see focus-blocklists.js for the overlay shapes.
+export const FOCUS_CATEGORIES_KEY = 'focusCategories';
+export const MAX_DOMAIN_LIST_IMPORT_LENGTH = 5 * 1024 * 1024;
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+async function readOverlays() {
+  const stored = await Storage.get(FOCUS_CATEGORIES_KEY);
+  return isPlainRecord(stored) ? { ...stored } : {};
+}
+
+function requireCategoryId(categoryId) {
+  if (!isBuiltinCategoryId(categoryId) && !isCustomCategoryId(categoryId)) {
+    throw new TypeError('Focus category ID is invalid');
+  }
+}
+
+function generateCustomCategoryId(overlays) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const id = `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    if (!Object.hasOwn(overlays, id)) return id;
+  }
+  throw new Error('Unable to generate a unique focus category ID');
+}
+
+/** Every category with its overlay applied, built-ins first. */
+export async function getFocusCategories() {
+  return Object.values(resolveBlocklistCategories(await readOverlays()));
+}
+
+/**
+ * Resolve only the given categories, for a run to keep as its snapshot.
+ * Unknown IDs are left out.
+ */
+export async function resolveEnabledCategories(categoryIds) {
+  const resolved = resolveBlocklistCategories(await readOverlays());
+  const enabled = {};
+  for (const id of Array.isArray(categoryIds) ? categoryIds : []) {
+    if (Object.hasOwn(resolved, id)) {
+      enabled[id] = { name: resolved[id].name, domains: resolved[id].domains };
+    }
+  }
+  return enabled;
+}
+
+function writeOverlay(overlays, categoryId, fields, savedAt) {
+  const previous = isPlainRecord(overlays[categoryId]) ? overlays[categoryId] : null;
+  const createdAt = Number.isSafeInteger(previous?.createdAt) ? previous.createdAt : savedAt;
+  const previousModifiedAt = Number.isSafeInteger(previous?.modifiedAt) ? previous.modifiedAt : 0;
+  const record = normalizeCategoryOverlay(categoryId, fields, {
+    createdAt,
+    modifiedAt: Math.max(savedAt, previousModifiedAt + 1),
+  });
+  // An overlay that changes nothing is the same as no overlay.
+  if (isBuiltinCategoryId(categoryId) && record.added.length === 0 && record.removed.length === 0) {
+    delete overlays[categoryId];
+  } else {
+    overlays[categoryId] = record;
+  }
+}
+
+/**
+ * Save a category from its full, edited domain list. For a built-in the list is
+ * stored as a diff against the curated domains; `categoryId` null creates a
+ * custom category.
+ * @param {string|null} categoryId
+ * @param {{ name?: string, icon?: string, domains: string[] }} fields
+ */
+export async function saveFocusCategory(categoryId, fields, savedAt = Date.now()) {
+  if (categoryId !== null) requireCategoryId(categoryId);
+  if (!isPlainRecord(fields) || !Array.isArray(fields.domains)) {
+    throw new TypeError('Focus category needs a domains array');
+  }
+  const overlays = await readOverlays();
+  let id = categoryId;
+  if (id === null) {
+    const customCount = Object.keys(overlays).filter(isCustomCategoryId).length;
+    if (customCount >= MAX_CUSTOM_CATEGORIES) {
+      throw new Error(`Custom focus categories are limited to ${MAX_CUSTOM_CATEGORIES}`);
+    }
+    id = generateCustomCategoryId(overlays);
+  } else if (isCustomCategoryId(id) && !Object.hasOwn(overlays, id)) {
+    throw new Error('Focus category not found');
+  }
+
+  if (isBuiltinCategoryId(id)) {
+    for (const key of Object.keys(fields)) {
+      if (key !== 'domains') throw new TypeError('Built-in focus categories can only change their domains');
+    }
+    const curated = BLOCKLIST_CATEGORIES[id].domains;
+    const edited = new Set(fields.domains.map((domain) => (typeof domain === 'string' ? domain.trim().toLowerCase() : domain)));
+    writeOverlay(overlays, id, {
+      added: fields.domains,
+      removed: curated.filter((domain) => !edited.has(domain)),
+    }, savedAt);
+  } else {
+    const { domains, ...rest } = fields;
+    writeOverlay(overlays, id, { ...rest, added: domains }, savedAt);
+  }
+  await Storage.set(FOCUS_CATEGORIES_KEY, overlays);
+  return resolveBlocklistCategories(overlays)[id];
+}
+
+/**
+ * Add every domain from a hosts file or one-domain-per-line text to a
+ * category. Domains a built-in overlay had removed are restored.
+ * @returns {Promise<{ category: Object, added: number, skipped: number }>}
+ */
+export async function importFocusCategoryDomains(categoryId, text, savedAt = Date.now()) {
+  requireCategoryId(categoryId);
+  if (typeof text !== 'string') throw new TypeError('Domain list must be text');
+  if (text.length > MAX_DOMAIN_LIST_IMPORT_LENGTH) throw new RangeError('Domain list file is too large');
+  const { domains, skipped } = parseDomainList(text);
+
+  const overlays = await readOverlays();
+  const current = resolveBlocklistCategories(overlays)[categoryId];
+  if (!current) throw new Error('Focus category not found');
+  const existing = new Set(current.domains);
+  const fresh = domains.filter((domain) => !existing.has(domain));
+  if (existing.size + fresh.length > MAX_CATEGORY_DOMAINS) {
+    throw new RangeError(`A focus category holds at most ${MAX_CATEGORY_DOMAINS.toLocaleString('en-US')} domains`);
+  }
+
+  const category = await saveFocusCategory(categoryId, isBuiltinCategoryId(categoryId)
+    ? { domains: [...current.domains, ...fresh] }
+    : { name: current.name, icon: current.icon, domains: [...current.domains, ...fresh] }, savedAt);
+  return { category, added: fresh.length, skipped };
+}
+
+/** Delete a custom category, or drop a built-in's overlay to restore the curated list. */
+export async function resetFocusCategory(categoryId) {
+  requireCategoryId(categoryId);
+  const overlays = await readOverlays();
+  if (!Object.hasOwn(overlays, categoryId)) return { removed: false };
+  delete overlays[categoryId];
+  await Storage.set(FOCUS_CATEGORIES_KEY, overlays);
+  return { removed: true };
+}
@@ -0,0 +1,122 @@
+// core/focus-corrections.js — Learned allow/block verdicts that correct Focus AI detection
+//
+// Stored in chrome.storage.local under key 'focusCorrections' as
+// { [profileId]: { [domain]: { verdict: 'allow'|'block', createdAt } } }.
+// A verdict covers the domain and its subdomains for every run of that
+// profile with AI detection on, and is read before the AI is asked.
+
+import { Storage } from './storage.js';
+import { normalizeCategoryDomain } from './focus-blocklists.js';
+import { FOCUS_PROFILE_ID_PATTERN } from './focus-profiles.js';
+
+export const FOCUS_CORRECTIONS_KEY = 'focusCorrections';
+export const MAX_PROFILE_CORRECTIONS = 500;
+
+const VERDICTS = new Set(['allow', 'block']);
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function requireProfileId(profileId) {
+  if (typeof profileId !== 'string' || !FOCUS_PROFILE_ID_PATTERN.test(profileId)) {
+    throw new TypeError('Focus profile ID is invalid');
+  }
+}
+
+function isCorrection(entry) {
+  return isPlainRecord(entry) && VERDICTS.has(entry.verdict) && Number.isSafeInteger(entry.createdAt);
+}
+
+async function readCorrections() {
+  const stored = await Storage.get(FOCUS_CORRECTIONS_KEY);
+  return isPlainRecord(stored) ? { ...stored } : {};
+}
+
+function hostOf(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.hostname.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+/** A profile's learned verdicts, newest first. */
+export async function getFocusCorrections(profileId) {
+  requireProfileId(profileId);
+  const entries = (await readCorrections())[profileId];
+  if (!isPlainRecord(entries)) return [];
+  return Object.entries(entries)
+    .filter(([, entry]) => isCorrection(entry))
+    .map(([domain, { verdict, createdAt }]) => ({ domain, verdict, createdAt }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * The learned verdict covering a page for one profile, or null. When both a
+ * domain and one of its subdomains have a verdict, the subdomain's wins.
+ * @returns {Promise<{ domain: string, verdict: 'allow'|'block', createdAt: number }|null>}
+ */
+export async function findFocusCorrection(profileId, url) {
+  const host = hostOf(url);
+  if (!host || typeof profileId !== 'string') return null;
+  const entries = (await readCorrections())[profileId];
+  if (!isPlainRecord(entries)) return null;
+  let match = null;
+  for (const [domain, entry] of Object.entries(entries)) {
+    if (!isCorrection(entry) || (host !== domain && !host.endsWith(`.${domain}`))) continue;
+    if (!match || domain.length > match.domain.length) {
+      match = { domain, verdict: entry.verdict, createdAt: entry.createdAt };
+    }
+  }
+  return match;
+}
+
+/**
+ * Learn that a domain is (`block`) or is not (`allow`) a distraction for a
+ * profile. A new verdict for the same domain replaces the old one.
+ */
+export async function saveFocusCorrection(profileId, domain, verdict, now = Date.now()) {
+  requireProfileId(profileId);
+  const canonical = normalizeCategoryDomain(domain);
+  if (!canonical) throw new TypeError('Focus correction needs a valid domain');
+  if (!VERDICTS.has(verdict)) throw new TypeError('Focus correction verdict must be allow or block');
+
+  const corrections = await readCorrections();
+  const entries = isPlainRecord(corrections[profileId]) ? { ...corrections[profileId] } : {};
+  if (!Object.hasOwn(entries, canonical) && Object.keys(entries).length >= MAX_PROFILE_CORRECTIONS) {
+    throw new Error(`A focus profile keeps at most ${MAX_PROFILE_CORRECTIONS} learned corrections`);
+  }
+  entries[canonical] = { verdict, createdAt: now };
+  corrections[profileId] = entries;
+  await Storage.set(FOCUS_CORRECTIONS_KEY, corrections);
+  return { domain: canonical, verdict, createdAt: now };
+}
+
+/** Forget one learned verdict, so AI detection decides that domain again. */
+export async function deleteFocusCorrection(profileId, domain) {
+  requireProfileId(profileId);
+  const canonical = normalizeCategoryDomain(domain);
+  const corrections = await readCorrections();
+  const entries = isPlainRecord(corrections[profileId]) ? { ...corrections[profileId] } : {};
+  if (!canonical || !Object.hasOwn(entries, canonical)) return { removed: false };
+  delete entries[canonical];
+  if (Object.keys(entries).length === 0) {
+    delete corrections[profileId];
+  } else {
+    corrections[profileId] = entries;
+  }
+  await Storage.set(FOCUS_CORRECTIONS_KEY, corrections);
+  return { removed: true };
+}
+
+/** Drop everything learned for a profile, once the profile itself is deleted. */
+export async function deleteProfileCorrections(profileId) {
+  const corrections = await readCorrections();
+  if (!Object.hasOwn(corrections, profileId)) return;
+  delete corrections[profileId];
+  await Storage.set(FOCUS_CORRECTIONS_KEY, corrections);
+}
@@ -187,27 +187,205 @@ export function rebindFocusAllowlist(state, liveGroups) {
   };
 }
 
-/** Evaluate deterministic Focus blocking in the approved priority order. */
-export function evaluateFocusPolicy(tabOrUrl, state) {
-  if (isInternalUrl(tabOrUrl) || isAllowed(tabOrUrl, state?.allowedDomains)) {
-    return { blocked: false, reason: null, category: null };
+// ── Pattern rules ──
+// Rules are { action: 'allow'|'block', type: 'glob'|'regex', pattern }. A glob
+// is matched against host + path + query with `*` as a wildcard. Its host is
+// case-insensitive and, like a domain entry, covers true subdomains unless it
+// starts with `*`; a glob without a `/` matches every page on its host. A regex
+// is tested, case-insensitively, against the full URL.
+
+export const FOCUS_RULE_ACTIONS = Object.freeze(['allow', 'block']);
+export const FOCUS_RULE_TYPES = Object.freeze(['glob', 'regex']);
+export const MAX_FOCUS_RULE_LENGTH = 500;
+export const MAX_FOCUS_RULES = 200;
+
+const GROUP_SPECIFICITY = Number.MAX_SAFE_INTEGER;
+const compiledRules = new Map();
+
+function globToRegExp(glob, prefix = '') {
+  const source = glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${prefix}${source}$`);
+}
+
+function compileFocusRule(type, pattern) {
+  const key = `${type}\n${pattern}`;
+  if (compiledRules.has(key)) return compiledRules.get(key);
+
+  let compiled;
+  if (type === 'regex') {
+    const regex = new RegExp(pattern, 'i');
+    compiled = {
+      test: (url) => regex.test(url.href),
+      // Count literal characters: escapes are one character, syntax is none.
+      specificity: pattern.replace(/\\./g, 'x').replace(/[.*+?^${}()|[\]\\]/g, '').length,
+    };
+  } else {
+    const slash = pattern.indexOf('/');
+    const hostGlob = (slash === -1 ? pattern : pattern.slice(0, slash)).toLowerCase();
+    const host = globToRegExp(hostGlob, hostGlob.startsWith('*') ? '' : '(?:[^/]*\\.)?');
+    const rest = slash === -1 ? null : globToRegExp(pattern.slice(slash));
+    compiled = {
+      test: (url) => host.test(url.hostname) && (!rest || rest.test(`${url.pathname}${url.search}`)),
+      specificity: pattern.replaceAll('*', '').length,
+    };
+  }
+  if (compiledRules.size >= MAX_FOCUS_RULES * 4) compiledRules.clear();
+  compiledRules.set(key, compiled);
+  return compiled;
+}
+
+/** Build one validated rule from panel input, or null when it is unusable. */
+export function createFocusRule(action, type, pattern) {
+  if (!FOCUS_RULE_ACTIONS.includes(action) || !FOCUS_RULE_TYPES.includes(type)) return null;
+  if (typeof pattern !== 'string') return null;
+  let value = pattern.trim();
+  if (type === 'glob') value = value.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  if (!value || value.length > MAX_FOCUS_RULE_LENGTH) return null;
+  if (type === 'glob' && (/\s/.test(value) || value.replaceAll('*', '').length === 0)) return null;
+  try {
+    compileFocusRule(type, value);
+  } catch {
+    return null;
+  }
+  return { action, type, pattern: value };
+}
+
+/** Keep valid rules once each, in their original order. */
+export function normalizeFocusRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  const normalized = [];
+  const identities = new Set();
+  for (const candidate of rules) {
+    const rule = createFocusRule(candidate?.action, candidate?.type, candidate?.pattern);
+    if (!rule) continue;
+    const identity = JSON.stringify([rule.action, rule.type, rule.pattern]);
+    if (identities.has(identity)) continue;
+    identities.add(identity);
+    normalized.push(rule);
+    if (normalized.length === MAX_FOCUS_RULES) break;
+  }
+  return normalized;
+}
+
+/** Short, user-facing description of the rule a policy result reports. */
+export function describeFocusRule(rule) {
+  if (!rule) return '';
+  const verb = rule.action === 'allow' ? 'Allowed' : 'Blocked';
+  switch (rule.type) {
+    case 'glob': return `${verb} by rule ${rule.pattern}`;
+    case 'regex': return `${verb} by rule /${rule.pattern}/`;
+    case 'group': return `${verb}: in group "${rule.pattern}"`;
+    case 'learned': return `${verb}: learned for this profile (${rule.pattern})`;
+    default: return `${verb}: ${rule.pattern}`;
+  }
+}
+
+function allowlistCandidates(tabOrUrl, allowList) {
+  if (!Array.isArray(allowList)) return [];
+  const candidates = [];
+  for (const entry of allowList) {
+    const type = typeof entry === 'string' ? 'domain' : entry?.type;
+    const value = typeof entry === 'string' ? entry : entry?.value;
+    if (type === 'domain' && domainMatches(tabOrUrl, [entry])) {
+      candidates.push({ source: 'allowlist', rule: { action: 'allow', type, pattern: canonicalDomain(value) }, specificity: canonicalDomain(value).length });
+    } else if (type === 'url' && urlMatches(tabOrUrl, [entry])) {
+      const url = canonicalUrl(value);
+      candidates.push({ source: 'allowlist', rule: { action: 'allow', type, pattern: url }, specificity: url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').length });
+    } else if (type === 'group' && typeof tabOrUrl === 'object' && groupMatches(tabOrUrl, [entry])) {
+      candidates.push({ source: 'allowlist', rule: { action: 'allow', type, pattern: value }, specificity: GROUP_SPECIFICITY });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Every allow/block entry that matches a page, most specific first and allow
+ * before block at equal specificity. Legacy allowlist and blocked-domain
+ * entries take part next to pattern rules.
+ */
+export function matchFocusRules(tabOrUrl, state) {
+  const candidates = allowlistCandidates(tabOrUrl, state?.allowedDomains);
+  for (const entry of Array.isArray(state?.blockedDomains) ? state.blockedDomains : []) {
+    const domain = canonicalDomain(entry);
+    if (domain && domainMatches(tabOrUrl, [domain])) {
+      candidates.push({ source: 'blocklist', rule: { action: 'block', type: 'domain', pattern: domain }, specificity: domain.length });
+    }
+  }
+
+  let url = null;
+  try {
+    url = new URL(tabUrl(tabOrUrl));
+  } catch {
+    // Pattern rules only apply to parseable URLs.
+  }
+  if (url && Array.isArray(state?.rules)) {
+    for (const rule of state.rules) {
+      if (!FOCUS_RULE_TYPES.includes(rule?.type) || !FOCUS_RULE_ACTIONS.includes(rule?.action)) continue;
+      let compiled;
+      try {
+        compiled = compileFocusRule(rule.type, rule.pattern);
+      } catch {
+        continue;
+      }
+      if (compiled.test(url)) {
+        candidates.push({ source: 'rule', rule: { action: rule.action, type: rule.type, pattern: rule.pattern }, specificity: compiled.specificity });
+      }
+    }
+  }
+
+  return candidates.sort((a, b) => (
+    b.specificity - a.specificity ||
+    (a.rule.action === 'allow' ? 0 : 1) - (b.rule.action === 'allow' ? 0 : 1)
+  ));
+}
+
+/** Return true while a blocked-page override still covers this page's domain. */
+export function hasActiveOverride(tabOrUrl, state, now = Date.now()) {
+  if (!Array.isArray(state?.overrides)) return false;
+  const domains = state.overrides
+    .filter((override) => override?.until > now)
+    .map((override) => override.domain);
+  return domainMatches(tabOrUrl, domains);
+}
+
+/**
+ * Evaluate deterministic Focus blocking. Internal pages are always allowed;
+ * then the most specific matching allow/block entry decides, with allow
+ * winning ties, and a blocked-page override beats any block entry. Without a
+ * match, strict mode and curated categories apply. `rule` names the entry
+ * that decided, or null.
+ */
+export function evaluateFocusPolicy(tabOrUrl, state, now = Date.now()) {
+  if (isInternalUrl(tabOrUrl)) {
+    return { blocked: false, reason: null, category: null, rule: null };
+  }
+
+  const [winner] = matchFocusRules(tabOrUrl, state);
+  if (winner?.rule.action === 'allow') {
+    return { blocked: false, reason: winner.source, category: null, rule: winner.rule };
+  }
+
+  if (hasActiveOverride(tabOrUrl, state, now)) {
+    return { blocked: false, reason: 'override', category: null, rule: null };
   }
 
-  if (domainMatches(tabOrUrl, state?.blockedDomains)) {
-    return { blocked: true, reason: 'blocklist', category: 'Blocked Domain' };
+  if (winner) {
+    const category = winner.source === 'rule' ? 'Blocked by Rule' : 'Blocked Domain';
+    return { blocked: true, reason: winner.source, category, rule: winner.rule };
   }
 
   if (state?.strictMode) {
-    return { blocked: true, reason: 'strict', category: 'Not in allowed list' };
+    return { blocked: true, reason: 'strict', category: 'Not in allowed list', rule: null };
   }
 
   const hostname = urlHostname(tabOrUrl);
   if (hostname && state?.blockedCategories?.length > 0) {
-    const result = checkAgainstBlocklists(hostname, state.blockedCategories);
+    // Runs started before categories became editable have no snapshot.
+    const result = checkAgainstBlocklists(hostname, state.blockedCategories, state.blocklists ?? undefined);
     if (result.blocked) {
-      return { blocked: true, reason: 'category', category: result.category };
+      return { blocked: true, reason: 'category', category: result.category, rule: null };
     }
   }
 
-  return { blocked: false, reason: null, category: null };
+  return { blocked: false, reason: null, category: null, rule: null };
 }
@@ -0,0 +1,187 @@
+// core/focus-pomodoro.js — Pure Pomodoro cycle timing for Focus runs
+//
+// A Pomodoro run carries `state.pomodoro`: the plan (workMinutes,
+// shortBreakMinutes, longBreakMinutes, longBreakEvery, cycles) plus the
+// current position { cycle, phase, phaseStartedAt, phaseOffsetMs,
+// phasePausedElapsed, phaseDistractionsAt, phaseExtraMinutes } and the
+// finished `intervals`. Phase timing is derived from the run's paused-aware
+// elapsed time, so it lives entirely in the persisted Focus state and a
+// restarted worker picks up where the last one stopped.
+
+export const PomodoroPhase = Object.freeze({
+  WORK: 'work',
+  SHORT_BREAK: 'shortBreak',
+  LONG_BREAK: 'longBreak',
+});
+
+export const POMODORO_LIMITS = Object.freeze({
+  workMinutes: Object.freeze([1, 240]),
+  shortBreakMinutes: Object.freeze([1, 60]),
+  longBreakMinutes: Object.freeze([1, 120]),
+  longBreakEvery: Object.freeze([1, 12]),
+  cycles: Object.freeze([1, 24]),
+});
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Validate a cycle plan. `cycles` counts work intervals; a break follows every
+ * work interval except the last, and every `longBreakEvery`-th break is long.
+ */
+export function normalizePomodoroOptions(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('Pomodoro options must be an object');
+  }
+  for (const key of Object.keys(input)) {
+    if (!Object.hasOwn(POMODORO_LIMITS, key)) throw new TypeError(`Unknown Pomodoro option: ${key}`);
+  }
+  const plan = {};
+  for (const [key, [min, max]] of Object.entries(POMODORO_LIMITS)) {
+    const value = input[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new TypeError(`Pomodoro ${key} must be an integer from ${min} to ${max}`);
+    }
+    plan[key] = value;
+  }
+  return plan;
+}
+
+function breakAfter(plan, cycle) {
+  return cycle % plan.longBreakEvery === 0 ? PomodoroPhase.LONG_BREAK : PomodoroPhase.SHORT_BREAK;
+}
+
+function phaseMinutes(plan, phase) {
+  if (phase === PomodoroPhase.WORK) return plan.workMinutes;
+  if (phase === PomodoroPhase.LONG_BREAK) return plan.longBreakMinutes;
+  return plan.shortBreakMinutes;
+}
+
+/** Total planned minutes of a plan, used as the run's overall duration. */
+export function plannedPomodoroMinutes(plan) {
+  let total = plan.cycles * plan.workMinutes;
+  for (let cycle = 1; cycle < plan.cycles; cycle++) {
+    total += phaseMinutes(plan, breakAfter(plan, cycle));
+  }
+  return total;
+}
+
+export function createPomodoroState(plan, startedAt) {
+  return {
+    ...plan,
+    cycle: 1,
+    phase: PomodoroPhase.WORK,
+    phaseStartedAt: startedAt,
+    phaseOffsetMs: 0,
+    phasePausedElapsed: 0,
+    phaseDistractionsAt: 0,
+    phaseExtraMinutes: 0,
+    intervals: [],
+  };
+}
+
+export function getPhaseLengthMs(pomodoro) {
+  return (phaseMinutes(pomodoro, pomodoro.phase) + (pomodoro.phaseExtraMinutes || 0)) * MINUTE_MS;
+}
+
+function runElapsedMs(state, now) {
+  const stoppedAt = state.status === 'paused' && Number.isFinite(state.pausedAt) ? state.pausedAt : now;
+  return stoppedAt - state.startedAt - (state.pausedElapsed || 0);
+}
+
+export function getPhaseRemainingMs(state, now = Date.now()) {
+  if (!state?.pomodoro) return 0;
+  const phaseElapsed = runElapsedMs(state, now) - state.pomodoro.phaseOffsetMs;
+  return Math.max(0, getPhaseLengthMs(state.pomodoro) - phaseElapsed);
+}
+
+/** Breaks relax blocking; runs without a cycle plan always block. */
+export function isBlockingPhase(state) {
+  return !state?.pomodoro || state.pomodoro.phase === PomodoroPhase.WORK;
+}
+
+export function pomodoroPhaseLabel(phase) {
+  if (phase === PomodoroPhase.LONG_BREAK) return 'Long break';
+  if (phase === PomodoroPhase.SHORT_BREAK) return 'Short break';
+  return 'Work';
+}
+
+function closeInterval(state, endedAt, durationMs) {
+  const pomodoro = state.pomodoro;
+  return {
+    cycle: pomodoro.cycle,
+    phase: pomodoro.phase,
+    startedAt: pomodoro.phaseStartedAt,
+    endedAt,
+    durationMs,
+    completed: durationMs >= getPhaseLengthMs(pomodoro),
+    distractionsBlocked: Math.max(0, (Number(state.distractionsBlocked) || 0) - pomodoro.phaseDistractionsAt),
+  };
+}
+
+/**
+ * Move a run past every phase whose time is up at `now`. A worker that slept
+ * through several phases catches up in one step. Returns null while the
+ * current phase is still running; otherwise the advanced state and whether
+ * the last work interval has finished (the run should end).
+ */
+export function advancePomodoroState(state, now = Date.now()) {
+  if (!state?.pomodoro) return null;
+  let next = state;
+  let changed = false;
+  while (true) {
+    const pomodoro = next.pomodoro;
+    const lengthMs = getPhaseLengthMs(pomodoro);
+    if (runElapsedMs(next, now) - pomodoro.phaseOffsetMs < lengthMs) {
+      return changed ? { state: next, finished: false } : null;
+    }
+    const upcoming = pomodoro.phase !== PomodoroPhase.WORK
+      ? PomodoroPhase.WORK
+      : pomodoro.cycle < pomodoro.cycles ? breakAfter(pomodoro, pomodoro.cycle) : null;
+    if (!upcoming) return { state: next, finished: true };
+
+    // Pauses inside the phase push its wall-clock end back.
+    const phaseEndedAt = pomodoro.phaseStartedAt + lengthMs +
+      ((next.pausedElapsed || 0) - pomodoro.phasePausedElapsed);
+    next = {
+      ...next,
+      pomodoro: {
+        ...pomodoro,
+        cycle: upcoming === PomodoroPhase.WORK ? pomodoro.cycle + 1 : pomodoro.cycle,
+        phase: upcoming,
+        phaseStartedAt: phaseEndedAt,
+        phaseOffsetMs: pomodoro.phaseOffsetMs + lengthMs,
+        phasePausedElapsed: next.pausedElapsed || 0,
+        phaseDistractionsAt: Number(next.distractionsBlocked) || 0,
+        phaseExtraMinutes: 0,
+        intervals: [...pomodoro.intervals, closeInterval(next, phaseEndedAt, lengthMs)],
+      },
+    };
+    changed = true;
+  }
+}
+
+/** Lengthen only the current phase; the caller grows the run duration to match. */
+export function extendPomodoroPhase(pomodoro, minutes) {
+  return { ...pomodoro, phaseExtraMinutes: (pomodoro.phaseExtraMinutes || 0) + minutes };
+}
+
+/**
+ * The history breakdown of an ending run: the plan, every finished interval,
+ * and the interval that was running when the run ended.
+ */
+export function summarizePomodoro(state) {
+  const pomodoro = state.pomodoro;
+  const elapsed = Number.isFinite(state.actualDurationMs) ? state.actualDurationMs : runElapsedMs(state, Date.now());
+  const endedAt = Number.isFinite(state.endedAt) ? state.endedAt : Date.now();
+  const partialMs = Math.min(getPhaseLengthMs(pomodoro), Math.max(0, elapsed - pomodoro.phaseOffsetMs));
+  const intervals = [...pomodoro.intervals, closeInterval(state, endedAt, partialMs)];
+  return {
+    workMinutes: pomodoro.workMinutes,
+    shortBreakMinutes: pomodoro.shortBreakMinutes,
+    longBreakMinutes: pomodoro.longBreakMinutes,
+    longBreakEvery: pomodoro.longBreakEvery,
+    cycles: pomodoro.cycles,
+    cyclesCompleted: intervals.filter((interval) => interval.phase === PomodoroPhase.WORK && interval.completed).length,
+    intervals,
+  };
+}
@@ -1,4 +1,14 @@
-// core/focus-profiles.js — Built-in focus profiles and getters
+// core/focus-profiles.js — Built-in and user-defined focus profiles and getters
+
+import { Storage } from './storage.js';
+import {
+  DRIVE_TOMBSTONES_KEY,
+  MAX_DRIVE_TIMESTAMP,
+  MAX_DRIVE_TOMBSTONE,
+  canonicalizeLocalDriveSyncDocument,
+  emptyDriveTombstones,
+  recordDeletionTombstones,
+} from './drive-sync.js';
 
 export const BUILTIN_PROFILES = [
   {
@@ -31,10 +41,265 @@ export const BUILTIN_PROFILES = [
   },
 ];
 
-export function getProfileById(id) {
-  return BUILTIN_PROFILES.find(p => p.id === id) || null;
+// ── Custom profiles ──
+// Stored in chrome.storage.local under key 'focusProfiles', next to the
+// per-profile 'focusProfilePrefs'. Format: { [profileId]: { name, icon,
+// color, allowedDomains[], blockedDomains[], blockedCategories[],
+// suggestedDuration, createdAt, modifiedAt } }
+
+export const CUSTOM_PROFILES_KEY = 'focusProfiles';
+export const MAX_CUSTOM_PROFILES = 100;
+export const MAX_PROFILE_NAME_LENGTH = 60;
+export const MAX_PROFILE_ICON_LENGTH = 4;
+export const MAX_PROFILE_DOMAINS = 500;
+export const PROFILE_COLORS = Object.freeze([
+  'grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange',
+]);
+export const CUSTOM_PROFILE_ID_PATTERN = /^custom-[a-z0-9]{1,32}$/;
+export const FOCUS_PROFILE_ID_PATTERN = new RegExp(
+  `^(?:${BUILTIN_PROFILES.map((profile) => profile.id).join('|')}|custom-[a-z0-9]{1,32})$`,
+);
+
+const BUILTIN_PROFILE_IDS = new Set(BUILTIN_PROFILES.map((profile) => profile.id));
+const PROFILE_COLOR_SET = new Set(PROFILE_COLORS);
+const CUSTOM_PROFILE_FIELDS = new Set([
+  'name',
+  'icon',
+  'color',
+  'allowedDomains',
+  'blockedDomains',
+  'blockedCategories',
+  'suggestedDuration',
+]);
+const MAX_CATEGORY_ID_LENGTH = 64;
+const MAX_DOMAIN_LENGTH = 253;
+
+export function isBuiltinProfileId(id) {
+  return BUILTIN_PROFILE_IDS.has(id);
+}
+
+export function isCustomProfileId(id) {
+  return typeof id === 'string' && CUSTOM_PROFILE_ID_PATTERN.test(id);
+}
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function isTimestamp(value) {
+  return Number.isSafeInteger(value) && value >= 0 && value <= MAX_DRIVE_TIMESTAMP;
+}
+
+function normalizeProfileStrings(value, label, { maxItems, maxLength, lowercase = false }) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) throw new TypeError(`${label} must be an array`);
+  if (value.length > maxItems) throw new TypeError(`${label} exceed the ${maxItems} entry limit`);
+  const output = [];
+  for (const entry of value) {
+    if (typeof entry !== 'string') throw new TypeError(`${label} must contain strings`);
+    const trimmed = lowercase ? entry.trim().toLowerCase() : entry.trim();
+    if (trimmed.length === 0 || trimmed.length > maxLength) {
+      throw new TypeError(`${label} must contain non-empty strings of at most ${maxLength} characters`);
+    }
+    if (!output.includes(trimmed)) output.push(trimmed);
+  }
+  return output;
+}
+
+/**
+ * Validate one editable custom profile and return a fresh canonical record.
+ * Unknown fields and malformed values are rejected rather than dropped.
+ */
+export function normalizeCustomProfile(input, { createdAt, modifiedAt }) {
+  if (!isPlainRecord(input)) throw new TypeError('Focus profile must be a plain object');
+  for (const key of Object.keys(input)) {
+    if (!CUSTOM_PROFILE_FIELDS.has(key)) throw new TypeError(`Unknown focus profile field: ${key}`);
+  }
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (name.length === 0 || name.length > MAX_PROFILE_NAME_LENGTH) {
+    throw new TypeError(`Focus profile name must be 1 to ${MAX_PROFILE_NAME_LENGTH} characters`);
+  }
+  const icon = input.icon === undefined ? '*' : input.icon;
+  if (typeof icon !== 'string' || icon.trim().length === 0 ||
+      [...icon.trim()].length > MAX_PROFILE_ICON_LENGTH) {
+    throw new TypeError(`Focus profile icon must be 1 to ${MAX_PROFILE_ICON_LENGTH} characters`);
+  }
+  const color = input.color === undefined ? 'blue' : input.color;
+  if (!PROFILE_COLOR_SET.has(color)) throw new TypeError('Focus profile color is invalid');
+  const suggestedDuration = input.suggestedDuration === undefined ? 25 : input.suggestedDuration;
+  if (!Number.isInteger(suggestedDuration) || suggestedDuration < 1 || suggestedDuration > 480) {
+    throw new TypeError('Focus profile duration must be an integer from 1 to 480');
+  }
+  if (!isTimestamp(createdAt) || !isTimestamp(modifiedAt)) {
+    throw new TypeError('Focus profile timestamps must be non-negative safe integers');
+  }
+  const domainLimits = { maxItems: MAX_PROFILE_DOMAINS, maxLength: MAX_DOMAIN_LENGTH, lowercase: true };
+  return {
+    name,
+    icon: icon.trim(),
+    color,
+    allowedDomains: normalizeProfileStrings(input.allowedDomains, 'Allowed domains', domainLimits),
+    blockedDomains: normalizeProfileStrings(input.blockedDomains, 'Blocked domains', domainLimits),
+    blockedCategories: normalizeProfileStrings(input.blockedCategories, 'Blocked categories', {
+      maxItems: MAX_PROFILE_DOMAINS,
+      maxLength: MAX_CATEGORY_ID_LENGTH,
+    }),
+    suggestedDuration,
+    createdAt,
+    modifiedAt,
+  };
+}
+
+/**
+ * Read the stored custom profile map, skipping entries that no longer pass
+ * validation so one corrupt record cannot hide the rest of the picker.
+ */
+export async function getCustomProfiles() {
+  const stored = await Storage.get(CUSTOM_PROFILES_KEY);
+  const profiles = {};
+  if (!isPlainRecord(stored)) return profiles;
+  for (const [id, record] of Object.entries(stored)) {
+    if (!isCustomProfileId(id) || !isPlainRecord(record)) continue;
+    try {
+      const { createdAt = 0, modifiedAt = createdAt, ...fields } = record;
+      profiles[id] = normalizeCustomProfile(fields, { createdAt, modifiedAt });
+    } catch {
+      // Invalid synced or hand-edited records stay in storage but are not offered.
+    }
+  }
+  return profiles;
 }
 
-export function getAllProfiles() {
-  return [...BUILTIN_PROFILES];
+function toProfile(id, record) {
+  const { createdAt, modifiedAt, ...fields } = record;
+  return { id, ...fields, custom: true };
+}
+
+export async function getProfileById(id) {
+  const builtin = BUILTIN_PROFILES.find(p => p.id === id);
+  if (builtin) return builtin;
+  if (!isCustomProfileId(id)) return null;
+  const profiles = await getCustomProfiles();
+  return Object.hasOwn(profiles, id) ? toProfile(id, profiles[id]) : null;
+}
+
+export async function getAllProfiles() {
+  const profiles = await getCustomProfiles();
+  const custom = Object.entries(profiles)
+    .map(([id, record]) => toProfile(id, record))
+    .sort((left, right) => left.name.localeCompare(right.name) || (left.id < right.id ? -1 : 1));
+  return [...BUILTIN_PROFILES, ...custom];
+}
+
+function generateCustomProfileId(profiles) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const id = `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    if (!Object.hasOwn(profiles, id)) return id;
+  }
+  throw new Error('Unable to generate a unique focus profile ID');
+}
+
+async function readStoredProfiles() {
+  const stored = await Storage.get(CUSTOM_PROFILES_KEY);
+  return isPlainRecord(stored) ? { ...stored } : {};
+}
+
+/**
+ * Create a custom profile, or replace the editable fields of an existing one.
+ * Built-in profiles are read-only; duplicate them to customize.
+ */
+export async function saveCustomProfile(profileId, fields, savedAt = Date.now()) {
+  if (profileId !== null && !isCustomProfileId(profileId)) {
+    throw new TypeError(isBuiltinProfileId(profileId)
+      ? 'Built-in focus profiles cannot be edited'
+      : 'Focus profile ID is invalid');
+  }
+  const profiles = await readStoredProfiles();
+  let id = profileId;
+  let createdAt = savedAt;
+  if (id === null) {
+    if (Object.keys(profiles).length >= MAX_CUSTOM_PROFILES) {
+      throw new Error(`Custom focus profiles are limited to ${MAX_CUSTOM_PROFILES}`);
+    }
+    id = generateCustomProfileId(profiles);
+  } else {
+    if (!Object.hasOwn(profiles, id)) throw new Error('Focus profile not found');
+    if (isTimestamp(profiles[id]?.createdAt)) createdAt = profiles[id].createdAt;
+  }
+  const previousModifiedAt = isTimestamp(profiles[id]?.modifiedAt) ? profiles[id].modifiedAt : 0;
+  const record = normalizeCustomProfile(fields, {
+    createdAt,
+    modifiedAt: Math.max(savedAt, previousModifiedAt + 1),
+  });
+  profiles[id] = record;
+  await Storage.set(CUSTOM_PROFILES_KEY, profiles);
+  return toProfile(id, record);
+}
+
+/**
+ * Copy any built-in or custom profile into a new editable custom profile.
+ */
+export async function duplicateProfile(sourceId, savedAt = Date.now()) {
+  const source = await getProfileById(sourceId);
+  if (!source) throw new Error('Focus profile not found');
+  const suffix = ' copy';
+  return saveCustomProfile(null, {
+    name: `${source.name.slice(0, MAX_PROFILE_NAME_LENGTH - suffix.length)}${suffix}`,
+    icon: source.icon,
+    color: PROFILE_COLOR_SET.has(source.color) ? source.color : 'blue',
+    allowedDomains: [...source.allowedDomains],
+    blockedDomains: [...source.blockedDomains],
+    blockedCategories: [...source.blockedCategories],
+    suggestedDuration: source.suggestedDuration,
+  }, savedAt);
+}
+
+/**
+ * Delete a custom profile and its saved preferences, recording a Drive
+ * tombstone so other browsers do not resurrect it on the next sync.
+ */
+export async function deleteCustomProfile(profileId, deletedAt = Date.now()) {
+  if (!isCustomProfileId(profileId)) {
+    throw new TypeError(isBuiltinProfileId(profileId)
+      ? 'Built-in focus profiles cannot be deleted'
+      : 'Focus profile ID is invalid');
+  }
+  // Reject a bad clock even when there turns out to be nothing to delete.
+  if (!Number.isSafeInteger(deletedAt) || deletedAt < 0 || deletedAt > MAX_DRIVE_TOMBSTONE) {
+    throw new TypeError('Deletion timestamp must be a non-negative safe integer within the tombstone range');
+  }
+  const snapshot = await Storage.getMany([
+    CUSTOM_PROFILES_KEY,
+    'focusProfilePrefs',
+    DRIVE_TOMBSTONES_KEY,
+  ]);
+  const profiles = isPlainRecord(snapshot[CUSTOM_PROFILES_KEY]) ? snapshot[CUSTOM_PROFILES_KEY] : {};
+  if (!Object.hasOwn(profiles, profileId)) return { deleted: false, tombstoneAt: null };
+
+  const { nextTombstones, recordedTombstones } = recordDeletionTombstones(
+    snapshot[DRIVE_TOMBSTONES_KEY] ?? emptyDriveTombstones(),
+    CUSTOM_PROFILES_KEY,
+    [{ id: profileId, entity: profiles[profileId] }],
+    deletedAt,
+  );
+  const nextProfiles = {};
+  for (const [id, record] of Object.entries(profiles)) {
+    if (id !== profileId) nextProfiles[id] = record;
+  }
+  const canonical = canonicalizeLocalDriveSyncDocument({
+    sessions: [],
+    manualGroups: {},
+    focusProfiles: nextProfiles,
+    tombstones: nextTombstones,
+  });
+  const prefs = isPlainRecord(snapshot.focusProfilePrefs) ? { ...snapshot.focusProfilePrefs } : {};
+  delete prefs[profileId];
+  await Storage.setMany({
+    [CUSTOM_PROFILES_KEY]: canonical.focusProfiles,
+    focusProfilePrefs: prefs,
+    [DRIVE_TOMBSTONES_KEY]: canonical.tombstones,
+  });
+  return { deleted: true, tombstoneAt: recordedTombstones[profileId] };
 }
@@ -0,0 +1,378 @@
+// core/focus-schedules.js — Recurring Focus blocks started and ended by alarms
+//
+// Schedules are stored in chrome.storage.local under key 'focusSchedules' as
+// [{ id, name, profileId, days: [0-6, Sunday first], start: 'HH:MM',
+// end: 'HH:MM', enabled }]. Times are local wall-clock times and a block ends
+// on the day it starts.
+//
+// What happened to each schedule's latest occurrence is kept under
+// 'focusScheduleRuns' as { [scheduleId]: { date: 'YYYY-MM-DD', status, runId,
+// endsAt } }. One entry per schedule is enough: an occurrence that already has
+// an entry for its date never starts again, which is how skip-today, ending a
+// scheduled run early, and yielding to a manual session all stick for the day.
+
+import { Storage } from './storage.js';
+import { getSettings } from './settings.js';
+import { normalizeAllowlistPreferences, normalizeFocusRules } from './focus-policy.js';
+import { FOCUS_PROFILE_ID_PATTERN, getProfileById } from './focus-profiles.js';
+import { FocusStatus, endFocus, getFocusState, startFocus } from './focus.js';
+
+export const FOCUS_SCHEDULES_KEY = 'focusSchedules';
+export const FOCUS_SCHEDULE_RUNS_KEY = 'focusScheduleRuns';
+export const MAX_FOCUS_SCHEDULES = 50;
+export const MAX_SCHEDULE_NAME_LENGTH = 60;
+// A block whose remaining time is shorter than this is not worth catching up on.
+export const MIN_CATCH_UP_MS = 5 * 60 * 1000;
+
+export const ScheduleRunStatus = Object.freeze({
+  RUNNING: 'running',
+  ENDED: 'ended',
+  SKIPPED: 'skipped',
+  YIELDED: 'yielded',
+  MISSED: 'missed',
+  FAILED: 'failed',
+});
+
+const SCHEDULE_FIELDS = new Set(['id', 'name', 'profileId', 'days', 'start', 'end', 'enabled']);
+const SCHEDULE_ID_PATTERN = /^sched-[a-z0-9]{1,32}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function parseTime(value, label) {
+  const match = typeof value === 'string' ? TIME_PATTERN.exec(value) : null;
+  if (!match) throw new TypeError(`${label} must be a 24-hour HH:MM time`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Validate one schedule and return a fresh canonical record. A missing id is
+ * allowed for new schedules; saveFocusSchedule assigns one.
+ */
+export function normalizeFocusSchedule(input) {
+  if (!isPlainRecord(input)) throw new TypeError('Focus schedule must be a plain object');
+  for (const key of Object.keys(input)) {
+    if (!SCHEDULE_FIELDS.has(key)) throw new TypeError(`Unknown focus schedule field: ${key}`);
+  }
+  if (input.id !== undefined && (typeof input.id !== 'string' || !SCHEDULE_ID_PATTERN.test(input.id))) {
+    throw new TypeError('Focus schedule ID is invalid');
+  }
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (name.length > MAX_SCHEDULE_NAME_LENGTH) {
+    throw new TypeError(`Focus schedule name must be at most ${MAX_SCHEDULE_NAME_LENGTH} characters`);
+  }
+  if (typeof input.profileId !== 'string' || !FOCUS_PROFILE_ID_PATTERN.test(input.profileId)) {
+    throw new TypeError('Focus schedule needs a valid profile');
+  }
+  if (!Array.isArray(input.days) || input.days.length === 0 ||
+      !input.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new TypeError('Focus schedule days must be a non-empty list of weekdays 0-6');
+  }
+  const startMinutes = parseTime(input.start, 'Focus schedule start');
+  const endMinutes = parseTime(input.end, 'Focus schedule end');
+  if (endMinutes <= startMinutes) {
+    throw new TypeError('Focus schedule must end after it starts on the same day');
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    throw new TypeError('Focus schedule enabled must be a boolean');
+  }
+  const schedule = {
+    name,
+    profileId: input.profileId,
+    days: [...new Set(input.days)].sort((a, b) => a - b),
+    start: input.start,
+    end: input.end,
+    enabled: input.enabled !== false,
+  };
+  return input.id === undefined ? schedule : { id: input.id, ...schedule };
+}
+
+export async function getFocusSchedules() {
+  const stored = await Storage.get(FOCUS_SCHEDULES_KEY);
+  if (!Array.isArray(stored)) return [];
+  const schedules = [];
+  for (const entry of stored) {
+    try {
+      const schedule = normalizeFocusSchedule(entry);
+      if (schedule.id) schedules.push(schedule);
+    } catch {
+      // Skip a corrupt entry rather than losing every schedule.
+    }
+  }
+  return schedules;
+}
+
+function generateScheduleId(schedules) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const id = `sched-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    if (!schedules.some((schedule) => schedule.id === id)) return id;
+  }
+  throw new Error('Unable to generate a unique focus schedule ID');
+}
+
+/**
+ * Create a schedule, or replace an existing one with the same id.
+ * @returns {Promise<Object>} The stored schedule
+ */
+export async function saveFocusSchedule(input) {
+  let schedule = normalizeFocusSchedule(input);
+  const schedules = await getFocusSchedules();
+  if (schedule.id) {
+    const index = schedules.findIndex((entry) => entry.id === schedule.id);
+    if (index === -1) throw new Error('Focus schedule not found');
+    schedules[index] = schedule;
+  } else {
+    if (schedules.length >= MAX_FOCUS_SCHEDULES) {
+      throw new Error(`Focus schedules are limited to ${MAX_FOCUS_SCHEDULES}`);
+    }
+    schedule = { id: generateScheduleId(schedules), ...schedule };
+    schedules.push(schedule);
+  }
+  await Storage.set(FOCUS_SCHEDULES_KEY, schedules);
+  return schedule;
+}
+
+export async function deleteFocusSchedule(scheduleId) {
+  const schedules = await getFocusSchedules();
+  const remaining = schedules.filter((schedule) => schedule.id !== scheduleId);
+  if (remaining.length === schedules.length) throw new Error('Focus schedule not found');
+  await Storage.set(FOCUS_SCHEDULES_KEY, remaining);
+  const runs = await getScheduleRuns();
+  if (Object.hasOwn(runs, scheduleId)) {
+    delete runs[scheduleId];
+    await Storage.set(FOCUS_SCHEDULE_RUNS_KEY, runs);
+  }
+  return { deleted: true };
+}
+
+async function getScheduleRuns() {
+  const stored = await Storage.get(FOCUS_SCHEDULE_RUNS_KEY);
+  return isPlainRecord(stored) ? { ...stored } : {};
+}
+
+// ── Occurrences ──
+
+export function localDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function atLocalTime(dayTimestamp, minutes) {
+  const date = new Date(dayTimestamp);
+  date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * The occurrence of a schedule on the local day containing a timestamp, or
+ * null when the schedule does not run that weekday.
+ */
+export function occurrenceOn(schedule, timestamp) {
+  if (!schedule.days.includes(new Date(timestamp).getDay())) return null;
+  return {
+    scheduleId: schedule.id,
+    date: localDateKey(timestamp),
+    startsAt: atLocalTime(timestamp, parseTime(schedule.start, 'start')),
+    endsAt: atLocalTime(timestamp, parseTime(schedule.end, 'end')),
+  };
+}
+
+/**
+ * Earliest start or end of any enabled schedule after `now`, for arming the
+ * next alarm. Looks one week ahead, which covers every weekday pattern.
+ */
+export function nextScheduleBoundary(schedules, now) {
+  let next = null;
+  for (const schedule of schedules) {
+    if (!schedule.enabled) continue;
+    for (let offset = 0; offset <= 7; offset += 1) {
+      // Step by calendar day so DST changes do not skip or repeat a date.
+      const day = new Date(now);
+      day.setDate(day.getDate() + offset);
+      const occurrence = occurrenceOn(schedule, day.getTime());
+      if (!occurrence) continue;
+      for (const boundary of [occurrence.startsAt, occurrence.endsAt]) {
+        if (boundary > now && (next === null || boundary < next)) next = boundary;
+      }
+    }
+  }
+  return next;
+}
+
+function dueOccurrence(schedules, runs, now) {
+  let due = null;
+  for (const schedule of schedules) {
+    if (!schedule.enabled) continue;
+    const occurrence = occurrenceOn(schedule, now);
+    if (!occurrence || now < occurrence.startsAt || now >= occurrence.endsAt) continue;
+    if (runs[schedule.id]?.date === occurrence.date) continue;
+    if (!due || occurrence.startsAt < due.startsAt) due = { schedule, occurrence };
+  }
+  return due;
+}
+
+async function buildScheduledStartOptions(schedule, endsAt, now) {
+  const [profile, storedPrefs, settings] = await Promise.all([
+    getProfileById(schedule.profileId),
+    Storage.get('focusProfilePrefs'),
+    getSettings(),
+  ]);
+  if (!profile) throw new Error(`Focus profile not found: ${schedule.profileId}`);
+  const prefs = isPlainRecord(storedPrefs?.[schedule.profileId]) ? storedPrefs[schedule.profileId] : {};
+  return {
+    profileId: schedule.profileId,
+    // Round up so the timer never beats the scheduled end; the end alarm is authoritative.
+    duration: Math.ceil((endsAt - now) / 60000),
+    tabAction: prefs.tabAction || settings.focusTabAction || 'none',
+    allowedDomains: normalizeAllowlistPreferences(prefs.allowlist ?? profile.allowedDomains),
+    blockedDomains: [...(prefs.blockedDomains ?? profile.blockedDomains ?? [])],
+    rules: normalizeFocusRules(prefs.rules),
+    strictMode: prefs.strictMode === true,
+    blockedCategories: [...(prefs.blockedCategories ?? profile.blockedCategories ?? [])],
+    aiBlocking: prefs.aiBlocking === true,
+    lockIn: settings.focusStrictBlocking ? { cooldownMinutes: settings.focusLockInCooldownMinutes } : null,
+  };
+}
+
+// Same notification the timer sends, so an open panel swaps its HUD for the report.
+// Only the block's own end passes reason 'schedule'; skipping today is a
+// manual early end, which a lock-in run refuses.
+async function endScheduledRun(runId, reason = 'manual') {
+  const record = await endFocus({ expectedRunId: runId, reason });
+  if (record) {
+    await chrome.runtime.sendMessage({ type: 'focusEnded', runId, record }).catch(() => {});
+  }
+  return record;
+}
+
+function isRunning(state) {
+  return state?.status === FocusStatus.ACTIVE || state?.status === FocusStatus.PAUSED;
+}
+
+// ── Reconciliation ──
+
+/**
+ * Bring Focus in line with the schedules at `now`. Called from the schedule
+ * alarm and at worker startup, which doubles as catch-up: a block whose start
+ * was missed while the browser was closed still starts for its remaining time.
+ *
+ * A manually started session always wins. If one is running when a block is
+ * due, the block is recorded as yielded for the day; if one replaces a
+ * scheduled run, the schedule lets go of it. Only runs a schedule started are
+ * ever ended by a schedule.
+ *
+ * Callers hold the state mutation lock.
+ * @returns {Promise<{started: Object|null, ended: string[]}>}
+ */
+export async function reconcileFocusSchedules(now = Date.now()) {
+  const [schedules, runs] = await Promise.all([getFocusSchedules(), getScheduleRuns()]);
+  let state = await getFocusState();
+  const ended = [];
+  let changed = false;
+
+  for (const [scheduleId, run] of Object.entries(runs)) {
+    if (run?.status !== ScheduleRunStatus.RUNNING) continue;
+    const owned = isRunning(state) && state.runId === run.runId;
+    if (owned && now < run.endsAt) continue;
+    if (owned) {
+      await endScheduledRun(run.runId, 'schedule');
+      state = await getFocusState();
+      ended.push(scheduleId);
+    }
+    runs[scheduleId] = { ...run, status: ScheduleRunStatus.ENDED };
+    changed = true;
+  }
+
+  let started = null;
+  const due = dueOccurrence(schedules, runs, now);
+  if (due) {
+    const { schedule, occurrence } = due;
+    const entry = { date: occurrence.date, runId: null, endsAt: occurrence.endsAt };
+    if (isRunning(state)) {
+      runs[schedule.id] = { ...entry, status: ScheduleRunStatus.YIELDED };
+    } else if (occurrence.endsAt - now < MIN_CATCH_UP_MS) {
+      runs[schedule.id] = { ...entry, status: ScheduleRunStatus.MISSED };
+    } else {
+      try {
+        const options = await buildScheduledStartOptions(schedule, occurrence.endsAt, now);
+        started = await startFocus(options);
+        runs[schedule.id] = { ...entry, status: ScheduleRunStatus.RUNNING, runId: started.runId };
+      } catch (error) {
+        console.warn('[TabKebab] Scheduled focus start failed:', schedule.id, error);
+        runs[schedule.id] = { ...entry, status: ScheduleRunStatus.FAILED };
+      }
+    }
+    changed = true;
+  }
+
+  if (changed) await Storage.set(FOCUS_SCHEDULE_RUNS_KEY, runs);
+  return { started, ended };
+}
+
+/**
+ * Skip a schedule for today, ending its run if it is the one in progress.
+ * Passing skip=false lifts a skip that has not been acted on yet, so a block
+ * whose start time already passed is caught up on the next reconciliation.
+ *
+ * Callers hold the state mutation lock.
+ */
+export async function skipFocusScheduleToday(scheduleId, skip = true, now = Date.now()) {
+  const schedules = await getFocusSchedules();
+  if (!schedules.some((schedule) => schedule.id === scheduleId)) {
+    throw new Error('Focus schedule not found');
+  }
+  const runs = await getScheduleRuns();
+  const current = runs[scheduleId];
+  const today = localDateKey(now);
+
+  if (!skip) {
+    if (current?.date === today && current.status === ScheduleRunStatus.SKIPPED) {
+      delete runs[scheduleId];
+      await Storage.set(FOCUS_SCHEDULE_RUNS_KEY, runs);
+    }
+    return { scheduleId, skipped: false };
+  }
+
+  if (current?.status === ScheduleRunStatus.RUNNING) {
+    const state = await getFocusState();
+    if (isRunning(state) && state.runId === current.runId) {
+      await endScheduledRun(current.runId);
+    }
+  }
+  runs[scheduleId] = { date: today, status: ScheduleRunStatus.SKIPPED, runId: null, endsAt: null };
+  await Storage.set(FOCUS_SCHEDULE_RUNS_KEY, runs);
+  return { scheduleId, skipped: true };
+}
+
+/**
+ * Schedules with today's status and next start, for the Focus panel.
+ */
+export async function listFocusSchedules(now = Date.now()) {
+  const [schedules, runs] = await Promise.all([getFocusSchedules(), getScheduleRuns()]);
+  const today = localDateKey(now);
+  return schedules.map((schedule) => {
+    const run = runs[schedule.id];
+    let nextStart = null;
+    if (schedule.enabled) {
+      for (let offset = 0; offset <= 7 && nextStart === null; offset += 1) {
+        const day = new Date(now);
+        day.setDate(day.getDate() + offset);
+        const occurrence = occurrenceOn(schedule, day.getTime());
+        if (occurrence && occurrence.startsAt > now && run?.date !== occurrence.date) {
+          nextStart = occurrence.startsAt;
+        }
+      }
+    }
+    return {
+      ...schedule,
+      today: run?.date === today ? run.status : null,
+      nextStart,
+    };
+  });
+}
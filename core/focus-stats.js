@@ -0,0 +1,345 @@
+// core/focus-stats.js — Long-term Focus analytics that outlive history pruning
+//
+// focusHistory keeps the last 50 runs. This module folds every finished run
+// into a compact aggregate stored in chrome.storage.local under 'focusStats':
+// { version: 1, days: { 'YYYY-MM-DD': { focusedMs, sessions, distractions,
+// profiles: { [profileId]: { name, focusedMs, sessions } } } },
+// domains: { [domain]: count }, categories: { [category]: count },
+// countedRunIds: [...] }. Runs count toward the local day they started;
+// Pomodoro breaks are not focused time. Blocked domains and categories are
+// counted as distractions happen, since history records only keep totals.
+
+import { Storage } from './storage.js';
+
+export const FOCUS_STATS_KEY = 'focusStats';
+export const MAX_STATS_DAYS = 1100;
+export const MAX_TRACKED_DOMAINS = 500;
+const MAX_COUNTED_RUN_IDS = 200;
+const HOUR_MS = 60 * 60 * 1000;
+
+let _statsWriteQueue = Promise.resolve();
+
+// Distractions are recorded from tab listeners outside the worker lock, so
+// serialize read-modify-write cycles here.
+function withStatsWrite(operation) {
+  const pending = _statsWriteQueue.then(operation, operation);
+  _statsWriteQueue = pending.catch(() => {});
+  return pending;
+}
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function emptyStats() {
+  return { version: 1, days: {}, domains: {}, categories: {}, countedRunIds: [] };
+}
+
+function localDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function focusedMsOf(record) {
+  if (Array.isArray(record.pomodoro?.intervals)) {
+    return record.pomodoro.intervals
+      .filter((interval) => interval.phase === 'work')
+      .reduce((sum, interval) => sum + (Number(interval.durationMs) || 0), 0);
+  }
+  return Math.max(0, Number(record.actualDurationMs) || 0);
+}
+
+function addRun(stats, record) {
+  const runId = record.runId || record.id;
+  if (!Number.isFinite(record.startedAt) || (runId && stats.countedRunIds.includes(runId))) return false;
+
+  const key = localDateKey(record.startedAt);
+  const day = stats.days[key] || { focusedMs: 0, sessions: 0, distractions: 0, profiles: {} };
+  const focusedMs = focusedMsOf(record);
+  day.focusedMs += focusedMs;
+  day.sessions += 1;
+  day.distractions += Math.max(0, Number(record.distractionsBlocked) || 0);
+  const profileId = record.profileId || 'unknown';
+  const profile = day.profiles[profileId] || { name: record.profileName || profileId, focusedMs: 0, sessions: 0 };
+  profile.focusedMs += focusedMs;
+  profile.sessions += 1;
+  if (record.profileName) profile.name = record.profileName;
+  day.profiles[profileId] = profile;
+  stats.days[key] = day;
+
+  if (runId) {
+    stats.countedRunIds.push(runId);
+    if (stats.countedRunIds.length > MAX_COUNTED_RUN_IDS) {
+      stats.countedRunIds.splice(0, stats.countedRunIds.length - MAX_COUNTED_RUN_IDS);
+    }
+  }
+  return true;
+}
+
+function pruneStats(stats) {
+  const dayKeys = Object.keys(stats.days).sort();
+  for (const key of dayKeys.slice(0, Math.max(0, dayKeys.length - MAX_STATS_DAYS))) {
+    delete stats.days[key];
+  }
+  for (const field of ['domains', 'categories']) {
+    const entries = Object.entries(stats[field]);
+    if (entries.length <= MAX_TRACKED_DOMAINS) continue;
+    entries.sort((left, right) => right[1] - left[1]);
+    stats[field] = Object.fromEntries(entries.slice(0, MAX_TRACKED_DOMAINS));
+  }
+  return stats;
+}
+
+/**
+ * Read the aggregate store. Before the first run is recorded it is seeded
+ * from the retained history so existing users do not start from zero.
+ */
+export async function getFocusStats() {
+  const stored = await Storage.get(FOCUS_STATS_KEY);
+  if (isPlainRecord(stored) && stored.version === 1 && isPlainRecord(stored.days)) {
+    return {
+      ...emptyStats(),
+      ...stored,
+      domains: isPlainRecord(stored.domains) ? stored.domains : {},
+      categories: isPlainRecord(stored.categories) ? stored.categories : {},
+      countedRunIds: Array.isArray(stored.countedRunIds) ? stored.countedRunIds : [],
+    };
+  }
+  const stats = emptyStats();
+  const history = (await Storage.get('focusHistory')) || [];
+  for (const record of [...history].reverse()) {
+    if (isPlainRecord(record)) addRun(stats, record);
+  }
+  return stats;
+}
+
+/** Fold one finished run into the aggregate. Safe to call again for the same run. */
+export function recordFocusRun(record) {
+  return withStatsWrite(async () => {
+    const stats = await getFocusStats();
+    if (!addRun(stats, record)) return false;
+    await Storage.set(FOCUS_STATS_KEY, pruneStats(stats));
+    return true;
+  });
+}
+
+export function recordFocusDistraction({ domain, category }) {
+  return withStatsWrite(async () => {
+    const stats = await getFocusStats();
+    if (domain) stats.domains[domain] = (stats.domains[domain] || 0) + 1;
+    if (category) stats.categories[category] = (stats.categories[category] || 0) + 1;
+    await Storage.set(FOCUS_STATS_KEY, pruneStats(stats));
+  });
+}
+
+// ── Analytics ──
+
+function shiftDays(timestamp, days) {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+// Monday-based weeks, matching ISO weeks.
+function weekStart(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+}
+
+function toMinutes(ms) {
+  return Math.round(ms / 60000);
+}
+
+function topCounts(counts, limit, label) {
+  return Object.entries(counts)
+    .sort((left, right) => right[1] - left[1] || left[0].localeCompare(right[0]))
+    .slice(0, limit)
+    .map(([name, count]) => ({ [label]: name, count }));
+}
+
+function computeStreaks(days, now) {
+  const active = (timestamp) => (days[localDateKey(timestamp)]?.focusedMs || 0) >= 60000;
+  // Today still counts toward the streak until it is over.
+  let cursor = active(now) ? now : shiftDays(now, -1);
+  let current = 0;
+  while (active(cursor)) {
+    current += 1;
+    cursor = shiftDays(cursor, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const key of Object.keys(days).sort()) {
+    if (days[key].focusedMs < 60000) continue;
+    const [year, month, day] = key.split('-').map(Number);
+    const timestamp = new Date(year, month - 1, day).getTime();
+    run = previous !== null && localDateKey(shiftDays(previous, 1)) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = timestamp;
+  }
+  return { current, longest: Math.max(longest, current) };
+}
+
+/**
+ * Summaries for the dashboard: recent daily and weekly minutes, streaks,
+ * per-profile totals, the most-blocked domains and categories, and the
+ * all-time distraction rate.
+ */
+export function computeFocusAnalytics(stats, now = Date.now(), { days: dayCount = 14, weeks: weekCount = 8 } = {}) {
+  const daily = [];
+  for (let offset = dayCount - 1; offset >= 0; offset--) {
+    const date = localDateKey(shiftDays(now, -offset));
+    daily.push({ date, minutes: toMinutes(stats.days[date]?.focusedMs || 0) });
+  }
+
+  const weeklyMs = new Map();
+  const profiles = new Map();
+  let focusedMs = 0;
+  let sessions = 0;
+  let distractions = 0;
+  for (const [key, day] of Object.entries(stats.days)) {
+    const [year, month, date] = key.split('-').map(Number);
+    const week = weekStart(new Date(year, month - 1, date).getTime());
+    weeklyMs.set(week, (weeklyMs.get(week) || 0) + day.focusedMs);
+    focusedMs += day.focusedMs;
+    sessions += day.sessions;
+    distractions += day.distractions;
+    for (const [profileId, profile] of Object.entries(day.profiles || {})) {
+      const total = profiles.get(profileId) || { profileId, name: profile.name, focusedMs: 0, sessions: 0 };
+      total.focusedMs += profile.focusedMs;
+      total.sessions += profile.sessions;
+      profiles.set(profileId, total);
+    }
+  }
+
+  const weekly = [];
+  const thisWeek = weekStart(now);
+  for (let offset = weekCount - 1; offset >= 0; offset--) {
+    const start = shiftDays(thisWeek, -7 * offset);
+    weekly.push({ weekStart: localDateKey(start), minutes: toMinutes(weeklyMs.get(start) || 0) });
+  }
+
+  return {
+    today: daily[daily.length - 1].minutes,
+    thisWeek: weekly[weekly.length - 1].minutes,
+    daily,
+    weekly,
+    streak: computeStreaks(stats.days, now),
+    profiles: [...profiles.values()]
+      .sort((left, right) => right.focusedMs - left.focusedMs)
+      .map(({ profileId, name, focusedMs: ms, sessions: count }) => ({
+        profileId, name, minutes: toMinutes(ms), sessions: count,
+      })),
+    topDomains: topCounts(stats.domains, 10, 'domain'),
+    topCategories: topCounts(stats.categories, 10, 'category'),
+    totals: {
+      minutes: toMinutes(focusedMs),
+      sessions,
+      distractions,
+      distractionsPerHour: focusedMs > 0 ? Math.round((distractions / (focusedMs / HOUR_MS)) * 10) / 10 : 0,
+    },
+  };
+}
+
+// ── Export ──
+
+/**
+ * Export the aggregate for retros. CSV has one row per recorded day; JSON
+ * carries the dashboard summary plus the raw per-day, domain and category data.
+ * @param {'csv'|'json'} format
+ * @returns {Promise<{filename: string, mimeType: string, content: string}>}
+ */
+export async function exportFocusStats(format, now = Date.now(), { history = [] } = {}) {
+  if (format !== 'csv' && format !== 'json' && format !== 'log') {
+    throw new TypeError('Focus stats export format must be csv, json or log');
+  }
+  const stamp = localDateKey(now);
+  const sessions = history.filter((record) => isPlainRecord(record) && Number.isFinite(record.startedAt));
+  if (format === 'log') return exportWorkLog(sessions, stamp);
+  const stats = await getFocusStats();
+
+  if (format === 'json') {
+    const { countedRunIds, ...data } = stats;
+    return {
+      filename: `tabkebab-focus-stats-${stamp}.json`,
+      mimeType: 'application/json',
+      content: JSON.stringify({
+        exportedAt: new Date(now).toISOString(),
+        summary: computeFocusAnalytics(stats, now),
+        ...data,
+        log: sessions.map(workLogEntry),
+      }, null, 2),
+    };
+  }
+
+  const rows = [['date', 'focused_minutes', 'sessions', 'distractions', 'distractions_per_hour', 'profiles']];
+  for (const date of Object.keys(stats.days).sort()) {
+    const day = stats.days[date];
+    const perHour = day.focusedMs > 0 ? Math.round((day.distractions / (day.focusedMs / HOUR_MS)) * 10) / 10 : 0;
+    const profiles = Object.values(day.profiles || {})
+      .map((profile) => `${profile.name}: ${toMinutes(profile.focusedMs)}`)
+      .join('; ');
+    rows.push([date, toMinutes(day.focusedMs), day.sessions, day.distractions, perHour, profiles]);
+  }
+  return {
+    filename: `tabkebab-focus-stats-${stamp}.csv`,
+    mimeType: 'text/csv',
+    content: rows.map((row) => row.map(csvCell).join(',')).join('\n') + '\n',
+  };
+}
+
+function workLogEntry(record) {
+  return {
+    runId: record.runId || record.id || null,
+    startedAt: new Date(record.startedAt).toISOString(),
+    profile: record.profileName || record.profileId || '',
+    plannedMinutes: Number(record.plannedDuration) || 0,
+    focusedMinutes: toMinutes(focusedMsOf(record)),
+    goal: record.goal || null,
+    achieved: typeof record.reflection?.achieved === 'boolean' ? record.reflection.achieved : null,
+    note: record.reflection?.note || '',
+    distractions: Math.max(0, Number(record.distractionsBlocked) || 0),
+    overrides: Math.max(0, Number(record.overridesUsed) || 0),
+  };
+}
+
+// One row per kept run, oldest first, so the file reads as a work log.
+function exportWorkLog(sessions, stamp) {
+  const rows = [['date', 'start', 'profile', 'planned_minutes', 'focused_minutes', 'goal', 'achieved', 'note', 'distractions', 'overrides']];
+  for (const record of [...sessions].sort((a, b) => a.startedAt - b.startedAt)) {
+    const entry = workLogEntry(record);
+    const started = new Date(record.startedAt);
+    const achieved = entry.achieved === null ? '' : (entry.achieved ? 'yes' : 'no');
+    rows.push([
+      localDateKey(record.startedAt),
+      `${String(started.getHours()).padStart(2, '0')}:${String(started.getMinutes()).padStart(2, '0')}`,
+      entry.profile,
+      entry.plannedMinutes,
+      entry.focusedMinutes,
+      entry.goal || '',
+      achieved,
+      entry.note,
+      entry.distractions,
+      entry.overrides,
+    ]);
+  }
+  return {
+    filename: `tabkebab-focus-log-${stamp}.csv`,
+    mimeType: 'text/csv',
+    content: rows.map((row) => row.map(csvCell).join(',')).join('\n') + '\n',
+  };
+}
+
+// Goals, notes and profile names are free text; a leading formula character
+// would make a spreadsheet evaluate the cell, so such text is quoted as a literal.
+function csvCell(value) {
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -6,17 +6,58 @@ import { saveStash, restoreStashTabs, getStash } from './stash-db.js';
 import { getProfileById, getAllProfiles } from './focus-profiles.js';
 import {
   evaluateFocusPolicy,
+  hasActiveOverride,
+  describeFocusRule,
   isAllowed,
   isInternalUrl,
+  matchFocusRules,
+  normalizeFocusRules,
   rebindFocusAllowlist,
   resolveGroupAllowlist,
 } from './focus-policy.js';
 import { isConfidentDistraction } from './focus-ai.js';
+import {
+  PomodoroPhase,
+  advancePomodoroState,
+  createPomodoroState,
+  extendPomodoroPhase,
+  getPhaseRemainingMs,
+  isBlockingPhase,
+  normalizePomodoroOptions,
+  plannedPomodoroMinutes,
+  pomodoroPhaseLabel,
+  summarizePomodoro,
+} from './focus-pomodoro.js';
+import { recordFocusDistraction, recordFocusRun } from './focus-stats.js';
+import { resolveEnabledCategories } from './focus-categories.js';
 
 const FOCUS_STATE_KEY = 'focusState';
 const FOCUS_HISTORY_KEY = 'focusHistory';
 const FOCUS_GROUP_OWNERSHIP_KEY = 'focusGroupOwnership';
 const MAX_HISTORY = 50;
+// One-shot alarm at the end of the current Pomodoro phase; the minute tick is the fallback.
+const FOCUS_PHASE_ALARM = 'focusPhase';
+
+// Blocked navigations land on this extension page instead of the site.
+const FOCUS_BLOCKED_PAGE = 'sidepanel/blocked.html';
+export const FOCUS_OVERRIDE_MINUTES = 5;
+export const FOCUS_OVERRIDE_PHRASE = 'I am choosing to break my focus';
+export const FOCUS_OVERRIDE_DELAY_SECONDS = 15;
+
+// Ends that a lock-in run accepts before its time is up.
+const LOCK_IN_END_REASONS = new Set(['timer', 'schedule', 'emergencyExit']);
+export const FOCUS_LOCK_IN_COOLDOWN_LIMITS = Object.freeze([1, 60]);
+
+export const MAX_FOCUS_GOAL_LENGTH = 200;
+export const MAX_FOCUS_NOTE_LENGTH = 1000;
+
+/** A lock-in run refused a pause, an early end, a replacement or an override. */
+export class FocusLockedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FocusLockedError';
+  }
+}
 
 export const FocusStatus = Object.freeze({
   ACTIVE: 'active',
@@ -381,7 +422,7 @@ export function formatBadgeTime(ms) {
  *
  * @param {string|Object} tabOrUrl - URL string or tab object
  * @param {Object} state - Focus state object
- * @returns {{ blocked: boolean, reason: string|null, category: string|null }}
+ * @returns {{ blocked: boolean, reason: string|null, category: string|null, rule: Object|null }}
  */
 export function isBlockedDomain(tabOrUrl, state) {
   return evaluateFocusPolicy(tabOrUrl, state);
@@ -399,7 +440,8 @@ export function isFocusTab(tab, state) {
   if (!state?.strictMode && (!state?.allowedDomains || state.allowedDomains.length === 0)) {
     return true;
   }
-  return isAllowed(tab, state?.allowedDomains);
+  const [winner] = matchFocusRules(tab, state);
+  return winner?.rule.action === 'allow' || isAllowed(tab, state?.allowedDomains);
 }
 
 // ── Badge ──
@@ -440,6 +482,14 @@ function getBadgePresentation(state, { distractionRunId = null } = {}) {
   if (state?.status === FocusStatus.PAUSED) {
     return { text: '||', color: '#f59e0b', runId: state.runId, distraction: false };
   }
+  if (state?.status === FocusStatus.ACTIVE && state.pomodoro) {
+    return {
+      text: formatBadgeTime(getPhaseRemainingMs(state)),
+      color: isBlockingPhase(state) ? '#2563eb' : '#16a34a',
+      runId: state.runId,
+      distraction: false,
+    };
+  }
   if (state?.status === FocusStatus.ACTIVE) {
     return {
       text: formatBadgeTime(getRemainingMs(state)),
@@ -505,6 +555,71 @@ export async function flashBadgeDistraction(runId) {
   });
 }
 
+// ── Lock-in ──
+
+function normalizeLockInOptions(input, duration) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TypeError('Focus lock-in options must be an object');
+  }
+  const [min, max] = FOCUS_LOCK_IN_COOLDOWN_LIMITS;
+  if (!Number.isInteger(input.cooldownMinutes) || input.cooldownMinutes < min || input.cooldownMinutes > max) {
+    throw new TypeError(`Focus lock-in cooldownMinutes must be an integer from ${min} to ${max}`);
+  }
+  if (!(duration > 0)) throw new TypeError('Focus lock-in needs a timed session');
+  return { cooldownMinutes: input.cooldownMinutes, exitRequestedAt: null, emergencyExit: false };
+}
+
+/** True while a lock-in run still has time left; it then refuses pause and early end. */
+export function isLockedIn(state) {
+  return Boolean(state?.lockIn) && state.status === FocusStatus.ACTIVE && getRemainingMs(state) > 0;
+}
+
+/** When the requested emergency exit opens, or null if none was requested. */
+export function getEmergencyExitAvailableAt(state) {
+  const requestedAt = state?.lockIn?.exitRequestedAt;
+  if (!Number.isFinite(requestedAt)) return null;
+  return requestedAt + state.lockIn.cooldownMinutes * 60 * 1000;
+}
+
+// ── Goals and reflection ──
+
+function normalizeFocusGoal(goal) {
+  if (goal === null || goal === undefined) return null;
+  if (typeof goal !== 'string') throw new TypeError('Focus goal must be text');
+  const trimmed = goal.trim();
+  if (trimmed.length > MAX_FOCUS_GOAL_LENGTH) {
+    throw new TypeError(`Focus goal must be at most ${MAX_FOCUS_GOAL_LENGTH} characters`);
+  }
+  return trimmed || null;
+}
+
+/**
+ * Record how a finished run went on its history entry. `achieved` answers the
+ * run's goal and stays null when it had none; saving again replaces the
+ * previous reflection.
+ * @returns {Promise<Object>} The updated history record
+ */
+export async function saveFocusReflection(runId, { achieved = null, note = '' } = {}, now = Date.now()) {
+  if (achieved !== null && typeof achieved !== 'boolean') {
+    throw new TypeError('Focus reflection achieved must be true, false or null');
+  }
+  if (typeof note !== 'string') throw new TypeError('Focus reflection note must be text');
+  const trimmed = note.trim();
+  if (trimmed.length > MAX_FOCUS_NOTE_LENGTH) {
+    throw new TypeError(`Focus reflection note must be at most ${MAX_FOCUS_NOTE_LENGTH} characters`);
+  }
+  const history = (await Storage.get(FOCUS_HISTORY_KEY)) || [];
+  const index = history.findIndex((entry) => hasRunId(entry) && entry.runId === runId);
+  if (index === -1) throw new Error('Focus session not found in history');
+  const record = {
+    ...history[index],
+    reflection: { achieved: history[index].goal ? achieved : null, note: trimmed, savedAt: now },
+  };
+  history[index] = record;
+  await Storage.set(FOCUS_HISTORY_KEY, history);
+  return record;
+}
+
 // ── Start focus ──
 
 export function startFocus(options, adapters = {}) {
@@ -517,12 +632,22 @@ async function performStartFocus({
   tabAction,
   allowedDomains,
   blockedDomains,
+  rules = [],
   strictMode,
   blockedCategories,
   aiBlocking,
+  pomodoro = null,
+  lockIn = null,
+  goal = null,
 }, {
   saveStash: persistStash = saveStash,
 } = {}) {
+  // Reject a bad cycle plan or goal before the previous run is touched.
+  const goalText = normalizeFocusGoal(goal);
+  const pomodoroPlan = pomodoro === null || pomodoro === undefined ? null : normalizePomodoroOptions(pomodoro);
+  const lockInState = lockIn === null || lockIn === undefined || lockIn === false
+    ? null
+    : normalizeLockInOptions(lockIn, pomodoroPlan ? plannedPomodoroMinutes(pomodoroPlan) : duration);
   let runId = createDistinctRunId();
   const existingState = await Storage.get(FOCUS_STATE_KEY);
   if (runId === existingState?.runId) {
@@ -530,7 +655,7 @@ async function performStartFocus({
   }
   if (existingState) {
     if (hasRunId(existingState)) {
-      await performEndFocus(existingState.runId);
+      await performEndFocus(existingState.runId, {}, null, 'replaced');
     } else {
       const cleanupRunId = createDistinctRunId([runId]);
       await performEndFocus(null, {}, cleanupRunId);
@@ -542,15 +667,19 @@ async function performStartFocus({
     }
   }
 
-  const profile = getProfileById(profileId);
+  const profile = await getProfileById(profileId);
   const profileName = profile?.name || profileId;
+  // The run keeps its own copy of the edited category lists, so editing a
+  // category mid-run does not change what this run blocks.
+  const blocklists = await resolveEnabledCategories(blockedCategories || []);
   const profileColor = profile?.color || 'blue';
 
+  const startedAt = Date.now();
   const state = {
     status: FocusStatus.ACTIVE,
     runId,
-    startedAt: Date.now(),
-    duration: duration || 0,
+    startedAt,
+    duration: pomodoroPlan ? plannedPomodoroMinutes(pomodoroPlan) : duration || 0,
     pausedAt: null,
     pausedElapsed: 0,
     profileId,
@@ -559,15 +688,21 @@ async function performStartFocus({
     tabAction: tabAction || 'none',
     allowedDomains: allowedDomains || [],
     blockedDomains: blockedDomains || [],
+    rules: normalizeFocusRules(rules),
     // New blocking modes
     strictMode: strictMode || false,
     blockedCategories: blockedCategories || [],
+    blocklists,
     aiBlocking: aiBlocking || false,
     stashId: null,
     focusGroupId: null,
     focusGroupOwnershipToken: null,
     distractionsBlocked: 0,
+    overridesUsed: 0,
     focusTabCount: 0,
+    ...(pomodoroPlan ? { pomodoro: createPomodoroState(pomodoroPlan, startedAt) } : {}),
+    ...(lockInState ? { lockIn: lockInState } : {}),
+    ...(goalText ? { goal: goalText } : {}),
   };
 
   // Resolve group titles before reading or mutating tabs. A failed query must
@@ -688,6 +823,7 @@ async function performStartFocus({
   }
 
   await chrome.alarms.create('focusTick', { periodInMinutes: 1 });
+  await armPhaseAlarm(state);
   await updateBadge(state, runId);
 
   const authoritative = await getMatchingFocusState(runId, [FocusStatus.ACTIVE]);
@@ -709,6 +845,7 @@ export function endFocus(options = {}) {
   const legacyCleanupRunId = typeof options === 'object'
     ? options?.legacyCleanupRunId ?? null
     : null;
+  const reason = typeof options === 'object' ? options?.reason ?? 'manual' : 'manual';
 
   const flightKey = expectedRunId
     ? `run:${expectedRunId}`
@@ -719,7 +856,7 @@ export function endFocus(options = {}) {
   if (existingFlight) return existingFlight;
 
   const promise = withLifecycleOperation(() =>
-    performEndFocus(expectedRunId, adapters, legacyCleanupRunId));
+    performEndFocus(expectedRunId, adapters, legacyCleanupRunId, reason));
   _endFlights.set(flightKey, promise);
   promise.finally(() => {
     if (_endFlights.get(flightKey) === promise) _endFlights.delete(flightKey);
@@ -731,7 +868,7 @@ async function performEndFocus(expectedRunId, {
   getStash: loadStash = getStash,
   restoreStashTabs: restoreTabs = restoreStashTabs,
   ungroupTabs: ungroup = ungroupTabs,
-} = {}, legacyCleanupRunId = null) {
+} = {}, legacyCleanupRunId = null, reason = 'manual') {
   await cacheReady;
   const state = await withFocusStateMutation(async () => {
     const current = cacheFocusState(await Storage.get(FOCUS_STATE_KEY));
@@ -754,9 +891,20 @@ async function performEndFocus(expectedRunId, {
       return current;
     }
 
+    if (isLockedIn(current) && !LOCK_IN_END_REASONS.has(reason)) {
+      throw new FocusLockedError('Focus lock-in is on: this session can only end early through an emergency exit');
+    }
+    const emergencyExit = reason === 'emergencyExit' && Boolean(current.lockIn);
+    if (emergencyExit) {
+      const availableAt = getEmergencyExitAvailableAt(current);
+      if (availableAt === null) throw new FocusLockedError('No emergency exit has been requested');
+      if (Date.now() < availableAt) throw new FocusLockedError('The emergency exit cooldown has not finished');
+    }
+
     const endedAt = Number.isFinite(current.endedAt) ? current.endedAt : Date.now();
     const ending = {
       ...current,
+      ...(emergencyExit ? { lockIn: { ...current.lockIn, emergencyExit: true } } : {}),
       status: FocusStatus.ENDING,
       runId,
       endedAt,
@@ -833,6 +981,7 @@ async function performEndFocus(expectedRunId, {
 
   try {
     await chrome.alarms.clear('focusTick');
+    if (state.pomodoro) await chrome.alarms.clear(FOCUS_PHASE_ALARM);
   } catch (error) {
     captureFailure('alarm', error);
   }
@@ -855,8 +1004,12 @@ async function performEndFocus(expectedRunId, {
       ? state.actualDurationMs
       : getElapsedMs(state),
     distractionsBlocked: state.distractionsBlocked,
+    overridesUsed: Number(state.overridesUsed) || 0,
     focusTabCount: state.focusTabCount,
     tabAction: state.tabAction,
+    ...(state.pomodoro ? { pomodoro: summarizePomodoro(state) } : {}),
+    ...(state.lockIn ? { lockIn: { ...state.lockIn } } : {}),
+    ...(state.goal ? { goal: state.goal } : {}),
     teardownFailures: mergeTeardownFailures(teardownFailures),
   };
 
@@ -869,6 +1022,12 @@ async function performEndFocus(expectedRunId, {
     captureFailure('history', error);
   }
 
+  try {
+    await recordFocusRun(record);
+  } catch (error) {
+    console.warn('[TabKebab] Focus stats update failed:', error);
+  }
+
   // State removal is deliberately last and conditional: a stale teardown must
   // never remove a replacement run. Incomplete restore keeps the non-blocking
   // ending journal so a later call or worker restart can retry missing tabs.
@@ -904,6 +1063,7 @@ export async function pauseFocus(expectedRunId = null) {
   const state = await getFocusState();
   if (!state || state.status !== FocusStatus.ACTIVE || !hasRunId(state)) return null;
   if (expectedRunId && state.runId !== expectedRunId) return null;
+  if (state.lockIn) throw new FocusLockedError('Focus lock-in is on: pausing is disabled');
   const runId = state.runId;
   const paused = await mutateFocusState({
     runId,
@@ -972,10 +1132,60 @@ export async function resumeFocus(expectedRunId = null) {
   });
   if (!rebound) return null;
   if (!await getMatchingFocusState(runId, [FocusStatus.ACTIVE])) return null;
+  await armPhaseAlarm(rebound);
   if (!await updateBadge(rebound, runId)) return null;
   return getMatchingFocusState(runId, [FocusStatus.ACTIVE]);
 }
 
+// ── Emergency exit ──
+
+/**
+ * Start (or, with `cancel`, withdraw) the cooldown before a lock-in run may
+ * end early. Requesting again keeps the original request time.
+ */
+export async function requestEmergencyExit(expectedRunId, { cancel = false } = {}) {
+  const state = await getFocusState();
+  if (!state?.lockIn || state.status !== FocusStatus.ACTIVE || state.runId !== expectedRunId) return null;
+  const updated = await mutateFocusState({
+    runId: expectedRunId,
+    statuses: [FocusStatus.ACTIVE],
+  }, (current) => ({
+    ...current,
+    lockIn: {
+      ...current.lockIn,
+      exitRequestedAt: cancel ? null : current.lockIn.exitRequestedAt ?? Date.now(),
+    },
+  }));
+  return updated;
+}
+
+/** End a lock-in run once its emergency-exit cooldown is over; history records the exit. */
+export function confirmEmergencyExit(expectedRunId) {
+  return endFocus({ expectedRunId, reason: 'emergencyExit' });
+}
+
+/**
+ * Re-arm an active run after a service-worker restart: the Pomodoro phase
+ * alarm, and for lock-in runs a sweep that closes blocked tabs opened while
+ * the worker was not listening.
+ * @returns {Promise<number[]>} IDs of tabs the sweep closed
+ */
+export async function rearmFocusRun(expectedRunId) {
+  const state = await getMatchingFocusState(expectedRunId, [FocusStatus.ACTIVE]);
+  if (!state) return [];
+  await armPhaseAlarm(state);
+  if (!state.lockIn || !isBlockingPhase(state)) return [];
+
+  const tabs = await getAllTabs({ allWindows: true });
+  const blockedIds = tabs
+    .filter((tab) => evaluateFocusPolicy(tab, state).blocked)
+    .map((tab) => tab.id);
+  if (blockedIds.length === 0) return [];
+  if (!await getMatchingFocusState(expectedRunId, [FocusStatus.ACTIVE])) return [];
+  await closeTabs(blockedIds);
+  return blockedIds;
+}
+
 // ── Extend ──
 
 export async function extendFocus(minutes, expectedRunId = null) {
@@ -985,9 +1195,14 @@ export async function extendFocus(minutes, expectedRunId = null) {
   const extended = await mutateFocusState({
     runId: state.runId,
     statuses: [state.status],
-  }, (current) => ({ ...current, duration: current.duration + minutes }));
+  }, (current) => ({
+    ...current,
+    duration: current.duration + minutes,
+    ...(current.pomodoro ? { pomodoro: extendPomodoroPhase(current.pomodoro, minutes) } : {}),
+  }));
   if (!extended) return null;
   if (!await getMatchingFocusState(state.runId, [state.status])) return null;
+  await armPhaseAlarm(extended);
   if (!await updateBadge(extended, state.runId)) return null;
   return getMatchingFocusState(state.runId, [state.status]);
 }
@@ -1010,6 +1225,7 @@ export async function validateDistractionTarget({
   if (state?.status !== FocusStatus.ACTIVE || !hasRunId(state) || state.runId !== runId) {
     return null;
   }
+  if (!isBlockingPhase(state) || hasActiveOverride(classifiedUrl, state)) return null;
   if (Number.isInteger(expectedGeneration) && expectedGeneration !== authorityGeneration) {
     return null;
   }
@@ -1040,6 +1256,8 @@ export async function handleDistraction({
   classifiedUrl,
   decision,
   category,
+  rule = null,
+  aiDetected = false,
 }) {
   const target = await validateDistractionTarget({
     runId,
@@ -1053,8 +1271,13 @@ export async function handleDistraction({
   const windowId = target.tab.windowId;
   let navigationApplied = false;
   try {
-    // validateDistractionTarget was the immediately preceding await.
-    await chrome.tabs.goBack(tabId);
+    // validateDistractionTarget was the immediately preceding await. Lock-in
+    // closes the tab outright: there is no blocked page to bargain with.
+    if (target.state.lockIn) {
+      await chrome.tabs.remove(tabId);
+    } else {
+      await chrome.tabs.update(tabId, { url: getBlockedPageUrl({ runId, url: classifiedUrl, category, rule, aiDetected }) });
+    }
     navigationApplied = true;
   } catch {
     const fallbackTarget = await validateDistractionTarget({
@@ -1092,18 +1315,25 @@ export async function handleDistraction({
   }));
   if (!state) return null;
 
+  const domain = extractDomain(classifiedUrl);
+  try {
+    await recordFocusDistraction({ domain, category });
+  } catch (error) {
+    console.warn('[TabKebab] Focus stats update failed:', error);
+  }
+
   state = await getMatchingFocusState(runId, [FocusStatus.ACTIVE]);
   if (!state) return null;
   await flashBadgeDistraction(runId);
 
   state = await getMatchingFocusState(runId, [FocusStatus.ACTIVE]);
   if (!state) return null;
-  const domain = extractDomain(classifiedUrl);
   await chrome.runtime.sendMessage({
     type: 'focusDistraction',
     runId,
     domain,
     category,
+    reason: describeFocusRule(rule),
     count: state.distractionsBlocked,
     openFocusView: true,
     blink: true,
@@ -1111,6 +1341,128 @@ export async function handleDistraction({
   return state;
 }
 
+// ── Blocked page ──
+
+export function getBlockedPageUrl({ runId, url, category, rule = null, aiDetected = false }) {
+  const params = new URLSearchParams({ runId, url, category: category || '' });
+  if (rule) params.set('reason', describeFocusRule(rule));
+  // Lets the page offer "Not a distraction" for an AI verdict.
+  if (aiDetected) params.set('ai', '1');
+  return chrome.runtime.getURL(`${FOCUS_BLOCKED_PAGE}?${params}`);
+}
+
+function overrideDomainOf(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') return parsed.hostname.toLowerCase();
+  } catch {
+    // Fall through to the error below.
+  }
+  throw new TypeError('Focus override needs a web page URL');
+}
+
+function isOverridePhrase(phrase) {
+  return typeof phrase === 'string' && phrase.trim().toLowerCase() === FOCUS_OVERRIDE_PHRASE.toLowerCase();
+}
+
+/**
+ * What the blocked page shows. `blocking` is false once the run that blocked
+ * the page has ended, paused or reached a break, and the page then lets the
+ * user continue without an override. While an override is on offer, the time
+ * it was first offered for the domain is kept in `focusState.overrideOffers`
+ * so the worker can hold the countdown too.
+ */
+export async function getBlockedPageInfo({ runId, url }, now = Date.now()) {
+  const domain = overrideDomainOf(url);
+  const state = await getFocusState();
+  let current = hasRunId(state) && state.runId === runId ? state : null;
+  const blocking = current?.status === FocusStatus.ACTIVE && isBlockingPhase(current) && !hasActiveOverride(url, current);
+  if (blocking && !current.lockIn && !(current.overrideOffers || []).some((offer) => offer.domain === domain)) {
+    current = await mutateFocusState({ runId, statuses: [FocusStatus.ACTIVE] }, (latest) => ({
+      ...latest,
+      overrideOffers: [...(latest.overrideOffers || []), { domain, offeredAt: now }],
+    })) ?? current;
+  }
+  const remainingMs = current ? getRemainingMs(current) : 0;
+  return {
+    blocking,
+    lockIn: Boolean(current?.lockIn),
+    domain,
+    profileId: current?.profileId ?? null,
+    profileName: current?.profileName ?? null,
+    goal: current?.goal ?? null,
+    remainingMs: Number.isFinite(remainingMs) ? remainingMs : null,
+    overridesUsed: Number(current?.overridesUsed) || 0,
+    overrideMinutes: FOCUS_OVERRIDE_MINUTES,
+    overridePhrase: FOCUS_OVERRIDE_PHRASE,
+    overrideDelaySeconds: FOCUS_OVERRIDE_DELAY_SECONDS,
+  };
+}
+
+/**
+ * Allow one domain for FOCUS_OVERRIDE_MINUTES. The blocked page's friction is
+ * checked again here: the phrase must match, and the override must have been
+ * offered for the domain at least FOCUS_OVERRIDE_DELAY_SECONDS ago. Overrides
+ * are counted apart from blocked distractions.
+ */
+export async function grantFocusOverride({ runId, url, phrase }, now = Date.now()) {
+  const domain = overrideDomainOf(url);
+  const until = now + FOCUS_OVERRIDE_MINUTES * 60 * 1000;
+  const state = await mutateFocusState({
+    runId,
+    statuses: [FocusStatus.ACTIVE],
+  }, (current) => {
+    if (current.lockIn) return null;
+    if (!isOverridePhrase(phrase)) throw new TypeError('Type the override phrase exactly to continue');
+    const offer = (current.overrideOffers || []).find((entry) => entry.domain === domain);
+    if (!offer || now - offer.offeredAt < FOCUS_OVERRIDE_DELAY_SECONDS * 1000) {
+      throw new Error(`Wait ${FOCUS_OVERRIDE_DELAY_SECONDS} seconds on the blocked page before overriding`);
+    }
+    return {
+      ...current,
+      overrides: [
+        ...(current.overrides || []).filter((override) => override.until > now && override.domain !== domain),
+        { domain, until },
+      ],
+      overrideOffers: current.overrideOffers.filter((entry) => entry !== offer),
+      overridesUsed: (Number(current.overridesUsed) || 0) + 1,
+    };
+  });
+  if (!state) return null;
+  await chrome.runtime.sendMessage({
+    type: 'focusOverride',
+    runId,
+    domain,
+    count: state.overridesUsed,
+  }).catch(() => {});
+  return { domain, until };
+}
+
+// ── Pomodoro phases ──
+
+async function armPhaseAlarm(state) {
+  if (!state?.pomodoro || state.status !== FocusStatus.ACTIVE) return;
+  await chrome.alarms.create(FOCUS_PHASE_ALARM, { when: Date.now() + getPhaseRemainingMs(state) });
+}
+
+async function announcePomodoroPhase(state) {
+  await armPhaseAlarm(state);
+  const { phase, cycle, cycles } = state.pomodoro;
+  const message = phase === PomodoroPhase.WORK
+    ? `Cycle ${cycle} of ${cycles} — blocking is back on.`
+    : `${pomodoroPhaseLabel(phase)} after cycle ${cycle} of ${cycles} — blocking is relaxed.`;
+  try {
+    await chrome.notifications.create(`tabkebab-focus-phase:${state.runId}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: phase === PomodoroPhase.WORK ? 'Back to work' : 'Break time',
+      message,
+    });
+  } catch {
+    // The phase already changed; a missing notification is cosmetic.
+  }
+}
+
 // ── Tick (called by alarm) ──
 
 export async function handleFocusTick(expectedRunId = null) {
@@ -1119,23 +1471,35 @@ export async function handleFocusTick(expectedRunId = null) {
   const runId = state.runId;
   if (expectedRunId && expectedRunId !== runId) return null;
 
-  // Check if timer expired
-  if (state.duration > 0) {
-    const remaining = getRemainingMs(state);
-    if (remaining <= 0) {
-      // Timer expired — end session
-      if (!await getMatchingFocusState(runId, [FocusStatus.ACTIVE])) return null;
-      const record = await endFocus({ expectedRunId: runId });
-      if (!record) return null;
-      const replacement = await Storage.get(FOCUS_STATE_KEY);
-      if (replacement && replacement.runId !== runId) return record;
-      await chrome.runtime.sendMessage({
-        type: 'focusEnded',
+  let expired = false;
+  if (state.pomodoro) {
+    const advanced = advancePomodoroState(state);
+    if (advanced) {
+      const moved = await mutateFocusState({
         runId,
-        record,
-      }).catch(() => {});
-      return record;
+        statuses: [FocusStatus.ACTIVE],
+      }, (current) => advancePomodoroState(current)?.state ?? null);
+      if (!moved) return null;
+      expired = advanced.finished;
+      if (!expired) await announcePomodoroPhase(moved);
     }
+  } else if (state.duration > 0) {
+    expired = getRemainingMs(state) <= 0;
+  }
+
+  if (expired) {
+    // Timer expired (or the last Pomodoro work interval finished) — end session
+    if (!await getMatchingFocusState(runId, [FocusStatus.ACTIVE])) return null;
+    const record = await endFocus({ expectedRunId: runId, reason: 'timer' });
+    if (!record) return null;
+    const replacement = await Storage.get(FOCUS_STATE_KEY);
+    if (replacement && replacement.runId !== runId) return record;
+    await chrome.runtime.sendMessage({
+      type: 'focusEnded',
+      runId,
+      record,
+    }).catch(() => {});
+    return record;
   }
 
   const latest = await getMatchingFocusState(runId, [FocusStatus.ACTIVE]);
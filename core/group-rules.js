@@ -0,0 +1,414 @@
+// core/group-rules.js — Ordered user rules that route tabs into named Chrome groups
+//
+// Stored in chrome.storage.local under key 'groupRules'
+// Format: { [ruleId]: { enabled, match, conditions[], groupName, color,
+//   targetWindow, order, createdAt, modifiedAt } }
+// Rules are evaluated by ascending order; the first enabled match wins.
+// Rules are not Drive-synced: `targetWindow` counts this browser's windows,
+// so a synced rule would route tabs differently on each device. Full exports
+// carry them instead.
+
+import { Storage } from './storage.js';
+import { hostnameMatches } from './url-match.js';
+
+export const GROUP_RULES_KEY = 'groupRules';
+export const MAX_GROUP_RULES = 200;
+export const MAX_RULE_CONDITIONS = 10;
+export const MAX_RULE_PATTERN_LENGTH = 500;
+export const MAX_RULE_GROUP_NAME_LENGTH = 80;
+export const MAX_RULE_TARGET_WINDOW = 50;
+export const GROUP_RULE_ID_PATTERN = /^rule-[a-z0-9]{1,32}$/;
+export const RULE_CONDITION_TYPES = Object.freeze(['domain', 'urlGlob', 'regex', 'title']);
+export const RULE_MATCH_MODES = Object.freeze(['all', 'any']);
+export const RULE_GROUP_COLORS = Object.freeze([
+  'grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange',
+]);
+
+const CONDITION_TYPE_SET = new Set(RULE_CONDITION_TYPES);
+const COLOR_SET = new Set(RULE_GROUP_COLORS);
+const RULE_FIELDS = new Set(['enabled', 'match', 'conditions', 'groupName', 'color', 'targetWindow']);
+const TAB_GROUP_ID_NONE = -1;
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function isTimestamp(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+export function isGroupRuleId(id) {
+  return typeof id === 'string' && GROUP_RULE_ID_PATTERN.test(id);
+}
+
+/**
+ * Compile a URL glob: `*` matches any run of characters and `?` one character.
+ * Globs without a scheme are matched against the URL minus its scheme, so
+ * `*.atlassian.net/browse/*` works as written.
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  for (const char of glob) {
+    if (char === '*') source += '.*';
+    else if (char === '?') source += '.';
+    else source += char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function normalizeCondition(input, index) {
+  const label = `Rule condition ${index + 1}`;
+  if (!isPlainRecord(input)) throw new TypeError(`${label} must be an object`);
+  for (const key of Object.keys(input)) {
+    if (key !== 'type' && key !== 'value') throw new TypeError(`Unknown rule condition field: ${key}`);
+  }
+  if (!CONDITION_TYPE_SET.has(input.type)) throw new TypeError(`${label} type is invalid`);
+  const value = typeof input.value === 'string' ? input.value.trim() : '';
+  if (value.length === 0 || value.length > MAX_RULE_PATTERN_LENGTH) {
+    throw new TypeError(`${label} value must be 1 to ${MAX_RULE_PATTERN_LENGTH} characters`);
+  }
+  if (input.type === 'regex') {
+    try {
+      new RegExp(value, 'i');
+    } catch {
+      throw new TypeError(`${label} is not a valid regular expression`);
+    }
+  }
+  return { type: input.type, value: input.type === 'domain' ? value.toLowerCase() : value };
+}
+
+/**
+ * Validate one editable rule and return a fresh canonical record.
+ * Unknown fields and malformed values are rejected rather than dropped.
+ */
+export function normalizeGroupRule(input, { order, createdAt, modifiedAt }) {
+  if (!isPlainRecord(input)) throw new TypeError('Grouping rule must be a plain object');
+  for (const key of Object.keys(input)) {
+    if (!RULE_FIELDS.has(key)) throw new TypeError(`Unknown grouping rule field: ${key}`);
+  }
+  const enabled = input.enabled === undefined ? true : input.enabled;
+  if (typeof enabled !== 'boolean') throw new TypeError('Grouping rule enabled flag must be a boolean');
+  const match = input.match === undefined ? 'all' : input.match;
+  if (!RULE_MATCH_MODES.includes(match)) throw new TypeError('Grouping rule match mode is invalid');
+  if (!Array.isArray(input.conditions) || input.conditions.length === 0 ||
+      input.conditions.length > MAX_RULE_CONDITIONS) {
+    throw new TypeError(`Grouping rules need 1 to ${MAX_RULE_CONDITIONS} conditions`);
+  }
+  const groupName = typeof input.groupName === 'string' ? input.groupName.trim() : '';
+  if (groupName.length === 0 || groupName.length > MAX_RULE_GROUP_NAME_LENGTH) {
+    throw new TypeError(`Grouping rule group name must be 1 to ${MAX_RULE_GROUP_NAME_LENGTH} characters`);
+  }
+  const color = input.color === undefined ? 'blue' : input.color;
+  if (!COLOR_SET.has(color)) throw new TypeError('Grouping rule color is invalid');
+  const targetWindow = input.targetWindow === undefined ? null : input.targetWindow;
+  if (targetWindow !== null && (!Number.isInteger(targetWindow) ||
+      targetWindow < 1 || targetWindow > MAX_RULE_TARGET_WINDOW)) {
+    throw new TypeError(`Grouping rule window must be empty or 1 to ${MAX_RULE_TARGET_WINDOW}`);
+  }
+  if (!Number.isSafeInteger(order) || order < 0) {
+    throw new TypeError('Grouping rule order must be a non-negative integer');
+  }
+  if (!isTimestamp(createdAt) || !isTimestamp(modifiedAt)) {
+    throw new TypeError('Grouping rule timestamps must be non-negative safe integers');
+  }
+  return {
+    enabled,
+    match,
+    conditions: input.conditions.map(normalizeCondition),
+    groupName,
+    color,
+    targetWindow,
+    order,
+    createdAt,
+    modifiedAt,
+  };
+}
+
+function urlWithoutScheme(url) {
+  const index = url.indexOf('://');
+  return index === -1 ? url : url.slice(index + 3);
+}
+
+function conditionMatches(condition, url, title) {
+  switch (condition.type) {
+    case 'domain':
+      return hostnameMatches(url, condition.value);
+    case 'urlGlob':
+      return (condition.pattern ?? globToRegExp(condition.value))
+        .test(condition.value.includes('://') ? url : urlWithoutScheme(url));
+    case 'regex':
+      return (condition.pattern ?? new RegExp(condition.value, 'i')).test(url);
+    case 'title':
+      return title.toLowerCase().includes(condition.value.toLowerCase());
+    default:
+      return false;
+  }
+}
+
+export function ruleMatchesTab(rule, tab) {
+  const url = tab.pendingUrl || tab.url || '';
+  const title = typeof tab.title === 'string' ? tab.title : '';
+  const check = (condition) => conditionMatches(condition, url, title);
+  return rule.match === 'any' ? rule.conditions.some(check) : rule.conditions.every(check);
+}
+
+export function findMatchingRule(rules, tab) {
+  return rules.find((rule) => rule.enabled && ruleMatchesTab(rule, tab)) ?? null;
+}
+
+function compareRules(left, right) {
+  return left.order - right.order || (left.id < right.id ? -1 : left.id > right.id ? 1 : 0);
+}
+
+/**
+ * Read the stored rules as an ordered array, skipping entries that no longer
+ * pass validation so one corrupt record cannot disable the rest.
+ */
+export async function getGroupRules() {
+  return parseGroupRules(await Storage.get(GROUP_RULES_KEY));
+}
+
+function parseGroupRules(stored) {
+  if (!isPlainRecord(stored)) return [];
+  const rules = [];
+  for (const [id, record] of Object.entries(stored)) {
+    if (!isGroupRuleId(id) || !isPlainRecord(record)) continue;
+    try {
+      const { order = 0, createdAt = 0, modifiedAt = createdAt, ...fields } = record;
+      rules.push({ id, ...normalizeGroupRule(fields, { order, createdAt, modifiedAt }) });
+    } catch {
+      // Invalid imported or hand-edited records stay in storage but never run.
+    }
+  }
+  return rules.sort(compareRules);
+}
+
+function generateGroupRuleId(rules) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const id = `rule-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    if (!Object.hasOwn(rules, id)) return id;
+  }
+  throw new Error('Unable to generate a unique grouping rule ID');
+}
+
+async function readStoredRules() {
+  const stored = await Storage.get(GROUP_RULES_KEY);
+  return isPlainRecord(stored) ? { ...stored } : {};
+}
+
+/**
+ * Create a rule at the end of the list, or replace the editable fields of an
+ * existing one while keeping its position.
+ */
+export async function saveGroupRule(ruleId, fields, savedAt = Date.now()) {
+  if (ruleId !== null && !isGroupRuleId(ruleId)) throw new TypeError('Grouping rule ID is invalid');
+  const rules = await readStoredRules();
+  let id = ruleId;
+  let createdAt = savedAt;
+  let order;
+  if (id === null) {
+    if (Object.keys(rules).length >= MAX_GROUP_RULES) {
+      throw new Error(`Grouping rules are limited to ${MAX_GROUP_RULES}`);
+    }
+    id = generateGroupRuleId(rules);
+    order = Object.values(rules).reduce((max, rule) => (
+      Number.isSafeInteger(rule?.order) ? Math.max(max, rule.order + 1) : max
+    ), 0);
+  } else {
+    if (!Object.hasOwn(rules, id)) throw new Error('Grouping rule not found');
+    if (isTimestamp(rules[id]?.createdAt)) createdAt = rules[id].createdAt;
+    order = Number.isSafeInteger(rules[id]?.order) && rules[id].order >= 0 ? rules[id].order : 0;
+  }
+  const previousModifiedAt = isTimestamp(rules[id]?.modifiedAt) ? rules[id].modifiedAt : 0;
+  const record = normalizeGroupRule(fields, {
+    order,
+    createdAt,
+    modifiedAt: Math.max(savedAt, previousModifiedAt + 1),
+  });
+  rules[id] = record;
+  await Storage.set(GROUP_RULES_KEY, rules);
+  return { id, ...record };
+}
+
+export async function deleteGroupRule(ruleId) {
+  if (!isGroupRuleId(ruleId)) throw new TypeError('Grouping rule ID is invalid');
+  const rules = await readStoredRules();
+  if (!Object.hasOwn(rules, ruleId)) return { deleted: false };
+  delete rules[ruleId];
+  await Storage.set(GROUP_RULES_KEY, rules);
+  return { deleted: true };
+}
+
+/**
+ * Rewrite rule positions from a complete list of rule IDs. Only rules whose
+ * position changes get a new modifiedAt.
+ */
+export async function reorderGroupRules(ruleIds, savedAt = Date.now()) {
+  const rules = await readStoredRules();
+  const existing = Object.keys(rules);
+  if (!Array.isArray(ruleIds) || ruleIds.length !== existing.length ||
+      new Set(ruleIds).size !== ruleIds.length ||
+      !ruleIds.every((id) => typeof id === 'string' && Object.hasOwn(rules, id))) {
+    throw new TypeError('Rule order must list every grouping rule exactly once');
+  }
+  ruleIds.forEach((id, order) => {
+    const record = rules[id];
+    if (record?.order === order) return;
+    const previousModifiedAt = isTimestamp(record?.modifiedAt) ? record.modifiedAt : 0;
+    rules[id] = { ...record, order, modifiedAt: Math.max(savedAt, previousModifiedAt + 1) };
+  });
+  await Storage.set(GROUP_RULES_KEY, rules);
+  return getGroupRules();
+}
+
+// ── Planning and execution ──
+
+/**
+ * Pure dry run: decide where each eligible tab would go. Pinned tabs and tabs
+ * already in a Chrome group are left alone, so rules never fight manual
+ * grouping or Focus mode. `targetWindow` counts normal windows in the order
+ * they were opened; a missing or incompatible window keeps the tab in place.
+ */
+export function planGroupRules({ tabs, windows, groups, rules }) {
+  const normalWindows = windows
+    .filter((window) => window.type === undefined || window.type === 'normal')
+    .sort((left, right) => left.id - right.id);
+  const assignments = [];
+  for (const tab of tabs) {
+    if (tab.pinned || (tab.groupId ?? TAB_GROUP_ID_NONE) !== TAB_GROUP_ID_NONE) continue;
+    const rule = findMatchingRule(rules, tab);
+    if (!rule) continue;
+    let windowId = tab.windowId;
+    if (rule.targetWindow !== null) {
+      const target = normalWindows[rule.targetWindow - 1];
+      if (target && Boolean(target.incognito) === Boolean(tab.incognito)) windowId = target.id;
+    }
+    const existing = groups.find((group) => (
+      group.windowId === windowId && group.title === rule.groupName
+    ));
+    assignments.push({
+      tabId: tab.id,
+      title: tab.title || '',
+      url: tab.pendingUrl || tab.url || '',
+      ruleId: rule.id,
+      groupName: rule.groupName,
+      color: rule.color,
+      fromWindowId: tab.windowId,
+      windowId,
+      existingGroupId: existing ? existing.id : null,
+    });
+  }
+  return assignments;
+}
+
+async function readBrowserState() {
+  const [tabs, windows, groups] = await Promise.all([
+    chrome.tabs.query({}),
+    chrome.windows.getAll({ windowTypes: ['normal'] }),
+    chrome.tabGroups.query({}),
+  ]);
+  return { tabs, windows, groups };
+}
+
+/**
+ * Preview the saved rules, or a single draft rule, against every open tab
+ * without changing anything.
+ */
+export async function previewGroupRules(draft = null) {
+  const rules = draft
+    ? [{
+      id: 'draft',
+      ...normalizeGroupRule({ ...draft, enabled: true }, { order: 0, createdAt: 0, modifiedAt: 0 }),
+    }]
+    : await getGroupRules();
+  return planGroupRules({ ...(await readBrowserState()), rules });
+}
+
+async function executeAssignments(assignments) {
+  const batches = new Map();
+  for (const assignment of assignments) {
+    const key = `${assignment.windowId}\u0000${assignment.groupName}`;
+    if (!batches.has(key)) batches.set(key, { ...assignment, tabIds: [] });
+    batches.get(key).tabIds.push(assignment.tabId);
+  }
+  let tabsGrouped = 0;
+  let groupsCreated = 0;
+  let errors = 0;
+  for (const batch of batches.values()) {
+    try {
+      const moving = assignments
+        .filter((assignment) => batch.tabIds.includes(assignment.tabId) &&
+          assignment.fromWindowId !== batch.windowId)
+        .map((assignment) => assignment.tabId);
+      if (moving.length > 0) await chrome.tabs.move(moving, { windowId: batch.windowId, index: -1 });
+      if (batch.existingGroupId !== null) {
+        await chrome.tabs.group({ groupId: batch.existingGroupId, tabIds: batch.tabIds });
+      } else {
+        const groupId = await chrome.tabs.group({
+          createProperties: { windowId: batch.windowId },
+          tabIds: batch.tabIds,
+        });
+        await chrome.tabGroups.update(groupId, { title: batch.groupName, color: batch.color });
+        groupsCreated += 1;
+      }
+      tabsGrouped += batch.tabIds.length;
+    } catch (err) {
+      // Tabs can close or navigate mid-run; report and keep applying other batches.
+      console.warn('[TabKebab] Grouping rule failed:', err.message);
+      errors += 1;
+    }
+  }
+  return { tabsGrouped, groupsCreated, errors };
+}
+
+function compileCondition(condition) {
+  switch (condition.type) {
+    case 'urlGlob':
+      return { ...condition, pattern: globToRegExp(condition.value) };
+    case 'regex':
+      return { ...condition, pattern: new RegExp(condition.value, 'i') };
+    default:
+      return condition;
+  }
+}
+
+// Live application runs on every navigation, so the enabled rules are parsed
+// and their patterns compiled once, then reused until the stored map changes.
+let compiledRules = { source: null, rules: [] };
+
+async function getCompiledRules() {
+  const stored = await Storage.get(GROUP_RULES_KEY);
+  const source = JSON.stringify(stored ?? null);
+  if (source !== compiledRules.source) {
+    const rules = parseGroupRules(stored)
+      .filter((rule) => rule.enabled)
+      .map((rule) => ({ ...rule, conditions: rule.conditions.map(compileCondition) }));
+    compiledRules = { source, rules };
+  }
+  return compiledRules.rules;
+}
+
+// Live events for one tab can arrive back to back (created, then navigated).
+// Running applications one at a time keeps them from creating twin groups.
+let applyQueue = Promise.resolve();
+
+/**
+ * Apply the saved rules to the given tabs, or to every open tab. With
+ * `titleChanged`, only a title moved, so nothing runs unless a rule looks at titles.
+ */
+export function applyGroupRules({ tabIds = null, titleChanged = false } = {}) {
+  const run = applyQueue.then(async () => {
+    const rules = await getCompiledRules();
+    const relevant = titleChanged
+      ? rules.some((rule) => rule.conditions.some((condition) => condition.type === 'title'))
+      : rules.length > 0;
+    if (!relevant) return { tabsGrouped: 0, groupsCreated: 0, errors: 0 };
+    const state = await readBrowserState();
+    const tabs = tabIds ? state.tabs.filter((tab) => tabIds.includes(tab.id)) : state.tabs;
+    return executeAssignments(planGroupRules({ ...state, tabs, rules }));
+  });
+  applyQueue = run.catch(() => {});
+  return run;
+}
@@ -1,9 +1,33 @@
 // core/nl-executor.js — Natural language command filter + execution logic
 
-import { closeTabs, focusTab, createNativeGroup } from './tabs-api.js';
+import { closeTabs, focusTab, createNativeGroup, ungroupTabs } from './tabs-api.js';
 import { canonicalHostname, hostnameMatches } from './url-match.js';
+import { isChromeNewTabUrl, normalizeUrl } from './duplicates.js';
 
-const FILTER_KEYS = Object.freeze(['domain', 'titleContains', 'urlContains']);
+const TEXT_FILTER_KEYS = Object.freeze(['titleContains', 'urlContains']);
+const BOOLEAN_FILTER_KEYS = Object.freeze(['pinned', 'audible', 'discarded']);
+const MINUTE_FILTER_KEYS = Object.freeze(['lastAccessedOlderThan', 'lastAccessedNewerThan']);
+const REGEX_FILTER_KEYS = Object.freeze(['titleRegex', 'urlRegex']);
+const FILTER_KEYS = new Set([
+  'domain',
+  ...TEXT_FILTER_KEYS,
+  ...BOOLEAN_FILTER_KEYS,
+  ...MINUTE_FILTER_KEYS,
+  ...REGEX_FILTER_KEYS,
+  'windowIndex',
+  'inGroup',
+  'duplicateOf',
+  'anyOf',
+  'not',
+]);
+// Keys whose answer depends on the page title, at any nesting depth.
+const TITLE_FILTER_KEYS = new Set(['titleContains', 'titleRegex']);
+const MAX_FILTER_DEPTH = 4;
+const MAX_FILTER_NODES = 32;
+const MAX_FILTER_ANY_OF = 8;
+const MAX_FILTER_REGEX_LENGTH = 200;
+const MAX_FILTER_MINUTES = 525_600;
+const MAX_FILTER_WINDOW_INDEX = 50;
 const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
 
 function isPlainRecord(value) {
@@ -16,50 +40,188 @@ function isPlainRecord(value) {
   }
 }
 
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isValidRegexSource(value) {
+  if (!isNonEmptyString(value) || value.length > MAX_FILTER_REGEX_LENGTH) return false;
+  try {
+    new RegExp(value, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isValidDuplicateTarget(value) {
+  if (value === true) return true;
+  if (!isNonEmptyString(value)) return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(value.trim()).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isValidFilterValue(key, value, depth, budget) {
+  if (key === 'domain') return Boolean(canonicalHostname(value));
+  if (TEXT_FILTER_KEYS.includes(key) || key === 'inGroup') return isNonEmptyString(value);
+  if (BOOLEAN_FILTER_KEYS.includes(key)) return typeof value === 'boolean';
+  if (MINUTE_FILTER_KEYS.includes(key)) {
+    return Number.isInteger(value) && value >= 1 && value <= MAX_FILTER_MINUTES;
+  }
+  if (REGEX_FILTER_KEYS.includes(key)) return isValidRegexSource(value);
+  if (key === 'windowIndex') {
+    return Number.isInteger(value) && value >= 1 && value <= MAX_FILTER_WINDOW_INDEX;
+  }
+  if (key === 'duplicateOf') return isValidDuplicateTarget(value);
+  if (key === 'not') return isValidFilterNode(value, depth + 1, budget);
+  if (key === 'anyOf') {
+    return Array.isArray(value) && value.length >= 1 && value.length <= MAX_FILTER_ANY_OF &&
+      value.every((entry) => isValidFilterNode(entry, depth + 1, budget));
+  }
+  return false;
+}
+
+function isValidFilterNode(filter, depth, budget) {
+  if (!isPlainRecord(filter) || depth > MAX_FILTER_DEPTH) return false;
+  budget.nodes += 1;
+  if (budget.nodes > MAX_FILTER_NODES) return false;
+  const keys = Object.keys(filter);
+  if (keys.length === 0) return false;
+  // Unknown keys fail closed: a dropped "except pinned" must never widen a close.
+  return keys.every((key) => FILTER_KEYS.has(key) &&
+    isValidFilterValue(key, filter[key], depth, budget));
+}
+
+/**
+ * Validate an AI-parsed tab filter. Keys in one object combine with AND;
+ * `anyOf` (OR) and `not` nest further filters up to a fixed depth and size.
+ */
 export function isValidTabFilter(filter) {
+  return isValidFilterNode(filter, 1, { nodes: 0 });
+}
+
+export function filterUsesTitle(filter) {
   if (!isPlainRecord(filter)) return false;
+  return Object.keys(filter).some((key) => {
+    if (TITLE_FILTER_KEYS.has(key)) return true;
+    if (key === 'not') return filterUsesTitle(filter.not);
+    if (key === 'anyOf') return Array.isArray(filter.anyOf) && filter.anyOf.some(filterUsesTitle);
+    return false;
+  });
+}
 
-  let recognized = 0;
-  for (const key of FILTER_KEYS) {
-    if (!hasOwn(filter, key)) continue;
-    recognized++;
+function tabUrl(tab) {
+  const rawUrl = tab?.url || tab?.pendingUrl || '';
+  return typeof rawUrl === 'string' ? rawUrl : '';
+}
 
-    const value = filter[key];
-    if (key === 'domain') {
-      if (!canonicalHostname(value)) return false;
-    } else if (typeof value !== 'string' || value.trim().length === 0) {
-      return false;
+function buildFilterContext(tabs, { now = Date.now(), groups = [], urlNormalization = null } = {}) {
+  const windowIds = [...new Set(tabs.map((tab) => tab?.windowId).filter(Number.isInteger))]
+    .sort((left, right) => left - right);
+  const groupTitles = new Map();
+  for (const group of Array.isArray(groups) ? groups : []) {
+    if (Number.isInteger(group?.id) && typeof group.title === 'string') {
+      groupTitles.set(group.id, group.title.trim().toLowerCase());
     }
   }
+  const seenUrls = new Set();
+  const laterCopies = new Set();
+  for (const tab of tabs) {
+    const url = tabUrl(tab);
+    // Match the duplicate finder: Chrome's own new-tab pages are never copies.
+    if (!url || isChromeNewTabUrl(url)) continue;
+    const normalized = normalizeUrl(url, urlNormalization);
+    if (seenUrls.has(normalized)) laterCopies.add(tab);
+    else seenUrls.add(normalized);
+  }
+  return {
+    now,
+    windowIndex: new Map(windowIds.map((id, index) => [id, index + 1])),
+    groupTitles,
+    laterCopies,
+    urlNormalization,
+  };
+}
 
-  return recognized > 0;
+function matchesFilter(tab, filter, context) {
+  const rawUrl = tabUrl(tab);
+  const url = rawUrl.toLowerCase();
+  const title = typeof tab?.title === 'string' ? tab.title.toLowerCase() : '';
+
+  for (const [key, value] of Object.entries(filter)) {
+    switch (key) {
+      case 'domain':
+        if (!hostnameMatches(rawUrl, value)) return false;
+        break;
+      case 'titleContains':
+        if (!title.includes(value.toLowerCase())) return false;
+        break;
+      case 'urlContains':
+        if (!url.includes(value.toLowerCase())) return false;
+        break;
+      case 'pinned':
+      case 'audible':
+      case 'discarded':
+        if (Boolean(tab?.[key]) !== value) return false;
+        break;
+      case 'lastAccessedOlderThan':
+      case 'lastAccessedNewerThan': {
+        // Tabs without an access time cannot prove either side of the cutoff.
+        if (!Number.isFinite(tab?.lastAccessed)) return false;
+        const cutoff = context.now - value * 60_000;
+        const older = tab.lastAccessed < cutoff;
+        if (older !== (key === 'lastAccessedOlderThan')) return false;
+        break;
+      }
+      case 'titleRegex':
+        if (!new RegExp(value, 'i').test(tab?.title || '')) return false;
+        break;
+      case 'urlRegex':
+        if (!new RegExp(value, 'i').test(rawUrl)) return false;
+        break;
+      case 'windowIndex':
+        if (context.windowIndex.get(tab?.windowId) !== value) return false;
+        break;
+      case 'inGroup':
+        if (context.groupTitles.get(tab?.groupId) !== value.trim().toLowerCase()) return false;
+        break;
+      case 'duplicateOf':
+        if (value === true) {
+          if (!context.laterCopies.has(tab)) return false;
+        } else if (!rawUrl ||
+          normalizeUrl(rawUrl, context.urlNormalization) !== normalizeUrl(value.trim(), context.urlNormalization)) {
+          return false;
+        }
+        break;
+      case 'anyOf':
+        if (!value.some((entry) => matchesFilter(tab, entry, context))) return false;
+        break;
+      case 'not':
+        if (matchesFilter(tab, value, context)) return false;
+        break;
+    }
+  }
+  return true;
 }
 
 /**
  * Filter tabs based on an AI-parsed filter object.
- * @param {Array} tabs - All tabs
- * @param {Object} filter - { domain?, titleContains?, urlContains? }
+ * @param {Array} tabs - All tabs, in window/index order
+ * @param {Object} filter - See isValidTabFilter()
+ * @param {Object} [context] - { now, groups, urlNormalization } for time, tab-group
+ *   and duplicate predicates
  * @returns {Array} Matching tabs
  */
-export function filterTabs(tabs, filter) {
+export function filterTabs(tabs, filter, context = {}) {
   if (!Array.isArray(tabs) || !isValidTabFilter(filter)) return [];
-
-  const hasDomain = hasOwn(filter, 'domain');
-  const hasTitle = hasOwn(filter, 'titleContains');
-  const hasUrl = hasOwn(filter, 'urlContains');
-  const titleNeedle = hasTitle ? filter.titleContains.toLowerCase() : '';
-  const urlNeedle = hasUrl ? filter.urlContains.toLowerCase() : '';
+  const filterContext = buildFilterContext(tabs, context);
 
   return tabs.filter(t => {
     try {
-      const rawUrl = t?.url || t?.pendingUrl || '';
-      const url = typeof rawUrl === 'string' ? rawUrl.toLowerCase() : '';
-      const title = typeof t?.title === 'string' ? t.title.toLowerCase() : '';
-
-      if (hasDomain && !hostnameMatches(rawUrl, filter.domain)) return false;
-      if (hasTitle && !title.includes(titleNeedle)) return false;
-      if (hasUrl && !url.includes(urlNeedle)) return false;
-      return true;
+      return matchesFilter(t, filter, filterContext);
     } catch (error) {
       if (error instanceof TypeError) return false;
       throw error;
@@ -67,20 +229,150 @@ export function filterTabs(tabs, filter) {
   });
 }
 
+/**
+ * Actions that change or capture tabs in a way the user should approve first.
+ * The worker previews them and runs them only through `confirmNLCommand`.
+ */
+export const NL_CONFIRMED_ACTIONS = Object.freeze([
+  'close',
+  'stash',
+  'discard',
+  'reload',
+  'bookmark',
+  'saveSession',
+]);
+
+const NL_CONFIRMATION_VERBS = Object.freeze({
+  close: 'Close',
+  stash: 'Stash',
+  discard: 'Kebab (unload)',
+  reload: 'Reload',
+  bookmark: 'Bookmark',
+  saveSession: 'Save as a session',
+});
+
+// Reversible state toggles: action → [tab update property, target value, inverse action].
+const NL_TOGGLE_ACTIONS = Object.freeze({
+  pin: ['pinned', true, 'unpin'],
+  unpin: ['pinned', false, 'pin'],
+  mute: ['muted', true, 'unmute'],
+  unmute: ['muted', false, 'mute'],
+});
+const NL_GROUP_COLORS = new Set(['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange']);
+const MAX_NL_NAME_LENGTH = 200;
+const MAX_NL_UNDO_TABS = 1000;
+
+export function isConfirmedNLAction(action) {
+  return NL_CONFIRMED_ACTIONS.includes(action);
+}
+
+// Every tab-changing action can be a plan step; find and focus only make sense alone.
+const NL_PLAN_ACTIONS = new Set([
+  ...NL_CONFIRMED_ACTIONS,
+  'group',
+  'move',
+  ...Object.keys(NL_TOGGLE_ACTIONS),
+  'ungroup',
+]);
+const NL_PLAN_STEP_KEYS = new Set(['action', 'filter', 'groupName', 'color', 'name', 'tabIds']);
+export const MAX_NL_PLAN_STEPS = 6;
+
+function isOptionalName(value) {
+  return value === undefined || (typeof value === 'string' && value.length <= MAX_NL_NAME_LENGTH);
+}
+
+/**
+ * Reduce one AI-proposed plan step to its executable fields.
+ * @returns {Object|null} { action, filter, groupName?, color?, name? } or null when unusable
+ */
+export function toNLPlanStep(raw) {
+  if (!isPlainRecord(raw) || !NL_PLAN_ACTIONS.has(raw.action)) return null;
+  if (!isValidTabFilter(raw.filter)) return null;
+  const step = { action: raw.action, filter: raw.filter };
+  for (const key of ['groupName', 'name']) {
+    if (isNonEmptyString(raw[key])) step[key] = raw[key].trim().slice(0, MAX_NL_NAME_LENGTH);
+  }
+  if (NL_GROUP_COLORS.has(raw.color)) step.color = raw.color;
+  return step;
+}
+
+/** Validate a user-approved plan step echoed back from the side panel. */
+export function isValidNLPlanStep(step) {
+  if (!isPlainRecord(step) || !NL_PLAN_ACTIONS.has(step.action)) return false;
+  if (!Object.keys(step).every((key) => NL_PLAN_STEP_KEYS.has(key))) return false;
+  if (!isOptionalName(step.groupName) || !isOptionalName(step.name)) return false;
+  if (step.color !== undefined && !NL_GROUP_COLORS.has(step.color)) return false;
+  return isValidTabFilter(step.filter) && isTabIdList(step.tabIds);
+}
+
+export function defaultNLConfirmation(action, count) {
+  return `${NL_CONFIRMATION_VERBS[action] || action} ${count} tab(s)?`;
+}
+
+function commandName(parsed, fallback) {
+  const name = typeof parsed.name === 'string' ? parsed.name.trim() : '';
+  return name ? name.slice(0, MAX_NL_NAME_LENGTH) : fallback;
+}
+
+function tabStateValue(tab, property) {
+  return property === 'muted' ? tab.mutedInfo?.muted === true : tab[property] === true;
+}
+
+async function setTabState(tabs, action) {
+  const [property, value] = NL_TOGGLE_ACTIONS[action];
+  const changed = [];
+  for (const tab of tabs) {
+    if (tabStateValue(tab, property) === value) continue;
+    await chrome.tabs.update(tab.id, { [property]: value });
+    changed.push(tab.id);
+  }
+  return changed;
+}
+
+async function ungroupWithUndo(tabs) {
+  const byGroup = new Map();
+  for (const tab of tabs) {
+    if (!Number.isInteger(tab.groupId) || tab.groupId < 0) continue;
+    if (!byGroup.has(tab.groupId)) byGroup.set(tab.groupId, []);
+    byGroup.get(tab.groupId).push(tab);
+  }
+
+  const groups = [];
+  for (const [groupId, groupTabs] of byGroup) {
+    let meta = {};
+    try { meta = await chrome.tabGroups.get(groupId); } catch { /* group already gone */ }
+    groups.push({
+      groupId,
+      windowId: groupTabs[0].windowId,
+      title: typeof meta.title === 'string' ? meta.title.slice(0, MAX_NL_NAME_LENGTH) : '',
+      color: NL_GROUP_COLORS.has(meta.color) ? meta.color : 'grey',
+      collapsed: meta.collapsed === true,
+      tabIds: groupTabs.map((tab) => tab.id),
+    });
+  }
+  const tabIds = groups.flatMap((group) => group.tabIds);
+  if (tabIds.length > 0) await ungroupTabs(tabIds);
+  return { tabIds, groups };
+}
+
 /**
  * Execute a parsed NL command on matching tabs.
- * @param {Object} parsed - { action, filter, groupName?, color?, tabIds? }
+ * Capturing actions (stash, discard, bookmark, saveSession) delegate to the
+ * worker-owned operations so they share its locks and storage paths.
+ * @param {Object} parsed - { action, filter, groupName?, color?, name?, tabIds? }
  * @param {Array} tabs - The matching tabs
- * @returns {Promise<Object>} Result with { executed, message } or { error }
+ * @param {Object} [operations] - { closeTabs, stashTabs, discardTabs, saveSession, createBookmarks }
+ * @returns {Promise<Object>} Result with { executed, message, undo? } or { error }
  */
-export async function executeNLAction(parsed, tabs) {
+export async function executeNLAction(parsed, tabs, operations = {}) {
   const tabIds = Array.isArray(tabs)
     ? tabs.map((tab) => tab?.id).filter((tabId) => Number.isInteger(tabId))
     : [];
+  const liveTabs = Array.isArray(tabs) ? tabs.filter((tab) => Number.isInteger(tab?.id)) : [];
 
   switch (parsed.action) {
     case 'close':
-      await closeTabs(tabIds);
+      await (operations.closeTabs || closeTabs)(tabIds);
       return { executed: true, message: `Closed ${tabIds.length} tab(s)` };
 
     case 'group': {
@@ -120,7 +412,132 @@ export async function executeNLAction(parsed, tabs) {
         })),
       };
 
+    case 'pin':
+    case 'unpin':
+    case 'mute':
+    case 'unmute': {
+      const changed = await setTabState(liveTabs, parsed.action);
+      const verb = { pin: 'Pinned', unpin: 'Unpinned', mute: 'Muted', unmute: 'Unmuted' }[parsed.action];
+      if (changed.length === 0) return { executed: true, message: 'No tabs needed changing' };
+      return {
+        executed: true,
+        message: `${verb} ${changed.length} tab(s)`,
+        undo: { action: NL_TOGGLE_ACTIONS[parsed.action][2], tabIds: changed },
+      };
+    }
+
+    case 'ungroup': {
+      const { tabIds: ungrouped, groups } = await ungroupWithUndo(liveTabs);
+      if (ungrouped.length === 0) return { executed: true, message: 'No tabs were grouped' };
+      return {
+        executed: true,
+        message: `Ungrouped ${ungrouped.length} tab(s)`,
+        undo: { action: 'regroup', groups },
+      };
+    }
+
+    case 'reload':
+      for (const tabId of tabIds) await chrome.tabs.reload(tabId);
+      return { executed: true, message: `Reloaded ${tabIds.length} tab(s)` };
+
+    case 'stash': {
+      if (!operations.stashTabs) return { error: 'Stashing is not available' };
+      const result = await operations.stashTabs(liveTabs, commandName(parsed, 'Command stash'));
+      if (result.error) return result;
+      return { executed: true, message: `Stashed ${result.stash.tabCount} tab(s) as "${result.stash.name}"` };
+    }
+
+    case 'discard': {
+      if (!operations.discardTabs) return { error: 'Kebab is not available' };
+      const result = await operations.discardTabs(liveTabs);
+      const skipped = result.skipped > 0 ? `, skipped ${result.skipped}` : '';
+      return { executed: true, message: `Kebabbed ${result.discarded} tab(s)${skipped}` };
+    }
+
+    case 'bookmark': {
+      if (!operations.createBookmarks) return { error: 'Bookmarking is not available' };
+      const result = await operations.createBookmarks(liveTabs);
+      if (result.error) return result;
+      if (!result.created) return { error: result.chromeError || 'No bookmark destination was saved' };
+      return {
+        executed: true,
+        message: `Bookmarked ${tabIds.length} tab(s) to ${result.destinations.join(', ')}`,
+      };
+    }
+
+    case 'saveSession': {
+      if (!operations.saveSession) return { error: 'Saving sessions is not available' };
+      const name = commandName(parsed, `Command session ${new Date().toLocaleString()}`);
+      const result = await operations.saveSession(liveTabs, name);
+      if (result.error) return result;
+      return { executed: true, message: `Saved ${tabIds.length} tab(s) as "${name}"` };
+    }
+
     default:
       return { error: `Unknown action: ${parsed.action}` };
   }
 }
+
+function isTabIdList(value) {
+  return Array.isArray(value) &&
+    value.length > 0 &&
+    value.length <= MAX_NL_UNDO_TABS &&
+    value.every((tabId) => Number.isInteger(tabId) && tabId >= 0) &&
+    new Set(value).size === value.length;
+}
+
+function isValidUndoGroup(group) {
+  if (!isPlainRecord(group)) return false;
+  const keys = Object.keys(group).sort().join(',');
+  if (keys !== 'collapsed,color,groupId,tabIds,title,windowId') return false;
+  return Number.isInteger(group.groupId) && group.groupId >= 0 &&
+    Number.isInteger(group.windowId) && group.windowId >= 0 &&
+    typeof group.title === 'string' && group.title.length <= MAX_NL_NAME_LENGTH &&
+    NL_GROUP_COLORS.has(group.color) &&
+    typeof group.collapsed === 'boolean' &&
+    isTabIdList(group.tabIds);
+}
+
+/** Validate an `undo` payload previously returned by executeNLAction. */
+export function isValidNLUndo(undo) {
+  if (!isPlainRecord(undo)) return false;
+  if (hasOwn(NL_TOGGLE_ACTIONS, undo.action)) {
+    return Object.keys(undo).length === 2 && isTabIdList(undo.tabIds);
+  }
+  if (undo.action !== 'regroup' || Object.keys(undo).length !== 2) return false;
+  if (!Array.isArray(undo.groups) || undo.groups.length === 0) return false;
+  if (!undo.groups.every(isValidUndoGroup)) return false;
+  const allIds = undo.groups.flatMap((group) => group.tabIds);
+  return allIds.length <= MAX_NL_UNDO_TABS && new Set(allIds).size === allIds.length;
+}
+
+/**
+ * Reverse a reversible NL action. Tabs closed since then are skipped; a group
+ * that no longer exists is recreated with its recorded title and color.
+ * @returns {Promise<Object>} { undone, message }
+ */
+export async function undoNLAction(undo) {
+  const liveById = new Map((await chrome.tabs.query({})).map((tab) => [tab.id, tab]));
+
+  if (undo.action !== 'regroup') {
+    const liveTabs = undo.tabIds.map((tabId) => liveById.get(tabId)).filter(Boolean);
+    const changed = await setTabState(liveTabs, undo.action);
+    return { undone: true, message: `Restored ${changed.length} tab(s)` };
+  }
+
+  let restored = 0;
+  for (const group of undo.groups) {
+    const tabIds = group.tabIds.filter((tabId) => liveById.get(tabId)?.windowId === group.windowId);
+    if (tabIds.length === 0) continue;
+    let existing = null;
+    try { existing = await chrome.tabGroups.get(group.groupId); } catch { /* recreate below */ }
+    if (existing && existing.windowId === group.windowId) {
+      await chrome.tabs.group({ groupId: group.groupId, tabIds });
+    } else {
+      const groupId = await createNativeGroup(tabIds, group.title, group.color);
+      if (group.collapsed) await chrome.tabGroups.update(groupId, { collapsed: true });
+    }
+    restored += tabIds.length;
+  }
+  return { undone: true, message: `Regrouped ${restored} tab(s)` };
+}
@@ -0,0 +1,169 @@
+// core/recovery-journal.js — Rolling record of open tabs for close and crash recovery
+//
+// The worker rewrites `recoveryJournal` shortly after tabs, groups or windows
+// change, so it trails the browser by seconds instead of the hour or more
+// between auto-saves. Each write compares the journal with what is open:
+//   - a window in the journal that is gone was closed; if any of its tabs
+//     are not open elsewhere, it becomes a 'window-closed' recovery point
+//   - a journal written in an earlier browser run (storage.session is empty
+//     again after a restart or crash) becomes a 'startup' recovery point
+//     when some of its tabs did not come back
+// A recovery point holds only restorable tabs, in the session v2 `windows`
+// shape, and is recovered through restoreTabWindows, which skips any tab
+// that is open again by then.
+
+import { Storage } from './storage.js';
+import { getAllTabs } from './tabs-api.js';
+import { captureSessionWindows } from './sessions.js';
+import { isRestorableUrl, restoreTabWindows } from './tab-restore.js';
+
+export const RECOVERY_JOURNAL_KEY = 'recoveryJournal';
+export const RECOVERY_POINTS_KEY = 'recoveryPoints';
+export const RECOVERY_RUN_KEY = 'recoveryJournalRun';
+export const MAX_RECOVERY_POINTS = 10;
+
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// storage.session outlives worker restarts but not the browser, so a
+// missing run ID means this is the first write since Chrome started.
+async function currentRunId() {
+  const stored = await chrome.storage.session.get(RECOVERY_RUN_KEY);
+  if (stored[RECOVERY_RUN_KEY]) return stored[RECOVERY_RUN_KEY];
+  const runId = generateId();
+  await chrome.storage.session.set({ [RECOVERY_RUN_KEY]: runId });
+  return runId;
+}
+
+async function captureLiveState() {
+  const tabs = await getAllTabs({ allWindows: true });
+  const tabsByWindow = new Map();
+  for (const tab of tabs) {
+    if (!tabsByWindow.has(tab.windowId)) tabsByWindow.set(tab.windowId, []);
+    tabsByWindow.get(tab.windowId).push(tab);
+  }
+  const windows = [];
+  for (const [windowId, windowTabs] of tabsByWindow) {
+    const [savedWindow] = await captureSessionWindows(windowTabs);
+    if (savedWindow) windows.push({ windowId, ...savedWindow });
+  }
+  return {
+    windows,
+    windowIds: new Set(tabsByWindow.keys()),
+    openUrls: new Set(tabs.map((tab) => tab.url)),
+  };
+}
+
+// Keep the tabs a restore can reopen, and the groups they still use.
+function restorableWindows(windows) {
+  const result = [];
+  for (const { windowId, ...savedWindow } of windows) {
+    const tabs = savedWindow.tabs.filter((tab) => isRestorableUrl(tab.url));
+    if (tabs.length === 0) continue;
+    const next = { ...savedWindow, tabCount: tabs.length, tabs };
+    const used = new Set(tabs.map((tab) => tab.groupId));
+    const groups = (savedWindow.groups || []).filter((group) => used.has(group.id));
+    if (groups.length > 0) next.groups = groups;
+    else delete next.groups;
+    result.push(next);
+  }
+  return result;
+}
+
+function countMissing(windows, openUrls) {
+  return windows.reduce(
+    (count, savedWindow) => count + savedWindow.tabs.filter((tab) => !openUrls.has(tab.url)).length,
+    0,
+  );
+}
+
+function createPoint(reason, windows, createdAt) {
+  return {
+    id: generateId(),
+    reason,
+    createdAt,
+    tabCount: windows.reduce((count, savedWindow) => count + savedWindow.tabCount, 0),
+    windows,
+  };
+}
+
+/**
+ * Write the live tab state to the journal, first turning whatever it shows
+ * was lost since the last write into recovery points. Returns how many
+ * points were added; an unchanged state is not rewritten.
+ */
+export async function recordLiveState(now = Date.now()) {
+  const [runId, stored, live] = await Promise.all([
+    currentRunId(),
+    Storage.getMany([RECOVERY_JOURNAL_KEY, RECOVERY_POINTS_KEY]),
+    captureLiveState(),
+  ]);
+  const journal = stored[RECOVERY_JOURNAL_KEY] ?? null;
+  const added = [];
+
+  if (journal && journal.runId !== runId) {
+    const windows = restorableWindows(journal.windows);
+    if (countMissing(windows, live.openUrls) > 0) added.push(createPoint('startup', windows, now));
+  } else if (journal) {
+    for (const savedWindow of journal.windows) {
+      if (live.windowIds.has(savedWindow.windowId)) continue;
+      const windows = restorableWindows([savedWindow]);
+      if (countMissing(windows, live.openUrls) > 0) added.push(createPoint('window-closed', windows, now));
+    }
+  }
+
+  const unchanged = journal?.runId === runId &&
+    JSON.stringify(journal.windows) === JSON.stringify(live.windows);
+  if (unchanged && added.length === 0) return { addedPoints: 0 };
+
+  const values = { [RECOVERY_JOURNAL_KEY]: { runId, updatedAt: now, windows: live.windows } };
+  if (added.length > 0) {
+    const points = stored[RECOVERY_POINTS_KEY] || [];
+    values[RECOVERY_POINTS_KEY] = [...added.reverse(), ...points].slice(0, MAX_RECOVERY_POINTS);
+  }
+  await Storage.setMany(values);
+  return { addedPoints: added.length };
+}
+
+/**
+ * List recovery points, newest first, with how many of their tabs are not
+ * open right now. Points whose tabs are all open again are left out.
+ */
+export async function listRecoveryPoints() {
+  const [points, tabs] = await Promise.all([
+    Storage.get(RECOVERY_POINTS_KEY),
+    getAllTabs({ allWindows: true }),
+  ]);
+  const openUrls = new Set(tabs.map((tab) => tab.url));
+  return (points || [])
+    .map(({ windows, ...point }) => ({
+      ...point,
+      windowCount: windows.length,
+      missingCount: countMissing(windows, openUrls),
+    }))
+    .filter((point) => point.missingCount > 0);
+}
+
+async function removePoint(pointId) {
+  const points = (await Storage.get(RECOVERY_POINTS_KEY)) || [];
+  await Storage.set(RECOVERY_POINTS_KEY, points.filter((point) => point.id !== pointId));
+}
+
+/**
+ * Reopen a recovery point's windows. The point is removed once every tab is
+ * open, and kept after an incomplete restore so it can be tried again.
+ */
+export async function recoverPoint(pointId, { mode = 'windows' } = {}) {
+  const points = (await Storage.get(RECOVERY_POINTS_KEY)) || [];
+  const point = points.find((entry) => entry.id === pointId);
+  if (!point) throw new Error('Recovery point not found');
+  const outcome = await restoreTabWindows(point.windows, { mode });
+  if (outcome.complete) await removePoint(pointId);
+  return outcome;
+}
+
+export async function dismissRecoveryPoint(pointId) {
+  await removePoint(pointId);
+  return { success: true };
+}
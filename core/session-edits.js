@@ -0,0 +1,147 @@
+// core/session-edits.js — Pure edits to a saved session's windows
+//
+// The session editor sends one edit at a time, addressing tabs by window and
+// tab index. Edits that touch an existing tab also carry its URL, so an edit
+// made against a stale view fails instead of changing the wrong tab.
+//
+//   { type: 'removeTab', window, index, url }
+//   { type: 'moveTab', window, index, url, toWindow, toIndex }
+//   { type: 'updateGroup', window, groupId, title?, color? }
+//   { type: 'addTab', window, url, title? }
+//
+// `toIndex` is the slot the tab is dropped before, counted before the tab
+// leaves its old place. A `toWindow` or `window` one past the last window
+// opens a new window.
+
+import { MAX_CAPTURED_GROUP_TITLE_LENGTH } from './capture-limits.js';
+import { isRestorableUrl, sanitizeCapturedTab } from './tab-restore.js';
+
+export const SESSION_GROUP_COLORS = Object.freeze([
+  'grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange',
+]);
+
+const COLOR_SET = new Set(SESSION_GROUP_COLORS);
+const EDIT_FIELDS = {
+  removeTab: ['type', 'window', 'index', 'url'],
+  moveTab: ['type', 'window', 'index', 'url', 'toWindow', 'toIndex'],
+  updateGroup: ['type', 'window', 'groupId', 'title', 'color'],
+  addTab: ['type', 'window', 'url', 'title'],
+};
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function requireIndex(value, max, label) {
+  if (!Number.isSafeInteger(value) || value < 0 || value > max) {
+    throw new TypeError(`Session edit ${label} is out of range`);
+  }
+  return value;
+}
+
+function windowTabs(savedWindow) {
+  return Array.isArray(savedWindow?.tabs) ? savedWindow.tabs : [];
+}
+
+function findTab(windows, edit) {
+  const windowIndex = requireIndex(edit.window, windows.length - 1, 'window');
+  const tabs = windowTabs(windows[windowIndex]);
+  const tabIndex = requireIndex(edit.index, tabs.length - 1, 'tab');
+  if (tabs[tabIndex].url !== edit.url) {
+    throw new Error('Session tab no longer matches; reopen the editor');
+  }
+  return { windowIndex, tabIndex };
+}
+
+// Recount tabs, forget groups no tab points at, and drop emptied windows.
+function tidyWindows(windows) {
+  const tidy = [];
+  for (const savedWindow of windows) {
+    const tabs = windowTabs(savedWindow);
+    if (tabs.length === 0) continue;
+    const next = { ...savedWindow, tabCount: tabs.length, tabs };
+    if (Array.isArray(savedWindow.groups)) {
+      const used = new Set(tabs.map((tab) => tab.groupId));
+      const groups = savedWindow.groups.filter((group) => used.has(group.id));
+      if (groups.length > 0) next.groups = groups;
+      else delete next.groups;
+    }
+    tidy.push(next);
+  }
+  if (tidy.length === 0) throw new Error('A session needs at least one tab; delete it instead');
+  return tidy;
+}
+
+function removeTab(windows, edit) {
+  const { windowIndex, tabIndex } = findTab(windows, edit);
+  windows[windowIndex].tabs.splice(tabIndex, 1);
+}
+
+function moveTab(windows, edit) {
+  const { windowIndex, tabIndex } = findTab(windows, edit);
+  const toWindow = requireIndex(edit.toWindow, windows.length, 'target window');
+  if (toWindow === windows.length) windows.push({ tabs: [] });
+  const target = windows[toWindow];
+  if (!Array.isArray(target.tabs)) target.tabs = [];
+  let toIndex = requireIndex(edit.toIndex, target.tabs.length, 'target slot');
+
+  const [tab] = windows[windowIndex].tabs.splice(tabIndex, 1);
+  if (toWindow === windowIndex) {
+    if (toIndex > tabIndex) toIndex -= 1;
+  } else {
+    // Saved groups belong to one window, as in Chrome.
+    delete tab.groupId;
+  }
+  target.tabs.splice(toIndex, 0, tab);
+}
+
+function updateGroup(windows, edit) {
+  const windowIndex = requireIndex(edit.window, windows.length - 1, 'window');
+  const group = (windows[windowIndex].groups || []).find(({ id }) => id === edit.groupId);
+  if (!group) throw new Error('Saved group not found');
+  if (edit.title !== undefined) {
+    if (typeof edit.title !== 'string') throw new TypeError('Group title must be text');
+    const title = edit.title.trim();
+    if (title.length > MAX_CAPTURED_GROUP_TITLE_LENGTH) {
+      throw new TypeError(`Group title must be at most ${MAX_CAPTURED_GROUP_TITLE_LENGTH} characters`);
+    }
+    group.title = title;
+  }
+  if (edit.color !== undefined) {
+    if (!COLOR_SET.has(edit.color)) throw new TypeError('Group color is not a Chrome group color');
+    group.color = edit.color;
+  }
+}
+
+function addTab(windows, edit) {
+  const windowIndex = requireIndex(edit.window, windows.length, 'window');
+  const url = typeof edit.url === 'string' ? edit.url.trim() : '';
+  if (!isRestorableUrl(url)) throw new TypeError('Enter a full web address, such as https://example.com');
+  if (edit.title !== undefined && typeof edit.title !== 'string') throw new TypeError('Tab title must be text');
+  const tab = sanitizeCapturedTab({ url, title: edit.title?.trim() || url, favIconUrl: '', pinned: false });
+  if (!tab) throw new TypeError('Tab address is too long');
+  if (windowIndex === windows.length) windows.push({ tabs: [] });
+  const target = windows[windowIndex];
+  target.tabs = [...windowTabs(target), tab];
+}
+
+const HANDLERS = { removeTab, moveTab, updateGroup, addTab };
+
+/**
+ * Apply one editor edit to a session's v2 `windows`. The input is not
+ * modified; the returned windows have fresh tab counts.
+ */
+export function applySessionEdit(windows, edit) {
+  if (!isPlainRecord(edit) || !Object.hasOwn(HANDLERS, edit.type)) {
+    throw new TypeError('Session edit type must be removeTab, moveTab, updateGroup or addTab');
+  }
+  const allowed = new Set(EDIT_FIELDS[edit.type]);
+  for (const key of Object.keys(edit)) {
+    if (!allowed.has(key)) throw new TypeError(`Unknown ${edit.type} field: ${key}`);
+  }
+  const next = structuredClone(windows);
+  HANDLERS[edit.type](next, edit);
+  return tidyWindows(next);
+}
@@ -0,0 +1,116 @@
+// core/session-metadata.js — Bounds for user-edited session metadata
+//
+// A saved session may carry, next to its captured `windows`:
+//   notes    free-form text
+//   tags     distinct labels, compared case-insensitively
+//   folder   one folder name; absent when the session is unfiled
+//   pinned   true when the session is listed first; absent otherwise
+//   metadataModifiedAt  when the name or any field above last changed
+// `metadataModifiedAt` lets Drive sync keep a rename or retag from one device
+// when another device changed the session's tabs later.
+
+export const MAX_SESSION_NAME_LENGTH = 200;
+export const MAX_SESSION_NOTES_LENGTH = 2000;
+export const MAX_SESSION_TAGS = 20;
+export const MAX_SESSION_TAG_LENGTH = 40;
+export const MAX_SESSION_FOLDER_LENGTH = 60;
+
+// Fields a metadata edit replaces as a unit during sync.
+export const SESSION_METADATA_FIELDS = Object.freeze(['name', 'notes', 'tags', 'folder', 'pinned']);
+
+const EDITABLE_FIELDS = new Set(SESSION_METADATA_FIELDS);
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function boundedText(value, label, maxLength) {
+  if (typeof value !== 'string') throw new TypeError(`Session ${label} must be text`);
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) throw new TypeError(`Session ${label} must be at most ${maxLength} characters`);
+  return trimmed;
+}
+
+function normalizeTags(value) {
+  if (!Array.isArray(value)) throw new TypeError('Session tags must be an array');
+  const tags = [];
+  const seen = new Set();
+  for (const entry of value) {
+    const tag = boundedText(entry, 'tag', MAX_SESSION_TAG_LENGTH);
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  }
+  if (tags.length > MAX_SESSION_TAGS) throw new TypeError(`A session has at most ${MAX_SESSION_TAGS} tags`);
+  return tags;
+}
+
+/**
+ * Validate a partial metadata edit. Returns only the fields given, trimmed;
+ * an empty notes, folder or tag list and `pinned: false` come back as
+ * `undefined`, meaning the field is removed.
+ */
+export function normalizeSessionMetadataChanges(changes) {
+  if (!isPlainRecord(changes)) throw new TypeError('Session changes must be a plain object');
+  const keys = Object.keys(changes);
+  if (keys.length === 0) throw new TypeError('Session changes are empty');
+  const output = {};
+  for (const key of keys) {
+    if (!EDITABLE_FIELDS.has(key)) throw new TypeError(`Unknown session field: ${key}`);
+    const value = changes[key];
+    if (key === 'name') {
+      const name = boundedText(value, 'name', MAX_SESSION_NAME_LENGTH);
+      if (!name) throw new TypeError('Session name must not be empty');
+      output.name = name;
+    } else if (key === 'notes') {
+      output.notes = boundedText(value, 'notes', MAX_SESSION_NOTES_LENGTH) || undefined;
+    } else if (key === 'folder') {
+      output.folder = value === null ? undefined : boundedText(value, 'folder', MAX_SESSION_FOLDER_LENGTH) || undefined;
+    } else if (key === 'tags') {
+      const tags = normalizeTags(value);
+      output.tags = tags.length > 0 ? tags : undefined;
+    } else {
+      if (typeof value !== 'boolean') throw new TypeError('Session pinned must be a boolean');
+      output.pinned = value || undefined;
+    }
+  }
+  return output;
+}
+
+/**
+ * Check the metadata a stored or imported session carries. Returns a message
+ * naming the first problem, or null. Callers wrap it in their own error.
+ */
+export function findSessionMetadataProblem(session) {
+  if (Object.hasOwn(session, 'notes') &&
+      (typeof session.notes !== 'string' || session.notes.length > MAX_SESSION_NOTES_LENGTH)) {
+    return `notes must be text of at most ${MAX_SESSION_NOTES_LENGTH} characters`;
+  }
+  if (Object.hasOwn(session, 'folder') &&
+      (typeof session.folder !== 'string' || session.folder.length === 0 ||
+        session.folder.length > MAX_SESSION_FOLDER_LENGTH)) {
+    return `folder must be a non-empty name of at most ${MAX_SESSION_FOLDER_LENGTH} characters`;
+  }
+  if (Object.hasOwn(session, 'tags')) {
+    const { tags } = session;
+    if (!Array.isArray(tags) || tags.length > MAX_SESSION_TAGS) {
+      return `tags must be an array of at most ${MAX_SESSION_TAGS} entries`;
+    }
+    const seen = new Set();
+    for (const tag of tags) {
+      if (typeof tag !== 'string' || tag.length === 0 || tag.length > MAX_SESSION_TAG_LENGTH) {
+        return `tags must be non-empty text of at most ${MAX_SESSION_TAG_LENGTH} characters`;
+      }
+      if (seen.has(tag.toLowerCase())) return `tags contain duplicate ${tag}`;
+      seen.add(tag.toLowerCase());
+    }
+  }
+  if (Object.hasOwn(session, 'pinned') && session.pinned !== true) return 'pinned must be true when present';
+  if (Object.hasOwn(session, 'metadataModifiedAt') &&
+      (!Number.isSafeInteger(session.metadataModifiedAt) || session.metadataModifiedAt < 0)) {
+    return 'metadataModifiedAt is not a valid timestamp';
+  }
+  return null;
+}
@@ -10,6 +10,7 @@ import {
 import {
   DRIVE_TOMBSTONES_KEY,
   MAX_DRIVE_STRING_LENGTH,
+  MAX_DRIVE_TABS_PER_ENTITY,
   MAX_DRIVE_TIMESTAMP,
   canonicalizeLocalSessions,
   canonicalizeLocalDriveSyncDocument,
@@ -20,6 +21,10 @@ import {
   recordDeletionTombstones,
 } from './drive-sync.js';
 import { MAX_CAPTURED_TEXT_LENGTH } from './capture-limits.js';
+import { normalizeUrl } from './duplicates.js';
+import { getUrlNormalization } from './url-normalization.js';
+import { SESSION_METADATA_FIELDS, normalizeSessionMetadataChanges } from './session-metadata.js';
+import { applySessionEdit } from './session-edits.js';
 
 const DANGEROUS_PORTABLE_IDS = new Set(['__proto__', 'constructor', 'prototype']);
 
@@ -84,7 +89,7 @@ function migrateV1toV2(session) {
     windows.push({ tabCount: tabs.length, tabs });
   }
 
-  return {
+  const migrated = {
     id: session.id,
     name: session.name,
     version: 2,
@@ -92,16 +97,19 @@ function migrateV1toV2(session) {
     modifiedAt: session.modifiedAt,
     windows,
   };
+  for (const field of [...SESSION_METADATA_FIELDS, 'metadataModifiedAt']) {
+    if (Object.hasOwn(session, field)) migrated[field] = session[field];
+  }
+  return migrated;
 }
 
 // ── Save ──
 
-export async function saveSession(name, allWindows = true) {
-  const sessionName = typeof name === 'string'
-    ? name.slice(0, MAX_CAPTURED_TEXT_LENGTH)
-    : name;
-  const tabs = await getAllTabs({ allWindows });
-
+/**
+ * Capture tabs into the session v2 `windows` shape, with group metadata.
+ * Tabs whose URL cannot be stored are skipped.
+ */
+export async function captureSessionWindows(tabs) {
   // Query all Chrome tab groups for group metadata
   let chromeGroups = [];
   try {
@@ -161,6 +169,16 @@ export async function saveSession(name, allWindows = true) {
 
     windows.push(winObj);
   }
+  return windows;
+}
+
+export async function saveSession(name, allWindows = true, sourceTabs = null) {
+  const sessionName = typeof name === 'string'
+    ? name.slice(0, MAX_CAPTURED_TEXT_LENGTH)
+    : name;
+  // Callers may capture a chosen subset (e.g. tabs matched by a command).
+  const tabs = sourceTabs ?? await getAllTabs({ allWindows });
+  const windows = await captureSessionWindows(tabs);
 
   if (windows.length === 0) {
     return { error: 'No stashable tabs in session' };
@@ -195,6 +213,223 @@ export async function restoreSession(sessionId, options = {}) {
   return restoreTabWindows(session.windows || [], options);
 }
 
+// ── Diff ──
+
+function flattenSessionTabs(windows, urlNormalization) {
+  const tabs = [];
+  windows.forEach((window, windowIndex) => {
+    const groupTitles = new Map((Array.isArray(window?.groups) ? window.groups : [])
+      .map((group) => [group.id, group.title || '']));
+    (Array.isArray(window?.tabs) ? window.tabs : []).forEach((tab, index) => {
+      if (typeof tab?.url !== 'string') return;
+      tabs.push({
+        url: tab.url,
+        title: tab.title || '',
+        favIconUrl: tab.favIconUrl || '',
+        pinned: tab.pinned === true,
+        windowIndex,
+        index,
+        group: groupTitles.has(tab.groupId) ? groupTitles.get(tab.groupId) : null,
+        key: normalizeUrl(tab.url, urlNormalization),
+      });
+    });
+  });
+  return tabs;
+}
+
+// Pair tabs by URL; repeated copies pair up in order.
+function pairTabs(beforeTabs, afterTabs) {
+  const waiting = new Map();
+  for (const tab of afterTabs) {
+    if (!waiting.has(tab.key)) waiting.set(tab.key, []);
+    waiting.get(tab.key).push(tab);
+  }
+  const pairs = [];
+  const removed = [];
+  for (const tab of beforeTabs) {
+    const match = waiting.get(tab.key)?.shift();
+    if (match) pairs.push([tab, match]);
+    else removed.push(tab);
+  }
+  const added = [...waiting.values()].flat().sort((a, b) => a.windowIndex - b.windowIndex || a.index - b.index);
+  return { pairs, removed, added };
+}
+
+// Windows carry no stable ID, so each later window is matched to the earlier
+// window it shares the most tabs with.
+function mapWindows(pairs) {
+  const overlap = new Map();
+  for (const [before, after] of pairs) {
+    const key = `${before.windowIndex}:${after.windowIndex}`;
+    overlap.set(key, (overlap.get(key) || 0) + 1);
+  }
+  const mapping = new Map();
+  const usedBefore = new Set();
+  const ranked = [...overlap.entries()].sort((a, b) => b[1] - a[1]);
+  for (const [key] of ranked) {
+    const [beforeIndex, afterIndex] = key.split(':').map(Number);
+    if (mapping.has(afterIndex) || usedBefore.has(beforeIndex)) continue;
+    mapping.set(afterIndex, beforeIndex);
+    usedBefore.add(beforeIndex);
+  }
+  return mapping;
+}
+
+// Indexes (into `values`) of one longest strictly increasing subsequence.
+function longestIncreasingRun(values) {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+  for (let i = 0; i < values.length; i++) {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < values[i]) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[i] = tails[low - 1];
+    tails[low] = i;
+  }
+  const run = new Set();
+  for (let i = tails.at(-1) ?? -1; i >= 0; i = previous[i]) run.add(i);
+  return run;
+}
+
+function findMovedPairs(pairs) {
+  const windowMap = mapWindows(pairs);
+  const moved = [];
+  const stayed = new Map();
+  for (const pair of pairs) {
+    const [before, after] = pair;
+    if (windowMap.get(after.windowIndex) !== before.windowIndex) {
+      moved.push(pair);
+      continue;
+    }
+    if (!stayed.has(before.windowIndex)) stayed.set(before.windowIndex, []);
+    stayed.get(before.windowIndex).push(pair);
+  }
+  // Within a window, the fewest tabs that explain the new order are the moved ones.
+  for (const windowPairs of stayed.values()) {
+    const keep = longestIncreasingRun(windowPairs.map(([, after]) => after.index));
+    windowPairs.forEach((pair, index) => {
+      if (!keep.has(index)) moved.push(pair);
+    });
+  }
+  return moved.sort(([a], [b]) => a.windowIndex - b.windowIndex || a.index - b.index);
+}
+
+function summarizeGroups(windows) {
+  const groups = new Map();
+  for (const window of windows) {
+    for (const group of Array.isArray(window?.groups) ? window.groups : []) {
+      const title = group.title || '';
+      const tabCount = (window.tabs || []).filter((tab) => tab.groupId === group.id).length;
+      const existing = groups.get(title);
+      if (existing) existing.tabCount += tabCount;
+      else groups.set(title, { title, color: group.color || 'grey', tabCount });
+    }
+  }
+  return groups;
+}
+
+function diffGroups(beforeWindows, afterWindows) {
+  const before = summarizeGroups(beforeWindows);
+  const after = summarizeGroups(afterWindows);
+  const result = { added: [], removed: [], changed: [] };
+  for (const [title, group] of before) {
+    const next = after.get(title);
+    if (!next) result.removed.push(group);
+    else if (next.color !== group.color || next.tabCount !== group.tabCount) {
+      result.changed.push({ title, before: group, after: next });
+    }
+  }
+  for (const [title, group] of after) {
+    if (!before.has(title)) result.added.push(group);
+  }
+  return result;
+}
+
+function publicTab({ key, ...tab }) {
+  return tab;
+}
+
+/**
+ * Compare two session `windows` arrays. Tabs pair by URL, compared with the
+ * given normalization profile; a paired tab is moved when it changed window or
+ * fell out of the longest run of tabs that kept their relative order. Groups
+ * are compared by title.
+ * @returns {{ added, removed, moved, unchanged, groups: { added, removed, changed } }}
+ */
+export function diffSessionWindows(beforeWindows, afterWindows, urlNormalization = null) {
+  const { pairs, removed, added } = pairTabs(
+    flattenSessionTabs(beforeWindows, urlNormalization),
+    flattenSessionTabs(afterWindows, urlNormalization),
+  );
+  const moved = findMovedPairs(pairs);
+  return {
+    added: added.map(publicTab),
+    removed: removed.map(publicTab),
+    moved: moved.map(([before, after]) => ({
+      ...publicTab(after),
+      from: { windowIndex: before.windowIndex, index: before.index },
+    })),
+    unchanged: pairs.length - moved.length,
+    groups: diffGroups(beforeWindows, afterWindows),
+  };
+}
+
+async function loadSessionForDiff(sessionId) {
+  const sessions = (await Storage.get('sessions')) || [];
+  const stored = sessions.find((session) => session.id === sessionId);
+  if (!stored) throw new Error('Session not found');
+  return migrateV1toV2(stored);
+}
+
+// A null `toId` compares against the live browser. The saved normalization
+// profile is loaded once so both sides pair tabs the way duplicates do.
+async function loadDiffSides(fromId, toId) {
+  const from = await loadSessionForDiff(fromId);
+  const urlNormalization = await getUrlNormalization();
+  if (toId !== null) return { from, to: await loadSessionForDiff(toId), urlNormalization };
+  const windows = await captureSessionWindows(await getAllTabs({ allWindows: true }));
+  return { from, to: { id: null, name: 'Open tabs', createdAt: Date.now(), windows }, urlNormalization };
+}
+
+/**
+ * Diff a saved session against a later session, or the live browser when
+ * `toId` is null.
+ */
+export async function diffSessions(fromId, toId = null) {
+  const { from, to, urlNormalization } = await loadDiffSides(fromId, toId);
+  return {
+    from: { id: from.id, name: from.name, createdAt: from.createdAt },
+    to: { id: to.id, name: to.name, createdAt: to.createdAt },
+    ...diffSessionWindows(from.windows || [], to.windows || [], urlNormalization),
+  };
+}
+
+/**
+ * Reopen only the tabs present in `fromId` but missing from `toId` (or from
+ * the live browser), keeping their source windows and groups. The diff is
+ * recomputed here so a stale panel view cannot restore the wrong tabs.
+ */
+export async function restoreRemovedTabs(fromId, toId = null, options = {}) {
+  const { from, to, urlNormalization } = await loadDiffSides(fromId, toId);
+  const fromWindows = from.windows || [];
+  const { removed } = pairTabs(
+    flattenSessionTabs(fromWindows, urlNormalization),
+    flattenSessionTabs(to.windows || [], urlNormalization),
+  );
+  const wanted = new Set(removed.map((tab) => `${tab.windowIndex}:${tab.index}`));
+  const windows = fromWindows
+    .map((window, windowIndex) => ({
+      ...window,
+      tabs: (window.tabs || []).filter((_, index) => wanted.has(`${windowIndex}:${index}`)),
+    }))
+    .filter((window) => window.tabs.length > 0);
+  return restoreTabWindows(windows, options);
+}
+
 // ── List / Delete ──
 
 export async function listSessions() {
@@ -203,6 +438,87 @@ export async function listSessions() {
   return sessions.map(migrateV1toV2);
 }
 
+/**
+ * Load one stored session, replace it with `update(current)` stamped with a
+ * `modifiedAt` newer than the stored one, and return the result.
+ */
+async function updateStoredSession(sessionId, modifiedAt, update) {
+  validateSessionId(sessionId);
+  if (!isValidEntityTimestamp(modifiedAt)) {
+    throw new TypeError('Session edit timestamp must be a non-negative safe integer');
+  }
+
+  const sessions = (await Storage.get('sessions')) || [];
+  const index = sessions.findIndex((session) => session?.id === sessionId);
+  if (index === -1) throw new Error('Session not found');
+
+  const current = sessions[index];
+  const timestamp = Math.min(Math.max(modifiedAt, getDriveEntityTimestamp(current) + 1), MAX_DRIVE_TIMESTAMP);
+  const updated = { ...update(current, timestamp), modifiedAt: timestamp };
+
+  const next = [...sessions];
+  next[index] = updated;
+  await Storage.set('sessions', next);
+  return migrateV1toV2(updated);
+}
+
+/**
+ * Rename a session or change its notes, tags, folder or pin. Only the fields
+ * in `changes` are touched; an empty notes, folder or tag list removes it.
+ * Both clocks move forward so Drive sync prefers this edit.
+ */
+export async function updateSessionMetadata(sessionId, changes, modifiedAt = Date.now()) {
+  const normalized = normalizeSessionMetadataChanges(changes);
+  return updateStoredSession(sessionId, modifiedAt, (current, timestamp) => {
+    const updated = { ...current, metadataModifiedAt: timestamp };
+    for (const [field, value] of Object.entries(normalized)) {
+      if (value === undefined) delete updated[field];
+      else updated[field] = value;
+    }
+    return updated;
+  });
+}
+
+// ── Edit ──
+
+/**
+ * Apply one session-editor edit (see core/session-edits.js) to a saved
+ * session's tabs. A v1 session is stored as v2 from then on.
+ */
+export async function editSession(sessionId, edit, modifiedAt = Date.now()) {
+  return updateStoredSession(sessionId, modifiedAt, (current) => {
+    const session = { ...current, ...migrateV1toV2(current) };
+    delete session.tabs;
+    return { ...session, windows: applySessionEdit(session.windows, edit) };
+  });
+}
+
+/**
+ * Append another session's windows to a session. The source is deleted, with
+ * a sync tombstone, unless `keepSource` is set.
+ */
+export async function mergeSessions(targetId, sourceId, { keepSource = false } = {}, modifiedAt = Date.now()) {
+  validateSessionId(sourceId);
+  if (targetId === sourceId) throw new TypeError('Choose a different session to merge');
+  const sessions = (await Storage.get('sessions')) || [];
+  const source = sessions.find((session) => session?.id === sourceId);
+  if (!source) throw new Error('Session to merge not found');
+  const sourceWindows = structuredClone(migrateV1toV2(source).windows);
+
+  const merged = await updateStoredSession(targetId, modifiedAt, (current) => {
+    const session = { ...current, ...migrateV1toV2(current) };
+    delete session.tabs;
+    const windows = [...session.windows, ...sourceWindows];
+    const tabCount = windows.reduce((sum, savedWindow) => sum + savedWindow.tabs.length, 0);
+    if (tabCount > MAX_DRIVE_TABS_PER_ENTITY) {
+      throw new Error(`A session holds at most ${MAX_DRIVE_TABS_PER_ENTITY.toLocaleString('en-US')} tabs`);
+    }
+    return { ...session, windows };
+  });
+  if (!keepSource) await deleteSessions([sourceId], merged.modifiedAt);
+  return merged;
+}
+
 export async function deleteSessions(sessionIds, deletedAt = Date.now()) {
   if (!Array.isArray(sessionIds)) throw new TypeError('Session IDs must be an array');
   computeDeletionTombstone(null, 0, deletedAt);
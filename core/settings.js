@@ -2,6 +2,7 @@
 
 import { Storage } from './storage.js';
 import { MAX_DRIVE_TIMESTAMP, assertBoundedDriveJsonValue } from './drive-sync.js';
+import { FOCUS_PROFILE_ID_PATTERN } from './focus-profiles.js';
 
 const STORAGE_KEY = 'tabkebabSettings';
 
@@ -21,6 +22,10 @@ export const SETTINGS_DEFAULTS = {
   autoKebabAfterHours: 3,    // 0 = off, default 3 hours
   autoStashAfterDays: 0,     // 0 = off
 
+  // Duplicates
+  duplicatePrevention: 'off',       // off | switch | offer
+  duplicatePreventionScope: 'global', // global | window
+
   // Bookmarks
   bookmarkByWindows: false,
   bookmarkByGroups: false,
@@ -31,10 +36,16 @@ export const SETTINGS_DEFAULTS = {
   exportHtmlBookmarkToDrive: false,
 
   // Focus Mode
-  focusDefaultProfile: 'coding',
+  focusDefaultProfile: 'coding',    // built-in profile ID or custom-*
   focusDefaultDuration: 25,
   focusTabAction: 'kebab',          // kebab | stash | group | none
-  focusStrictBlocking: false,       // Phase 2: true = close tab vs goBack
+  focusStrictBlocking: false,       // lock-in: no pause or early end; blocked tabs close
+  focusLockInCooldownMinutes: 5,    // wait before a lock-in emergency exit
+  focusPomodoroWorkMinutes: 25,
+  focusPomodoroShortBreakMinutes: 5,
+  focusPomodoroLongBreakMinutes: 15,
+  focusPomodoroLongBreakEvery: 4,   // long break after every N work intervals
+  focusPomodoroCycles: 4,           // work intervals per Pomodoro run
 
   // Google Drive
   autoExportSessionsToDrive: false,
@@ -56,6 +67,8 @@ export const SETTINGS_CONSTRAINTS = Object.freeze({
   autoSaveRetentionDays: { type: 'integer', min: 1, max: 365 },
   autoKebabAfterHours: { type: 'integer', min: 0, max: 720 },
   autoStashAfterDays: { type: 'integer', min: 0, max: 365 },
+  duplicatePrevention: { enum: ['off', 'switch', 'offer'] },
+  duplicatePreventionScope: { enum: ['global', 'window'] },
   bookmarkByWindows: { type: 'boolean' },
   bookmarkByGroups: { type: 'boolean' },
   bookmarkByDomains: { type: 'boolean' },
@@ -63,10 +76,16 @@ export const SETTINGS_CONSTRAINTS = Object.freeze({
   autoBookmarkOnStash: { type: 'boolean' },
   compressedExport: { type: 'boolean' },
   exportHtmlBookmarkToDrive: { type: 'boolean' },
-  focusDefaultProfile: { enum: ['coding', 'writing', 'research', 'meeting'] },
+  focusDefaultProfile: { type: 'pattern', pattern: FOCUS_PROFILE_ID_PATTERN },
   focusDefaultDuration: { type: 'integer', min: 1, max: 480 },
   focusTabAction: { enum: ['kebab', 'stash', 'group', 'none'] },
   focusStrictBlocking: { type: 'boolean' },
+  focusLockInCooldownMinutes: { type: 'integer', min: 1, max: 60 },
+  focusPomodoroWorkMinutes: { type: 'integer', min: 1, max: 240 },
+  focusPomodoroShortBreakMinutes: { type: 'integer', min: 1, max: 60 },
+  focusPomodoroLongBreakMinutes: { type: 'integer', min: 1, max: 120 },
+  focusPomodoroLongBreakEvery: { type: 'integer', min: 1, max: 12 },
+  focusPomodoroCycles: { type: 'integer', min: 1, max: 24 },
   autoExportSessionsToDrive: { type: 'boolean' },
   autoExportStashesToDrive: { type: 'boolean' },
   autoSyncToDriveIntervalHours: { type: 'integer', min: 0, max: 168 },
@@ -108,6 +127,12 @@ function validateSettingValue(key, value) {
     }
     return;
   }
+  if (constraint.type === 'pattern') {
+    if (typeof value !== 'string' || !constraint.pattern.test(value)) {
+      throw new TypeError(`${key} has an invalid format`);
+    }
+    return;
+  }
   if (constraint.enum && !constraint.enum.includes(value)) {
     throw new TypeError(`${key} must be one of: ${constraint.enum.join(', ')}`);
   }
@@ -6,6 +6,7 @@ import {
 import { normalizeUrl } from './duplicates.js';
 import { createRestoreOutcome, finalizeRestoreOutcome } from './restore-outcome.js';
 import { getAllTabs } from './tabs-api.js';
+import { getUrlNormalization } from './url-normalization.js';
 
 const RESTORE_BATCH = 6;
 const LOAD_TIMEOUT_MS = 15000;
@@ -90,7 +91,45 @@ export function sanitizeCapturedTab(tab) {
   return captured;
 }
 
-function isRestorableUrl(url) {
+/**
+ * Split saved windows by a restore selection, a list of `{ window, index }`
+ * tab addresses. `picked` holds the chosen tabs and `rest` the others. Each
+ * side keeps the group metadata its own tabs use; windows left empty go.
+ */
+export function partitionSavedWindows(savedWindows, selection) {
+  if (!Array.isArray(selection) || selection.length === 0) {
+    throw new TypeError('Restore selection must list at least one tab');
+  }
+  const chosen = new Set();
+  for (const address of selection) {
+    const tabs = Number.isSafeInteger(address?.window) ? savedWindows[address.window]?.tabs : undefined;
+    if (!Array.isArray(tabs) || !Number.isSafeInteger(address.index) ||
+        address.index < 0 || address.index >= tabs.length) {
+      throw new TypeError('Restore selection names a tab that is not saved');
+    }
+    chosen.add(`${address.window}:${address.index}`);
+  }
+
+  const picked = [];
+  const rest = [];
+  savedWindows.forEach((savedWindow, windowIndex) => {
+    const tabs = Array.isArray(savedWindow?.tabs) ? savedWindow.tabs : [];
+    const pickedTabs = tabs.filter((_, index) => chosen.has(`${windowIndex}:${index}`));
+    const restTabs = tabs.filter((_, index) => !chosen.has(`${windowIndex}:${index}`));
+    for (const [side, sideTabs] of [[picked, pickedTabs], [rest, restTabs]]) {
+      if (sideTabs.length === 0) continue;
+      const part = { ...savedWindow, tabCount: sideTabs.length, tabs: sideTabs };
+      if (Array.isArray(savedWindow.groups)) {
+        const used = new Set(sideTabs.map((tab) => tab.groupId));
+        part.groups = savedWindow.groups.filter((group) => used.has(group.id));
+      }
+      side.push(part);
+    }
+  });
+  return { picked, rest };
+}
+
+export function isRestorableUrl(url) {
   if (typeof url !== 'string' || url.length === 0) return false;
   try {
     const parsed = new URL(url);
@@ -129,19 +168,28 @@ async function waitForTabsLoaded(tabIds) {
 
 /**
  * Restore saved tab windows through one settlement-preserving coordinator.
- * Saved inputs are cloned before validation and sanitization.
+ * Saved inputs are cloned before validation and sanitization. `windowId`
+ * names the window a 'here' restore fills instead of the current one, and
+ * `skipDuplicates: false` reopens tabs even when their URL is already open.
  */
-export async function restoreTabWindows(savedWindows, {
+export async function restoreTabWindows(allSavedWindows, {
   mode = 'windows',
   discarded = true,
   onProgress = null,
+  selection = null,
+  windowId = null,
+  skipDuplicates = true,
 } = {}) {
-  if (!Array.isArray(savedWindows)) {
+  if (!Array.isArray(allSavedWindows)) {
     throw new TypeError('Saved windows must be an array');
   }
   if (!VALID_MODES.has(mode)) {
     throw new TypeError(`Unsupported restore mode: ${mode}`);
   }
+  // A partial restore counts and reports only the chosen tabs.
+  const savedWindows = selection === null
+    ? allSavedWindows
+    : partitionSavedWindows(allSavedWindows, selection).picked;
 
   const requestedCount = savedWindows.reduce(
     (count, window) => count + (Array.isArray(window?.tabs) ? window.tabs.length : 0),
@@ -152,11 +200,11 @@ export async function restoreTabWindows(savedWindows, {
     groupsRestored: 0,
   });
 
-  const openTabs = await getAllTabs({ allWindows: true });
+  const [openTabs, urlProfile] = await Promise.all([getAllTabs({ allWindows: true }), getUrlNormalization()]);
   const openUrls = new Set(
     openTabs
       .filter((tab) => typeof tab.url === 'string' && tab.url)
-      .map((tab) => normalizeUrl(tab.url)),
+      .map((tab) => normalizeUrl(tab.url, urlProfile)),
   );
 
   const preparedWindows = savedWindows.map((savedWindow, sourceIndex) => {
@@ -168,8 +216,8 @@ export async function restoreTabWindows(savedWindows, {
         continue;
       }
 
-      const normalized = normalizeUrl(savedTab.url);
-      if (openUrls.has(normalized)) {
+      const normalized = normalizeUrl(savedTab.url, urlProfile);
+      if (skipDuplicates && openUrls.has(normalized)) {
         outcome.skippedDuplicate++;
         continue;
       }
@@ -189,7 +237,9 @@ export async function restoreTabWindows(savedWindows, {
   let hereWindowId;
   if (mode === 'here' && total > 0) {
     try {
-      const currentWindow = await chrome.windows.getCurrent();
+      const currentWindow = windowId === null
+        ? await chrome.windows.getCurrent()
+        : { id: windowId };
       if (!Number.isInteger(currentWindow?.id) || currentWindow.id < 0) {
         throw new Error('Current window did not contain a valid ID');
       }
@@ -0,0 +1,328 @@
+// core/undo-journal.js — Persistent stack of inverses for destructive tab operations
+//
+// Stored in chrome.storage.local under key 'undoJournal' so the stack survives
+// a service-worker restart. Format: [{ id, label, createdAt, steps[] }], newest
+// last. Each step is one inverse:
+//   reopen  — { type, tabs: [{ url, pinned, windowId, index, groupId }], groups, stashId? }
+//   move    — { type, tabs: [{ tabId, url, windowId, index }] }
+//   regroup — { type, tabs: [{ tabId, url, windowId, groupId }], groups }
+// `groups` holds { groupId, windowId, title, color, collapsed } for every
+// original group a step refers to. Tab IDs may be reused after a browser
+// restart, so move/regroup only touch a live tab whose URL still matches.
+// A reopen step with `stashId` undoes a stash: once its tabs are back open,
+// the stash that held them is deleted so they are not both open and stashed.
+
+import { Storage } from './storage.js';
+import { sanitizeCapturedGroupTitle, isRestorableUrl } from './tab-restore.js';
+import { deleteStash } from './stash-db.js';
+
+export const UNDO_JOURNAL_KEY = 'undoJournal';
+export const MAX_UNDO_ENTRIES = 20;
+const MAX_UNDO_LABEL_LENGTH = 120;
+const GROUP_COLORS = new Set(['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange']);
+const STEP_TYPES = new Set(['reopen', 'move', 'regroup']);
+const TAB_GROUP_ID_NONE = -1;
+
+let journalQueue = Promise.resolve();
+
+// Journal reads and writes happen from unrelated handlers; keep them ordered.
+function serialized(operation) {
+  const run = journalQueue.then(operation);
+  journalQueue = run.catch(() => {});
+  return run;
+}
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStoredEntry(entry) {
+  return isRecord(entry) &&
+    typeof entry.id === 'string' &&
+    typeof entry.label === 'string' &&
+    Number.isSafeInteger(entry.createdAt) &&
+    Array.isArray(entry.steps) &&
+    entry.steps.every((step) => isRecord(step) && STEP_TYPES.has(step.type) && Array.isArray(step.tabs));
+}
+
+async function readJournal() {
+  const stored = await Storage.get(UNDO_JOURNAL_KEY);
+  return Array.isArray(stored) ? stored.filter(isStoredEntry) : [];
+}
+
+function groupMeta(groups, groupIds) {
+  return groups
+    .filter((group) => groupIds.has(group.id))
+    .map((group) => ({
+      groupId: group.id,
+      windowId: group.windowId,
+      title: sanitizeCapturedGroupTitle(group.title),
+      color: GROUP_COLORS.has(group.color) ? group.color : 'grey',
+      collapsed: group.collapsed === true,
+    }));
+}
+
+function isGrouped(tab) {
+  return Number.isInteger(tab.groupId) && tab.groupId !== TAB_GROUP_ID_NONE;
+}
+
+async function readLiveState() {
+  const [tabs, groups] = await Promise.all([
+    chrome.tabs.query({}),
+    chrome.tabGroups.query({}).catch(() => []),
+  ]);
+  return { tabs, groups };
+}
+
+function selectTabs(tabs, tabIds) {
+  if (!tabIds) return tabs;
+  const wanted = new Set(tabIds);
+  return tabs.filter((tab) => wanted.has(tab.id));
+}
+
+/**
+ * Capture the inverse of closing the given tabs: reopen their URLs into the
+ * same windows, positions, pin state and groups. Pass the `stashId` the tabs
+ * were stashed into to have the undo delete that stash.
+ */
+export async function captureClosure(tabIds, { stashId = null } = {}) {
+  const { tabs, groups } = await readLiveState();
+  const closing = selectTabs(tabs, tabIds).filter((tab) => isRestorableUrl(tab.url));
+  const groupIds = new Set(closing.filter(isGrouped).map((tab) => tab.groupId));
+  return [{
+    type: 'reopen',
+    tabs: closing.map((tab) => ({
+      url: tab.url,
+      pinned: tab.pinned === true,
+      windowId: tab.windowId,
+      index: tab.index,
+      groupId: isGrouped(tab) ? tab.groupId : TAB_GROUP_ID_NONE,
+    })),
+    groups: groupMeta(groups, groupIds),
+    ...(stashId === null ? {} : { stashId }),
+  }];
+}
+
+/**
+ * Capture the inverse of rearranging tabs: move them back to their windows and
+ * positions, then restore their prior group membership. Pass null for every tab.
+ */
+export async function captureLayout(tabIds = null) {
+  const { tabs, groups } = await readLiveState();
+  const selected = selectTabs(tabs, tabIds);
+  const groupIds = new Set(selected.filter(isGrouped).map((tab) => tab.groupId));
+  return [
+    {
+      type: 'move',
+      tabs: selected.map((tab) => ({ tabId: tab.id, url: tab.url, windowId: tab.windowId, index: tab.index })),
+    },
+    {
+      type: 'regroup',
+      tabs: selected.map((tab) => ({
+        tabId: tab.id,
+        url: tab.url,
+        windowId: tab.windowId,
+        groupId: isGrouped(tab) ? tab.groupId : TAB_GROUP_ID_NONE,
+      })),
+      groups: groupMeta(groups, groupIds),
+    },
+  ];
+}
+
+/**
+ * Push one journal entry. Steps without tabs are dropped, and an entry with
+ * nothing left to undo is not recorded.
+ * @returns {Promise<string|null>} The entry ID, or null when nothing was recorded
+ */
+export function recordUndo(label, steps, createdAt = Date.now()) {
+  const kept = (Array.isArray(steps) ? steps : []).filter((step) => step.tabs.length > 0);
+  if (kept.length === 0) return Promise.resolve(null);
+
+  return serialized(async () => {
+    const journal = await readJournal();
+    const entry = {
+      id: `undo-${createdAt.toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      label: String(label).slice(0, MAX_UNDO_LABEL_LENGTH),
+      createdAt,
+      steps: kept,
+    };
+    journal.push(entry);
+    await Storage.set(UNDO_JOURNAL_KEY, journal.slice(-MAX_UNDO_ENTRIES));
+    return entry.id;
+  });
+}
+
+/** List journal entries newest first, without their inverse payloads. */
+export async function listUndoEntries() {
+  const journal = await serialized(readJournal);
+  return journal.reverse().map((entry) => ({
+    id: entry.id,
+    label: entry.label,
+    createdAt: entry.createdAt,
+    tabCount: Math.max(...entry.steps.map((step) => step.tabs.length)),
+  }));
+}
+
+export function clearUndoJournal() {
+  return serialized(() => Storage.remove(UNDO_JOURNAL_KEY));
+}
+
+// Resolve a recorded tab to the live tab with the same ID and URL.
+function liveTabFor(liveById, recorded) {
+  const live = liveById.get(recorded.tabId);
+  return live && live.url === recorded.url ? live : null;
+}
+
+async function windowExists(windowId) {
+  try {
+    await chrome.windows.get(windowId);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Put tabs back into their original group when it still exists in the same
+// window, otherwise into one recreated group per original group.
+async function rejoinGroups(assignments, groups) {
+  const metaById = new Map(groups.map((group) => [group.groupId, group]));
+  const liveGroups = new Map((await chrome.tabGroups.query({}).catch(() => [])).map((group) => [group.id, group]));
+  for (const [originalId, { windowId, tabIds }] of assignments) {
+    const meta = metaById.get(originalId) || { title: '', color: 'grey', collapsed: false };
+    const live = liveGroups.get(originalId);
+    if (live && live.windowId === windowId) {
+      await chrome.tabs.group({ groupId: originalId, tabIds });
+      continue;
+    }
+    const groupId = await chrome.tabs.group({ createProperties: { windowId }, tabIds });
+    await chrome.tabGroups.update(groupId, { title: meta.title, color: meta.color, collapsed: meta.collapsed });
+  }
+}
+
+async function applyReopen(step) {
+  const byWindow = new Map();
+  for (const tab of step.tabs) {
+    if (!isRestorableUrl(tab.url)) continue;
+    if (!byWindow.has(tab.windowId)) byWindow.set(tab.windowId, []);
+    byWindow.get(tab.windowId).push(tab);
+  }
+
+  let reopened = 0;
+  const assignments = new Map();
+  for (const [originalWindowId, tabs] of byWindow) {
+    tabs.sort((a, b) => a.index - b.index);
+    let windowId = originalWindowId;
+    let startAt = 0;
+    if (!await windowExists(windowId)) {
+      const created = await chrome.windows.create({ url: tabs[0].url, focused: false });
+      windowId = created.id;
+      const firstTab = created.tabs?.[0];
+      if (tabs[0].pinned && firstTab) await chrome.tabs.update(firstTab.id, { pinned: true });
+      if (firstTab) addAssignment(assignments, tabs[0], windowId, firstTab.id);
+      startAt = 1;
+      reopened++;
+    }
+    for (const tab of tabs.slice(startAt)) {
+      const created = await chrome.tabs.create({
+        windowId,
+        url: tab.url,
+        pinned: tab.pinned,
+        index: tab.index,
+        active: false,
+      });
+      addAssignment(assignments, tab, windowId, created.id);
+      reopened++;
+    }
+  }
+  await rejoinGroups(assignments, step.groups || []);
+  return reopened;
+}
+
+function addAssignment(assignments, recorded, windowId, tabId) {
+  if (recorded.groupId === TAB_GROUP_ID_NONE) return;
+  if (!assignments.has(recorded.groupId)) assignments.set(recorded.groupId, { windowId, tabIds: [] });
+  assignments.get(recorded.groupId).tabIds.push(tabId);
+}
+
+async function applyMove(step, liveById) {
+  const byWindow = new Map();
+  for (const recorded of step.tabs) {
+    if (!liveTabFor(liveById, recorded)) continue;
+    if (!byWindow.has(recorded.windowId)) byWindow.set(recorded.windowId, []);
+    byWindow.get(recorded.windowId).push(recorded);
+  }
+
+  let moved = 0;
+  for (const [originalWindowId, tabs] of byWindow) {
+    tabs.sort((a, b) => a.index - b.index);
+    let windowId = originalWindowId;
+    let startAt = 0;
+    if (!await windowExists(windowId)) {
+      const created = await chrome.windows.create({ tabId: tabs[0].tabId, focused: false });
+      windowId = created.id;
+      startAt = 1;
+      moved++;
+    }
+    for (const recorded of tabs.slice(startAt)) {
+      await chrome.tabs.move(recorded.tabId, { windowId, index: recorded.index });
+      moved++;
+    }
+  }
+  return moved;
+}
+
+async function applyRegroup(step, liveById) {
+  const assignments = new Map();
+  const ungroup = [];
+  let restored = 0;
+  for (const recorded of step.tabs) {
+    const live = liveTabFor(liveById, recorded);
+    if (!live) continue;
+    if (recorded.groupId === TAB_GROUP_ID_NONE) {
+      if (isGrouped(live)) {
+        ungroup.push(live.id);
+        restored++;
+      }
+      continue;
+    }
+    if (live.groupId === recorded.groupId) continue;
+    addAssignment(assignments, recorded, live.windowId, live.id);
+    restored++;
+  }
+  if (ungroup.length > 0) await chrome.tabs.ungroup(ungroup);
+  await rejoinGroups(assignments, step.groups || []);
+  return restored;
+}
+
+/**
+ * Pop the newest journal entry and apply its inverse steps in order. The entry
+ * is removed before any side effect so a failing inverse is never replayed.
+ * A stash is only deleted after its reopen step succeeded, so tabs that did
+ * not come back stay recoverable from it.
+ * @returns {Promise<Object>} { undone, label, restored, errors } or { error }
+ */
+export function undoLatest({ removeStash = deleteStash } = {}) {
+  return serialized(async () => {
+    const journal = await readJournal();
+    const entry = journal.pop();
+    if (!entry) return { error: 'Nothing to undo' };
+    await Storage.set(UNDO_JOURNAL_KEY, journal);
+
+    let restored = 0;
+    const errors = [];
+    for (const step of entry.steps) {
+      try {
+        const liveById = new Map((await chrome.tabs.query({})).map((tab) => [tab.id, tab]));
+        if (step.type === 'reopen') {
+          restored += await applyReopen(step);
+          if (typeof step.stashId === 'string') await removeStash(step.stashId);
+        }
+        else if (step.type === 'move') restored = Math.max(restored, await applyMove(step, liveById));
+        else restored = Math.max(restored, await applyRegroup(step, liveById));
+      } catch (err) {
+        errors.push({ type: step.type, error: err.message });
+      }
+    }
+    return { undone: true, label: entry.label, restored, errors };
+  });
+}
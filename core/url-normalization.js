@@ -0,0 +1,158 @@
+// core/url-normalization.js — User-tunable URL identity for duplicate detection
+//
+// Stored in chrome.storage.local under key 'urlNormalization'
+// Format: { stripTrackingParams, trackingParams[], ignoreFragment, ignoreScheme,
+//   ignoreWww, caseFoldPath, domainRules: [{ domain, keepParams[] }] }
+// A domain rule (matching the host or any subdomain) replaces tracking-param
+// stripping for that site: only its keepParams survive.
+
+import { Storage } from './storage.js';
+import { canonicalHostname, hostnameMatches } from './url-match.js';
+
+export const URL_NORMALIZATION_KEY = 'urlNormalization';
+export const MAX_TRACKING_PARAMS = 100;
+export const MAX_DOMAIN_RULES = 50;
+export const MAX_KEEP_PARAMS = 20;
+const MAX_PARAM_NAME_LENGTH = 100;
+const MAX_DOMAIN_LENGTH = 253;
+
+export const DEFAULT_TRACKING_PARAMS = Object.freeze([
+  'utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid', 'yclid', '_hsenc', '_hsmi',
+]);
+
+export const DEFAULT_URL_NORMALIZATION = Object.freeze({
+  stripTrackingParams: true,
+  trackingParams: DEFAULT_TRACKING_PARAMS,
+  ignoreFragment: false,
+  ignoreScheme: false,
+  ignoreWww: false,
+  caseFoldPath: false,
+  // Per-site rules are opt-in: keeping one parameter across a whole site also
+  // folds pages it does not identify, such as searches and playlists.
+  domainRules: Object.freeze([]),
+});
+
+const BOOLEAN_FIELDS = ['stripTrackingParams', 'ignoreFragment', 'ignoreScheme', 'ignoreWww', 'caseFoldPath'];
+const PROFILE_FIELDS = new Set([...BOOLEAN_FIELDS, 'trackingParams', 'domainRules']);
+const DOMAIN_RULE_FIELDS = new Set(['domain', 'keepParams']);
+// Tracking entries are literal parameter names, optionally ending in `*` for a prefix.
+const PARAM_NAME_PATTERN = /^[A-Za-z0-9_.\-[\]]+\*?$/;
+
+function isPlainRecord(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function normalizeParamList(input, label, max) {
+  if (!Array.isArray(input)) throw new TypeError(`${label} must be an array`);
+  const names = [];
+  for (const entry of input) {
+    const name = typeof entry === 'string' ? entry.trim() : '';
+    if (!name || name.length > MAX_PARAM_NAME_LENGTH || !PARAM_NAME_PATTERN.test(name)) {
+      throw new TypeError(`${label} contains an invalid parameter name`);
+    }
+    if (!names.includes(name)) names.push(name);
+  }
+  if (names.length > max) throw new TypeError(`${label} cannot have more than ${max} entries`);
+  return names;
+}
+
+function normalizeDomainRule(input, index) {
+  const label = `Domain rule ${index + 1}`;
+  if (!isPlainRecord(input)) throw new TypeError(`${label} must be an object`);
+  for (const key of Object.keys(input)) {
+    if (!DOMAIN_RULE_FIELDS.has(key)) throw new TypeError(`${label} has unknown field: ${key}`);
+  }
+  const domain = typeof input.domain === 'string' && input.domain.length <= MAX_DOMAIN_LENGTH
+    ? canonicalHostname(input.domain)
+    : null;
+  if (!domain || input.domain.includes('/')) throw new TypeError(`${label} needs a domain such as youtube.com`);
+  const keepParams = normalizeParamList(input.keepParams, `${label} kept parameters`, MAX_KEEP_PARAMS);
+  if (keepParams.some((name) => name.endsWith('*'))) {
+    throw new TypeError(`${label} kept parameters must be exact names`);
+  }
+  return { domain, keepParams };
+}
+
+/**
+ * Validate a complete normalization profile and return a canonical copy.
+ * Throws TypeError on unknown fields or out-of-range values.
+ */
+export function normalizeUrlProfile(input) {
+  if (!isPlainRecord(input)) throw new TypeError('URL normalization profile must be an object');
+  for (const key of Object.keys(input)) {
+    if (!PROFILE_FIELDS.has(key)) throw new TypeError(`Unknown URL normalization field: ${key}`);
+  }
+  const profile = {};
+  for (const key of BOOLEAN_FIELDS) {
+    if (typeof input[key] !== 'boolean') throw new TypeError(`${key} must be a boolean`);
+    profile[key] = input[key];
+  }
+  profile.trackingParams = normalizeParamList(input.trackingParams, 'Tracking parameters', MAX_TRACKING_PARAMS);
+  if (!Array.isArray(input.domainRules)) throw new TypeError('Domain rules must be an array');
+  if (input.domainRules.length > MAX_DOMAIN_RULES) {
+    throw new TypeError(`Domain rules cannot have more than ${MAX_DOMAIN_RULES} entries`);
+  }
+  profile.domainRules = input.domainRules.map(normalizeDomainRule);
+  return profile;
+}
+
+/** The saved profile, or the defaults when nothing valid is stored. */
+export async function getUrlNormalization() {
+  const stored = await Storage.get(URL_NORMALIZATION_KEY);
+  if (stored === null) return DEFAULT_URL_NORMALIZATION;
+  try {
+    return normalizeUrlProfile(stored);
+  } catch {
+    return DEFAULT_URL_NORMALIZATION;
+  }
+}
+
+export async function saveUrlNormalization(input) {
+  const profile = normalizeUrlProfile(input);
+  await Storage.set(URL_NORMALIZATION_KEY, profile);
+  return profile;
+}
+
+function isTrackingParam(name, trackingParams) {
+  const lower = name.toLowerCase();
+  return trackingParams.some((entry) => (
+    entry.endsWith('*')
+      ? lower.startsWith(entry.slice(0, -1).toLowerCase())
+      : lower === entry.toLowerCase()
+  ));
+}
+
+// Hash routes (`#/inbox`, `#!/page`) address different app views, so they
+// survive `ignoreFragment`; only in-page anchors are dropped.
+function isHashRoute(hash) {
+  return hash.startsWith('#/') || hash.startsWith('#!');
+}
+
+function normalizedSearch(url, profile) {
+  const rule = profile.domainRules.find((candidate) => hostnameMatches(url.href, candidate.domain));
+  if (!rule && !profile.stripTrackingParams) return url.search;
+
+  const params = [...url.searchParams];
+  const kept = rule
+    ? params.filter(([name]) => rule.keepParams.includes(name))
+    : params.filter(([name]) => !isTrackingParam(name, profile.trackingParams));
+  // Re-serializing would re-encode untouched values, so keep the original text
+  // whenever nothing was removed.
+  if (kept.length === params.length) return url.search;
+  return kept.length > 0 ? `?${new URLSearchParams(kept)}` : '';
+}
+
+/**
+ * Build the comparison key for a parsed hierarchical URL whose trailing path
+ * slashes were already trimmed.
+ */
+export function applyUrlNormalization(url, profile) {
+  const webScheme = url.protocol === 'http:' || url.protocol === 'https:';
+  const scheme = profile.ignoreScheme && webScheme ? '' : url.protocol;
+  const host = profile.ignoreWww ? url.host.replace(/^www\./i, '') : url.host;
+  const path = profile.caseFoldPath ? url.pathname.toLowerCase() : url.pathname;
+  const hash = profile.ignoreFragment && !isHashRoute(url.hash) ? '' : url.hash;
+  return `${scheme}//${host}${path}${normalizedSearch(url, profile)}${hash}`;
+}
@@ -0,0 +1,259 @@
+// core/workspaces.js — Named tab sets a window can switch between
+//
+// A workspace keeps one window's tabs and groups in the session v2 `windows`
+// shape, plus when it was last shown. Switching a window to another
+// workspace saves its tabs back into the workspace it was showing, closes
+// (or stashes) them, and restores the target in their place.
+//
+// Which window shows which workspace is kept in storage.session: Chrome
+// reuses window IDs after a restart, so the binding must not outlive one.
+// Workspaces themselves are local and are not synced or exported.
+
+import { Storage } from './storage.js';
+import { getAllTabs, closeTabs } from './tabs-api.js';
+import { captureSessionWindows } from './sessions.js';
+import { saveStash } from './stash-db.js';
+import { isRestorableUrl, restoreTabWindows } from './tab-restore.js';
+import { isChromeNewTabUrl } from './duplicates.js';
+
+export const WORKSPACES_KEY = 'workspaces';
+export const WORKSPACE_WINDOWS_KEY = 'workspaceWindows';
+export const MAX_WORKSPACES = 50;
+export const MAX_WORKSPACE_NAME_LENGTH = 60;
+
+const LEAVE_ACTIONS = new Set(['close', 'stash']);
+
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function requireWindowId(value) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new TypeError('Workspace window ID must be a non-negative integer');
+  }
+  return value;
+}
+
+function requireWorkspace(workspaces, workspaceId) {
+  if (typeof workspaceId !== 'string' || !Object.hasOwn(workspaces, workspaceId)) {
+    throw new Error('Workspace not found');
+  }
+  return workspaces[workspaceId];
+}
+
+function normalizeName(name, workspaces, exceptId = null) {
+  if (typeof name !== 'string') throw new TypeError('Workspace name must be text');
+  const trimmed = name.trim();
+  if (!trimmed) throw new TypeError('Workspace name must not be empty');
+  if (trimmed.length > MAX_WORKSPACE_NAME_LENGTH) {
+    throw new TypeError(`Workspace name must be at most ${MAX_WORKSPACE_NAME_LENGTH} characters`);
+  }
+  const taken = Object.values(workspaces).some((workspace) =>
+    workspace.id !== exceptId && workspace.name.toLowerCase() === trimmed.toLowerCase());
+  if (taken) throw new Error(`A workspace named "${trimmed}" already exists`);
+  return trimmed;
+}
+
+async function loadWorkspaces() {
+  return (await Storage.get(WORKSPACES_KEY)) || {};
+}
+
+async function loadBindings() {
+  const stored = await chrome.storage.session.get(WORKSPACE_WINDOWS_KEY);
+  return stored[WORKSPACE_WINDOWS_KEY] ?? {};
+}
+
+async function saveBindings(bindings) {
+  await chrome.storage.session.set({ [WORKSPACE_WINDOWS_KEY]: bindings });
+}
+
+function countTabs(windows) {
+  return windows.reduce((count, savedWindow) => count + savedWindow.tabs.length, 0);
+}
+
+function summarize(workspace, bindings, windowId) {
+  const openIn = Object.keys(bindings).find((key) => bindings[key] === workspace.id);
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    tabCount: countTabs(workspace.windows),
+    groupCount: workspace.windows.reduce((count, savedWindow) => count + (savedWindow.groups?.length || 0), 0),
+    createdAt: workspace.createdAt,
+    modifiedAt: workspace.modifiedAt,
+    lastActiveAt: workspace.lastActiveAt,
+    openIn: openIn === undefined ? null : Number(openIn),
+    current: windowId !== null && bindings[windowId] === workspace.id,
+  };
+}
+
+// Tabs that a workspace or stash can bring back, plus blank pages, are
+// closed on a switch. Other internal pages stay open rather than be lost.
+function isLeavingTab(tab) {
+  return isRestorableUrl(tab.url) || !tab.url || tab.url === 'about:blank' || isChromeNewTabUrl(tab.url);
+}
+
+async function captureWindow(windowId) {
+  const tabs = await getAllTabs({ windowId });
+  return { tabs, windows: await captureSessionWindows(tabs) };
+}
+
+/**
+ * List workspaces, most recently shown first. `current` marks the one shown
+ * in `windowId`; `openIn` is the window showing each workspace, if any.
+ */
+export async function listWorkspaces(windowId = null) {
+  const [workspaces, bindings] = await Promise.all([loadWorkspaces(), loadBindings()]);
+  return Object.values(workspaces)
+    .sort((left, right) => right.lastActiveAt - left.lastActiveAt || left.name.localeCompare(right.name))
+    .map((workspace) => summarize(workspace, bindings, windowId));
+}
+
+/**
+ * Create a workspace. With `capture`, it starts from the tabs of `windowId`,
+ * and that window then shows it; otherwise it starts empty.
+ */
+export async function createWorkspace(name, { windowId = null, capture = false } = {}, now = Date.now()) {
+  const workspaces = await loadWorkspaces();
+  if (Object.keys(workspaces).length >= MAX_WORKSPACES) {
+    throw new Error(`At most ${MAX_WORKSPACES} workspaces can be saved`);
+  }
+  const workspace = {
+    id: generateId(),
+    name: normalizeName(name, workspaces),
+    windows: [],
+    createdAt: now,
+    modifiedAt: now,
+    lastActiveAt: now,
+  };
+  if (capture) {
+    workspace.windows = (await captureWindow(requireWindowId(windowId))).windows;
+  }
+  await Storage.set(WORKSPACES_KEY, { ...workspaces, [workspace.id]: workspace });
+  const bindings = await loadBindings();
+  if (capture) await saveBindings({ ...bindings, [windowId]: workspace.id });
+  return summarize(workspace, capture ? { [windowId]: workspace.id } : bindings, windowId);
+}
+
+export async function renameWorkspace(workspaceId, name, now = Date.now()) {
+  const workspaces = await loadWorkspaces();
+  const workspace = requireWorkspace(workspaces, workspaceId);
+  workspace.name = normalizeName(name, workspaces, workspaceId);
+  workspace.modifiedAt = now;
+  await Storage.set(WORKSPACES_KEY, workspaces);
+  return summarize(workspace, await loadBindings(), null);
+}
+
+/**
+ * Delete a workspace. A window showing it keeps its tabs and simply no
+ * longer belongs to a workspace.
+ */
+export async function deleteWorkspace(workspaceId) {
+  const workspaces = await loadWorkspaces();
+  requireWorkspace(workspaces, workspaceId);
+  delete workspaces[workspaceId];
+  await Storage.set(WORKSPACES_KEY, workspaces);
+  const bindings = await loadBindings();
+  for (const key of Object.keys(bindings)) {
+    if (bindings[key] === workspaceId) delete bindings[key];
+  }
+  await saveBindings(bindings);
+  return { success: true };
+}
+
+/** Save the tabs of `windowId` into the workspace it shows. */
+export async function saveWorkspace(windowId, now = Date.now()) {
+  requireWindowId(windowId);
+  const [workspaces, bindings] = await Promise.all([loadWorkspaces(), loadBindings()]);
+  const workspace = workspaces[bindings[windowId]];
+  if (!workspace) throw new Error('This window is not showing a workspace');
+  workspace.windows = (await captureWindow(windowId)).windows;
+  workspace.modifiedAt = now;
+  workspace.lastActiveAt = now;
+  await Storage.set(WORKSPACES_KEY, workspaces);
+  return summarize(workspace, bindings, windowId);
+}
+
+/** Drop the binding of a closed window. The workspace keeps its last save. */
+export async function forgetWorkspaceWindow(windowId) {
+  const bindings = await loadBindings();
+  if (!Object.hasOwn(bindings, windowId)) return;
+  delete bindings[windowId];
+  await saveBindings(bindings);
+}
+
+/**
+ * Show `workspaceId` in `windowId`. If another window already shows it, that
+ * window is focused instead. Otherwise the window's tabs are saved into the
+ * workspace it showed, then closed, or stashed first when `leaveAction` is
+ * 'stash' or the window showed no workspace; the target's tabs and groups
+ * are restored in their place.
+ */
+export async function switchWorkspace(
+  { windowId, workspaceId, leaveAction = 'close' },
+  { now = Date.now(), stash = saveStash } = {},
+) {
+  requireWindowId(windowId);
+  if (!LEAVE_ACTIONS.has(leaveAction)) throw new TypeError('Workspace leave action must be close or stash');
+  const [workspaces, bindings] = await Promise.all([loadWorkspaces(), loadBindings()]);
+  const target = requireWorkspace(workspaces, workspaceId);
+
+  if (bindings[windowId] === workspaceId) {
+    return { workspace: summarize(target, bindings, windowId), focused: false, unchanged: true };
+  }
+  for (const key of Object.keys(bindings)) {
+    if (bindings[key] !== workspaceId) continue;
+    try {
+      await chrome.windows.update(Number(key), { focused: true });
+      return { workspace: summarize(target, bindings, Number(key)), focused: true, unchanged: false };
+    } catch {
+      // The window closed without onRemoved reaching us; take the workspace over.
+      delete bindings[key];
+    }
+  }
+
+  const current = workspaces[bindings[windowId]] ?? null;
+  const { tabs, windows } = await captureWindow(windowId);
+  if (current) {
+    current.windows = windows;
+    current.modifiedAt = now;
+    current.lastActiveAt = now;
+  }
+
+  let stashId = null;
+  if ((leaveAction === 'stash' || !current) && windows.length > 0) {
+    const tabCount = countTabs(windows);
+    stashId = generateId();
+    await stash({
+      id: stashId,
+      name: current ? `${current.name} (${tabCount} tabs)` : `Before ${target.name} (${tabCount} tabs)`,
+      source: 'workspace',
+      sourceDetail: current?.id ?? '',
+      createdAt: now,
+      tabCount,
+      windows,
+    });
+  }
+  // The outgoing tabs are recoverable from here on, so they may close.
+  await Storage.set(WORKSPACES_KEY, workspaces);
+
+  // A placeholder keeps the window open while it is emptied.
+  const placeholder = await chrome.tabs.create({ windowId, active: true });
+  const leaving = tabs.filter(isLeavingTab).map((tab) => tab.id);
+  if (leaving.length > 0) await closeTabs(leaving);
+
+  const outcome = await restoreTabWindows(target.windows, { mode: 'here', windowId, skipDuplicates: false });
+  if (outcome.restoredCount > 0) await closeTabs([placeholder.id]);
+
+  target.lastActiveAt = now;
+  await Storage.set(WORKSPACES_KEY, workspaces);
+  bindings[windowId] = workspaceId;
+  await saveBindings(bindings);
+  return {
+    workspace: summarize(target, bindings, windowId),
+    focused: false,
+    unchanged: false,
+    savedWorkspaceId: current?.id ?? null,
+    stashId,
+    outcome,
+  };
+}
@@ -1,24 +1,30 @@
 // service-worker.js — Background service worker (Manifest V3)
 
 import { getAllTabsGroupedByDomain, applyDomainGroupsToChrome, applySmartGroupsToChrome, getWindowStats, consolidateWindows, getManualGroups, createManualGroup, moveTabToManualGroup, deleteManualGroup } from './core/grouping.js';
-import { findDuplicates, findEmptyPages } from './core/duplicates.js';
-import { saveSession, restoreSession, listSessions, deleteSession, deleteSessions, restoreDeletedSession } from './core/sessions.js';
+import { findDuplicates, findEmptyPages, findSimilarTabs, isChromeNewTabUrl } from './core/duplicates.js';
+import { findOpenDuplicate, getDuplicateAllowDomains, saveDuplicateAllowDomains } from './core/duplicate-guard.js';
+import { getUrlNormalization, saveUrlNormalization } from './core/url-normalization.js';
+import { applyGroupRules, deleteGroupRule, getGroupRules, previewGroupRules, reorderGroupRules, saveGroupRule } from './core/group-rules.js';
+import { captureClosure, captureLayout, clearUndoJournal, listUndoEntries, recordUndo, undoLatest } from './core/undo-journal.js';
+import { saveSession, restoreSession, listSessions, updateSessionMetadata, editSession, mergeSessions, deleteSession, deleteSessions, restoreDeletedSession, diffSessions, restoreRemovedTabs } from './core/sessions.js';
 import { getAllTabs, focusTab, closeTabs, createNativeGroup, ungroupTabs, extractDomain } from './core/tabs-api.js';
 import { AIClient } from './core/ai/ai-client.js';
 import { chromeAIBrokerClient } from './core/ai/chrome-ai-broker-client.js';
 import { CHROME_AI_PORT_NAME } from './core/ai/chrome-ai-protocol.js';
 import { ProviderId } from './core/ai/provider.js';
 import { Prompts } from './core/ai/prompts.js';
-import { filterTabs, executeNLAction, isValidTabFilter } from './core/nl-executor.js';
+import { filterTabs, filterUsesTitle, executeNLAction, isValidTabFilter, isConfirmedNLAction, defaultNLConfirmation, isValidNLUndo, undoNLAction, toNLPlanStep, isValidNLPlanStep, MAX_NL_PLAN_STEPS } from './core/nl-executor.js';
 import { Storage } from './core/storage.js';
 import { saveStash, listStashes as listStashesDB, getStash, deleteStash as deleteStashDB, restoreStashTabs, importStashes as importStashesDB } from './core/stash-db.js';
-import { sanitizeCapturedGroupTitle, sanitizeCapturedTab } from './core/tab-restore.js';
+import { partitionSavedWindows, sanitizeCapturedGroupTitle, sanitizeCapturedTab } from './core/tab-restore.js';
 import { shouldDeleteRestoredSource } from './core/restore-outcome.js';
 import { getSettings, saveSettings, validateSettingsPatch } from './core/settings.js';
 import { exportToSubfolder, exportRawToSubfolder, listAllDriveFiles, deleteDriveFile, findSyncFile, readSyncFile, writeSyncFile, writeSettingsFile } from './core/drive-client.js';
 import { coordinateDriveRetention, emptyDriveRetentionResult, retentionCutoff, validateDriveRetentionDays } from './core/drive-retention.js';
 import { reconcileDriveSync } from './core/drive-sync.js';
 import { withStateMutationLock } from './core/state-mutation-lock.js';
+import { dismissRecoveryPoint, listRecoveryPoints, recordLiveState, recoverPoint } from './core/recovery-journal.js';
+import { createWorkspace, deleteWorkspace, forgetWorkspaceWindow, listWorkspaces, renameWorkspace, saveWorkspace, switchWorkspace } from './core/workspaces.js';
 import {
   PORTABLE_KIND_SECTIONS,
   applyPortableImport,
@@ -28,10 +34,43 @@ import {
   createPortableExportDocument,
   parsePortableExportDocument,
 } from './core/export-schema.js';
-import { FocusStatus, getCachedFocusAuthority, getCachedFocusState, getFocusState, handleDistraction, handleFocusTick, startFocus, endFocus, pauseFocus, resumeFocus, extendFocus, updateBadge, getFocusHistory, getAllProfiles, rebindStoredFocusState } from './core/focus.js';
+import { FocusStatus, confirmEmergencyExit, getBlockedPageInfo, getCachedFocusAuthority, getCachedFocusState, getFocusState, grantFocusOverride, handleDistraction, handleFocusTick, rearmFocusRun, requestEmergencyExit, startFocus, endFocus, pauseFocus, resumeFocus, extendFocus, updateBadge, getFocusHistory, getAllProfiles, rebindStoredFocusState, saveFocusReflection } from './core/focus.js';
 import { evaluateFocusPolicy, isAllowed, isInternalUrl } from './core/focus-policy.js';
+import { isBlockingPhase } from './core/focus-pomodoro.js';
+import { computeFocusAnalytics, exportFocusStats, getFocusStats } from './core/focus-stats.js';
 import { createFocusAiChecker } from './core/focus-ai.js';
+import { deleteFocusCorrection, deleteProfileCorrections, findFocusCorrection, getFocusCorrections, saveFocusCorrection } from './core/focus-corrections.js';
 import { createDefaultKeepAwakeDomains } from './core/keep-awake-defaults.js';
+import {
+  deleteCustomProfile,
+  duplicateProfile,
+  saveCustomProfile,
+} from './core/focus-profiles.js';
+import {
+  deleteFocusSchedule,
+  getFocusSchedules,
+  listFocusSchedules,
+  nextScheduleBoundary,
+  reconcileFocusSchedules,
+  saveFocusSchedule,
+  skipFocusScheduleToday,
+} from './core/focus-schedules.js';
+import {
+  getFocusCategories,
+  importFocusCategoryDomains,
+  resetFocusCategory,
+  saveFocusCategory,
+} from './core/focus-categories.js';
+import {
+  blockOverBudgetTab,
+  deleteFocusBudget,
+  findExhaustedBudget,
+  getBudgetBlockedPageInfo,
+  getFocusBudgets,
+  listFocusBudgets,
+  recordBudgetActivity,
+  saveFocusBudget,
+} from './core/focus-budgets.js';
 
 // ── Keep Awake Defaults ──
 
@@ -70,7 +109,8 @@ async function autoSaveSessionUnlocked({
 
     // Rolling retention by days
     const sessions = (await getStorage()) || [];
-    const autoSaves = sessions.filter(s => s.name.startsWith(AUTO_SAVE_PREFIX));
+    // Pinned auto-saves are kept until the user unpins them
+    const autoSaves = sessions.filter(s => s.name.startsWith(AUTO_SAVE_PREFIX) && !s.pinned);
     const retentionMs = (settings.autoSaveRetentionDays || 7) * 24 * 60 * 60 * 1000;
     const cutoff = nowMs - retentionMs;
 
@@ -106,6 +146,10 @@ const ALARM_AUTO_SYNC_DRIVE = 'autoSyncDrive';
 const ALARM_RETENTION_CLEANUP = 'retentionCleanup';
 const ALARM_AUTO_BOOKMARK = 'autoBookmark';
 const ALARM_FOCUS_TICK = 'focusTick';
+const ALARM_FOCUS_SCHEDULE = 'focusSchedule';
+const ALARM_FOCUS_PHASE = 'focusPhase';
+const ALARM_FOCUS_BUDGET = 'focusBudget';
+const ALARM_RECOVERY_JOURNAL = 'recoveryJournal';
 
 // ── Alarm system ──
 
@@ -254,11 +298,15 @@ async function autoStashOldTabsUnlocked() {
         windows: [{ tabCount: stashTabs.length, tabs: stashTabs }],
       };
 
-      await persistCapturedStash({
+      const undoSteps = await captureClosure(capturedTabs.map(t => t.id), { stashId });
+      const committed = await persistCapturedStash({
         stash,
         capturedTabs,
         emptyError: 'No stashable old tabs',
       });
+      if (committed.success) {
+        await recordUndo(`Auto-stashed ${capturedTabs.length} idle tab(s)`, undoSteps);
+      }
     }
   } catch (e) { console.warn('[TabKebab] auto-stash failed:', e); }
 }
@@ -449,7 +497,7 @@ async function runRetentionCleanupUnlocked({
     const nowMs = now();
     const cutoff = nowMs - retentionMs;
     const sessions = (await getStorage('sessions')) || [];
-    const autoSaves = sessions.filter(s => s.name.startsWith(AUTO_SAVE_PREFIX));
+    const autoSaves = sessions.filter(s => s.name.startsWith(AUTO_SAVE_PREFIX) && !s.pinned);
     const recentIds = new Set(autoSaves.slice(0, 2).map(s => s.id));
     const idsToDelete = new Set();
 
@@ -737,7 +785,7 @@ function chromeColorHex(color) {
   return map[color] || map.blue;
 }
 
-async function createBookmarksUnlocked(options = {}) {
+async function createBookmarksUnlocked(options = {}, sourceTabs = null) {
   const settings = await getSettings();
   const byWindows = options.byWindows ?? settings.bookmarkByWindows;
   const byGroups = options.byGroups ?? settings.bookmarkByGroups;
@@ -747,7 +795,8 @@ async function createBookmarksUnlocked(options = {}) {
 
   if (!byWindows && !byGroups && !byDomains) return { error: 'No bookmark format selected' };
 
-  const tabs = await getAllTabs({ allWindows: true });
+  const tabs = sourceTabs ?? await getAllTabs({ allWindows: true });
+  const sourceIds = sourceTabs ? new Set(sourceTabs.map(t => t.id)) : null;
   const date = new Date();
   const dateStr = date.toISOString().slice(0, 10);
   const timeStr = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
@@ -767,6 +816,7 @@ async function createBookmarksUnlocked(options = {}) {
     let windowNum = 1;
     for (const win of windowStats.windows) {
       const winTabs = tabs.filter(t => t.windowId === win.windowId);
+      if (sourceIds && winTabs.length === 0) continue;
       windowBookmarks.push({
         name: `Window ${windowNum}`,
         tabs: winTabs.map(t => ({ title: t.title, url: t.url })),
@@ -782,7 +832,11 @@ async function createBookmarksUnlocked(options = {}) {
     try {
       const chromeGroups = await chrome.tabGroups.query({});
       for (const g of chromeGroups) {
-        const groupTabs = await chrome.tabs.query({ groupId: g.id });
+        let groupTabs = await chrome.tabs.query({ groupId: g.id });
+        if (sourceIds) {
+          groupTabs = groupTabs.filter(t => sourceIds.has(t.id));
+          if (groupTabs.length === 0) continue;
+        }
         groups.push({
           name: g.title || 'Untitled',
           color: g.color,
@@ -984,6 +1038,86 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   }, 5000);
 });
 
+// ── Focus schedules ──
+
+// One-shot alarm at the next start or end of any schedule. Re-armed after every
+// reconciliation, so editing schedules never leaves a stale boundary behind.
+async function armFocusScheduleAlarm(now = Date.now()) {
+  const next = nextScheduleBoundary(await getFocusSchedules(), now);
+  await chrome.alarms.clear(ALARM_FOCUS_SCHEDULE);
+  if (next !== null) await chrome.alarms.create(ALARM_FOCUS_SCHEDULE, { when: next });
+}
+
+// Callers must not hold the state mutation lock.
+async function runFocusSchedules(now = Date.now()) {
+  await focusReadiness;
+  return withStateMutationLock(async () => {
+    const result = await reconcileFocusSchedules(now);
+    await armFocusScheduleAlarm(now);
+    return result;
+  });
+}
+
+// ── Focus budgets ──
+
+// Seconds without input before Chrome reports idle and budget time stops.
+const BUDGET_IDLE_SECONDS = 60;
+let budgetActivityQueue = Promise.resolve();
+
+// The minute alarm credits a long stay on one page and blocks it once its
+// budget runs out. It only exists while an enabled budget does.
+async function armFocusBudgetAlarm() {
+  const budgets = await getFocusBudgets();
+  if (!budgets.some((budget) => budget.enabled)) {
+    await chrome.alarms.clear(ALARM_FOCUS_BUDGET);
+    return;
+  }
+  if (!await chrome.alarms.get(ALARM_FOCUS_BUDGET)) {
+    await chrome.alarms.create(ALARM_FOCUS_BUDGET, { periodInMinutes: 1 });
+  }
+}
+
+// Budgets count the active tab of the focused Chrome window while the user is
+// not idle. Each call credits the page counted so far and starts on the current
+// one; calls are queued so a late lookup never overwrites a newer one.
+function trackBudgetActivity() {
+  budgetActivityQueue = budgetActivityQueue.then(async () => {
+    if (!(await getFocusBudgets()).length) return;
+    const now = Date.now();
+    let tab = null;
+    if (await chrome.idle.queryState(BUDGET_IDLE_SECONDS) === 'active') {
+      try {
+        const window = await chrome.windows.getLastFocused({ populate: true });
+        if (window.focused) tab = window.tabs?.find((candidate) => candidate.active) ?? null;
+      } catch {
+        // No browser window: nothing to count.
+      }
+    }
+    const url = tab ? tab.pendingUrl || tab.url : null;
+    const budget = await recordBudgetActivity(url, now);
+    if (budget) await blockOverBudgetTab({ tabId: tab.id, url, budget });
+  }).catch((error) => console.warn('[TabKebab] Focus budget tracking failed:', error));
+  return budgetActivityQueue;
+}
+
+async function blockIfOverBudget(tabId, url) {
+  try {
+    const budget = await findExhaustedBudget(url);
+    if (budget) await blockOverBudgetTab({ tabId, url, budget });
+  } catch (error) {
+    console.warn('[TabKebab] Focus budget check failed:', error);
+  }
+}
+
+chrome.idle.setDetectionInterval(BUDGET_IDLE_SECONDS);
+chrome.idle.onStateChanged.addListener(() => { void trackBudgetActivity(); });
+chrome.tabs.onActivated.addListener(() => { void trackBudgetActivity(); });
+chrome.windows.onFocusChanged.addListener(() => { void trackBudgetActivity(); });
+chrome.windows.onRemoved.addListener((windowId) => {
+  withStateMutationLock(() => forgetWorkspaceWindow(windowId))
+    .catch((error) => console.warn('[TabKebab] workspace window cleanup failed:', error));
+});
+
 // Handle alarms through one exported seam so scheduled portable-state writers
 // use the same locked coordinators as runtime messages.
 export async function handleAlarm(alarm, {
@@ -1001,7 +1135,11 @@ export async function handleAlarm(alarm, {
     case ALARM_AUTO_SYNC_DRIVE: return runAutoSync();
     case ALARM_RETENTION_CLEANUP: return runRetention();
     case ALARM_AUTO_BOOKMARK:  return runAutoBookmark();
-    case ALARM_FOCUS_TICK: {
+    case ALARM_FOCUS_SCHEDULE: return runFocusSchedules();
+    case ALARM_FOCUS_BUDGET:   return trackBudgetActivity();
+    case ALARM_RECOVERY_JOURNAL: return flushRecoveryJournal();
+    case ALARM_FOCUS_TICK:
+    case ALARM_FOCUS_PHASE: {
       const expectedRunId = getCachedFocusState()?.runId ?? null;
       void focusReadiness
         .then((startupState) => withStateMutationLock(() =>
@@ -1042,7 +1180,15 @@ void (async () => {
     const existing = await chrome.alarms.get(ALARM_FOCUS_TICK);
     if (!existing) await chrome.alarms.create(ALARM_FOCUS_TICK, { periodInMinutes: 1 });
     await updateBadge(focusState);
+    // Phase alarms, and lock-in enforcement for tabs opened while the worker slept.
+    await rearmFocusRun(focusState.runId);
   }
+
+  // Catch up on a scheduled block that started while the browser was closed.
+  await runFocusSchedules();
+
+  await armFocusBudgetAlarm();
+  await trackBudgetActivity();
 })().catch((error) => {
   console.warn('[TabKebab] Service-worker alarm reconciliation failed:', error);
 });
@@ -1057,18 +1203,77 @@ function notifyPanel() {
   });
 }
 
+// ── Recovery journal ──
+// Chrome fires alarms at most every 30 seconds, so tab events only make sure
+// one write is pending, and a burst of them shares it.
+
+const RECOVERY_JOURNAL_DELAY_MS = 30_000;
+
+export async function flushRecoveryJournal() {
+  try {
+    const { addedPoints } = await withStateMutationLock(() => recordLiveState());
+    if (addedPoints > 0) {
+      chrome.runtime.sendMessage({ type: 'recoveryAvailable' }).catch(() => {});
+    }
+  } catch (error) {
+    console.warn('[TabKebab] recovery journal update failed:', error);
+  }
+}
+
+function scheduleRecoveryJournal() {
+  chrome.alarms.get(ALARM_RECOVERY_JOURNAL)
+    .then((pending) => pending ?? chrome.alarms.create(ALARM_RECOVERY_JOURNAL, {
+      when: Date.now() + RECOVERY_JOURNAL_DELAY_MS,
+    }))
+    .catch((error) => console.warn('[TabKebab] recovery journal scheduling failed:', error));
+}
+
+chrome.runtime.onStartup.addListener(() => scheduleRecoveryJournal());
+chrome.tabs.onCreated.addListener(() => scheduleRecoveryJournal());
+chrome.tabs.onMoved.addListener(() => scheduleRecoveryJournal());
+chrome.tabs.onAttached.addListener(() => scheduleRecoveryJournal());
+chrome.tabs.onDetached.addListener(() => scheduleRecoveryJournal());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url || 'pinned' in changeInfo || 'groupId' in changeInfo) scheduleRecoveryJournal();
+});
+// A closing window keeps its journal entry until it is gone; the write
+// that then misses it records the recovery point.
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  if (!removeInfo?.isWindowClosing) scheduleRecoveryJournal();
+});
+chrome.windows.onRemoved.addListener(() => scheduleRecoveryJournal());
+chrome.tabGroups.onCreated.addListener(() => scheduleRecoveryJournal());
+chrome.tabGroups.onUpdated.addListener(() => scheduleRecoveryJournal());
+chrome.tabGroups.onRemoved.addListener(() => scheduleRecoveryJournal());
+
 // AI-based domain categorization for focus mode
 const aiCheckCache = new Map(); // Cache AI results to avoid repeated calls
 const checkFocusWithAI = createFocusAiChecker({
   aiClient: AIClient,
-  onDistraction: handleDistraction,
+  onDistraction: (target) => handleDistraction({ ...target, aiDetected: true }),
   cache: aiCheckCache,
   scheduleExpiry: setTimeout,
   ttlMs: 60 * 60 * 1000,
 });
 
-async function checkWithAI({ runId, focusGeneration, tabId, classifiedUrl, profileName }) {
+async function checkWithAI({ runId, focusGeneration, tabId, classifiedUrl, profileId, profileName }) {
   try {
+    // A verdict the user taught this profile settles the page before the AI is asked.
+    const correction = await findFocusCorrection(profileId, classifiedUrl);
+    if (correction?.verdict === 'allow') return;
+    if (correction?.verdict === 'block') {
+      await handleDistraction({
+        runId,
+        expectedGeneration: focusGeneration,
+        tabId,
+        classifiedUrl,
+        decision: { distraction: true, confidence: 1 },
+        category: 'Learned block',
+        rule: { action: 'block', type: 'learned', pattern: correction.domain },
+      });
+      return;
+    }
+
     const available = await AIClient.isAvailable();
     if (!available) return;
 
@@ -1098,17 +1303,120 @@ Respond with JSON only: {"distraction": true/false, "category": "category name",
   }
 }
 
+// Grouping rules: route new and navigated tabs live, after Focus mode has had
+// its say. Failures are logged so a bad rule never breaks tab event handling.
+// Restore and undo paths put tabs back into their saved groups themselves, so
+// rules stay out of the way while the duplicate guard is paused for them.
+function applyGroupRulesToTab(tabId, { titleChanged = false } = {}) {
+  if (isDuplicateGuardPaused()) return;
+  void applyGroupRules({ tabIds: [tabId], titleChanged }).catch((err) => {
+    console.warn('[TabKebab] Grouping rules failed:', err.message);
+  });
+}
+
+// ── Duplicate Prevention ──
+
+const DUPLICATE_NOTIFICATION_PREFIX = 'tabkebab-duplicate:';
+// Restore and undo paths reopen tabs on purpose, and Chrome may deliver their creation
+// events after the operation resolves, so the guard also waits out a grace period.
+const DUPLICATE_GUARD_GRACE_MS = 2000;
+let duplicateGuardPauses = 0;
+let duplicateGuardResumedAt = 0;
+// Tabs opened on a blank or new-tab page are checked once, on their first navigation.
+const freshTabIds = new Set();
+
+async function withDuplicateGuardPaused(operation) {
+  duplicateGuardPauses++;
+  try {
+    return await operation();
+  } finally {
+    duplicateGuardPauses--;
+    duplicateGuardResumedAt = Date.now();
+  }
+}
+
+function isDuplicateGuardPaused() {
+  return duplicateGuardPauses > 0 || Date.now() - duplicateGuardResumedAt < DUPLICATE_GUARD_GRACE_MS;
+}
+
+function isBlankTabUrl(url) {
+  return !url || url === 'about:blank' || isChromeNewTabUrl(url);
+}
+
+async function switchToOpenTab(newTabId, existingTabId) {
+  await focusTab(existingTabId);
+  await closeTabs([newTabId]);
+}
+
+/**
+ * Apply the duplicate-prevention setting to a tab opening `url`.
+ * @returns {Promise<boolean>} True when the new tab was closed
+ */
+async function preventDuplicateTab(tab, url) {
+  if (isDuplicateGuardPaused()) return false;
+  const settings = await getSettings();
+  if (settings.duplicatePrevention === 'off') return false;
+  const existing = await findOpenDuplicate(tab, url, settings.duplicatePreventionScope);
+  if (!existing) return false;
+
+  if (settings.duplicatePrevention === 'switch') {
+    await switchToOpenTab(tab.id, existing.id);
+    return true;
+  }
+  await chrome.notifications.create(`${DUPLICATE_NOTIFICATION_PREFIX}${tab.id}:${existing.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'Already open',
+    message: existing.title || url,
+    buttons: [{ title: 'Switch to open tab' }],
+  });
+  return false;
+}
+
+async function guardDuplicateTab(tab, url) {
+  try {
+    return await preventDuplicateTab(tab, url);
+  } catch (err) {
+    console.warn('[TabKebab] Duplicate prevention failed:', err.message);
+    return false;
+  }
+}
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (!notificationId.startsWith(DUPLICATE_NOTIFICATION_PREFIX)) return;
+  await chrome.notifications.clear(notificationId);
+  if (buttonIndex !== 0) return;
+  const [newTabId, existingTabId] = notificationId.slice(DUPLICATE_NOTIFICATION_PREFIX.length).split(':').map(Number);
+  try {
+    // Either tab may have closed while the notification was showing.
+    await chrome.tabs.get(newTabId);
+    await switchToOpenTab(newTabId, existingTabId);
+  } catch (err) {
+    console.warn('[TabKebab] Could not switch to open tab:', err.message);
+  }
+});
+
 chrome.tabs.onCreated.addListener(async (tab) => {
   notifyPanel();
+  const openingUrl = tab.pendingUrl || tab.url;
+  if (isBlankTabUrl(openingUrl)) {
+    freshTabIds.add(tab.id);
+  } else if (await guardDuplicateTab(tab, openingUrl)) {
+    return;
+  }
   // Focus mode: intercept new tabs opened to blocked URLs
   if (tab.pendingUrl || tab.url) {
     const url = tab.pendingUrl || tab.url;
     await focusReadiness;
     const { state, generation: focusGeneration } = getCachedFocusAuthority();
-    if (state?.status === FocusStatus.ACTIVE && typeof state.runId === 'string' && state.runId) {
+    // Pomodoro breaks relax blocking entirely, AI checks included.
+    let focusBlocked = false;
+    if (state?.status === FocusStatus.ACTIVE && typeof state.runId === 'string' && state.runId &&
+        isBlockingPhase(state)) {
       // Pass full tab object to check group membership
       const tabWithUrl = { ...tab, url };
       const result = evaluateFocusPolicy(tabWithUrl, state);
+      focusBlocked = result.blocked;
       if (result.blocked) {
         await handleDistraction({
           runId: state.runId,
@@ -1117,34 +1425,45 @@ chrome.tabs.onCreated.addListener(async (tab) => {
           classifiedUrl: url,
           decision: { distraction: true, confidence: 1 },
           category: result.category,
+          rule: result.rule,
         });
-      } else if (state.aiBlocking && !isAllowed(tabWithUrl, state.allowedDomains)) {
+      } else if (state.aiBlocking && result.reason === null && !isAllowed(tabWithUrl, state.allowedDomains)) {
         // Try AI categorization for unknown domains
         await checkWithAI({
           runId: state.runId,
           focusGeneration,
           tabId: tab.id,
           classifiedUrl: url,
+          profileId: state.profileId,
           profileName: state.profileName,
         });
       }
     }
+    if (!focusBlocked) await blockIfOverBudget(tab.id, url);
   }
+  applyGroupRulesToTab(tab.id);
 });
 chrome.tabs.onRemoved.addListener(notifyPanel);
+chrome.tabs.onRemoved.addListener((tabId) => freshTabIds.delete(tabId));
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' || changeInfo.url) {
     notifyPanel();
   }
+  if (changeInfo.url && !isBlankTabUrl(changeInfo.url) && freshTabIds.delete(tabId)) {
+    if (await guardDuplicateTab(tab, changeInfo.url)) return;
+  }
   // Focus mode: intercept navigation to blocked domains
   if (changeInfo.url) {
     await focusReadiness;
     const { state, generation: focusGeneration } = getCachedFocusAuthority();
-    if (state?.status === FocusStatus.ACTIVE && typeof state.runId === 'string' && state.runId) {
+    let focusBlocked = false;
+    if (state?.status === FocusStatus.ACTIVE && typeof state.runId === 'string' && state.runId &&
+        isBlockingPhase(state)) {
       // changeInfo.url is the navigation that triggered this event. Do not let
       // a stale tab.pendingUrl override that authoritative event URL.
       const tabWithUrl = { ...tab, pendingUrl: '', url: changeInfo.url };
       const result = evaluateFocusPolicy(tabWithUrl, state);
+      focusBlocked = result.blocked;
       if (result.blocked) {
         await handleDistraction({
           runId: state.runId,
@@ -1153,19 +1472,26 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
           classifiedUrl: changeInfo.url,
           decision: { distraction: true, confidence: 1 },
           category: result.category,
+          rule: result.rule,
         });
-      } else if (state.aiBlocking && !isAllowed(tabWithUrl, state.allowedDomains)) {
+      } else if (state.aiBlocking && result.reason === null && !isAllowed(tabWithUrl, state.allowedDomains)) {
         // Try AI categorization for unknown domains
         await checkWithAI({
           runId: state.runId,
           focusGeneration,
           tabId,
           classifiedUrl: changeInfo.url,
+          profileId: state.profileId,
           profileName: state.profileName,
         });
       }
     }
+    if (!focusBlocked) await blockIfOverBudget(tabId, changeInfo.url);
+    // Budget time follows the page, not just the tab.
+    if (tab.active) void trackBudgetActivity();
   }
+  if (changeInfo.url) applyGroupRulesToTab(tabId);
+  else if (changeInfo.title) applyGroupRulesToTab(tabId, { titleChanged: true });
 });
 
 // Message handler — side panel communicates via chrome.runtime.sendMessage
@@ -1185,17 +1511,27 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 /**
  * Apply the storage policy for one completed stash restore.
  * Incomplete outcomes leave the original IndexedDB record untouched.
+ * After a partial restore, removal takes only the selected tabs.
  */
 export async function applyStashRestoreDisposition(
   stash,
   restoreResult,
   removeAfterRestore,
   {
+    selection = null,
     deleteSource = deleteStashDB,
     saveSource = saveStash,
   } = {},
 ) {
   if (shouldDeleteRestoredSource(restoreResult, removeAfterRestore)) {
+    const { rest } = selection === null
+      ? { rest: [] }
+      : partitionSavedWindows(stash.windows || [], selection);
+    if (rest.length > 0) {
+      const tabCount = rest.reduce((sum, savedWindow) => sum + savedWindow.tabs.length, 0);
+      await saveSource({ ...stash, tabCount, windows: rest });
+      return { deleted: false, markedRestored: false, removedTabs: true };
+    }
     await deleteSource(stash.id);
     return { deleted: true, markedRestored: false };
   }
@@ -1239,6 +1575,13 @@ function requireRuntimeString(value, label) {
   return value;
 }
 
+// Restore requests choose the mode, lazy loading and a tab selection. The
+// coordinator's target window and duplicate skipping stay internal.
+function pickRestoreOptions(options) {
+  const { mode, discarded, selection } = isPlainRecord(options) ? options : {};
+  return { mode, discarded, selection };
+}
+
 function requirePortableRecordId(value, label) {
   if (typeof value !== 'string' || value.length === 0 ||
       value.length > MAX_RUNTIME_PORTABLE_STRING) {
@@ -1347,9 +1690,8 @@ async function saveFocusProfilePrefsUnlocked(profileId, preferences) {
   return { saved: true };
 }
 
-function filterDestructiveTabs(tabs, filter) {
-  const hasTitlePredicate = isPlainRecord(filter) &&
-    Object.prototype.hasOwnProperty.call(filter, 'titleContains');
+function filterDestructiveTabs(tabs, filter, context) {
+  const hasTitlePredicate = filterUsesTitle(filter);
   const navigationSafeTabs = [];
   for (const tab of tabs) {
     const pendingUrl = typeof tab?.pendingUrl === 'string' ? tab.pendingUrl.trim() : '';
@@ -1363,11 +1705,172 @@ function filterDestructiveTabs(tabs, filter) {
     if (hasTitlePredicate) continue;
     navigationSafeTabs.push({ ...tab, url: pendingUrl, pendingUrl: '' });
   }
-  return filterTabs(navigationSafeTabs, filter);
+  return filterTabs(navigationSafeTabs, filter, context);
+}
+
+// Live inputs for time, tab-group and duplicate predicates, read alongside the live tabs.
+async function readNLFilterContext(now) {
+  const [groups, urlNormalization] = await Promise.all([chrome.tabGroups.query({}), getUrlNormalization()]);
+  return { now: now(), groups, urlNormalization };
+}
+
+async function discardTabList(tabs, keepAwakeDomains) {
+  const keepAwake = new Set(keepAwakeDomains);
+  let discarded = 0;
+  let skipped = 0;
+  const errors = [];
+
+  for (const tab of tabs) {
+    // Skip: active tab, already discarded, keep-awake domain, autoDiscardable === false
+    if (tab.active) { skipped++; continue; }
+    if (tab.discarded) { skipped++; continue; }
+    if (keepAwake.has(extractDomain(tab.url))) { skipped++; continue; }
+    if (tab.autoDiscardable === false) { skipped++; continue; }
+
+    try {
+      await chrome.tabs.discard(tab.id);
+      discarded++;
+    } catch (err) {
+      errors.push({ tabId: tab.id, error: err.message });
+    }
+  }
+
+  return { discarded, skipped, errors };
+}
+
+// Close tabs after journaling how to reopen them into their windows and groups.
+async function closeTabsWithUndo(tabIds, label) {
+  const undoSteps = await captureClosure(tabIds);
+  await closeTabs(tabIds);
+  await recordUndo(label, undoSteps);
+}
+
+// Run a tab rearrangement after journaling every tab's window, position and group.
+async function rearrangeWithUndo(label, operation, tabIds = null) {
+  const undoSteps = await captureLayout(tabIds);
+  const result = await operation();
+  await recordUndo(label, undoSteps);
+  return result;
+}
+
+// Stash an arbitrary set of tabs, keeping their window layout but not groups.
+async function stashTabList(tabs, name) {
+  const windowMap = new Map();
+  const capturedTabs = [];
+  for (const t of tabs) {
+    const saved = sanitizeCapturedTab({
+      url: t.url, title: t.title, favIconUrl: t.favIconUrl, pinned: t.pinned || false,
+    });
+    if (!saved) continue;
+    if (!windowMap.has(t.windowId)) windowMap.set(t.windowId, []);
+    windowMap.get(t.windowId).push(saved);
+    capturedTabs.push(t);
+  }
+  const windows = [];
+  for (const [, wTabs] of windowMap) {
+    windows.push({ tabCount: wTabs.length, tabs: wTabs });
+  }
+
+  const stashId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  const stash = {
+    id: stashId,
+    name: `${name} (${capturedTabs.length} tabs)`,
+    source: 'command',
+    sourceDetail: name,
+    createdAt: Date.now(),
+    tabCount: capturedTabs.length,
+    windows,
+  };
+
+  return persistCapturedStash({
+    stash,
+    capturedTabs,
+    emptyError: 'No stashable tabs matched',
+  });
+}
+
+// Worker-owned operations the NL executor dispatches capturing actions to.
+// A plan already holds the state lock, so it passes a direct runner instead.
+function nlCommandOperations(saveSessionOperation, lock = withStateMutationLock) {
+  return {
+    closeTabs: (tabIds) => closeTabsWithUndo(tabIds, `Closed ${tabIds.length} tab(s) by command`),
+    stashTabs: (tabs, name) => lock(() => stashTabList(tabs, name)),
+    discardTabs: async (tabs) => discardTabList(tabs, await getKeepAwakeList()),
+    saveSession: (tabs, name) => lock(() => saveSessionOperation(name, true, tabs)),
+    createBookmarks: (tabs) => lock(() => createBookmarksUnlocked({}, tabs)),
+  };
+}
+
+async function previewNLPlan(parsed, now) {
+  if (parsed.steps.length === 0 || parsed.steps.length > MAX_NL_PLAN_STEPS) {
+    return { error: 'AI returned an invalid plan' };
+  }
+  const steps = parsed.steps.map(toNLPlanStep);
+  if (steps.some((step) => step === null)) {
+    return { error: 'AI returned an invalid plan step' };
+  }
+
+  // Every step is previewed against the same snapshot and revalidated at run time.
+  const liveTabs = await getAllTabs({ allWindows: true });
+  const filterContext = await readNLFilterContext(now);
+  const previewed = steps.map((step) => {
+    const matched = filterDestructiveTabs(liveTabs, step.filter, filterContext);
+    return {
+      ...step,
+      tabIds: matched.map((tab) => tab.id),
+      tabs: matched.map((tab) => ({ id: tab.id, title: tab.title, url: tab.url, favIconUrl: tab.favIconUrl })),
+    };
+  });
+  if (previewed.every((step) => step.tabIds.length === 0)) {
+    return { error: 'No tabs matched that description' };
+  }
+
+  return {
+    plan: {
+      confirmation: typeof parsed.confirmation === 'string' && parsed.confirmation.trim()
+        ? parsed.confirmation
+        : `Run this ${previewed.length}-step plan?`,
+      steps: previewed,
+    },
+  };
+}
+
+async function runNLPlan(steps, { now, saveSessionOperation }) {
+  const operations = nlCommandOperations(saveSessionOperation, (operation) => operation());
+  const outcomes = [];
+  for (const step of steps) {
+    try {
+      const approvedIds = new Set(step.tabIds);
+      const matchingTabs = filterDestructiveTabs(
+        await getAllTabs({ allWindows: true }),
+        step.filter,
+        await readNLFilterContext(now),
+      ).filter((tab) => approvedIds.has(tab.id));
+      if (matchingTabs.length === 0) {
+        outcomes.push({ action: step.action, error: 'No tabs matched that description' });
+        continue;
+      }
+      const result = await executeNLAction({
+        ...step,
+        tabIds: matchingTabs.map((tab) => tab.id),
+      }, matchingTabs, operations);
+      outcomes.push({ action: step.action, ...result });
+    } catch (err) {
+      outcomes.push({ action: step.action, error: err.message });
+    }
+  }
+
+  const completed = outcomes.filter((outcome) => outcome.executed).length;
+  return {
+    executed: true,
+    steps: outcomes,
+    message: `Completed ${completed} of ${outcomes.length} step(s)`,
+  };
 }
 
-function isValidCloseConfirmation(parsedCommand) {
-  if (!isPlainRecord(parsedCommand) || parsedCommand.action !== 'close') return false;
+function isValidNLConfirmation(parsedCommand) {
+  if (!isPlainRecord(parsedCommand) || !isConfirmedNLAction(parsedCommand.action)) return false;
+  if (parsedCommand.name !== undefined && typeof parsedCommand.name !== 'string') return false;
   if (!isValidTabFilter(parsedCommand.filter)) return false;
   if (!Array.isArray(parsedCommand.tabIds) || parsedCommand.tabIds.length === 0) return false;
   if (!parsedCommand.tabIds.every((tabId) => Number.isInteger(tabId) && tabId >= 0)) return false;
@@ -1388,8 +1891,15 @@ export async function handleMessage(msg, options = {}) {
     createManualGroup: createManualGroupOperation = createManualGroup,
     moveTabToManualGroup: moveTabToManualGroupOperation = moveTabToManualGroup,
     deleteManualGroup: deleteManualGroupOperation = deleteManualGroup,
+    saveGroupRule: saveGroupRuleOperation = saveGroupRule,
+    deleteGroupRule: deleteGroupRuleOperation = deleteGroupRule,
+    reorderGroupRules: reorderGroupRulesOperation = reorderGroupRules,
+    applyGroupRules: applyGroupRulesOperation = applyGroupRules,
     saveSettings: saveSettingsOperation = saveSettings,
     saveFocusProfilePrefs: saveFocusProfilePrefsOperation = saveFocusProfilePrefsUnlocked,
+    saveFocusProfile: saveFocusProfileOperation = saveCustomProfile,
+    duplicateFocusProfile: duplicateFocusProfileOperation = duplicateProfile,
+    deleteFocusProfile: deleteFocusProfileOperation = deleteCustomProfile,
     parsePortableDocument: parsePortableDocumentOperation = parsePortableExportDocument,
     applyPortableImport: applyPortableImportOperation = applyPortableImport,
     buildPortableExportPayload: buildPortableExportOperation = buildPortableExportPayload,
@@ -1404,38 +1914,57 @@ export async function handleMessage(msg, options = {}) {
       return getAllTabsGroupedByDomain();
 
     case 'applyDomainGroups': {
-      const result = await applyDomainGroupsToChrome((progress) => {
+      const result = await rearrangeWithUndo('Grouped tabs by domain', () => applyDomainGroupsToChrome((progress) => {
         // Send progress updates to the side panel
         chrome.runtime.sendMessage({
           type: 'groupingProgress',
           ...progress
         }).catch(() => {});
-      });
+      }));
       return { success: true, ...result };
     }
 
     case 'findDuplicates':
       return findDuplicates();
 
+    case 'findSimilarTabs':
+      return findSimilarTabs();
+
+    case 'getUrlNormalization':
+      return getUrlNormalization();
+
+    case 'saveUrlNormalization': {
+      requireExactRuntimeFields(msg, ['action', 'profile'], 'URL normalization request');
+      return withStateMutationLock(() => saveUrlNormalization(msg.profile));
+    }
+
     case 'findEmptyPages':
       return findEmptyPages();
 
     case 'closeTabs':
-      await closeTabs(msg.tabIds);
+      await closeTabsWithUndo(msg.tabIds, `Closed ${msg.tabIds.length} tab(s)`);
       return { success: true };
 
-    case 'reopenTabs': {
-      const created = [];
-      for (const url of (msg.urls || [])) {
-        try {
-          const tab = await chrome.tabs.create({ url, active: false });
-          created.push(tab.id);
-        } catch (e) {
-          console.warn('[TabKebab] Failed to reopen tab:', url, e);
+    case 'reopenTabs':
+      return withDuplicateGuardPaused(async () => {
+        const created = [];
+        for (const url of (msg.urls || [])) {
+          try {
+            const tab = await chrome.tabs.create({ url, active: false });
+            created.push(tab.id);
+          } catch (e) {
+            console.warn('[TabKebab] Failed to reopen tab:', url, e);
+          }
         }
-      }
-      return { created: created.length };
-    }
+        return { created: created.length };
+      });
+
+    case 'getDuplicateAllowDomains':
+      return getDuplicateAllowDomains();
+
+    case 'saveDuplicateAllowDomains':
+      requireExactRuntimeFields(msg, ['action', 'domains'], 'Allowed domains request');
+      return withStateMutationLock(() => saveDuplicateAllowDomains(msg.domains));
 
     case 'focusTab':
       await focusTab(msg.tabId);
@@ -1455,12 +1984,45 @@ export async function handleMessage(msg, options = {}) {
           total,
         }).catch(() => {});
       };
-      return restoreSession(msg.sessionId, { ...msg.options, onProgress });
+      return withDuplicateGuardPaused(() => restoreSession(msg.sessionId, { ...pickRestoreOptions(msg.options), onProgress }));
     }
 
     case 'listSessions':
       return listSessions();
 
+    case 'diffSessions': {
+      requireExactRuntimeFields(msg, ['action', 'fromId', 'toId'], 'Session diff request');
+      const fromId = requireRuntimeString(msg.fromId, 'Session ID');
+      const toId = msg.toId === null ? null : requireRuntimeString(msg.toId, 'Session ID');
+      return diffSessions(fromId, toId);
+    }
+
+    case 'restoreRemovedTabs': {
+      requireExactRuntimeFields(msg, ['action', 'fromId', 'toId', 'options'], 'Session diff restore request');
+      const fromId = requireRuntimeString(msg.fromId, 'Session ID');
+      const toId = msg.toId === null ? null : requireRuntimeString(msg.toId, 'Session ID');
+      if (!isPlainRecord(msg.options)) throw new TypeError('Restore options must be an object');
+      return withStateMutationLock(() => withDuplicateGuardPaused(() => restoreRemovedTabs(fromId, toId, msg.options)));
+    }
+
+    case 'updateSessionMetadata':
+      requireExactRuntimeFields(msg, ['action', 'sessionId', 'changes'], 'Session update request');
+      requireRuntimeString(msg.sessionId, 'Session ID');
+      return withStateMutationLock(() => updateSessionMetadata(msg.sessionId, msg.changes, now()));
+
+    case 'editSession':
+      requireExactRuntimeFields(msg, ['action', 'sessionId', 'edit'], 'Session edit request');
+      requireRuntimeString(msg.sessionId, 'Session ID');
+      return withStateMutationLock(() => editSession(msg.sessionId, msg.edit, now()));
+
+    case 'mergeSessions': {
+      requireExactRuntimeFields(msg, ['action', 'targetId', 'sourceId', 'keepSource'], 'Session merge request');
+      const targetId = requireRuntimeString(msg.targetId, 'Session ID');
+      const sourceId = requireRuntimeString(msg.sourceId, 'Session ID');
+      if (typeof msg.keepSource !== 'boolean') throw new TypeError('Session merge keepSource must be a boolean');
+      return withStateMutationLock(() => mergeSessions(targetId, sourceId, { keepSource: msg.keepSource }, now()));
+    }
+
     case 'deleteSession':
       requireRuntimeString(msg.sessionId, 'Session ID');
       return withStateMutationLock(() => deleteSessionOperation(msg.sessionId, now()));
@@ -1493,6 +2055,38 @@ export async function handleMessage(msg, options = {}) {
       return withStateMutationLock(() => deleteManualGroupOperation(groupId, now()));
     }
 
+    case 'getGroupRules':
+      return getGroupRules();
+
+    case 'saveGroupRule': {
+      requireExactRuntimeFields(msg, ['action', 'ruleId', 'rule'], 'Grouping rule request');
+      const ruleId = msg.ruleId === null ? null : requireRuntimeString(msg.ruleId, 'Grouping rule ID');
+      if (!isPlainRecord(msg.rule)) throw new TypeError('Grouping rule must be an object');
+      return withStateMutationLock(() => saveGroupRuleOperation(ruleId, msg.rule, now()));
+    }
+
+    case 'deleteGroupRule': {
+      requireExactRuntimeFields(msg, ['action', 'ruleId'], 'Grouping rule request');
+      const ruleId = requireRuntimeString(msg.ruleId, 'Grouping rule ID');
+      return withStateMutationLock(() => deleteGroupRuleOperation(ruleId));
+    }
+
+    case 'reorderGroupRules': {
+      requireExactRuntimeFields(msg, ['action', 'ruleIds'], 'Grouping rule order request');
+      return withStateMutationLock(() => reorderGroupRulesOperation(msg.ruleIds, now()));
+    }
+
+    case 'previewGroupRules': {
+      requireExactRuntimeFields(msg, ['action', 'rule'], 'Grouping rule preview request');
+      if (msg.rule !== null && !isPlainRecord(msg.rule)) {
+        throw new TypeError('Grouping rule must be an object');
+      }
+      return previewGroupRules(msg.rule);
+    }
+
+    case 'applyGroupRules':
+      return applyGroupRulesOperation();
+
     case 'createTabGroup': {
       if (!Array.isArray(msg.tabIds) || msg.tabIds.length === 0 || !msg.tabIds.every(id => Number.isInteger(id))) {
         throw new Error('Invalid tabIds: expected non-empty array of integers');
@@ -1504,7 +2098,11 @@ export async function handleMessage(msg, options = {}) {
     }
 
     case 'ungroupTabs':
-      await ungroupTabs(msg.tabIds);
+      await rearrangeWithUndo(
+        `Ungrouped ${msg.tabIds.length} tab(s)`,
+        () => ungroupTabs(msg.tabIds),
+        msg.tabIds,
+      );
       return { success: true };
 
     case 'setGroupCollapsed':
@@ -1534,12 +2132,12 @@ export async function handleMessage(msg, options = {}) {
       return getWindowStats();
 
     case 'consolidateWindows': {
-      const result = await consolidateWindows((progress) => {
+      const result = await rearrangeWithUndo('Consolidated windows', () => consolidateWindows((progress) => {
         chrome.runtime.sendMessage({
           type: 'consolidationProgress',
           ...progress
         }).catch(() => {});
-      });
+      }));
       return { success: true, ...result };
     }
 
@@ -1637,6 +2235,35 @@ export async function handleMessage(msg, options = {}) {
       });
     }
 
+    case 'saveFocusProfile': {
+      requireExactRuntimeFields(msg, ['action', 'profileId', 'profile'], 'Focus profile request');
+      const profileId = msg.profileId === null
+        ? null
+        : requireRuntimeString(msg.profileId, 'Focus profile ID');
+      if (!isPlainRecord(msg.profile)) throw new TypeError('Focus profile must be an object');
+      return withStateMutationLock(() => saveFocusProfileOperation(profileId, msg.profile, now()));
+    }
+
+    case 'duplicateFocusProfile': {
+      requireExactRuntimeFields(msg, ['action', 'profileId'], 'Focus profile request');
+      const profileId = requireRuntimeString(msg.profileId, 'Focus profile ID');
+      return withStateMutationLock(() => duplicateFocusProfileOperation(profileId, now()));
+    }
+
+    case 'deleteFocusProfile': {
+      requireExactRuntimeFields(msg, ['action', 'profileId'], 'Focus profile request');
+      const profileId = requireRuntimeString(msg.profileId, 'Focus profile ID');
+      return withStateMutationLock(async () => {
+        const result = await deleteFocusProfileOperation(profileId, now());
+        const settings = await loadSettings();
+        if (result.deleted && settings.focusDefaultProfile === profileId) {
+          await saveSettingsOperation({ focusDefaultProfile: 'coding' });
+        }
+        if (result.deleted) await deleteProfileCorrections(profileId);
+        return result;
+      });
+    }
+
     case 'importDriveSettings': {
       return withStateMutationLock(async () => {
         const current = await getSettings();
@@ -1736,12 +2363,12 @@ export async function handleMessage(msg, options = {}) {
     // ── AI Smart Grouping ──
 
     case 'applySmartGroups': {
-      const result = await applySmartGroupsToChrome((progress) => {
+      const result = await rearrangeWithUndo('Applied smart groups', () => applySmartGroupsToChrome((progress) => {
         chrome.runtime.sendMessage({
           type: 'groupingProgress',
           ...progress
         }).catch(() => {});
-      });
+      }));
       return { success: true, ...result };
     }
 
@@ -1802,40 +2429,47 @@ export async function handleMessage(msg, options = {}) {
       }
 
       const parsed = response.parsed;
+      if (Array.isArray(parsed.steps)) {
+        return previewNLPlan(parsed, now);
+      }
       if (!parsed.action || typeof parsed.action !== 'string') {
         return { error: 'AI returned an invalid action' };
       }
       const liveTabs = await getAllTabs({ allWindows: true });
-      const matchingTabs = parsed.action === 'close'
-        ? filterDestructiveTabs(liveTabs, parsed.filter)
-        : filterTabs(liveTabs, parsed.filter);
+      const filterContext = await readNLFilterContext(now);
+      const matchingTabs = isConfirmedNLAction(parsed.action)
+        ? filterDestructiveTabs(liveTabs, parsed.filter, filterContext)
+        : filterTabs(liveTabs, parsed.filter, filterContext);
 
       if (matchingTabs.length === 0) {
         return { error: 'No tabs matched that description' };
       }
 
-      // Destructive actions require confirmation
-      if (parsed.action === 'close') {
+      // Destructive and capturing actions require confirmation
+      if (isConfirmedNLAction(parsed.action)) {
         return {
-          confirmation: parsed.confirmation || `Close ${matchingTabs.length} tab(s)?`,
+          confirmation: parsed.confirmation || defaultNLConfirmation(parsed.action, matchingTabs.length),
           parsedCommand: { ...parsed, tabIds: matchingTabs.map(t => t.id) },
         };
       }
 
-      // Non-destructive actions execute immediately
+      // Reversible actions execute immediately and return an undo payload
       return executeNLAction(parsed, matchingTabs);
     }
 
     case 'confirmNLCommand': {
       const { parsedCommand } = msg;
-      if (!isValidCloseConfirmation(parsedCommand)) {
+      if (!isValidNLConfirmation(parsedCommand)) {
         return { error: 'Invalid command confirmation' };
       }
 
       const approvedIds = new Set(parsedCommand.tabIds);
       const allTabs = await getAllTabs({ allWindows: true });
-      const matchingTabs = filterDestructiveTabs(allTabs, parsedCommand.filter)
-        .filter((tab) => approvedIds.has(tab.id));
+      const matchingTabs = filterDestructiveTabs(
+        allTabs,
+        parsedCommand.filter,
+        await readNLFilterContext(now),
+      ).filter((tab) => approvedIds.has(tab.id));
       if (matchingTabs.length === 0) {
         return { error: 'No tabs matched that description' };
       }
@@ -1843,9 +2477,37 @@ export async function handleMessage(msg, options = {}) {
       return executeNLAction({
         ...parsedCommand,
         tabIds: matchingTabs.map((tab) => tab.id),
-      }, matchingTabs);
+      }, matchingTabs, nlCommandOperations(saveSessionOperation));
+    }
+
+    case 'confirmNLPlan': {
+      requireExactRuntimeFields(msg, ['action', 'steps'], 'Command plan approval');
+      if (!Array.isArray(msg.steps) || msg.steps.length === 0 ||
+          msg.steps.length > MAX_NL_PLAN_STEPS || !msg.steps.every(isValidNLPlanStep)) {
+        return { error: 'Invalid command plan' };
+      }
+      return withStateMutationLock(() => runNLPlan(msg.steps, { now, saveSessionOperation }));
     }
 
+    case 'undoNLCommand':
+      requireExactRuntimeFields(msg, ['action', 'undo'], 'Command undo request');
+      if (!isValidNLUndo(msg.undo)) {
+        return { error: 'Invalid command undo' };
+      }
+      return withStateMutationLock(() => withDuplicateGuardPaused(() => undoNLAction(msg.undo)));
+
+    // ── Undo History ──
+
+    case 'listUndoHistory':
+      return listUndoEntries();
+
+    case 'undoLast':
+      return withDuplicateGuardPaused(undoLatest);
+
+    case 'clearUndoHistory':
+      await clearUndoJournal();
+      return { cleared: true };
+
     // ── Tab Sleep (Kebab) ──
 
     case 'getKeepAwakeList':
@@ -1877,7 +2539,7 @@ export async function handleMessage(msg, options = {}) {
     }
 
     case 'discardTabs': {
-      const keepAwake = new Set(await getKeepAwakeList());
+      const keepAwake = await getKeepAwakeList();
       let tabs = await getAllTabs({ allWindows: true });
 
       // Scope filtering
@@ -1890,26 +2552,7 @@ export async function handleMessage(msg, options = {}) {
       }
       // scope === 'all' — no filter
 
-      let discarded = 0;
-      let skipped = 0;
-      const errors = [];
-
-      for (const tab of tabs) {
-        // Skip: active tab, already discarded, keep-awake domain, autoDiscardable === false
-        if (tab.active) { skipped++; continue; }
-        if (tab.discarded) { skipped++; continue; }
-        if (keepAwake.has(extractDomain(tab.url))) { skipped++; continue; }
-        if (tab.autoDiscardable === false) { skipped++; continue; }
-
-        try {
-          await chrome.tabs.discard(tab.id);
-          discarded++;
-        } catch (err) {
-          errors.push({ tabId: tab.id, error: err.message });
-        }
-      }
-
-      return { discarded, skipped, errors };
+      return discardTabList(tabs, keepAwake);
     }
 
     case 'setKeepAwake': {
@@ -2144,7 +2787,10 @@ export async function handleMessage(msg, options = {}) {
         }).catch(() => {});
       };
 
-      const restoreResult = await restoreStashTabs(stash, { ...(msg.options || {}), onProgress });
+      const restoreResult = await withDuplicateGuardPaused(() => restoreStashTabs(stash, {
+        ...pickRestoreOptions(msg.options),
+        onProgress,
+      }));
 
       // Read removeStashAfterRestore from settings if not overridden in message
       const removeOverride = msg.deleteAfterRestore;
@@ -2156,7 +2802,9 @@ export async function handleMessage(msg, options = {}) {
         shouldRemove = settings.removeStashAfterRestore;
       }
 
-      await applyStashRestoreDisposition(stash, restoreResult, shouldRemove);
+      await applyStashRestoreDisposition(stash, restoreResult, shouldRemove, {
+        selection: msg.options?.selection ?? null,
+      });
 
       return restoreResult;
       });
@@ -2177,6 +2825,56 @@ export async function handleMessage(msg, options = {}) {
     case 'importStashes':
       return withStateMutationLock(() => importStashesDB(msg.stashes || []));
 
+    // ── Recovery ──
+
+    case 'listRecoveryPoints':
+      return listRecoveryPoints();
+
+    case 'recoverRecoveryPoint':
+      requireExactRuntimeFields(msg, ['action', 'pointId'], 'Recovery request');
+      requireRuntimeString(msg.pointId, 'Recovery point ID');
+      return withStateMutationLock(() => withDuplicateGuardPaused(() => recoverPoint(msg.pointId)));
+
+    case 'dismissRecoveryPoint':
+      requireExactRuntimeFields(msg, ['action', 'pointId'], 'Recovery dismiss request');
+      requireRuntimeString(msg.pointId, 'Recovery point ID');
+      return withStateMutationLock(() => dismissRecoveryPoint(msg.pointId));
+
+    // ── Workspaces ──
+
+    case 'listWorkspaces':
+      requireExactRuntimeFields(msg, ['action', 'windowId'], 'Workspace list request');
+      return listWorkspaces(msg.windowId);
+
+    case 'createWorkspace':
+      requireExactRuntimeFields(msg, ['action', 'name', 'windowId', 'capture'], 'Workspace create request');
+      if (typeof msg.capture !== 'boolean') throw new TypeError('Workspace capture must be a boolean');
+      return withStateMutationLock(() =>
+        createWorkspace(msg.name, { windowId: msg.windowId, capture: msg.capture }, now()));
+
+    case 'renameWorkspace':
+      requireExactRuntimeFields(msg, ['action', 'workspaceId', 'name'], 'Workspace rename request');
+      requireRuntimeString(msg.workspaceId, 'Workspace ID');
+      return withStateMutationLock(() => renameWorkspace(msg.workspaceId, msg.name, now()));
+
+    case 'deleteWorkspace':
+      requireExactRuntimeFields(msg, ['action', 'workspaceId'], 'Workspace delete request');
+      requireRuntimeString(msg.workspaceId, 'Workspace ID');
+      return withStateMutationLock(() => deleteWorkspace(msg.workspaceId));
+
+    case 'saveWorkspace':
+      requireExactRuntimeFields(msg, ['action', 'windowId'], 'Workspace save request');
+      return withStateMutationLock(() => saveWorkspace(msg.windowId, now()));
+
+    case 'switchWorkspace': {
+      requireExactRuntimeFields(msg, ['action', 'windowId', 'workspaceId', 'leaveAction'], 'Workspace switch request');
+      const workspaceId = requireRuntimeString(msg.workspaceId, 'Workspace ID');
+      return withStateMutationLock(() => withDuplicateGuardPaused(() => switchWorkspace(
+        { windowId: msg.windowId, workspaceId, leaveAction: msg.leaveAction },
+        { now: now() },
+      )));
+    }
+
     // ── Drive Operations ──
 
     case 'exportStashToDrive': {
@@ -2249,12 +2947,157 @@ export async function handleMessage(msg, options = {}) {
       if (typeof msg.expectedRunId !== 'string' || msg.expectedRunId.length === 0) return null;
       return withStateMutationLock(() => extendFocus(msg.minutes || 5, msg.expectedRunId));
 
+    case 'requestFocusEmergencyExit': {
+      requireExactRuntimeFields(msg, ['action', 'expectedRunId', 'cancel'], 'Focus emergency exit request');
+      const expectedRunId = requireRuntimeString(msg.expectedRunId, 'Focus run ID');
+      if (typeof msg.cancel !== 'boolean') throw new TypeError('Focus emergency exit cancel must be a boolean');
+      await focusReadiness;
+      return withStateMutationLock(() => requestEmergencyExit(expectedRunId, { cancel: msg.cancel }));
+    }
+
+    case 'confirmFocusEmergencyExit': {
+      requireExactRuntimeFields(msg, ['action', 'expectedRunId'], 'Focus emergency exit request');
+      const expectedRunId = requireRuntimeString(msg.expectedRunId, 'Focus run ID');
+      await focusReadiness;
+      return withStateMutationLock(() => confirmEmergencyExit(expectedRunId));
+    }
+
     case 'getFocusHistory':
       return getFocusHistory();
 
+    case 'saveFocusReflection': {
+      requireExactRuntimeFields(msg, ['action', 'runId', 'achieved', 'note'], 'Focus reflection request');
+      const runId = requireRuntimeString(msg.runId, 'Focus run ID');
+      return withStateMutationLock(() => saveFocusReflection(runId, { achieved: msg.achieved, note: msg.note }, now()));
+    }
+
+    case 'getFocusAnalytics':
+      return computeFocusAnalytics(await getFocusStats(), now());
+
+    case 'exportFocusStats':
+      requireExactRuntimeFields(msg, ['action', 'format'], 'Focus stats export request');
+      return exportFocusStats(msg.format, now(), { history: await getFocusHistory() });
+
+    case 'getBlockedPageInfo':
+      requireExactRuntimeFields(msg, ['action', 'runId', 'url'], 'Blocked page request');
+      return getBlockedPageInfo({
+        runId: requireRuntimeString(msg.runId, 'Focus run ID'),
+        url: requireRuntimeString(msg.url, 'Blocked page URL'),
+      }, now());
+
+    case 'allowBlockedPage': {
+      requireExactRuntimeFields(msg, ['action', 'runId', 'url', 'phrase'], 'Blocked page request');
+      const request = {
+        runId: requireRuntimeString(msg.runId, 'Focus run ID'),
+        url: requireRuntimeString(msg.url, 'Blocked page URL'),
+        phrase: requireRuntimeString(msg.phrase, 'Override phrase'),
+      };
+      await focusReadiness;
+      const override = await withStateMutationLock(() => grantFocusOverride(request, now()));
+      return override || { error: 'Focus session is no longer active' };
+    }
+
     case 'getFocusProfiles':
       return getAllProfiles();
 
+    case 'getFocusCategories':
+      return getFocusCategories();
+
+    case 'saveFocusCategory': {
+      requireExactRuntimeFields(msg, ['action', 'categoryId', 'category'], 'Focus category request');
+      const categoryId = msg.categoryId === null
+        ? null
+        : requireRuntimeString(msg.categoryId, 'Focus category ID');
+      if (!isPlainRecord(msg.category)) throw new TypeError('Focus category must be an object');
+      return withStateMutationLock(() => saveFocusCategory(categoryId, msg.category, now()));
+    }
+
+    case 'importFocusCategoryDomains': {
+      requireExactRuntimeFields(msg, ['action', 'categoryId', 'text'], 'Focus category import request');
+      const categoryId = requireRuntimeString(msg.categoryId, 'Focus category ID');
+      return withStateMutationLock(() => importFocusCategoryDomains(categoryId, msg.text, now()));
+    }
+
+    case 'resetFocusCategory': {
+      requireExactRuntimeFields(msg, ['action', 'categoryId'], 'Focus category request');
+      const categoryId = requireRuntimeString(msg.categoryId, 'Focus category ID');
+      return withStateMutationLock(() => resetFocusCategory(categoryId));
+    }
+
+    case 'getFocusBudgets':
+      return listFocusBudgets(now());
+
+    case 'saveFocusBudget': {
+      requireExactRuntimeFields(msg, ['action', 'budget'], 'Focus budget request');
+      if (!isPlainRecord(msg.budget)) throw new TypeError('Focus budget must be an object');
+      const saved = await withStateMutationLock(() => saveFocusBudget(msg.budget));
+      await armFocusBudgetAlarm();
+      // A budget that is already used up applies to the page open now.
+      await trackBudgetActivity();
+      return saved;
+    }
+
+    case 'deleteFocusBudget': {
+      requireExactRuntimeFields(msg, ['action', 'budgetId'], 'Focus budget request');
+      const budgetId = requireRuntimeString(msg.budgetId, 'Focus budget ID');
+      const result = await withStateMutationLock(() => deleteFocusBudget(budgetId));
+      await armFocusBudgetAlarm();
+      return result;
+    }
+
+    case 'getFocusCorrections':
+      requireExactRuntimeFields(msg, ['action', 'profileId'], 'Focus correction request');
+      return getFocusCorrections(msg.profileId);
+
+    case 'saveFocusCorrection': {
+      requireExactRuntimeFields(msg, ['action', 'profileId', 'domain', 'verdict'], 'Focus correction request');
+      const domain = requireRuntimeString(msg.domain, 'Focus correction domain');
+      return withStateMutationLock(() => saveFocusCorrection(msg.profileId, domain, msg.verdict, now()));
+    }
+
+    case 'deleteFocusCorrection': {
+      requireExactRuntimeFields(msg, ['action', 'profileId', 'domain'], 'Focus correction request');
+      const domain = requireRuntimeString(msg.domain, 'Focus correction domain');
+      return withStateMutationLock(() => deleteFocusCorrection(msg.profileId, domain));
+    }
+
+    case 'getBudgetBlockedPageInfo':
+      requireExactRuntimeFields(msg, ['action', 'budgetId', 'url'], 'Blocked page request');
+      return getBudgetBlockedPageInfo({
+        budgetId: requireRuntimeString(msg.budgetId, 'Focus budget ID'),
+        url: requireRuntimeString(msg.url, 'Blocked page URL'),
+      }, now());
+
+    case 'getFocusSchedules':
+      return listFocusSchedules(now());
+
+    case 'saveFocusSchedule': {
+      requireExactRuntimeFields(msg, ['action', 'schedule'], 'Focus schedule request');
+      if (!isPlainRecord(msg.schedule)) throw new TypeError('Focus schedule must be an object');
+      const saved = await withStateMutationLock(() => saveFocusSchedule(msg.schedule));
+      // A block already under way starts now, the same as a missed start.
+      await runFocusSchedules(now());
+      return saved;
+    }
+
+    case 'deleteFocusSchedule': {
+      requireExactRuntimeFields(msg, ['action', 'scheduleId'], 'Focus schedule request');
+      const scheduleId = requireRuntimeString(msg.scheduleId, 'Focus schedule ID');
+      const result = await withStateMutationLock(() => deleteFocusSchedule(scheduleId));
+      await runFocusSchedules(now());
+      return result;
+    }
+
+    case 'skipFocusSchedule': {
+      requireExactRuntimeFields(msg, ['action', 'scheduleId', 'skip'], 'Focus schedule request');
+      const scheduleId = requireRuntimeString(msg.scheduleId, 'Focus schedule ID');
+      if (typeof msg.skip !== 'boolean') throw new TypeError('Focus schedule skip must be a boolean');
+      await focusReadiness;
+      const result = await withStateMutationLock(() => skipFocusScheduleToday(scheduleId, msg.skip, now()));
+      await runFocusSchedules(now());
+      return result;
+    }
+
     default:
       return { error: 'Unknown action' };
   }
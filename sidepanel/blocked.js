@@ -0,0 +1,195 @@
+// blocked.js — Focus blocked-page interstitial: why a page was blocked and a deliberate override.
+// Pages over a daily time budget land here too, without a run and without an override.
+
+import { sendOrThrow } from './message-client.js';
+
+const params = new URLSearchParams(location.search);
+const runId = params.get('runId') || '';
+const budgetId = params.get('budget') || '';
+const blockedUrl = params.get('url') || '';
+const category = params.get('category') || '';
+const reason = params.get('reason') || '';
+const aiDetected = params.get('ai') === '1';
+
+const $ = (id) => document.getElementById(id);
+
+function formatRemaining(ms) {
+  const totalMin = Math.ceil(ms / 60000);
+  if (totalMin < 60) return `${totalMin} min`;
+  return `${Math.floor(totalMin / 60)} h ${totalMin % 60} min`;
+}
+
+function isWebUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function showContinue() {
+  const link = $('blocked-continue');
+  link.href = blockedUrl;
+  link.hidden = false;
+}
+
+function startRemainingClock(remainingMs) {
+  const el = $('blocked-remaining');
+  if (remainingMs === null) {
+    el.textContent = 'Open-ended';
+    return;
+  }
+  const endsAt = Date.now() + remainingMs;
+  const render = () => { el.textContent = formatRemaining(Math.max(0, endsAt - Date.now())); };
+  render();
+  setInterval(render, 30 * 1000);
+}
+
+// Friction: the override unlocks only after a countdown, and then only once
+// the phrase has been typed out exactly. The worker checks both again.
+function setUpOverride(info) {
+  const section = $('blocked-override');
+  const input = $('blocked-override-phrase');
+  const button = $('btn-blocked-override');
+  $('blocked-override-title').textContent = `Allow ${info.domain} for ${info.overrideMinutes} minutes`;
+  $('blocked-override-hint').textContent = `Type "${info.overridePhrase}" to continue. Overrides are counted in this session's report.`;
+  section.hidden = false;
+
+  const phraseMatches = () => input.value.trim().toLowerCase() === info.overridePhrase.toLowerCase();
+  let secondsLeft = info.overrideDelaySeconds;
+  const tick = () => {
+    if (secondsLeft > 0) {
+      button.textContent = `Wait ${secondsLeft}s`;
+      secondsLeft--;
+      return;
+    }
+    clearInterval(countdown);
+    input.disabled = false;
+    button.textContent = 'Allow for now';
+    button.disabled = !phraseMatches();
+    input.focus();
+  };
+  const countdown = setInterval(tick, 1000);
+  tick();
+
+  input.addEventListener('input', () => { button.disabled = !phraseMatches(); });
+  input.addEventListener('paste', (event) => event.preventDefault());
+  button.addEventListener('click', async () => {
+    if (!phraseMatches()) return;
+    button.disabled = true;
+    try {
+      await sendOrThrow({ action: 'allowBlockedPage', runId, url: blockedUrl, phrase: input.value.trim() });
+      location.replace(blockedUrl);
+    } catch (err) {
+      $('blocked-override-hint').textContent = `Could not allow this page: ${err.message}`;
+    }
+  });
+}
+
+// An AI verdict can be wrong. Teaching the profile that the site is fine
+// skips the override friction: the next visit never reaches the AI.
+function setUpNotDistraction(info) {
+  const button = $('btn-blocked-not-distraction');
+  button.hidden = false;
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await sendOrThrow({ action: 'saveFocusCorrection', profileId: info.profileId, domain: info.domain, verdict: 'allow' });
+      location.replace(blockedUrl);
+    } catch (err) {
+      $('blocked-category').textContent = `Could not save the correction: ${err.message}`;
+      $('blocked-category').hidden = false;
+      button.disabled = false;
+    }
+  });
+}
+
+// Budgets are meant to hold for the day, so there is no override: raising or
+// removing the budget in the Focus panel is the way back in.
+async function showBudgetBlock() {
+  let info;
+  try {
+    info = await sendOrThrow({ action: 'getBudgetBlockedPageInfo', budgetId, url: blockedUrl });
+  } catch {
+    $('blocked-domain').textContent = new URL(blockedUrl).hostname;
+    showContinue();
+    return;
+  }
+
+  $('blocked-domain').textContent = info.domain;
+  if (!info.blocking) {
+    $('blocked-category').textContent = 'The daily budget that blocked this page no longer applies.';
+    $('blocked-category').hidden = false;
+    showContinue();
+    return;
+  }
+  const resetsAt = new Date(info.resetsAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  $('blocked-title').textContent = 'Daily budget used up';
+  $('blocked-category').textContent =
+    `Your ${info.minutes} min a day for ${info.label} is spent. It resets at ${resetsAt}.`;
+  $('blocked-category').hidden = false;
+}
+
+async function init() {
+  $('btn-blocked-close').addEventListener('click', async () => {
+    const tab = await chrome.tabs.getCurrent();
+    if (tab) await chrome.tabs.remove(tab.id);
+  });
+
+  try {
+    const settings = await sendOrThrow({ action: 'getSettings' });
+    if (settings?.theme === 'light' || settings?.theme === 'dark') {
+      document.documentElement.setAttribute('data-theme', settings.theme);
+    }
+  } catch {
+    // Follow the system theme.
+  }
+
+  if (!isWebUrl(blockedUrl)) {
+    $('blocked-domain').textContent = 'This page was blocked by Focus mode.';
+    return;
+  }
+  if (category || reason) {
+    $('blocked-category').textContent = reason || category;
+    $('blocked-category').hidden = false;
+  }
+  if (budgetId) {
+    await showBudgetBlock();
+    return;
+  }
+
+  let info;
+  try {
+    info = await sendOrThrow({ action: 'getBlockedPageInfo', runId, url: blockedUrl });
+  } catch {
+    $('blocked-domain').textContent = new URL(blockedUrl).hostname;
+    showContinue();
+    return;
+  }
+
+  $('blocked-domain').textContent = info.domain;
+  if (!info.blocking) {
+    $('blocked-category').textContent = 'The Focus session that blocked this page is no longer blocking it.';
+    $('blocked-category').hidden = false;
+    showContinue();
+    return;
+  }
+
+  $('blocked-details').hidden = false;
+  $('blocked-profile').textContent = info.profileName || 'Focus';
+  startRemainingClock(info.remainingMs);
+  if (info.goal) {
+    $('blocked-goal').textContent = info.goal;
+    $('blocked-goal-row').hidden = false;
+  }
+  if (info.lockIn) {
+    $('blocked-category').textContent = 'This session is locked in: overrides are off until it ends.';
+    $('blocked-category').hidden = false;
+    return;
+  }
+  if (aiDetected && info.profileId) setUpNotDistraction(info);
+  setUpOverride(info);
+}
+
+init();
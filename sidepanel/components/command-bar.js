@@ -3,6 +3,22 @@
 import { showToast } from './toast.js';
 import { sendOrThrow } from '../message-client.js';
 
+const PLAN_STEP_LABELS = {
+  close: 'Close',
+  group: 'Group',
+  move: 'Move to new window',
+  stash: 'Stash',
+  discard: 'Kebab',
+  reload: 'Reload',
+  bookmark: 'Bookmark',
+  saveSession: 'Save as session',
+  pin: 'Pin',
+  unpin: 'Unpin',
+  mute: 'Mute',
+  unmute: 'Unmute',
+  ungroup: 'Ungroup',
+};
+
 export class CommandBar {
   constructor(rootEl) {
     this.root = rootEl;
@@ -38,12 +54,14 @@ export class CommandBar {
       if (result.error) {
         showToast(result.error, 'error');
         this.resultsEl.innerHTML = '';
+      } else if (result.plan) {
+        this.showPlan(result.plan);
       } else if (result.confirmation) {
         this.showConfirmation(result);
       } else if (result.action === 'find' && result.matchedTabs) {
         this.showFindResults(result);
       } else if (result.executed) {
-        showToast(result.message || 'Done', 'success');
+        this.showExecuted(result);
         this.resultsEl.innerHTML = '';
         this.inputEl.value = '';
       }
@@ -57,6 +75,192 @@ export class CommandBar {
     }
   }
 
+  // ── Executed Actions ──
+
+  showExecuted(result) {
+    if (!result.undo) {
+      showToast(result.message || 'Done', 'success');
+      return;
+    }
+    const undo = result.undo;
+    showToast(result.message || 'Done', 'success', 8000, {
+      label: 'Undo',
+      callback: async () => {
+        try {
+          const undone = await this.send({ action: 'undoNLCommand', undo });
+          showToast(undone.message || 'Undone', 'success');
+        } catch (err) {
+          showToast('Undo failed: ' + err.message, 'error');
+        }
+      },
+    });
+  }
+
+  // ── Multi-step Plans ──
+
+  showPlan(plan) {
+    const generation = this._beginResultRender();
+    this.resultsEl.innerHTML = '';
+
+    const msg = document.createElement('p');
+    msg.className = 'command-confirmation';
+    msg.textContent = plan.confirmation;
+    this.resultsEl.appendChild(msg);
+
+    // Each entry tracks the step checkbox and its per-tab checkboxes.
+    const selections = [];
+    plan.steps.forEach((step, index) => {
+      const stepEl = document.createElement('div');
+      stepEl.className = 'plan-step';
+
+      const header = document.createElement('label');
+      header.className = 'plan-step-header';
+      const stepBox = document.createElement('input');
+      stepBox.type = 'checkbox';
+      stepBox.checked = step.tabs.length > 0;
+      stepBox.disabled = step.tabs.length === 0;
+      const label = document.createElement('span');
+      const detail = step.groupName || step.name;
+      label.textContent = `${index + 1}. ${PLAN_STEP_LABELS[step.action] || step.action}` +
+        `${detail ? ` "${detail}"` : ''} — ${step.tabs.length} tab${step.tabs.length !== 1 ? 's' : ''}`;
+      header.appendChild(stepBox);
+      header.appendChild(label);
+      stepEl.appendChild(header);
+
+      const list = document.createElement('div');
+      list.className = 'find-results-list plan-step-tabs';
+      const tabBoxes = [];
+      for (const tab of step.tabs) {
+        const row = document.createElement('label');
+        row.className = 'find-result-item';
+        const tabBox = document.createElement('input');
+        tabBox.type = 'checkbox';
+        tabBox.checked = true;
+        tabBox.dataset.tabId = String(tab.id);
+        const title = document.createElement('span');
+        title.className = 'find-result-title';
+        title.textContent = tab.title || tab.url || 'Untitled';
+        title.title = tab.url || '';
+        row.appendChild(tabBox);
+        row.appendChild(title);
+        list.appendChild(row);
+        tabBoxes.push(tabBox);
+      }
+      stepBox.addEventListener('change', () => {
+        list.hidden = !stepBox.checked;
+      });
+      if (step.tabs.length > 0) stepEl.appendChild(list);
+
+      this.resultsEl.appendChild(stepEl);
+      selections.push({ step, stepBox, tabBoxes });
+    });
+
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'action-btn';
+    confirmBtn.textContent = 'Run plan';
+    confirmBtn.addEventListener('click', async () => {
+      if (this._confirmationGeneration !== generation) return false;
+      const steps = [];
+      for (const { step, stepBox, tabBoxes } of selections) {
+        if (!stepBox.checked) continue;
+        const tabIds = tabBoxes.filter((box) => box.checked).map((box) => Number(box.dataset.tabId));
+        if (tabIds.length === 0) continue;
+        const { tabs, ...command } = step;
+        steps.push({ ...command, tabIds });
+      }
+      if (steps.length === 0) {
+        showToast('Select at least one step and tab', 'error');
+        return false;
+      }
+
+      this._setConfirmationBusy(true);
+      this.resultsEl.innerHTML = '<p class="loading-text">Executing...</p>';
+      try {
+        const execResult = await this.send({ action: 'confirmNLPlan', steps });
+        if (this._confirmationGeneration !== generation) return false;
+        this.inputEl.value = '';
+        this.showPlanOutcome(execResult);
+        return true;
+      } catch (err) {
+        if (this._confirmationGeneration !== generation) return false;
+        showToast('Execution failed: ' + err.message, 'error');
+        this.showPlan(plan);
+        return false;
+      } finally {
+        if (this._confirmationGeneration === generation) {
+          this._setConfirmationBusy(false);
+        }
+      }
+    });
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'action-btn secondary';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => {
+      this.resultsEl.innerHTML = '';
+    });
+
+    const btns = document.createElement('div');
+    btns.className = 'toolbar';
+    btns.appendChild(confirmBtn);
+    btns.appendChild(cancelBtn);
+    this.resultsEl.appendChild(btns);
+  }
+
+  showPlanOutcome(result) {
+    this._beginResultRender();
+    this.resultsEl.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'find-results-header';
+    header.textContent = result.message || 'Plan finished';
+    this.resultsEl.appendChild(header);
+
+    const list = document.createElement('div');
+    list.className = 'find-results-list';
+    for (const outcome of result.steps || []) {
+      const row = document.createElement('div');
+      row.className = `find-result-item plan-outcome ${outcome.error ? 'failed' : 'succeeded'}`;
+      const text = document.createElement('span');
+      text.className = 'find-result-title';
+      text.textContent = `${PLAN_STEP_LABELS[outcome.action] || outcome.action}: ${outcome.error || outcome.message}`;
+      row.appendChild(text);
+      if (outcome.undo) {
+        const undoBtn = document.createElement('button');
+        undoBtn.className = 'action-btn secondary';
+        undoBtn.textContent = 'Undo';
+        undoBtn.addEventListener('click', async () => {
+          undoBtn.disabled = true;
+          try {
+            const undone = await this.send({ action: 'undoNLCommand', undo: outcome.undo });
+            showToast(undone.message || 'Undone', 'success');
+            undoBtn.remove();
+          } catch (err) {
+            undoBtn.disabled = false;
+            showToast('Undo failed: ' + err.message, 'error');
+          }
+        });
+        row.appendChild(undoBtn);
+      }
+      list.appendChild(row);
+    }
+    this.resultsEl.appendChild(list);
+
+    const dismissBtn = document.createElement('button');
+    dismissBtn.className = 'action-btn secondary';
+    dismissBtn.textContent = 'Dismiss';
+    dismissBtn.addEventListener('click', () => {
+      this.resultsEl.innerHTML = '';
+    });
+    const btns = document.createElement('div');
+    btns.className = 'toolbar';
+    btns.appendChild(dismissBtn);
+    this.resultsEl.appendChild(btns);
+
+    const failed = (result.steps || []).some((outcome) => outcome.error);
+    showToast(result.message || 'Plan finished', failed ? 'error' : 'success');
+  }
+
   // ── Find Results ──
 
   showFindResults(result) {
@@ -208,7 +412,7 @@ export class CommandBar {
           parsedCommand: result.parsedCommand,
         });
         if (this._confirmationGeneration !== generation) return false;
-        showToast(execResult.message || 'Done', 'success');
+        this.showExecuted(execResult);
         this.inputEl.value = '';
         this.resultsEl.innerHTML = '';
         return true;
@@ -4,6 +4,34 @@ import { showToast } from './toast.js';
 import { collectUndoUrls } from '../../core/duplicates.js';
 import { sendOrThrow } from '../message-client.js';
 
+const URL_RULE_CHECKBOXES = {
+  stripTrackingParams: '#url-rule-strip-tracking',
+  ignoreFragment: '#url-rule-ignore-fragment',
+  ignoreScheme: '#url-rule-ignore-scheme',
+  ignoreWww: '#url-rule-ignore-www',
+  caseFoldPath: '#url-rule-case-fold-path',
+};
+
+function splitParamNames(text) {
+  return text.split(/[\s,]+/).filter(Boolean);
+}
+
+// One rule per line: `youtube.com: v, t`
+function parseDomainRules(text) {
+  return text.split('\n').map((line) => line.trim()).filter(Boolean).map((line) => {
+    const separator = line.indexOf(':');
+    if (separator < 1) throw new Error(`Expected "domain: params" but got "${line}"`);
+    return {
+      domain: line.slice(0, separator).trim(),
+      keepParams: splitParamNames(line.slice(separator + 1)),
+    };
+  });
+}
+
+function formatDomainRules(rules) {
+  return rules.map((rule) => `${rule.domain}: ${rule.keepParams.join(', ')}`).join('\n');
+}
+
 export class DuplicateFinder {
   constructor(rootEl) {
     this.root = rootEl;
@@ -11,7 +39,10 @@ export class DuplicateFinder {
     this.closeAllBtn = rootEl.querySelector('#btn-close-all-dupes');
     this.emptyPagesRow = rootEl.querySelector('#empty-pages-row');
     this.emptyPagesCount = rootEl.querySelector('#empty-pages-count');
+    this.similarSection = rootEl.querySelector('#similar-section');
+    this.similarListEl = rootEl.querySelector('#similar-list');
     this.duplicates = [];
+    this.similar = [];
     this.emptyPages = [];
 
     rootEl.querySelector('#btn-scan-dupes').addEventListener('click', () => {
@@ -19,6 +50,49 @@ export class DuplicateFinder {
     });
     this.closeAllBtn.addEventListener('click', () => this.closeAllDuplicates());
     rootEl.querySelector('#btn-close-empty')?.addEventListener('click', () => this.closeEmptyPages());
+
+    this.rulesEl = rootEl.querySelector('#url-rules');
+    this.rulesEl?.addEventListener('toggle', () => {
+      if (this.rulesEl.open) void this.loadUrlRules();
+    });
+    rootEl.querySelector('#btn-save-url-rules')?.addEventListener('click', () => this.saveUrlRules());
+  }
+
+  async loadUrlRules() {
+    let profile;
+    try {
+      profile = await this.send({ action: 'getUrlNormalization' });
+    } catch (err) {
+      showToast('Failed to load matching rules: ' + err.message, 'error');
+      return;
+    }
+    for (const [key, selector] of Object.entries(URL_RULE_CHECKBOXES)) {
+      this.root.querySelector(selector).checked = profile[key];
+    }
+    this.root.querySelector('#url-rule-tracking-params').value = profile.trackingParams.join(', ');
+    this.root.querySelector('#url-rule-domain-rules').value = formatDomainRules(profile.domainRules);
+  }
+
+  async saveUrlRules() {
+    const profile = {};
+    for (const [key, selector] of Object.entries(URL_RULE_CHECKBOXES)) {
+      profile[key] = this.root.querySelector(selector).checked;
+    }
+    try {
+      profile.trackingParams = splitParamNames(this.root.querySelector('#url-rule-tracking-params').value);
+      profile.domainRules = parseDomainRules(this.root.querySelector('#url-rule-domain-rules').value);
+      await this.send({ action: 'saveUrlNormalization', profile });
+    } catch (err) {
+      showToast('Failed to save matching rules: ' + err.message, 'error');
+      return;
+    }
+    try {
+      await this.scan();
+    } catch (err) {
+      showToast('Rules were saved, but the rescan failed: ' + err.message, 'error');
+      return;
+    }
+    showToast('Matching rules saved', 'success');
   }
 
   async refresh() {
@@ -42,6 +116,93 @@ export class DuplicateFinder {
       : 0;
     const totalCount = dupeCount + this.emptyPages.length;
     document.dispatchEvent(new CustomEvent('dupesUpdated', { detail: { count: totalCount } }));
+
+    // Near-duplicates are advisory, so they load after the exact results and a
+    // failed lookup only hides the section.
+    try {
+      this.similar = await this.send({ action: 'findSimilarTabs' });
+    } catch {
+      this.similar = [];
+    }
+    this.renderSimilar();
+  }
+
+  renderSimilar() {
+    if (!this.similarSection) return;
+    this.similarListEl.innerHTML = '';
+    this.similarSection.hidden = this.similar.length === 0;
+
+    for (const cluster of this.similar) {
+      const groupEl = document.createElement('div');
+      groupEl.className = 'duplicate-group similar-group';
+
+      const header = document.createElement('div');
+      header.className = 'similar-header';
+      const hostEl = document.createElement('span');
+      hostEl.textContent = `${cluster.host} · ${cluster.tabs.length} tabs`;
+      const confidenceEl = document.createElement('span');
+      confidenceEl.className = 'similar-confidence';
+      confidenceEl.textContent = `${Math.round(cluster.confidence * 100)}% match`;
+      header.appendChild(hostEl);
+      header.appendChild(confidenceEl);
+      groupEl.appendChild(header);
+
+      cluster.tabs.forEach((tab, index) => {
+        const tabEl = document.createElement('div');
+        tabEl.className = 'dupe-tab';
+        const titleEl = document.createElement('span');
+        titleEl.className = 'similar-tab-title';
+        titleEl.textContent = tab.title || tab.url;
+        titleEl.title = tab.url;
+        tabEl.appendChild(titleEl);
+        if (index === 0) {
+          const keepBadge = document.createElement('span');
+          keepBadge.className = 'keep-badge';
+          keepBadge.textContent = 'NEWEST';
+          tabEl.appendChild(keepBadge);
+        }
+        groupEl.appendChild(tabEl);
+      });
+
+      const keepBtn = document.createElement('button');
+      keepBtn.className = 'action-btn danger';
+      keepBtn.textContent = `Keep most recent, close ${cluster.tabs.length - 1}`;
+      keepBtn.addEventListener('click', () => this.keepMostRecent(cluster));
+      groupEl.appendChild(keepBtn);
+
+      this.similarListEl.appendChild(groupEl);
+    }
+  }
+
+  async keepMostRecent(cluster) {
+    // Clusters arrive ordered most recently used first.
+    const tabIds = cluster.tabs.slice(1).map((tab) => tab.id);
+    const closedUrls = Object.freeze(collectUndoUrls([cluster], tabIds));
+    const undoAction = {
+      label: 'Undo',
+      callback: async () => {
+        try {
+          const result = await this.send({ action: 'reopenTabs', urls: closedUrls });
+          showToast(`Reopened ${result.created} tab(s)`, 'success');
+        } catch (err) {
+          showToast('Undo failed: ' + err.message, 'error');
+        }
+      },
+    };
+
+    try {
+      await this.send({ action: 'closeTabs', tabIds });
+    } catch (err) {
+      showToast('Failed to close similar tabs: ' + err.message, 'error');
+      return;
+    }
+    try {
+      await this.scan();
+    } catch (err) {
+      showToast('Tabs were closed, but the view could not refresh: ' + err.message, 'error', 8000, undoAction);
+      return;
+    }
+    showToast(`Closed ${tabIds.length} similar tab(s)`, 'success', 8000, undoAction);
   }
 
   renderEmptyPages() {
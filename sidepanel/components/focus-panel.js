@@ -1,12 +1,49 @@
 // sidepanel/components/focus-panel.js — Focus Mode UI: setup, timer HUD, report, history
 
 import { showToast } from './toast.js';
-import { createAllowlistEntry, normalizeAllowlistPreferences } from '../../core/focus-policy.js';
+import { showConfirm } from './confirm-dialog.js';
+import {
+  createAllowlistEntry,
+  createFocusRule,
+  describeFocusRule,
+  evaluateFocusPolicy,
+  normalizeAllowlistPreferences,
+  normalizeFocusRules,
+  resolveGroupAllowlist,
+} from '../../core/focus-policy.js';
+import { getPhaseRemainingMs, isBlockingPhase, pomodoroPhaseLabel } from '../../core/focus-pomodoro.js';
 import { createFocusRunCommand, handleFocusPanelMessage } from '../focus-events.js';
 import { sendOrThrow } from '../message-client.js';
+import { downloadText } from '../../core/export-import.js';
 import { renderActionableEmptyState } from './actionable-empty-state.js';
 
 const PROFILE_PREFS_KEY = 'focusProfilePrefs';
+// Setting key and input id for each field of a Pomodoro cycle plan.
+const POMODORO_FIELDS = [
+  { key: 'workMinutes', setting: 'focusPomodoroWorkMinutes', id: 'focus-pomodoro-work', label: 'Work', unit: 'min' },
+  { key: 'shortBreakMinutes', setting: 'focusPomodoroShortBreakMinutes', id: 'focus-pomodoro-short', label: 'Short break', unit: 'min' },
+  { key: 'longBreakMinutes', setting: 'focusPomodoroLongBreakMinutes', id: 'focus-pomodoro-long', label: 'Long break', unit: 'min' },
+  { key: 'longBreakEvery', setting: 'focusPomodoroLongBreakEvery', id: 'focus-pomodoro-every', label: 'Long break every', unit: 'cycles' },
+  { key: 'cycles', setting: 'focusPomodoroCycles', id: 'focus-pomodoro-cycles', label: 'Cycles', unit: '' },
+];
+const PROFILE_COLORS = ['blue', 'cyan', 'green', 'purple', 'red', 'orange', 'yellow', 'pink', 'grey'];
+const SCHEDULE_DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SCHEDULE_STATUS_LABELS = {
+  running: 'Running now',
+  ended: 'Done today',
+  skipped: 'Skipped today',
+  yielded: 'Yielded to a manual session',
+  missed: 'Missed today',
+  failed: 'Failed to start today',
+};
+const FOCUS_CATEGORIES = [
+  { id: 'social', name: 'Social Media', icon: '💬' },
+  { id: 'video', name: 'Video', icon: '📺' },
+  { id: 'gaming', name: 'Gaming', icon: '🎮' },
+  { id: 'news', name: 'News', icon: '📰' },
+  { id: 'shopping', name: 'Shopping', icon: '🛒' },
+  { id: 'entertainment', name: 'Entertainment', icon: '🎭' },
+];
 
 export class FocusPanel {
   constructor(rootEl, {
@@ -19,6 +56,17 @@ export class FocusPanel {
     this.profiles = [];
     this.timerInterval = null;
     this._profilePrefs = {};
+    this._preferredProfileId = null;
+    this._schedules = [];
+    this._schedulesOpen = false;
+    this._budgets = [];
+    this._history = [];
+    this._budgetsOpen = false;
+    this._corrections = [];
+    this._correctionsOpen = false;
+    this.categories = FOCUS_CATEGORIES;
+    this._categoryEditorOpen = false;
+    this._editingCategoryId = null;
     this.notify = notify;
 
     // Listen for focus events from service worker
@@ -35,6 +83,8 @@ export class FocusPanel {
     this._stopTimer();
     this.state = await this.send({ action: 'getFocusState' });
     this.profiles = await this.send({ action: 'getFocusProfiles' });
+    // Falls back to the built-in names so the chips still render if the worker is unavailable.
+    this.categories = await this.send({ action: 'getFocusCategories' }) || FOCUS_CATEGORIES;
     const settings = await this.send({ action: 'getSettings' });
     this.settings = settings;
 
@@ -70,7 +120,10 @@ export class FocusPanel {
     const defaultProfile = settings.focusDefaultProfile || 'coding';
     const defaultDuration = settings.focusDefaultDuration || 25;
     const defaultAction = settings.focusTabAction || 'kebab';
-    const profile = this.profiles.find(p => p.id === defaultProfile) || this.profiles[0];
+    const profile = this.profiles.find(p => p.id === this._preferredProfileId) ||
+      this.profiles.find(p => p.id === defaultProfile) ||
+      this.profiles[0];
+    this._preferredProfileId = null;
 
     this.container.innerHTML = `
       <div class="focus-setup">
@@ -83,10 +136,25 @@ export class FocusPanel {
                     style="--profile-color: var(--focus-${p.color})">
               <span class="focus-profile-icon">${this._esc(p.icon)}</span>
               <span>${this._esc(p.name)}</span>
+              ${p.id === defaultProfile ? '<span class="focus-profile-default" title="Default profile">&#9733;</span>' : ''}
             </button>
           `).join('')}
         </div>
 
+        <div class="focus-profile-actions">
+          <button class="action-btn secondary" id="btn-profile-new">New</button>
+          <button class="action-btn secondary" id="btn-profile-duplicate">Duplicate</button>
+          <button class="action-btn secondary" id="btn-profile-edit" hidden>Edit</button>
+          <button class="action-btn secondary" id="btn-profile-delete" hidden>Delete</button>
+          <button class="action-btn secondary" id="btn-profile-default">Set as default</button>
+        </div>
+        <div class="focus-profile-editor" id="focus-profile-editor" hidden></div>
+
+        <div class="focus-goal-row">
+          <label class="focus-label" for="focus-goal">Goal</label>
+          <input type="text" id="focus-goal" class="input" maxlength="200" placeholder="What will this session get done? (optional)">
+        </div>
+
         <div class="focus-duration-row">
           <label class="focus-label">Duration</label>
           <input type="number" id="focus-duration" class="input focus-duration-input" value="${profile.suggestedDuration || defaultDuration}" min="1" max="480">
@@ -95,6 +163,19 @@ export class FocusPanel {
             <input type="checkbox" id="focus-open-ended">
             Open-ended
           </label>
+          <label class="focus-open-ended-label">
+            <input type="checkbox" id="focus-pomodoro">
+            Pomodoro
+          </label>
+        </div>
+        <div class="focus-pomodoro-options" id="focus-pomodoro-options" hidden>
+          ${POMODORO_FIELDS.map(field => `
+            <label class="focus-pomodoro-field">
+              <span>${field.label}</span>
+              <input type="number" id="${field.id}" class="input focus-duration-input" value="${settings[field.setting]}" min="1">
+              <span class="focus-unit">${field.unit}</span>
+            </label>
+          `).join('')}
         </div>
 
         <div class="focus-action-section">
@@ -115,6 +196,16 @@ export class FocusPanel {
               <span class="focus-toggle-label">Strict Mode</span>
               <span class="focus-toggle-hint">Block everything except allowed entries</span>
             </label>
+            <label class="focus-toggle-row">
+              <input type="checkbox" id="focus-lock-in" ${settings.focusStrictBlocking ? 'checked' : ''}>
+              <span class="focus-toggle-label">Lock-in</span>
+              <span class="focus-toggle-hint">No pausing or ending early; blocked tabs are closed. An emergency exit opens only after the wait below.</span>
+            </label>
+            <label class="focus-pomodoro-field focus-lock-in-cooldown" id="focus-lock-in-cooldown-row" ${settings.focusStrictBlocking ? '' : 'hidden'}>
+              <span>Emergency exit wait</span>
+              <input type="number" id="focus-lock-in-cooldown" class="input focus-duration-input" value="${settings.focusLockInCooldownMinutes}" min="1" max="60">
+              <span class="focus-unit">min</span>
+            </label>
             <label class="focus-toggle-row" id="focus-ai-row" hidden>
               <input type="checkbox" id="focus-ai-blocking">
               <span class="focus-toggle-label">AI Detection</span>
@@ -124,6 +215,8 @@ export class FocusPanel {
           <div class="focus-categories">
             <label class="focus-label">Block Categories</label>
             <div class="focus-category-chips" id="focus-category-chips"></div>
+            <button class="action-btn secondary focus-category-edit-toggle" id="focus-category-edit-toggle">Edit categories</button>
+            <div class="focus-profile-editor focus-category-editor" id="focus-category-editor" hidden></div>
           </div>
         </div>
 
@@ -152,13 +245,112 @@ export class FocusPanel {
               <button class="action-btn secondary focus-add-btn" id="btn-add-blocked">+</button>
             </div>
           </div>
+          <div class="focus-domain-group">
+            <label class="focus-label">URL rules</label>
+            <p class="focus-hint">Globs match host and path with * as a wildcard (reddit.com/r/programming*, *.slack.com); regexes match the full URL. The most specific matching rule or list entry wins, and allow wins a tie.</p>
+            <div class="focus-rule-list" id="focus-rule-list"></div>
+            <div class="focus-domain-add">
+              <select id="focus-rule-action" class="input focus-rule-select">
+                <option value="block">Block</option>
+                <option value="allow">Allow</option>
+              </select>
+              <select id="focus-rule-type" class="input focus-rule-select">
+                <option value="glob">Glob</option>
+                <option value="regex">Regex</option>
+              </select>
+              <input type="text" id="focus-rule-pattern" class="input" placeholder="e.g. reddit.com/r/programming*">
+              <button class="action-btn secondary focus-add-btn" id="btn-add-rule">+</button>
+            </div>
+            <div class="focus-domain-add focus-rule-check">
+              <input type="text" id="focus-rule-check-url" class="input" placeholder="Check a URL against these settings...">
+            </div>
+            <p class="focus-hint" id="focus-rule-check-result"></p>
+          </div>
         </div>
 
         <button class="action-btn focus-start-btn" id="btn-start-focus">Start Focus</button>
 
+        <div class="focus-schedule-section">
+          <h3 class="focus-subtitle" id="focus-schedule-toggle">Schedules</h3>
+          <div id="focus-schedule-body" ${this._schedulesOpen ? '' : 'hidden'}>
+            <div id="focus-schedule-list" class="focus-schedule-list"></div>
+            <div class="focus-schedule-form">
+              <input type="text" id="focus-schedule-name" class="input" placeholder="Name (optional)" maxlength="60">
+              <div class="focus-schedule-days" id="focus-schedule-days">
+                ${SCHEDULE_DAY_LABELS.map((label, day) => `
+                  <label><input type="checkbox" value="${day}" ${day >= 1 && day <= 5 ? 'checked' : ''}> ${label}</label>
+                `).join('')}
+              </div>
+              <div class="focus-schedule-times">
+                <input type="time" id="focus-schedule-start" class="input" value="09:00">
+                <span class="focus-unit">to</span>
+                <input type="time" id="focus-schedule-end" class="input" value="11:30">
+              </div>
+              <p class="focus-hint">Starts with the selected profile and its saved preferences. A session you start yourself takes precedence.</p>
+              <button class="action-btn secondary" id="btn-add-schedule">Add schedule</button>
+            </div>
+          </div>
+        </div>
+
+        <div class="focus-schedule-section focus-budget-section">
+          <h3 class="focus-subtitle" id="focus-budget-toggle">Daily budgets</h3>
+          <div id="focus-budget-body" ${this._budgetsOpen ? '' : 'hidden'}>
+            <div id="focus-budget-list" class="focus-schedule-list"></div>
+            <div class="focus-schedule-form">
+              <div class="focus-schedule-times">
+                <select id="focus-budget-target" class="input focus-rule-select">
+                  <option value="category">Category</option>
+                  <option value="domain">Domain</option>
+                </select>
+                <select id="focus-budget-category" class="input"></select>
+                <input type="text" id="focus-budget-domain" class="input" placeholder="e.g. reddit.com" hidden>
+              </div>
+              <div class="focus-schedule-times">
+                <input type="number" id="focus-budget-minutes" class="input focus-duration-input" min="1" max="1440" value="30">
+                <span class="focus-unit">min a day</span>
+              </div>
+              <p class="focus-hint">Counts time on the active tab while you are at the computer, with or without a session. Once a budget is spent its sites are blocked until midnight.</p>
+              <button class="action-btn secondary" id="btn-add-budget">Add budget</button>
+            </div>
+          </div>
+        </div>
+
+        <div class="focus-schedule-section focus-correction-section">
+          <h3 class="focus-subtitle" id="focus-correction-toggle">Learned corrections</h3>
+          <div id="focus-correction-body" ${this._correctionsOpen ? '' : 'hidden'}>
+            <div id="focus-correction-list" class="focus-schedule-list"></div>
+            <div class="focus-schedule-form">
+              <div class="focus-schedule-times">
+                <input type="text" id="focus-correction-domain" class="input" placeholder="e.g. docs.rs">
+                <select id="focus-correction-verdict" class="input focus-rule-select">
+                  <option value="allow">Not a distraction</option>
+                  <option value="block">Distraction</option>
+                </select>
+              </div>
+              <p class="focus-hint">AI Detection checks these before asking the AI, for the selected profile only. A domain covers its subdomains.</p>
+              <button class="action-btn secondary" id="btn-add-correction">Add correction</button>
+            </div>
+          </div>
+        </div>
+
         <div class="focus-history-section">
           <h3 class="focus-subtitle" id="focus-history-toggle">Recent Sessions</h3>
-          <div id="focus-history-list" class="focus-history-list" hidden></div>
+          <div id="focus-history-list" class="focus-history-list" hidden>
+            <input type="search" id="focus-history-search" class="input focus-history-search" placeholder="Search goals, notes and profiles">
+            <div id="focus-history-items"></div>
+          </div>
+        </div>
+
+        <div class="focus-stats-section">
+          <h3 class="focus-subtitle" id="focus-stats-toggle">Focus Stats</h3>
+          <div id="focus-stats-body" class="focus-stats-body" hidden>
+            <div id="focus-stats-content"></div>
+            <div class="focus-stats-export">
+              <button class="action-btn secondary" data-stats-export="csv">Export CSV</button>
+              <button class="action-btn secondary" data-stats-export="json">Export JSON</button>
+              <button class="action-btn secondary" data-stats-export="log">Export work log</button>
+            </div>
+          </div>
         </div>
       </div>
     `;
@@ -168,6 +360,7 @@ export class FocusPanel {
     this._allowlist = normalizeAllowlistPreferences(profile.allowedDomains);
     this._blockedDomains = [...(profile.blockedDomains || [])];
     this._blockedCategories = [...(profile.blockedCategories || [])];
+    this._rules = [];
     this._strictMode = false;
     this._aiBlocking = false;
     this._chromeGroups = [];
@@ -184,9 +377,15 @@ export class FocusPanel {
     await this._loadChromeGroups();
     this._renderAllowlistTags();
     this._renderDomainTags();
+    this._renderRules();
     this._renderCategoryChips();
+    this._renderCategoryEditor();
+    this._updateProfileActions();
     await this._checkAIAvailability();
     this._wireSetupEvents();
+    await this._loadSchedules();
+    await this._loadBudgets();
+    await this._loadCorrections();
     await this._loadHistory();
   }
 
@@ -236,6 +435,7 @@ export class FocusPanel {
       this._allowlist = normalizeAllowlistPreferences(prefs.allowlist);
     }
     if (prefs.blockedDomains) this._blockedDomains = [...prefs.blockedDomains];
+    if (prefs.rules) this._rules = normalizeFocusRules(prefs.rules);
     if (prefs.strictMode !== undefined) this._strictMode = prefs.strictMode;
     if (prefs.aiBlocking !== undefined) this._aiBlocking = prefs.aiBlocking;
     if (prefs.duration !== undefined) {
@@ -254,6 +454,7 @@ export class FocusPanel {
       blockedCategories: this._blockedCategories,
       allowlist: this._allowlist,
       blockedDomains: this._blockedDomains,
+      rules: this._rules,
       strictMode: this._strictMode,
       aiBlocking: this._aiBlocking,
       duration: parseInt(this.container.querySelector('#focus-duration')?.value) || 25,
@@ -297,6 +498,58 @@ export class FocusPanel {
     });
   }
 
+  _renderRules() {
+    const container = this.container.querySelector('#focus-rule-list');
+    if (!container) return;
+
+    if (this._rules.length === 0) {
+      container.innerHTML = '<span class="focus-domain-empty">No URL rules</span>';
+    } else {
+      container.innerHTML = this._rules.map((rule, idx) => `
+        <span class="focus-domain-tag ${rule.action === 'block' ? 'focus-domain-tag-blocked' : ''}">
+          <span class="focus-rule-kind">${rule.action} ${rule.type}</span>
+          <span class="focus-rule-pattern">${this._esc(rule.pattern)}</span>
+          <button class="focus-rule-remove" data-rule-idx="${idx}">&times;</button>
+        </span>
+      `).join('');
+    }
+
+    container.querySelectorAll('.focus-rule-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this._rules.splice(parseInt(btn.dataset.ruleIdx), 1);
+        this._renderRules();
+      });
+    });
+    this._checkRuleUrl();
+  }
+
+  // Evaluates the setup as it stands, so the user can see which entry would fire.
+  _checkRuleUrl() {
+    const input = this.container.querySelector('#focus-rule-check-url');
+    const resultEl = this.container.querySelector('#focus-rule-check-result');
+    if (!input || !resultEl) return;
+    const raw = input.value.trim();
+    if (!raw) {
+      resultEl.textContent = '';
+      return;
+    }
+    const url = /^[a-z][a-z0-9+.-]*:/i.test(raw) ? raw : `https://${raw}`;
+    const result = evaluateFocusPolicy(url, {
+      allowedDomains: resolveGroupAllowlist(this._allowlist, []),
+      blockedDomains: this._blockedDomains,
+      rules: this._rules,
+      strictMode: this._strictMode,
+      blockedCategories: this._blockedCategories,
+    });
+    if (result.rule) {
+      resultEl.textContent = describeFocusRule(result.rule);
+    } else if (result.blocked) {
+      resultEl.textContent = `Blocked: ${result.category}`;
+    } else {
+      resultEl.textContent = 'Allowed: no rule or list entry matches';
+    }
+  }
+
   async _checkAIAvailability() {
     try {
       const result = await this.send({ action: 'isAIAvailable' });
@@ -311,22 +564,7 @@ export class FocusPanel {
     const container = this.container.querySelector('#focus-category-chips');
     if (!container) return;
 
-    const categories = [
-      { id: 'social', name: 'Social Media', icon: '💬' },
-      { id: 'video', name: 'Video', icon: '📺' },
-      { id: 'gaming', name: 'Gaming', icon: '🎮' },
-      { id: 'news', name: 'News', icon: '📰' },
-      { id: 'shopping', name: 'Shopping', icon: '🛒' },
-      { id: 'entertainment', name: 'Entertainment', icon: '🎭' },
-    ];
-
-    container.innerHTML = categories.map(cat => `
-      <button class="focus-category-chip ${this._blockedCategories.includes(cat.id) ? 'active' : ''}"
-              data-category="${cat.id}">
-        <span>${cat.icon}</span>
-        <span>${cat.name}</span>
-      </button>
-    `).join('');
+    container.innerHTML = this._categoryChipsHtml(this._blockedCategories);
 
     container.querySelectorAll('.focus-category-chip').forEach(chip => {
       chip.addEventListener('click', () => {
@@ -342,6 +580,150 @@ export class FocusPanel {
     });
   }
 
+  _categoryChipsHtml(selected) {
+    return this.categories.map(cat => `
+      <button class="focus-category-chip ${selected.includes(cat.id) ? 'active' : ''}"
+              data-category="${cat.id}" title="${cat.domains ? `${cat.domains.length} domains` : ''}">
+        <span>${this._esc(cat.icon)}</span>
+        <span>${this._esc(cat.name)}${cat.edited ? ' *' : ''}</span>
+      </button>
+    `).join('');
+  }
+
+  // ── Category editor ──
+
+  _renderCategoryEditor() {
+    const editor = this.container.querySelector('#focus-category-editor');
+    if (!editor) return;
+    editor.hidden = !this._categoryEditorOpen;
+    if (!this._categoryEditorOpen) {
+      editor.innerHTML = '';
+      return;
+    }
+
+    const category = this.categories.find(cat => cat.id === this._editingCategoryId) || null;
+    const isNew = !category;
+    const custom = isNew || !category.builtIn;
+    let status = 'New category';
+    if (category) {
+      status = `${category.domains.length.toLocaleString()} domains`;
+      if (category.builtIn) status += category.edited ? ' · edited' : ' · curated list';
+    }
+
+    editor.innerHTML = `
+      <div class="focus-profile-editor-row">
+        <select id="focus-category-select" class="input">
+          ${this.categories.map(cat => `
+            <option value="${cat.id}" ${cat.id === this._editingCategoryId ? 'selected' : ''}>${this._esc(cat.name)}</option>
+          `).join('')}
+          <option value="" ${isNew ? 'selected' : ''}>New category…</option>
+        </select>
+      </div>
+      <div class="focus-profile-editor-row" ${custom ? '' : 'hidden'}>
+        <input type="text" id="focus-category-icon" class="input focus-edit-icon" maxlength="4" title="Icon">
+        <input type="text" id="focus-category-name" class="input" maxlength="40" placeholder="Category name">
+      </div>
+      <p class="focus-hint">${this._esc(status)}</p>
+      <textarea id="focus-category-domains" class="input focus-edit-domains" rows="6" placeholder="One domain per line">${this._esc(category ? category.domains.join('\n') : '')}</textarea>
+      <div class="focus-profile-actions">
+        <button class="action-btn" id="btn-category-save">Save</button>
+        ${category ? '<button class="action-btn secondary" id="btn-category-import">Import list…</button>' : ''}
+        ${category && (custom || category.edited) ? `<button class="action-btn secondary" id="btn-category-reset">${custom ? 'Delete' : 'Reset to curated'}</button>` : ''}
+        <input type="file" id="focus-category-file" accept=".txt,.hosts,text/plain" hidden>
+      </div>
+      <p class="focus-hint">Import accepts a hosts file or one domain per line. Changes apply to the next session that starts.</p>
+    `;
+    if (custom) {
+      editor.querySelector('#focus-category-icon').value = category?.icon ?? '🚫';
+      editor.querySelector('#focus-category-name').value = category?.name ?? '';
+    }
+
+    editor.querySelector('#focus-category-select')?.addEventListener('change', (event) => {
+      this._editingCategoryId = event.target.value || null;
+      this._renderCategoryEditor();
+    });
+    editor.querySelector('#btn-category-save')?.addEventListener('click', async () => {
+      await this._saveCategory(category);
+    });
+    editor.querySelector('#btn-category-reset')?.addEventListener('click', async () => {
+      await this._resetCategory(category);
+    });
+    const fileInput = editor.querySelector('#focus-category-file');
+    editor.querySelector('#btn-category-import')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', async (event) => {
+      const file = event.target.files[0];
+      if (file) await this._importCategoryFile(category, file);
+      event.target.value = '';
+    });
+  }
+
+  async _reloadCategories() {
+    this.categories = await this.send({ action: 'getFocusCategories' }) || this.categories;
+    const known = new Set(this.categories.map(cat => cat.id));
+    this._blockedCategories = this._blockedCategories.filter(id => known.has(id));
+    this._renderCategoryChips();
+    this._renderCategoryEditor();
+  }
+
+  async _saveCategory(category) {
+    const editor = this.container.querySelector('#focus-category-editor');
+    const domains = editor.querySelector('#focus-category-domains').value
+      .split('\n').map(line => line.trim()).filter(Boolean);
+    const fields = { domains };
+    if (!category?.builtIn) {
+      fields.name = editor.querySelector('#focus-category-name').value.trim();
+      fields.icon = editor.querySelector('#focus-category-icon').value.trim() || '🚫';
+      if (!fields.name) {
+        showToast('Name the category first', 'error');
+        return;
+      }
+    }
+    try {
+      const saved = await this.send({ action: 'saveFocusCategory', categoryId: category?.id ?? null, category: fields });
+      this._editingCategoryId = saved.id;
+      await this._reloadCategories();
+      showToast(`Category saved: ${saved.name}`, 'success');
+    } catch (err) {
+      showToast('Failed to save category: ' + err.message, 'error');
+    }
+  }
+
+  async _resetCategory(category) {
+    const confirmed = await showConfirm(category.builtIn
+      ? {
+        title: 'Reset category?',
+        message: `Your changes to "${category.name}" will be discarded and the curated list used again.`,
+        confirmLabel: 'Reset',
+      }
+      : {
+        title: 'Delete category?',
+        message: `"${category.name}" will be removed. Profiles that block it will skip it.`,
+        confirmLabel: 'Delete',
+        danger: true,
+      });
+    if (!confirmed) return;
+    try {
+      await this.send({ action: 'resetFocusCategory', categoryId: category.id });
+      if (!category.builtIn) this._editingCategoryId = this.categories[0]?.id ?? null;
+      await this._reloadCategories();
+      showToast(category.builtIn ? `${category.name} reset` : `${category.name} deleted`, 'success');
+    } catch (err) {
+      showToast('Failed to reset category: ' + err.message, 'error');
+    }
+  }
+
+  async _importCategoryFile(category, file) {
+    try {
+      const text = await file.text();
+      const result = await this.send({ action: 'importFocusCategoryDomains', categoryId: category.id, text });
+      await this._reloadCategories();
+      const skipped = result.skipped ? `, ${result.skipped.toLocaleString()} lines skipped` : '';
+      showToast(`Imported ${result.added.toLocaleString()} domains into ${result.category.name}${skipped}`, 'success');
+    } catch (err) {
+      showToast('Import failed: ' + err.message, 'error');
+    }
+  }
+
   _renderDomainTags() {
     const allowedEl = this.container.querySelector('#focus-allowed-tags');
     const blockedEl = this.container.querySelector('#focus-blocked-tags');
@@ -384,6 +766,7 @@ export class FocusPanel {
         this._allowlist = normalizeAllowlistPreferences(profile.allowedDomains);
         this._blockedDomains = [...(profile.blockedDomains || [])];
         this._blockedCategories = [...(profile.blockedCategories || [])];
+        this._rules = [];
         this._strictMode = false;
         this._aiBlocking = false;
 
@@ -395,6 +778,7 @@ export class FocusPanel {
 
         this.container.querySelectorAll('.focus-profile-chip').forEach(c => c.classList.remove('active'));
         chip.classList.add('active');
+        this._updateProfileActions();
 
         // Update UI to reflect loaded preferences
         const strictCb = this.container.querySelector('#focus-strict-mode');
@@ -404,10 +788,29 @@ export class FocusPanel {
 
         this._renderAllowlistTags();
         this._renderDomainTags();
+        this._renderRules();
         this._renderCategoryChips();
+        await this._loadCorrections();
       });
     });
 
+    // Profile management
+    this.container.querySelector('#btn-profile-new')?.addEventListener('click', () => {
+      this._openProfileEditor(null);
+    });
+    this.container.querySelector('#btn-profile-edit')?.addEventListener('click', () => {
+      if (this._selectedProfile?.custom) this._openProfileEditor(this._selectedProfile);
+    });
+    this.container.querySelector('#btn-profile-duplicate')?.addEventListener('click', async () => {
+      await this._duplicateProfile(this._selectedProfile);
+    });
+    this.container.querySelector('#btn-profile-delete')?.addEventListener('click', async () => {
+      await this._deleteProfile(this._selectedProfile);
+    });
+    this.container.querySelector('#btn-profile-default')?.addEventListener('click', async () => {
+      await this._setDefaultProfile(this._selectedProfile);
+    });
+
     // Open-ended toggle
     const openEndedCb = this.container.querySelector('#focus-open-ended');
     const durInput = this.container.querySelector('#focus-duration');
@@ -418,6 +821,26 @@ export class FocusPanel {
       });
     }
 
+    // Pomodoro toggle: the cycle plan replaces the single duration
+    const pomodoroCb = this.container.querySelector('#focus-pomodoro');
+    const pomodoroOptions = this.container.querySelector('#focus-pomodoro-options');
+    if (pomodoroCb && pomodoroOptions && openEndedCb && durInput) {
+      pomodoroCb.addEventListener('change', () => {
+        pomodoroOptions.hidden = !pomodoroCb.checked;
+        openEndedCb.disabled = pomodoroCb.checked;
+        durInput.disabled = pomodoroCb.checked || openEndedCb.checked;
+      });
+    }
+
+    // Lock-in toggle: the emergency-exit wait only matters for a locked-in run
+    const lockInCb = this.container.querySelector('#focus-lock-in');
+    const cooldownRow = this.container.querySelector('#focus-lock-in-cooldown-row');
+    if (lockInCb && cooldownRow) {
+      lockInCb.addEventListener('change', () => {
+        cooldownRow.hidden = !lockInCb.checked;
+      });
+    }
+
     // Allowlist type toggle
     const addTypeSelect = this.container.querySelector('#focus-add-type');
     const addValueInput = this.container.querySelector('#focus-add-value');
@@ -476,6 +899,30 @@ export class FocusPanel {
     addBlocked?.addEventListener('click', addBlockedDomain);
     blockedInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') addBlockedDomain(); });
 
+    // Add URL rule
+    const ruleInput = this.container.querySelector('#focus-rule-pattern');
+    const addRule = () => {
+      const rule = createFocusRule(
+        this.container.querySelector('#focus-rule-action')?.value,
+        this.container.querySelector('#focus-rule-type')?.value,
+        ruleInput?.value,
+      );
+      if (!rule) {
+        showToast('That rule is not a valid glob or regular expression.', 'error');
+        return;
+      }
+      if (this._rules.some((r) => r.action === rule.action && r.type === rule.type && r.pattern === rule.pattern)) {
+        showToast('That rule already exists.', 'error');
+        return;
+      }
+      this._rules.push(rule);
+      ruleInput.value = '';
+      this._renderRules();
+    };
+    this.container.querySelector('#btn-add-rule')?.addEventListener('click', addRule);
+    ruleInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') addRule(); });
+    this.container.querySelector('#focus-rule-check-url')?.addEventListener('input', () => this._checkRuleUrl());
+
     // Start button
     this.container.querySelector('#btn-start-focus')?.addEventListener('click', () => this._startSession());
 
@@ -484,6 +931,238 @@ export class FocusPanel {
       const list = this.container.querySelector('#focus-history-list');
       if (list) list.hidden = !list.hidden;
     });
+    this.container.querySelector('#focus-history-search')?.addEventListener('input', () => this._renderHistory());
+
+    // Stats dashboard, loaded each time it opens
+    this.container.querySelector('#focus-stats-toggle')?.addEventListener('click', async () => {
+      const body = this.container.querySelector('#focus-stats-body');
+      if (!body) return;
+      body.hidden = !body.hidden;
+      if (!body.hidden) await this._loadStats();
+    });
+    this.container.querySelectorAll('[data-stats-export]').forEach((button) => {
+      button.addEventListener('click', () => this._exportStats(button.dataset.statsExport));
+    });
+
+    // Category editor
+    this.container.querySelector('#focus-category-edit-toggle')?.addEventListener('click', () => {
+      this._categoryEditorOpen = !this._categoryEditorOpen;
+      this._editingCategoryId ??= this.categories[0]?.id ?? null;
+      this._renderCategoryEditor();
+    });
+
+    // Budgets
+    this.container.querySelector('#focus-budget-toggle')?.addEventListener('click', () => {
+      const body = this.container.querySelector('#focus-budget-body');
+      if (!body) return;
+      body.hidden = !body.hidden;
+      this._budgetsOpen = !body.hidden;
+    });
+    this.container.querySelector('#focus-budget-target')?.addEventListener('change', (event) => {
+      const byDomain = event.target.value === 'domain';
+      this.container.querySelector('#focus-budget-category').hidden = byDomain;
+      this.container.querySelector('#focus-budget-domain').hidden = !byDomain;
+    });
+    this.container.querySelector('#btn-add-budget')?.addEventListener('click', async () => {
+      await this._addBudget();
+    });
+    this.container.querySelector('#focus-budget-list')?.addEventListener('click', async (event) => {
+      const button = event.target.closest('button[data-budget-action]');
+      if (!button) return;
+      const budget = this._budgets.find(b => b.id === button.dataset.budgetId);
+      if (!budget) return;
+      if (button.dataset.budgetAction === 'toggle') await this._toggleBudget(budget);
+      if (button.dataset.budgetAction === 'delete') await this._deleteBudget(budget);
+    });
+
+    // Learned corrections
+    this.container.querySelector('#focus-correction-toggle')?.addEventListener('click', () => {
+      const body = this.container.querySelector('#focus-correction-body');
+      if (!body) return;
+      body.hidden = !body.hidden;
+      this._correctionsOpen = !body.hidden;
+    });
+    this.container.querySelector('#btn-add-correction')?.addEventListener('click', async () => {
+      await this._addCorrection();
+    });
+    this.container.querySelector('#focus-correction-list')?.addEventListener('click', async (event) => {
+      const button = event.target.closest('button[data-correction-domain]');
+      if (button) await this._revertCorrection(button.dataset.correctionDomain);
+    });
+
+    // Schedules
+    this.container.querySelector('#focus-schedule-toggle')?.addEventListener('click', () => {
+      const body = this.container.querySelector('#focus-schedule-body');
+      if (!body) return;
+      body.hidden = !body.hidden;
+      this._schedulesOpen = !body.hidden;
+    });
+    this.container.querySelector('#btn-add-schedule')?.addEventListener('click', async () => {
+      await this._addSchedule();
+    });
+    this.container.querySelector('#focus-schedule-list')?.addEventListener('click', async (event) => {
+      const button = event.target.closest('button[data-schedule-action]');
+      if (!button) return;
+      const schedule = this._schedules?.find(s => s.id === button.dataset.scheduleId);
+      if (!schedule) return;
+      if (button.dataset.scheduleAction === 'skip') await this._skipSchedule(schedule, schedule.today !== 'skipped');
+      if (button.dataset.scheduleAction === 'toggle') await this._toggleSchedule(schedule);
+      if (button.dataset.scheduleAction === 'delete') await this._deleteSchedule(schedule);
+    });
+  }
+
+  // ── Profile editor ──
+
+  _updateProfileActions() {
+    const custom = this._selectedProfile?.custom === true;
+    const editBtn = this.container.querySelector('#btn-profile-edit');
+    const deleteBtn = this.container.querySelector('#btn-profile-delete');
+    if (editBtn) editBtn.hidden = !custom;
+    if (deleteBtn) deleteBtn.hidden = !custom;
+  }
+
+  _openProfileEditor(profile) {
+    const editor = this.container.querySelector('#focus-profile-editor');
+    if (!editor) return;
+    const draft = profile || {
+      name: '',
+      icon: '*',
+      color: 'blue',
+      allowedDomains: [],
+      blockedDomains: [],
+      blockedCategories: [],
+      suggestedDuration: 25,
+    };
+    this._editingProfileId = profile ? profile.id : null;
+    this._editingCategories = [...draft.blockedCategories];
+
+    editor.innerHTML = `
+      <h3 class="focus-subtitle">${profile ? 'Edit Profile' : 'New Profile'}</h3>
+      <div class="focus-profile-editor-row">
+        <input type="text" id="focus-edit-icon" class="input focus-edit-icon" maxlength="4" title="Icon">
+        <input type="text" id="focus-edit-name" class="input" maxlength="60" placeholder="Profile name">
+      </div>
+      <div class="focus-profile-editor-row">
+        <select id="focus-edit-color" class="input">
+          ${PROFILE_COLORS.map(color => `<option value="${color}" ${color === draft.color ? 'selected' : ''}>${color}</option>`).join('')}
+        </select>
+        <input type="number" id="focus-edit-duration" class="input focus-duration-input" min="1" max="480" value="${draft.suggestedDuration}">
+        <span class="focus-unit">min</span>
+      </div>
+      <label class="focus-label">Allowed domains</label>
+      <textarea id="focus-edit-allowed" class="input focus-edit-domains" rows="3" placeholder="One domain per line">${this._esc(draft.allowedDomains.join('\n'))}</textarea>
+      <label class="focus-label">Blocked domains</label>
+      <textarea id="focus-edit-blocked" class="input focus-edit-domains" rows="2" placeholder="One domain per line">${this._esc(draft.blockedDomains.join('\n'))}</textarea>
+      <label class="focus-label">Block Categories</label>
+      <div class="focus-category-chips" id="focus-edit-categories">
+        ${this._categoryChipsHtml(this._editingCategories)}
+      </div>
+      <div class="focus-profile-actions">
+        <button class="action-btn" id="btn-profile-save">Save Profile</button>
+        <button class="action-btn secondary" id="btn-profile-cancel">Cancel</button>
+      </div>
+    `;
+    // Assigned as properties: _esc() leaves quotes intact, which would break attributes.
+    editor.querySelector('#focus-edit-icon').value = draft.icon;
+    editor.querySelector('#focus-edit-name').value = draft.name;
+    editor.hidden = false;
+
+    editor.querySelectorAll('.focus-category-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        const catId = chip.dataset.category;
+        if (this._editingCategories.includes(catId)) {
+          this._editingCategories = this._editingCategories.filter(c => c !== catId);
+          chip.classList.remove('active');
+        } else {
+          this._editingCategories.push(catId);
+          chip.classList.add('active');
+        }
+      });
+    });
+    editor.querySelector('#btn-profile-cancel')?.addEventListener('click', () => {
+      editor.hidden = true;
+      editor.innerHTML = '';
+    });
+    editor.querySelector('#btn-profile-save')?.addEventListener('click', async () => {
+      await this._saveProfileFromEditor();
+    });
+    editor.querySelector('#focus-edit-name')?.focus();
+  }
+
+  _readDomainList(selector) {
+    const value = this.container.querySelector(selector)?.value || '';
+    return value.split(/[\s,]+/).map(d => d.trim().toLowerCase()).filter(Boolean);
+  }
+
+  async _saveProfileFromEditor() {
+    const profile = {
+      name: this.container.querySelector('#focus-edit-name')?.value.trim() || '',
+      icon: this.container.querySelector('#focus-edit-icon')?.value.trim() || '*',
+      color: this.container.querySelector('#focus-edit-color')?.value || 'blue',
+      allowedDomains: this._readDomainList('#focus-edit-allowed'),
+      blockedDomains: this._readDomainList('#focus-edit-blocked'),
+      blockedCategories: [...this._editingCategories],
+      suggestedDuration: parseInt(this.container.querySelector('#focus-edit-duration')?.value) || 25,
+    };
+    if (!profile.name) {
+      showToast('Enter a profile name.', 'error');
+      return;
+    }
+
+    try {
+      const saved = await this.send({
+        action: 'saveFocusProfile',
+        profileId: this._editingProfileId,
+        profile,
+      });
+      this._preferredProfileId = saved.id;
+      await this.refresh();
+      showToast(`Saved profile: ${saved.name}`, 'success');
+    } catch (err) {
+      showToast('Failed to save profile: ' + err.message, 'error');
+    }
+  }
+
+  async _duplicateProfile(profile) {
+    if (!profile) return;
+    try {
+      const copy = await this.send({ action: 'duplicateFocusProfile', profileId: profile.id });
+      this._preferredProfileId = copy.id;
+      await this.refresh();
+      showToast(`Created ${copy.name}`, 'success');
+    } catch (err) {
+      showToast('Failed to duplicate profile: ' + err.message, 'error');
+    }
+  }
+
+  async _deleteProfile(profile) {
+    if (!profile?.custom) return;
+    const confirmed = await showConfirm({
+      title: 'Delete profile?',
+      message: `"${profile.name}" and its saved preferences will be removed.`,
+      confirmLabel: 'Delete',
+      danger: true,
+    });
+    if (!confirmed) return;
+    try {
+      await this.send({ action: 'deleteFocusProfile', profileId: profile.id });
+      await this.refresh();
+      showToast(`Deleted ${profile.name}`, 'success');
+    } catch (err) {
+      showToast('Failed to delete profile: ' + err.message, 'error');
+    }
+  }
+
+  async _setDefaultProfile(profile) {
+    if (!profile) return;
+    try {
+      await this.send({ action: 'saveSettings', settings: { focusDefaultProfile: profile.id } });
+      this._preferredProfileId = profile.id;
+      await this.refresh();
+      showToast(`${profile.name} is now the default profile`, 'success');
+    } catch (err) {
+      showToast('Failed to set default profile: ' + err.message, 'error');
+    }
   }
 
   async _startSession() {
@@ -493,10 +1172,36 @@ export class FocusPanel {
     const tabAction = this.container.querySelector('input[name="focus-action"]:checked')?.value || 'none';
     this._strictMode = this.container.querySelector('#focus-strict-mode')?.checked || false;
     this._aiBlocking = this.container.querySelector('#focus-ai-blocking')?.checked || false;
+    const pomodoro = this.container.querySelector('#focus-pomodoro')?.checked ? this._readPomodoroPlan() : null;
+    const lockIn = this.container.querySelector('#focus-lock-in')?.checked || false;
+    const goal = this.container.querySelector('#focus-goal')?.value.trim() || null;
+    if (lockIn && !pomodoro && duration === 0) {
+      showToast('Lock-in needs a timed session', 'error');
+      return;
+    }
 
     try {
       // Save preferences for this profile before starting the run.
       await this._saveProfilePrefs(this._selectedProfile.id);
+      if (pomodoro) {
+        // Remember the plan; saving also validates it before the run starts.
+        await this.send({
+          action: 'saveSettings',
+          settings: Object.fromEntries(POMODORO_FIELDS.map(field => [field.setting, pomodoro[field.key]])),
+        });
+      }
+      if (lockIn !== Boolean(this.settings?.focusStrictBlocking)) {
+        await this.send({ action: 'saveSettings', settings: { focusStrictBlocking: lockIn } });
+        this.settings = { ...this.settings, focusStrictBlocking: lockIn };
+      }
+      if (lockIn) {
+        const cooldownMinutes = Number(this.container.querySelector('#focus-lock-in-cooldown')?.value);
+        if (cooldownMinutes !== this.settings.focusLockInCooldownMinutes) {
+          // Saving validates the 1-60 minute range before the run starts.
+          await this.send({ action: 'saveSettings', settings: { focusLockInCooldownMinutes: cooldownMinutes } });
+          this.settings = { ...this.settings, focusLockInCooldownMinutes: cooldownMinutes };
+        }
+      }
       this.state = await this.send({
         action: 'startFocus',
         profileId: this._selectedProfile.id,
@@ -504,9 +1209,13 @@ export class FocusPanel {
         tabAction,
         allowedDomains: this._allowlist, // New flexible allowlist format
         blockedDomains: this._blockedDomains,
+        rules: this._rules,
         strictMode: this._strictMode,
         blockedCategories: this._blockedCategories,
         aiBlocking: this._aiBlocking,
+        pomodoro,
+        lockIn: lockIn ? { cooldownMinutes: this.settings.focusLockInCooldownMinutes } : null,
+        goal,
       });
       this._renderHUD();
       showToast(`Focus started: ${this._selectedProfile.name}`, 'success');
@@ -515,6 +1224,253 @@ export class FocusPanel {
     }
   }
 
+  // ── Schedules ──
+
+  async _loadSchedules() {
+    try {
+      this._schedules = await this.send({ action: 'getFocusSchedules' });
+      this._renderSchedules();
+    } catch (err) {
+      showToast('Failed to load focus schedules: ' + err.message, 'error');
+    }
+  }
+
+  _renderSchedules() {
+    const listEl = this.container.querySelector('#focus-schedule-list');
+    if (!listEl) return;
+    if (!this._schedules?.length) {
+      listEl.innerHTML = '<span class="focus-domain-empty">No schedules yet.</span>';
+      return;
+    }
+
+    listEl.innerHTML = this._schedules.map(schedule => {
+      const profile = this.profiles.find(p => p.id === schedule.profileId);
+      const days = schedule.days.map(day => SCHEDULE_DAY_LABELS[day]).join(' ');
+      let status = SCHEDULE_STATUS_LABELS[schedule.today] || '';
+      if (!status && schedule.nextStart) {
+        const next = new Date(schedule.nextStart);
+        status = `Next: ${next.toLocaleDateString(undefined, { weekday: 'short' })} ` +
+          next.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+      }
+      return `
+        <div class="focus-schedule-item ${schedule.enabled ? '' : 'disabled'}">
+          <div class="focus-schedule-info">
+            <span class="focus-schedule-name">${this._esc(schedule.name || profile?.name || schedule.profileId)}</span>
+            <span class="focus-schedule-when">${days} · ${schedule.start}–${schedule.end}${schedule.name && profile ? ` · ${this._esc(profile.name)}` : ''}</span>
+            <span class="focus-schedule-status">${this._esc(schedule.enabled ? status : 'Paused')}</span>
+          </div>
+          <div class="focus-schedule-actions">
+            ${schedule.enabled ? `<button class="action-btn secondary" data-schedule-action="skip" data-schedule-id="${schedule.id}">${schedule.today === 'skipped' ? 'Unskip' : 'Skip today'}</button>` : ''}
+            <button class="action-btn secondary" data-schedule-action="toggle" data-schedule-id="${schedule.id}">${schedule.enabled ? 'Pause' : 'Resume'}</button>
+            <button class="action-btn secondary" data-schedule-action="delete" data-schedule-id="${schedule.id}">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async _addSchedule() {
+    const days = [...this.container.querySelectorAll('#focus-schedule-days input:checked')]
+      .map(input => Number(input.value));
+    const schedule = {
+      name: this.container.querySelector('#focus-schedule-name')?.value.trim() || '',
+      profileId: this._selectedProfile.id,
+      days,
+      start: this.container.querySelector('#focus-schedule-start')?.value || '',
+      end: this.container.querySelector('#focus-schedule-end')?.value || '',
+    };
+    try {
+      // Schedules start from saved preferences, so capture the current setup first.
+      await this._saveProfilePrefs(this._selectedProfile.id);
+      await this.send({ action: 'saveFocusSchedule', schedule });
+      showToast(`Scheduled ${this._selectedProfile.name}`, 'success');
+      await this.refresh();
+    } catch (err) {
+      showToast('Failed to save schedule: ' + err.message, 'error');
+    }
+  }
+
+  async _toggleSchedule(schedule) {
+    const { today, nextStart, ...stored } = schedule;
+    try {
+      await this.send({ action: 'saveFocusSchedule', schedule: { ...stored, enabled: !schedule.enabled } });
+      await this.refresh();
+    } catch (err) {
+      showToast('Failed to update schedule: ' + err.message, 'error');
+    }
+  }
+
+  async _skipSchedule(schedule, skip) {
+    try {
+      await this.send({ action: 'skipFocusSchedule', scheduleId: schedule.id, skip });
+      await this.refresh();
+    } catch (err) {
+      showToast('Failed to update schedule: ' + err.message, 'error');
+    }
+  }
+
+  async _deleteSchedule(schedule) {
+    try {
+      await this.send({ action: 'deleteFocusSchedule', scheduleId: schedule.id });
+      await this.refresh();
+      showToast('Schedule deleted', 'success');
+    } catch (err) {
+      showToast('Failed to delete schedule: ' + err.message, 'error');
+    }
+  }
+
+  // ── Budgets ──
+
+  async _loadBudgets() {
+    const select = this.container.querySelector('#focus-budget-category');
+    if (select) {
+      select.innerHTML = this.categories
+        .map(cat => `<option value="${cat.id}">${this._esc(cat.icon)} ${this._esc(cat.name)}</option>`)
+        .join('');
+    }
+    try {
+      this._budgets = await this.send({ action: 'getFocusBudgets' }) || [];
+      this._renderBudgets();
+    } catch (err) {
+      showToast('Failed to load focus budgets: ' + err.message, 'error');
+    }
+  }
+
+  _renderBudgets() {
+    const listEl = this.container.querySelector('#focus-budget-list');
+    if (!listEl) return;
+    if (!this._budgets.length) {
+      listEl.innerHTML = '<span class="focus-domain-empty">No budgets yet.</span>';
+      return;
+    }
+
+    listEl.innerHTML = this._budgets.map(budget => {
+      const usedMin = Math.floor(budget.usedMs / 60000);
+      const percent = Math.min(100, Math.round((budget.usedMs / budget.limitMs) * 100));
+      let status = `${usedMin} of ${budget.minutes} min used today`;
+      if (!budget.enabled) status = 'Paused';
+      else if (budget.exhausted) status = `Used up · blocked until ${new Date(budget.resetsAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+      return `
+        <div class="focus-schedule-item ${budget.enabled ? '' : 'disabled'}">
+          <div class="focus-schedule-info">
+            <span class="focus-schedule-name">${this._esc(budget.label || budget.value)}</span>
+            <div class="focus-budget-meter ${budget.exhausted ? 'exhausted' : ''}"><span style="width: ${percent}%"></span></div>
+            <span class="focus-schedule-status">${this._esc(status)}</span>
+          </div>
+          <div class="focus-schedule-actions">
+            <button class="action-btn secondary" data-budget-action="toggle" data-budget-id="${budget.id}">${budget.enabled ? 'Pause' : 'Resume'}</button>
+            <button class="action-btn secondary" data-budget-action="delete" data-budget-id="${budget.id}">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async _addBudget() {
+    const target = this.container.querySelector('#focus-budget-target')?.value || 'category';
+    const value = target === 'domain'
+      ? this.container.querySelector('#focus-budget-domain')?.value.trim() || ''
+      : this.container.querySelector('#focus-budget-category')?.value || '';
+    const minutes = Number(this.container.querySelector('#focus-budget-minutes')?.value);
+    try {
+      await this.send({ action: 'saveFocusBudget', budget: { target, value, minutes } });
+      const domainInput = this.container.querySelector('#focus-budget-domain');
+      if (domainInput) domainInput.value = '';
+      await this._loadBudgets();
+      showToast(`Budget added: ${minutes} min a day`, 'success');
+    } catch (err) {
+      showToast('Failed to save budget: ' + err.message, 'error');
+    }
+  }
+
+  async _toggleBudget(budget) {
+    const { id, target, value, minutes, enabled } = budget;
+    try {
+      await this.send({ action: 'saveFocusBudget', budget: { id, target, value, minutes, enabled: !enabled } });
+      await this._loadBudgets();
+    } catch (err) {
+      showToast('Failed to update budget: ' + err.message, 'error');
+    }
+  }
+
+  async _deleteBudget(budget) {
+    try {
+      await this.send({ action: 'deleteFocusBudget', budgetId: budget.id });
+      await this._loadBudgets();
+      showToast('Budget deleted', 'success');
+    } catch (err) {
+      showToast('Failed to delete budget: ' + err.message, 'error');
+    }
+  }
+
+  // ── Learned corrections ──
+
+  async _loadCorrections() {
+    if (!this._selectedProfile) return;
+    try {
+      this._corrections = await this.send({ action: 'getFocusCorrections', profileId: this._selectedProfile.id }) || [];
+      this._renderCorrections();
+    } catch (err) {
+      showToast('Failed to load learned corrections: ' + err.message, 'error');
+    }
+  }
+
+  _renderCorrections() {
+    const listEl = this.container.querySelector('#focus-correction-list');
+    if (!listEl) return;
+    if (!this._corrections.length) {
+      listEl.innerHTML = `<span class="focus-domain-empty">Nothing learned for ${this._esc(this._selectedProfile?.name)} yet.</span>`;
+      return;
+    }
+
+    listEl.innerHTML = this._corrections.map(correction => `
+      <div class="focus-schedule-item">
+        <div class="focus-schedule-info">
+          <span class="focus-schedule-name">${this._esc(correction.domain)}</span>
+          <span class="focus-schedule-status">${correction.verdict === 'allow' ? 'Not a distraction' : 'Distraction'} · learned ${new Date(correction.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
+        </div>
+        <div class="focus-schedule-actions">
+          <button class="action-btn secondary" data-correction-domain="${this._esc(correction.domain)}">Revert</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  async _addCorrection() {
+    const domainInput = this.container.querySelector('#focus-correction-domain');
+    const verdict = this.container.querySelector('#focus-correction-verdict')?.value || 'allow';
+    try {
+      const saved = await this.send({
+        action: 'saveFocusCorrection',
+        profileId: this._selectedProfile.id,
+        domain: domainInput?.value.trim() || '',
+        verdict,
+      });
+      if (domainInput) domainInput.value = '';
+      await this._loadCorrections();
+      showToast(`${saved.domain} marked as ${verdict === 'allow' ? 'not a distraction' : 'a distraction'}`, 'success');
+    } catch (err) {
+      showToast('Failed to save correction: ' + err.message, 'error');
+    }
+  }
+
+  async _revertCorrection(domain) {
+    try {
+      await this.send({ action: 'deleteFocusCorrection', profileId: this._selectedProfile.id, domain });
+      await this._loadCorrections();
+      showToast(`AI Detection decides ${domain} again`, 'success');
+    } catch (err) {
+      showToast('Failed to revert correction: ' + err.message, 'error');
+    }
+  }
+
+  _readPomodoroPlan() {
+    return Object.fromEntries(POMODORO_FIELDS.map(field => [
+      field.key,
+      Number(this.container.querySelector(`#${field.id}`)?.value),
+    ]));
+  }
+
   // ── Active Timer HUD ──
 
   _getProfileColor(colorName) {
@@ -523,6 +1479,11 @@ export class FocusPanel {
       purple: '#a78bfa',
       green: '#34d399',
       blue: '#60a5fa',
+      red: '#f87171',
+      orange: '#fb923c',
+      yellow: '#facc15',
+      pink: '#f472b6',
+      grey: '#9ca3af',
     };
     return colors[colorName] || colors.blue;
   }
@@ -533,17 +1494,31 @@ export class FocusPanel {
 
     const isPaused = state.status === 'paused';
     const profileColor = this._getProfileColor(state.profileColor);
+    const pomodoro = state.pomodoro;
+    const timerSub = pomodoro
+      ? 'left in this phase'
+      : state.duration > 0 ? 'remaining' : 'elapsed';
 
     this.container.innerHTML = `
-      <div class="focus-hud" style="--focus-profile-color: ${profileColor}">
+      <div class="focus-hud ${isBlockingPhase(state) ? '' : 'focus-hud-break'}" style="--focus-profile-color: ${profileColor}">
         <div class="focus-hud-header">
           <span class="focus-hud-label">FOCUS MODE - ${this._esc(state.profileName)}</span>
-          <button class="action-btn secondary focus-end-early-btn" id="btn-end-early">End Early</button>
+          ${state.lockIn ? '<span class="focus-lock-in-badge">Locked in</span>' : '<button class="action-btn secondary focus-end-early-btn" id="btn-end-early">End Early</button>'}
         </div>
 
+        ${state.goal ? `<div class="focus-hud-goal">${this._esc(state.goal)}</div>` : ''}
+
+        ${pomodoro ? `
+          <div class="focus-pomodoro-phase">
+            <span class="focus-pomodoro-phase-name">${pomodoroPhaseLabel(pomodoro.phase)}</span>
+            <span class="focus-pomodoro-cycle">Cycle ${pomodoro.cycle} of ${pomodoro.cycles}</span>
+            ${isBlockingPhase(state) ? '' : '<span class="focus-hint">Blocking is relaxed during breaks</span>'}
+          </div>
+        ` : ''}
+
         <div class="focus-timer-display">
           <div class="focus-timer-value" id="focus-timer">${this._calcTimeDisplay()}</div>
-          <div class="focus-timer-sub">${state.duration > 0 ? 'remaining' : 'elapsed'}</div>
+          <div class="focus-timer-sub">${timerSub}</div>
         </div>
 
         <div class="focus-progress-wrap">
@@ -558,17 +1533,32 @@ export class FocusPanel {
             <span class="focus-stat-value" id="focus-distractions">${state.distractionsBlocked}</span>
             <span class="focus-stat-label">Distractions blocked</span>
           </div>
+          <div class="focus-stat">
+            <span class="focus-stat-value" id="focus-overrides">${state.overridesUsed || 0}</span>
+            <span class="focus-stat-label">Overrides</span>
+          </div>
           <div class="focus-stat">
             <span class="focus-stat-value">${state.focusTabCount}</span>
             <span class="focus-stat-label">Focus tabs</span>
           </div>
         </div>
 
-        <div class="focus-hud-actions">
-          <button class="action-btn secondary" id="btn-pause-focus">${isPaused ? 'Resume' : 'Pause'}</button>
-          <button class="action-btn secondary" id="btn-extend-focus">+5 min</button>
-          <button class="action-btn danger" id="btn-end-focus">End Session</button>
-        </div>
+        ${state.lockIn ? `
+          <div class="focus-hud-actions">
+            <button class="action-btn secondary" id="btn-extend-focus">+5 min</button>
+            ${state.lockIn.exitRequestedAt
+              ? `<button class="action-btn danger" id="btn-confirm-exit" disabled>Emergency exit</button>
+                 <button class="action-btn secondary" id="btn-cancel-exit">Stay locked in</button>`
+              : '<button class="action-btn secondary" id="btn-request-exit">Emergency exit…</button>'}
+          </div>
+          <p class="focus-hint focus-lock-in-exit" id="focus-exit-status"></p>
+        ` : `
+          <div class="focus-hud-actions">
+            <button class="action-btn secondary" id="btn-pause-focus">${isPaused ? 'Resume' : 'Pause'}</button>
+            <button class="action-btn secondary" id="btn-extend-focus">+5 min</button>
+            <button class="action-btn danger" id="btn-end-focus">End Session</button>
+          </div>
+        `}
       </div>
     `;
 
@@ -626,6 +1616,57 @@ export class FocusPanel {
 
     this.container.querySelector('#btn-end-focus')?.addEventListener('click', endHandler);
     this.container.querySelector('#btn-end-early')?.addEventListener('click', endHandler);
+
+    // Lock-in: an emergency exit is requested first and opens after a cooldown.
+    const requestExit = async (cancel) => {
+      try {
+        const nextState = await this.send({
+          action: 'requestFocusEmergencyExit',
+          expectedRunId: this.state?.runId,
+          cancel,
+        });
+        if (!nextState) {
+          await this.refresh();
+          return;
+        }
+        this.state = nextState;
+        this._renderHUD();
+      } catch (err) {
+        showToast('Failed to update the emergency exit: ' + err.message, 'error');
+      }
+    };
+    this.container.querySelector('#btn-request-exit')?.addEventListener('click', () => requestExit(false));
+    this.container.querySelector('#btn-cancel-exit')?.addEventListener('click', () => requestExit(true));
+    this.container.querySelector('#btn-confirm-exit')?.addEventListener('click', async () => {
+      try {
+        const record = await this.send({ action: 'confirmFocusEmergencyExit', expectedRunId: this.state?.runId });
+        if (record) {
+          this.state = null;
+          this._showReport(record);
+        } else {
+          await this.refresh();
+        }
+      } catch (err) {
+        showToast('Emergency exit failed: ' + err.message, 'error');
+      }
+    });
+    this._updateExitStatus();
+  }
+
+  _updateExitStatus() {
+    const statusEl = this.container.querySelector('#focus-exit-status');
+    const lockIn = this.state?.lockIn;
+    if (!statusEl || !lockIn) return;
+    if (!lockIn.exitRequestedAt) {
+      statusEl.textContent = `Pausing and ending early are off. An emergency exit opens ${lockIn.cooldownMinutes} min after you ask for it, and is recorded in history.`;
+      return;
+    }
+    const waitMs = lockIn.exitRequestedAt + lockIn.cooldownMinutes * 60 * 1000 - Date.now();
+    const confirmBtn = this.container.querySelector('#btn-confirm-exit');
+    if (confirmBtn) confirmBtn.disabled = waitMs > 0;
+    statusEl.textContent = waitMs > 0
+      ? `Emergency exit opens in ${this._formatMs(waitMs)}. You can still change your mind.`
+      : 'Emergency exit is open. Ending now is recorded in history.';
   }
 
   _startTimer() {
@@ -642,6 +1683,7 @@ export class FocusPanel {
 
   _tickUI() {
     if (!this.state || this.state.status === 'paused') return;
+    if (this.state.pomodoro && getPhaseRemainingMs(this.state) <= 0) void this._syncPhase();
 
     const timerEl = this.container.querySelector('#focus-timer');
     const progressEl = this.container.querySelector('#focus-progress');
@@ -651,10 +1693,29 @@ export class FocusPanel {
     const pct = this._calcProgress();
     if (progressEl) progressEl.style.width = pct + '%';
     if (pctEl) pctEl.textContent = Math.round(pct) + '%';
+    this._updateExitStatus();
+  }
+
+  // The worker advances phases from its alarm; poll until the new phase lands.
+  async _syncPhase() {
+    if (this._phaseSyncAt && Date.now() - this._phaseSyncAt < 5000) return;
+    this._phaseSyncAt = Date.now();
+    try {
+      const latest = await this.send({ action: 'getFocusState' });
+      if (latest?.runId !== this.state?.runId || !latest.pomodoro) return;
+      const { phase, cycle } = this.state.pomodoro;
+      if (latest.pomodoro.phase !== phase || latest.pomodoro.cycle !== cycle) {
+        this.state = latest;
+        this._renderHUD();
+      }
+    } catch {
+      // The next tick retries.
+    }
   }
 
   _calcTimeDisplay() {
     if (!this.state) return '0:00';
+    if (this.state.pomodoro) return this._formatMs(getPhaseRemainingMs(this.state));
     if (this.state.duration === 0) {
       // Open-ended: show elapsed
       const elapsed = Date.now() - this.state.startedAt - this.state.pausedElapsed;
@@ -682,14 +1743,20 @@ export class FocusPanel {
 
   // ── Distraction flash ──
 
-  _flashDistraction(domain, count) {
+  _flashDistraction(domain, count, reason = '') {
     const distractionsEl = this.container.querySelector('#focus-distractions');
     if (distractionsEl) {
       distractionsEl.textContent = count;
       distractionsEl.classList.add('focus-distraction-flash');
       setTimeout(() => distractionsEl.classList.remove('focus-distraction-flash'), 600);
     }
-    showToast(`Blocked: ${domain} \u2014 stay focused!`, 'error', 3000);
+    showToast(reason ? `${domain}: ${reason}` : `Blocked: ${domain} \u2014 stay focused!`, 'error', 3000);
+  }
+
+  _showOverride(domain, count) {
+    const overridesEl = this.container.querySelector('#focus-overrides');
+    if (overridesEl) overridesEl.textContent = count;
+    showToast(`${domain} allowed for a few minutes`, 'info', 3000);
   }
 
   // ── Report ──
@@ -715,17 +1782,58 @@ export class FocusPanel {
           <span>${durationMin} minute${durationMin !== 1 ? 's' : ''}</span>
         </div>
 
+        <div class="focus-reflection">
+          ${record.goal ? `
+            <div class="focus-reflection-goal">${this._esc(record.goal)}</div>
+            <label class="focus-label">Did you achieve it?</label>
+            <div class="focus-reflection-choices">
+              <button class="action-btn secondary" data-achieved="true">Yes</button>
+              <button class="action-btn secondary" data-achieved="false">No</button>
+            </div>
+          ` : ''}
+          <textarea id="focus-reflection-note" class="input focus-reflection-note" rows="3" maxlength="1000" placeholder="A short note on how it went (optional)">${this._esc(record.reflection?.note || '')}</textarea>
+          <button class="action-btn secondary" id="btn-save-reflection">Save to history</button>
+        </div>
+
         <div class="focus-report-stats">
           <div class="focus-report-stat">
             <span class="focus-report-stat-label">Distractions blocked</span>
             <span class="focus-report-stat-value">${record.distractionsBlocked}</span>
           </div>
+          ${record.lockIn?.emergencyExit ? `
+            <div class="focus-report-stat">
+              <span class="focus-report-stat-label">Lock-in</span>
+              <span class="focus-report-stat-value">Emergency exit</span>
+            </div>
+          ` : ''}
+          <div class="focus-report-stat">
+            <span class="focus-report-stat-label">Overrides</span>
+            <span class="focus-report-stat-value">${record.overridesUsed || 0}</span>
+          </div>
           <div class="focus-report-stat">
             <span class="focus-report-stat-label">Focus tabs</span>
             <span class="focus-report-stat-value">${record.focusTabCount}</span>
           </div>
+          ${record.pomodoro ? `
+            <div class="focus-report-stat">
+              <span class="focus-report-stat-label">Cycles completed</span>
+              <span class="focus-report-stat-value">${record.pomodoro.cyclesCompleted} / ${record.pomodoro.cycles}</span>
+            </div>
+          ` : ''}
         </div>
 
+        ${record.pomodoro ? `
+          <div class="focus-report-intervals">
+            ${record.pomodoro.intervals.map(interval => `
+              <div class="focus-report-interval ${interval.phase === 'work' ? '' : 'break'}">
+                <span>${pomodoroPhaseLabel(interval.phase)}${interval.phase === 'work' ? ` ${interval.cycle}` : ''}</span>
+                <span>${Math.round(interval.durationMs / 60000)}m${interval.completed ? '' : ' (cut short)'}</span>
+                <span>${interval.distractionsBlocked} blocked</span>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+
         <div class="focus-report-actions">
           <button class="action-btn" id="btn-focus-another">Start Another</button>
           <button class="action-btn secondary" id="btn-focus-close">Close</button>
@@ -733,6 +1841,31 @@ export class FocusPanel {
       </div>
     `;
 
+    let achieved = typeof record.reflection?.achieved === 'boolean' ? record.reflection.achieved : null;
+    const choiceButtons = this.container.querySelectorAll('[data-achieved]');
+    const markChoice = () => choiceButtons.forEach((button) => {
+      button.classList.toggle('selected', String(achieved) === button.dataset.achieved);
+    });
+    markChoice();
+    choiceButtons.forEach((button) => button.addEventListener('click', () => {
+      const value = button.dataset.achieved === 'true';
+      achieved = achieved === value ? null : value;
+      markChoice();
+    }));
+    this.container.querySelector('#btn-save-reflection')?.addEventListener('click', async () => {
+      try {
+        await this.send({
+          action: 'saveFocusReflection',
+          runId: record.runId,
+          achieved,
+          note: this.container.querySelector('#focus-reflection-note')?.value || '',
+        });
+        showToast('Reflection saved', 'success');
+      } catch (err) {
+        showToast('Failed to save reflection: ' + err.message, 'error');
+      }
+    });
+
     this.container.querySelector('#btn-focus-another')?.addEventListener('click', async () => {
       try {
         await this.refresh();
@@ -752,29 +1885,112 @@ export class FocusPanel {
   async _loadHistory() {
     try {
       const history = await this.send({ action: 'getFocusHistory' });
-      const listEl = this.container.querySelector('#focus-history-list');
-      if (!listEl || !history || history.length === 0) {
+      if (!history || history.length === 0) {
         const toggle = this.container.querySelector('#focus-history-toggle');
         if (toggle) toggle.style.display = 'none';
         return;
       }
+      this._history = history;
+      this._renderHistory();
+    } catch (err) {
+      showToast('Failed to load focus history: ' + err.message, 'error');
+    }
+  }
+
+  _renderHistory() {
+    const listEl = this.container.querySelector('#focus-history-items');
+    if (!listEl) return;
+    const query = (this.container.querySelector('#focus-history-search')?.value || '').trim().toLowerCase();
+    const matches = this._history.filter((h) => !query || [h.profileName, h.goal, h.reflection?.note]
+      .some((text) => typeof text === 'string' && text.toLowerCase().includes(query)));
+    if (matches.length === 0) {
+      listEl.innerHTML = '<p class="focus-hint">No sessions match.</p>';
+      return;
+    }
+
+    listEl.innerHTML = matches.slice(0, 20).map(h => {
+      const dur = Math.round(h.actualDurationMs / 60000);
+      const date = new Date(h.startedAt);
+      const dateStr = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      const timeStr = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+      return `
+        <div class="focus-history-item">
+          <span class="focus-history-profile">${this._esc(h.profileName)}</span>
+          <span class="focus-history-dur">${dur}m</span>
+          ${h.pomodoro ? `<span class="focus-history-cycles">${h.pomodoro.cyclesCompleted}/${h.pomodoro.cycles} cycles</span>` : ''}
+          <span class="focus-history-distractions">${h.distractionsBlocked} blocked</span>
+          ${h.lockIn?.emergencyExit ? '<span class="focus-history-exit">emergency exit</span>' : ''}
+          ${h.overridesUsed ? `<span class="focus-history-distractions">${h.overridesUsed} overridden</span>` : ''}
+          <span class="focus-history-date">${dateStr} ${timeStr}</span>
+          ${h.goal ? `
+            <span class="focus-history-goal">
+              ${h.reflection?.achieved === true ? '&#10003; ' : h.reflection?.achieved === false ? '&#10007; ' : ''}${this._esc(h.goal)}
+            </span>
+          ` : ''}
+          ${h.reflection?.note ? `<span class="focus-history-note">${this._esc(h.reflection.note)}</span>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  // ── Stats ──
 
-      listEl.innerHTML = history.slice(0, 20).map(h => {
-        const dur = Math.round(h.actualDurationMs / 60000);
-        const date = new Date(h.startedAt);
-        const dateStr = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
-        const timeStr = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
-        return `
-          <div class="focus-history-item">
-            <span class="focus-history-profile">${this._esc(h.profileName)}</span>
-            <span class="focus-history-dur">${dur}m</span>
-            <span class="focus-history-distractions">${h.distractionsBlocked} blocked</span>
-            <span class="focus-history-date">${dateStr} ${timeStr}</span>
+  async _loadStats() {
+    const contentEl = this.container.querySelector('#focus-stats-content');
+    if (!contentEl) return;
+    try {
+      const stats = await this.send({ action: 'getFocusAnalytics' });
+      if (stats.totals.sessions === 0) {
+        contentEl.innerHTML = '<p class="focus-hint">No finished sessions yet.</p>';
+        return;
+      }
+      const maxDaily = Math.max(1, ...stats.daily.map((day) => day.minutes));
+      const maxWeekly = Math.max(1, ...stats.weekly.map((week) => week.minutes));
+      const bars = (entries, max, dateKey) => entries.map((entry) => `
+        <div class="focus-stats-bar" title="${this._esc(entry[dateKey])}: ${entry.minutes}m">
+          <div class="focus-stats-bar-fill" style="height: ${Math.round((entry.minutes / max) * 100)}%"></div>
+        </div>
+      `).join('');
+      const rows = (entries, nameOf, valueOf) => entries.length === 0
+        ? '<p class="focus-hint">Nothing yet.</p>'
+        : entries.map((entry) => `
+          <div class="focus-stats-entry">
+            <span class="focus-stats-entry-name">${this._esc(nameOf(entry))}</span>
+            <span class="focus-stats-entry-value">${this._esc(valueOf(entry))}</span>
           </div>
-        `;
-      }).join('');
+        `).join('');
+
+      contentEl.innerHTML = `
+        <div class="focus-stats-tiles">
+          <div class="focus-stats-tile"><span class="focus-stats-value">${stats.today}m</span><span class="focus-stats-label">Today</span></div>
+          <div class="focus-stats-tile"><span class="focus-stats-value">${stats.thisWeek}m</span><span class="focus-stats-label">This week</span></div>
+          <div class="focus-stats-tile"><span class="focus-stats-value">${stats.streak.current}d</span><span class="focus-stats-label">Streak (best ${stats.streak.longest}d)</span></div>
+          <div class="focus-stats-tile"><span class="focus-stats-value">${stats.totals.distractionsPerHour}</span><span class="focus-stats-label">Distractions / hour</span></div>
+        </div>
+        <label class="focus-label">Last ${stats.daily.length} days</label>
+        <div class="focus-stats-chart">${bars(stats.daily, maxDaily, 'date')}</div>
+        <label class="focus-label">Last ${stats.weekly.length} weeks</label>
+        <div class="focus-stats-chart">${bars(stats.weekly, maxWeekly, 'weekStart')}</div>
+        <label class="focus-label">By profile</label>
+        ${rows(stats.profiles, (profile) => profile.name, (profile) => `${profile.minutes}m · ${profile.sessions} sessions`)}
+        <label class="focus-label">Most blocked sites</label>
+        ${rows(stats.topDomains, (entry) => entry.domain, (entry) => String(entry.count))}
+        <label class="focus-label">Most blocked categories</label>
+        ${rows(stats.topCategories, (entry) => entry.category, (entry) => String(entry.count))}
+        <p class="focus-hint">All time: ${stats.totals.minutes}m focused over ${stats.totals.sessions} sessions, ${stats.totals.distractions} distractions blocked.</p>
+      `;
     } catch (err) {
-      showToast('Failed to load focus history: ' + err.message, 'error');
+      showToast('Failed to load focus stats: ' + err.message, 'error');
+    }
+  }
+
+  async _exportStats(format) {
+    try {
+      const file = await this.send({ action: 'exportFocusStats', format });
+      downloadText(file.content, file.filename, file.mimeType);
+      showToast(format === 'log' ? 'Exported focus work log' : `Exported focus stats as ${format.toUpperCase()}`, 'success');
+    } catch (err) {
+      showToast('Export failed: ' + err.message, 'error');
     }
   }
 
@@ -3,6 +3,7 @@
 import { showToast } from './toast.js';
 import { showConfirm } from './confirm-dialog.js';
 import { sendOrThrow } from '../message-client.js';
+import { GroupRules } from './group-rules.js';
 
 export class GroupEditor {
   constructor(rootEl) {
@@ -11,6 +12,7 @@ export class GroupEditor {
     this.chromeGroupsContainer = rootEl.querySelector('#chrome-groups-container');
     this.groupsContainer = rootEl.querySelector('#manual-groups-container');
     this.ungroupedEl = rootEl.querySelector('#ungrouped-tabs');
+    this.rules = new GroupRules(rootEl.querySelector('#group-rules-content'));
 
     rootEl.querySelector('#btn-create-group').addEventListener('click', async () => {
       await this.createGroup();
@@ -27,6 +29,7 @@ export class GroupEditor {
     const sections = [
       { header: '#section-chrome-groups', content: '#chrome-groups-container' },
       { header: '#section-custom-groups', content: '#custom-groups-content' },
+      { header: '#section-group-rules', content: '#group-rules-content' },
       { header: '#section-ungrouped', content: '#ungrouped-tabs' },
     ];
 
@@ -50,6 +53,7 @@ export class GroupEditor {
       this.send({ action: 'getChromeGroups' }),
       this.getManualGroups(),
       this.send({ action: 'getTabs' }),
+      this.rules.refresh(),
     ]);
     this.allTabs = tabs || [];
     this.renderChromeGroups(chromeGroups || []);
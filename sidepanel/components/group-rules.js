@@ -0,0 +1,382 @@
+// group-rules.js — Ordered auto-grouping rules with an inline editor and dry-run preview
+
+import { showToast } from './toast.js';
+import { showConfirm } from './confirm-dialog.js';
+import { sendOrThrow } from '../message-client.js';
+
+const RULE_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+const CONDITION_TYPES = [
+  { id: 'domain', label: 'Domain is', placeholder: 'github.com' },
+  { id: 'urlGlob', label: 'URL matches', placeholder: '*.atlassian.net/browse/*' },
+  { id: 'regex', label: 'URL regex', placeholder: '/pull/\\d+' },
+  { id: 'title', label: 'Title contains', placeholder: 'standup' },
+];
+
+export class GroupRules {
+  constructor(rootEl) {
+    this.root = rootEl;
+    this.listEl = rootEl.querySelector('#group-rules-list');
+    this.editorEl = rootEl.querySelector('#group-rule-editor');
+    this.previewEl = rootEl.querySelector('#group-rules-preview');
+    this.rules = [];
+
+    rootEl.querySelector('#btn-add-group-rule').addEventListener('click', () => this.openEditor(null));
+    rootEl.querySelector('#btn-preview-group-rules').addEventListener('click', async () => {
+      await this.preview(null);
+    });
+    rootEl.querySelector('#btn-apply-group-rules').addEventListener('click', async () => {
+      await this.applyNow();
+    });
+  }
+
+  async refresh() {
+    this.rules = (await this.send({ action: 'getGroupRules' })) || [];
+    this.render();
+  }
+
+  render() {
+    this.listEl.innerHTML = '';
+
+    if (this.rules.length === 0) {
+      this.listEl.innerHTML = '<p class="empty-state">No grouping rules. Add one to group matching tabs as they open.</p>';
+      return;
+    }
+
+    this.rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'group-rule';
+      row.classList.toggle('disabled', !rule.enabled);
+
+      const position = document.createElement('span');
+      position.className = 'group-rule-order';
+      position.textContent = `${index + 1}.`;
+
+      const dot = document.createElement('span');
+      dot.className = 'color-dot';
+      dot.style.background = this.chromeColor(rule.color);
+
+      const summary = document.createElement('div');
+      summary.className = 'group-rule-summary';
+      const name = document.createElement('span');
+      name.className = 'group-name';
+      name.textContent = rule.groupName;
+      const detail = document.createElement('span');
+      detail.className = 'group-rule-detail';
+      detail.textContent = this.describeRule(rule);
+      detail.title = detail.textContent;
+      summary.appendChild(name);
+      summary.appendChild(detail);
+
+      const actions = document.createElement('div');
+      actions.className = 'group-rule-actions';
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = rule.enabled;
+      toggle.title = rule.enabled ? 'Disable rule' : 'Enable rule';
+      toggle.addEventListener('change', async () => {
+        await this.saveRule(rule.id, { ...this.editableFields(rule), enabled: toggle.checked });
+      });
+
+      const upBtn = this.actionButton('↑', 'Move up', index === 0, async () => {
+        await this.move(index, -1);
+      });
+      const downBtn = this.actionButton('↓', 'Move down', index === this.rules.length - 1, async () => {
+        await this.move(index, 1);
+      });
+      const editBtn = this.actionButton('Edit', 'Edit rule', false, () => this.openEditor(rule));
+      const deleteBtn = this.actionButton('Delete', 'Delete rule', false, async () => {
+        await this.deleteRule(rule);
+      });
+      deleteBtn.classList.add('danger');
+
+      actions.appendChild(toggle);
+      actions.appendChild(upBtn);
+      actions.appendChild(downBtn);
+      actions.appendChild(editBtn);
+      actions.appendChild(deleteBtn);
+
+      row.appendChild(position);
+      row.appendChild(dot);
+      row.appendChild(summary);
+      row.appendChild(actions);
+      this.listEl.appendChild(row);
+    });
+  }
+
+  actionButton(label, title, disabled, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'action-btn secondary';
+    btn.textContent = label;
+    btn.title = title;
+    btn.disabled = disabled;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  describeRule(rule) {
+    const joiner = rule.match === 'any' ? ' or ' : ' and ';
+    const conditions = rule.conditions.map((condition) => {
+      const type = CONDITION_TYPES.find((entry) => entry.id === condition.type);
+      return `${type ? type.label : condition.type} ${condition.value}`;
+    }).join(joiner);
+    return rule.targetWindow ? `${conditions} → window ${rule.targetWindow}` : conditions;
+  }
+
+  editableFields(rule) {
+    return {
+      enabled: rule.enabled,
+      match: rule.match,
+      conditions: rule.conditions.map(({ type, value }) => ({ type, value })),
+      groupName: rule.groupName,
+      color: rule.color,
+      targetWindow: rule.targetWindow,
+    };
+  }
+
+  // ── Editor ──
+
+  openEditor(rule) {
+    const draft = rule ? this.editableFields(rule) : {
+      enabled: true,
+      match: 'all',
+      conditions: [{ type: 'domain', value: '' }],
+      groupName: '',
+      color: 'blue',
+      targetWindow: null,
+    };
+    this.editingRuleId = rule ? rule.id : null;
+    this.editorEl.innerHTML = `
+      <div class="group-rule-editor-row">
+        <input type="text" class="input" data-field="groupName" maxlength="80" placeholder="Group name">
+        <select class="input color-select" data-field="color">
+          ${RULE_COLORS.map((color) => `<option value="${color}">${color}</option>`).join('')}
+        </select>
+      </div>
+      <div class="group-rule-editor-row">
+        <select class="input" data-field="match">
+          <option value="all">Match all conditions</option>
+          <option value="any">Match any condition</option>
+        </select>
+        <input type="number" class="input group-rule-window" data-field="targetWindow" min="1" max="50" placeholder="Window" title="Move matching tabs to this window (blank keeps them in place)">
+      </div>
+      <div class="group-rule-conditions"></div>
+      <div class="toolbar">
+        <button class="action-btn secondary" data-action="add-condition">Add Condition</button>
+        <button class="action-btn secondary" data-action="preview">Preview</button>
+        <button class="action-btn" data-action="save">Save Rule</button>
+        <button class="action-btn secondary" data-action="cancel">Cancel</button>
+      </div>
+    `;
+    // Values are assigned as properties so rule text never becomes markup.
+    this.editorEl.querySelector('[data-field="groupName"]').value = draft.groupName;
+    this.editorEl.querySelector('[data-field="color"]').value = draft.color;
+    this.editorEl.querySelector('[data-field="match"]').value = draft.match;
+    this.editorEl.querySelector('[data-field="targetWindow"]').value = draft.targetWindow ?? '';
+    this.editingEnabled = draft.enabled;
+    for (const condition of draft.conditions) this.addConditionRow(condition);
+
+    this.editorEl.querySelector('[data-action="add-condition"]').addEventListener('click', () => {
+      this.addConditionRow({ type: 'domain', value: '' });
+    });
+    this.editorEl.querySelector('[data-action="preview"]').addEventListener('click', async () => {
+      await this.preview(this.readEditor());
+    });
+    this.editorEl.querySelector('[data-action="save"]').addEventListener('click', async () => {
+      if (await this.saveRule(this.editingRuleId, this.readEditor())) this.closeEditor();
+    });
+    this.editorEl.querySelector('[data-action="cancel"]').addEventListener('click', () => this.closeEditor());
+    this.editorEl.hidden = false;
+    this.editorEl.querySelector('[data-field="groupName"]').focus();
+  }
+
+  addConditionRow(condition) {
+    const container = this.editorEl.querySelector('.group-rule-conditions');
+    const row = document.createElement('div');
+    row.className = 'group-rule-editor-row group-rule-condition';
+
+    const type = document.createElement('select');
+    type.className = 'input';
+    for (const entry of CONDITION_TYPES) {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      option.textContent = entry.label;
+      type.appendChild(option);
+    }
+    type.value = condition.type;
+
+    const value = document.createElement('input');
+    value.type = 'text';
+    value.className = 'input';
+    value.maxLength = 500;
+    value.value = condition.value;
+    const updatePlaceholder = () => {
+      value.placeholder = CONDITION_TYPES.find((entry) => entry.id === type.value)?.placeholder || '';
+    };
+    updatePlaceholder();
+    type.addEventListener('change', updatePlaceholder);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'action-btn secondary';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove condition';
+    removeBtn.addEventListener('click', () => {
+      if (container.children.length > 1) row.remove();
+    });
+
+    row.appendChild(type);
+    row.appendChild(value);
+    row.appendChild(removeBtn);
+    container.appendChild(row);
+  }
+
+  readEditor() {
+    const field = (name) => this.editorEl.querySelector(`[data-field="${name}"]`).value;
+    const windowValue = field('targetWindow').trim();
+    return {
+      enabled: this.editingEnabled,
+      match: field('match'),
+      conditions: [...this.editorEl.querySelectorAll('.group-rule-condition')].map((row) => ({
+        type: row.querySelector('select').value,
+        value: row.querySelector('input').value,
+      })),
+      groupName: field('groupName'),
+      color: field('color'),
+      targetWindow: windowValue === '' ? null : Number(windowValue),
+    };
+  }
+
+  closeEditor() {
+    this.editorEl.hidden = true;
+    this.editorEl.innerHTML = '';
+    this.editingRuleId = null;
+  }
+
+  // ── Actions ──
+
+  async saveRule(ruleId, rule) {
+    try {
+      await this.send({ action: 'saveGroupRule', ruleId, rule });
+    } catch (err) {
+      showToast('Failed to save rule: ' + err.message, 'error');
+      await this.refresh().catch(() => {});
+      return false;
+    }
+    await this.refresh();
+    return true;
+  }
+
+  async move(index, offset) {
+    const ids = this.rules.map((rule) => rule.id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, moved);
+    try {
+      this.rules = await this.send({ action: 'reorderGroupRules', ruleIds: ids });
+    } catch (err) {
+      showToast('Failed to reorder rules: ' + err.message, 'error');
+      return;
+    }
+    this.render();
+  }
+
+  async deleteRule(rule) {
+    const ok = await showConfirm({
+      title: 'Delete rule?',
+      message: `Stop grouping matching tabs into "${rule.groupName}"? Existing groups are kept.`,
+      confirmLabel: 'Delete',
+      danger: true,
+    });
+    if (!ok) return;
+    try {
+      await this.send({ action: 'deleteGroupRule', ruleId: rule.id });
+    } catch (err) {
+      showToast('Failed to delete rule: ' + err.message, 'error');
+      return;
+    }
+    if (this.editingRuleId === rule.id) this.closeEditor();
+    await this.refresh();
+  }
+
+  async preview(draft) {
+    let assignments;
+    try {
+      assignments = await this.send({ action: 'previewGroupRules', rule: draft });
+    } catch (err) {
+      showToast('Preview failed: ' + err.message, 'error');
+      return;
+    }
+    this.renderPreview(assignments || [], draft !== null);
+  }
+
+  renderPreview(assignments, isDraft) {
+    this.previewEl.innerHTML = '';
+    this.previewEl.hidden = false;
+
+    const heading = document.createElement('div');
+    heading.className = 'group-rules-preview-title';
+    const noun = assignments.length === 1 ? 'tab' : 'tabs';
+    heading.textContent = isDraft
+      ? `This rule would group ${assignments.length} open ${noun}`
+      : `Rules would group ${assignments.length} open ${noun}`;
+    const closeBtn = this.actionButton('×', 'Close preview', false, () => {
+      this.previewEl.hidden = true;
+      this.previewEl.innerHTML = '';
+    });
+    heading.appendChild(closeBtn);
+    this.previewEl.appendChild(heading);
+
+    for (const assignment of assignments) {
+      const row = document.createElement('div');
+      row.className = 'group-rules-preview-row';
+      const title = document.createElement('span');
+      title.className = 'title';
+      title.textContent = assignment.title || assignment.url;
+      title.title = assignment.url;
+      const target = document.createElement('span');
+      target.className = 'group-rule-detail';
+      const moves = assignment.windowId !== assignment.fromWindowId ? ' (moves window)' : '';
+      const creates = assignment.existingGroupId === null ? ' (new group)' : '';
+      target.textContent = `→ ${assignment.groupName}${creates}${moves}`;
+      row.appendChild(title);
+      row.appendChild(target);
+      this.previewEl.appendChild(row);
+    }
+  }
+
+  async applyNow() {
+    let result;
+    try {
+      result = await this.send({ action: 'applyGroupRules' });
+    } catch (err) {
+      showToast('Failed to apply rules: ' + err.message, 'error');
+      return;
+    }
+    const { tabsGrouped, groupsCreated, errors } = result;
+    const suffix = errors > 0 ? `, ${errors} failed` : '';
+    showToast(
+      `Grouped ${tabsGrouped} tab${tabsGrouped !== 1 ? 's' : ''} (${groupsCreated} new group${groupsCreated !== 1 ? 's' : ''}${suffix})`,
+      errors > 0 ? 'error' : 'success',
+    );
+    this.previewEl.hidden = true;
+    this.previewEl.innerHTML = '';
+  }
+
+  chromeColor(color) {
+    const map = {
+      blue: '#1a73e8',
+      red: '#d93025',
+      yellow: '#f9ab00',
+      green: '#188038',
+      pink: '#e8305b',
+      purple: '#a142f4',
+      cyan: '#00796b',
+      orange: '#e8710a',
+      grey: '#5f6368',
+    };
+    return map[color] || map.blue;
+  }
+
+  send(msg) {
+    return sendOrThrow(msg);
+  }
+}
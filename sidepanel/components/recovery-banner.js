@@ -0,0 +1,89 @@
+// recovery-banner.js — Offer to reopen tabs lost to a closed window or a crash
+
+import { showToast } from './toast.js';
+import { sendOrThrow } from '../message-client.js';
+
+function formatAge(createdAt) {
+  const minutes = Math.floor((Date.now() - createdAt) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(createdAt).toLocaleDateString();
+}
+
+function describePoint(point) {
+  const tabs = `${point.missingCount} tab${point.missingCount === 1 ? '' : 's'}`;
+  if (point.reason === 'startup') return `${tabs} from before Chrome restarted did not come back`;
+  return `${tabs} from a window closed ${formatAge(point.createdAt)}`;
+}
+
+export class RecoveryBanner {
+  constructor(rootEl) {
+    this.root = rootEl;
+    this.textEl = rootEl.querySelector('#recovery-text');
+    this.recoverBtn = rootEl.querySelector('#btn-recover-state');
+    this.dismissBtn = rootEl.querySelector('#btn-dismiss-recovery');
+    this.point = null;
+    this.busy = false;
+
+    this.recoverBtn.addEventListener('click', () => this.recover());
+    this.dismissBtn.addEventListener('click', () => this.dismiss());
+  }
+
+  async refresh() {
+    let points;
+    try {
+      points = await this.send({ action: 'listRecoveryPoints' });
+    } catch (err) {
+      console.warn('[TabKebab] recovery points unavailable:', err);
+      return;
+    }
+    this.render(points);
+  }
+
+  render(points) {
+    this.point = points[0] ?? null;
+    this.root.classList.toggle('hidden', !this.point);
+    if (!this.point) return;
+    const more = points.length > 1 ? ` · ${points.length - 1} earlier` : '';
+    this.textEl.textContent = describePoint(this.point) + more;
+    this.recoverBtn.disabled = this.busy;
+    this.dismissBtn.disabled = this.busy;
+  }
+
+  async recover() {
+    if (this.busy || !this.point) return;
+    this.busy = true;
+    this.recoverBtn.disabled = true;
+    this.dismissBtn.disabled = true;
+    try {
+      const outcome = await this.send({ action: 'recoverRecoveryPoint', pointId: this.point.id });
+      if (outcome.complete) {
+        showToast(`Recovered ${outcome.restoredCount} tab(s)`, 'success');
+      } else {
+        showToast(`Recovered ${outcome.restoredCount} of ${outcome.requestedCount} tab(s); try again for the rest`, 'error');
+      }
+    } catch (err) {
+      showToast('Recovery failed: ' + err.message, 'error');
+    } finally {
+      this.busy = false;
+    }
+    await this.refresh();
+  }
+
+  async dismiss() {
+    if (this.busy || !this.point) return;
+    try {
+      await this.send({ action: 'dismissRecoveryPoint', pointId: this.point.id });
+    } catch (err) {
+      showToast('Failed to dismiss: ' + err.message, 'error');
+      return;
+    }
+    await this.refresh();
+  }
+
+  send(msg) {
+    return sendOrThrow(msg);
+  }
+}
@@ -0,0 +1,115 @@
+// restore-picker.js — Choose the windows, groups and tabs of a partial restore
+
+const RESTORE_MODES = [
+  ['windows', 'Original windows'],
+  ['here', 'This window'],
+  ['single-window', 'One new window'],
+];
+
+function checkboxRow(className, label, title = label) {
+  const row = document.createElement('label');
+  row.className = `restore-picker-row ${className}`;
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  const text = document.createElement('span');
+  text.textContent = label;
+  text.title = title;
+  row.append(box, text);
+  return { row, box };
+}
+
+// A parent box is checked when all its tabs are, and mixed when some are.
+function syncParent(box, tabBoxes) {
+  const checked = tabBoxes.filter((tabBox) => tabBox.checked).length;
+  box.checked = checked > 0 && checked === tabBoxes.length;
+  box.indeterminate = checked > 0 && checked < tabBoxes.length;
+}
+
+/**
+ * Render a checkbox tree of saved windows into a new element. Window and group
+ * boxes toggle their tabs. `onRestore(selection, mode)` receives the checked
+ * tabs as `{ window, index }` addresses, the shape the worker's restore
+ * `selection` option takes.
+ */
+export function createRestorePicker(windows, { onRestore, onCancel }) {
+  const picker = document.createElement('div');
+  picker.className = 'restore-picker';
+  const tabBoxes = [];
+  const parents = [];
+
+  windows.forEach((savedWindow, windowIndex) => {
+    const tabs = savedWindow.tabs || [];
+    const windowBoxes = [];
+    const windowRow = checkboxRow('restore-picker-window', `Window ${windowIndex + 1} (${tabs.length} tabs)`);
+    picker.appendChild(windowRow.row);
+
+    const groups = new Map((savedWindow.groups || []).map((group) => [group.id, { group, boxes: [] }]));
+    const groupRows = new Map();
+    tabs.forEach((tab, index) => {
+      const entry = groups.get(tab.groupId);
+      if (entry && !groupRows.has(tab.groupId)) {
+        const groupRow = checkboxRow('restore-picker-group', entry.group.title || 'Unnamed group');
+        groupRows.set(tab.groupId, groupRow);
+        picker.appendChild(groupRow.row);
+      }
+      const tabRow = checkboxRow(entry ? 'restore-picker-tab grouped' : 'restore-picker-tab', tab.title || tab.url, tab.url);
+      tabRow.box.dataset.window = String(windowIndex);
+      tabRow.box.dataset.index = String(index);
+      picker.appendChild(tabRow.row);
+      tabBoxes.push(tabRow.box);
+      windowBoxes.push(tabRow.box);
+      entry?.boxes.push(tabRow.box);
+    });
+
+    parents.push([windowRow.box, windowBoxes]);
+    for (const [groupId, groupRow] of groupRows) parents.push([groupRow.box, groups.get(groupId).boxes]);
+  });
+
+  const footer = document.createElement('div');
+  footer.className = 'restore-picker-actions';
+  const mode = document.createElement('select');
+  mode.className = 'setting-select';
+  mode.setAttribute('aria-label', 'Restore into');
+  for (const [value, label] of RESTORE_MODES) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    mode.appendChild(option);
+  }
+  const restoreBtn = document.createElement('button');
+  restoreBtn.className = 'action-btn';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'action-btn secondary';
+  cancelBtn.textContent = 'Cancel';
+  footer.append(mode, restoreBtn, cancelBtn);
+  picker.appendChild(footer);
+
+  const update = () => {
+    for (const [box, boxes] of parents) syncParent(box, boxes);
+    const count = tabBoxes.filter((box) => box.checked).length;
+    restoreBtn.textContent = count > 0 ? `Restore ${count} tab${count === 1 ? '' : 's'}` : 'Restore selected';
+    restoreBtn.disabled = count === 0;
+  };
+  for (const [box, boxes] of parents) {
+    box.addEventListener('change', () => {
+      for (const tabBox of boxes) tabBox.checked = box.checked;
+      update();
+    });
+  }
+  for (const box of tabBoxes) box.addEventListener('change', update);
+  update();
+
+  restoreBtn.addEventListener('click', async () => {
+    const selection = tabBoxes
+      .filter((box) => box.checked)
+      .map((box) => ({ window: Number(box.dataset.window), index: Number(box.dataset.index) }));
+    restoreBtn.disabled = true;
+    try {
+      await onRestore(selection, mode.value);
+    } finally {
+      update();
+    }
+  });
+  cancelBtn.addEventListener('click', () => onCancel());
+  return picker;
+}
@@ -9,6 +9,9 @@ import {
   portableImportToastType,
 } from '../portable-import-summary.js';
 import { renderActionableEmptyState } from './actionable-empty-state.js';
+import { createRestorePicker } from './restore-picker.js';
+
+const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
 
 export class SessionManager {
   constructor(rootEl, { navigate = () => {} } = {}) {
@@ -18,6 +21,38 @@ export class SessionManager {
     this.savedListEl = rootEl.querySelector('#session-list-saved');
     this.autoListEl = rootEl.querySelector('#session-list-auto');
     this.activeRestoreId = null;
+    this.sessions = [];
+    this.diffEl = rootEl.querySelector('#session-diff');
+    this.diffFromId = null;
+    this.diffToId = null;
+    this.editorEl = rootEl.querySelector('#session-editor');
+    this.editorSession = null;
+    this._dragTab = null;
+    // Folder filter: 'all', 'unfiled' or 'folder:<name>'; tag filter: '' or a tag
+    this.folderFilter = 'all';
+    this.tagFilter = '';
+
+    rootEl.querySelector('#btn-close-session-diff').addEventListener('click', () => this.closeDiff());
+    rootEl.querySelector('#session-diff-target').addEventListener('change', (e) => {
+      void this.showDiff(this.diffFromId, e.target.value || null);
+    });
+    rootEl.querySelector('#btn-restore-removed').addEventListener('click', () => this.restoreRemoved());
+
+    rootEl.querySelector('#btn-close-session-editor').addEventListener('click', () => this.closeEditor());
+    rootEl.querySelector('#session-editor-add').addEventListener('submit', (e) => {
+      e.preventDefault();
+      void this.addEditorTab();
+    });
+    rootEl.querySelector('#btn-merge-session').addEventListener('click', () => this.mergeIntoEditor());
+
+    rootEl.querySelector('#session-filter-folder').addEventListener('change', (e) => {
+      this.folderFilter = e.target.value;
+      this.render(this.sessions);
+    });
+    rootEl.querySelector('#session-filter-tag').addEventListener('change', (e) => {
+      this.tagFilter = e.target.value;
+      this.render(this.sessions);
+    });
 
     rootEl.querySelector('#btn-save-session').addEventListener('click', () => this.saveSession());
     rootEl.querySelector('#btn-export').addEventListener('click', () => this.export());
@@ -118,17 +153,24 @@ export class SessionManager {
   }
 
   render(sessions) {
+    this.sessions = sessions || [];
     this.savedListEl.innerHTML = '';
     this.autoListEl.innerHTML = '';
 
+    this.renderFilters();
+
     if (!sessions || sessions.length === 0) {
       this.renderSavedEmptyState();
       this.renderAutoEmptyState();
       return;
     }
 
-    const saved = sessions.filter(s => !s.name.startsWith('[Auto] '));
-    const auto = sessions.filter(s => s.name.startsWith('[Auto] '));
+    // Pinned sessions lead each list; sort is stable, so the rest keep their order
+    const visible = sessions
+      .filter(s => this.matchesFilters(s))
+      .sort((a, b) => Number(b.pinned === true) - Number(a.pinned === true));
+    const saved = visible.filter(s => !s.name.startsWith('[Auto] '));
+    const auto = visible.filter(s => s.name.startsWith('[Auto] '));
 
     if (saved.length === 0) {
       this.renderSavedEmptyState();
@@ -160,6 +202,48 @@ export class SessionManager {
     }
   }
 
+  matchesFilters(session) {
+    if (this.folderFilter === 'unfiled' && session.folder) return false;
+    if (this.folderFilter.startsWith('folder:') && session.folder !== this.folderFilter.slice(7)) return false;
+    if (this.tagFilter && !(session.tags || []).includes(this.tagFilter)) return false;
+    return true;
+  }
+
+  /** Fill the folder and tag filters from the sessions; hidden until one is used. */
+  renderFilters() {
+    const container = this.root.querySelector('#session-filters');
+    if (!container) return;
+    const folders = [...new Set(this.sessions.map(s => s.folder).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+    const tags = [...new Set(this.sessions.flatMap(s => s.tags || []))]
+      .sort((a, b) => a.localeCompare(b));
+    if (this.folderFilter.startsWith('folder:') && !folders.includes(this.folderFilter.slice(7))) {
+      this.folderFilter = 'all';
+    }
+    if (this.tagFilter && !tags.includes(this.tagFilter)) this.tagFilter = '';
+
+    const fill = (select, options, value) => {
+      select.innerHTML = '';
+      for (const [optionValue, label] of options) {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        select.appendChild(option);
+      }
+      select.value = value;
+    };
+    fill(container.querySelector('#session-filter-folder'), [
+      ['all', 'All folders'],
+      ['unfiled', 'Unfiled'],
+      ...folders.map(folder => [`folder:${folder}`, folder]),
+    ], this.folderFilter);
+    fill(container.querySelector('#session-filter-tag'), [
+      ['', 'All tags'],
+      ...tags.map(tag => [tag, `#${tag}`]),
+    ], this.tagFilter);
+    container.hidden = folders.length === 0 && tags.length === 0;
+  }
+
   renderSavedEmptyState() {
     renderActionableEmptyState(this.savedListEl, {
       message: 'Save all open windows as a session you can restore later.',
@@ -198,9 +282,17 @@ export class SessionManager {
       ? session.name.replace(/^\[Auto] /, '')
       : session.name;
 
+    if (session.pinned) card.classList.add('session-pinned');
+    const labels = [
+      session.folder ? `<span class="session-folder">${this.escapeHtml(session.folder)}</span>` : '',
+      ...(session.tags || []).map(tag => `<span class="session-tag">#${this.escapeHtml(tag)}</span>`),
+    ].join('');
+
     card.innerHTML = `
-      <div class="session-name">${this.escapeHtml(displayName)}</div>
+      <div class="session-name">${session.pinned ? '<span class="session-pin-marker" title="Pinned">\u{1F4CC}</span>' : ''}${this.escapeHtml(displayName)}</div>
       <div class="session-meta">${meta}</div>
+      ${labels ? `<div class="session-labels">${labels}</div>` : ''}
+      ${session.notes ? `<div class="session-notes">${this.escapeHtml(session.notes)}</div>` : ''}
       <div class="restore-progress">
         <div class="restore-progress-bar"><div class="restore-progress-fill"></div></div>
         <div class="restore-progress-label"></div>
@@ -252,6 +344,10 @@ export class SessionManager {
       }
     });
 
+    const pickBtn = this.createBtn('Pick tabs', 'action-btn secondary', () => {
+      this.togglePicker(card, session);
+    });
+
     const exportBtn = document.createElement('button');
     exportBtn.className = 'action-btn secondary icon-btn';
     exportBtn.title = 'Export this session';
@@ -274,14 +370,446 @@ export class SessionManager {
       await this.deleteSessionRecord(session);
     });
 
+    const compareBtn = this.createBtn('Compare', 'action-btn secondary', () => {
+      void this.showDiff(session.id, null);
+    });
+
+    const editBtn = this.createBtn('Edit', 'action-btn secondary', () => {
+      this.openEditForm(card, session, displayName);
+    });
+
+    const editTabsBtn = this.createBtn('Edit tabs', 'action-btn secondary', () => {
+      this.openEditor(session);
+    });
+
+    const pinBtn = this.createBtn(session.pinned ? 'Unpin' : 'Pin', 'action-btn secondary', async () => {
+      pinBtn.disabled = true;
+      await this.updateSession(session, { pinned: !session.pinned },
+        session.pinned ? `Unpinned "${displayName}"` : `Pinned "${displayName}"`);
+      pinBtn.disabled = false;
+    });
+
     actions.appendChild(restoreBtn);
     actions.appendChild(restoreHereBtn);
+    actions.appendChild(pickBtn);
+    actions.appendChild(compareBtn);
+    actions.appendChild(editBtn);
+    actions.appendChild(editTabsBtn);
+    actions.appendChild(pinBtn);
     actions.appendChild(exportBtn);
     actions.appendChild(deleteBtn);
 
     return card;
   }
 
+  /** Show or hide the picker for restoring only some of a session's tabs. */
+  togglePicker(card, session) {
+    const existing = card.querySelector('.restore-picker');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+    const picker = createRestorePicker(session.windows || [], {
+      onCancel: () => picker.remove(),
+      onRestore: async (selection, mode) => {
+        this.activeRestoreId = session.id;
+        try {
+          const result = await this.send({
+            action: 'restoreSession',
+            sessionId: session.id,
+            options: { mode, selection },
+          });
+          this.showRestoreResult(result);
+          picker.remove();
+        } catch (err) {
+          showToast(`Restore failed: ${err.message}`, 'error');
+        } finally {
+          this.activeRestoreId = null;
+          this.hideProgress(session.id);
+        }
+      },
+    });
+    card.querySelector('.session-actions').before(picker);
+  }
+
+  // ── Metadata ──
+
+  /** Inline form for the session's name, folder, tags and notes. */
+  openEditForm(card, session, displayName) {
+    if (card.querySelector('.session-edit-form')) return;
+    const folders = [...new Set(this.sessions.map(s => s.folder).filter(Boolean))];
+    const form = document.createElement('form');
+    form.className = 'session-edit-form';
+    form.innerHTML = `
+      <input type="text" class="input" name="name" maxlength="200" aria-label="Session name">
+      <input type="text" class="input" name="folder" maxlength="60" placeholder="Folder" list="session-folder-options-${this.escapeHtml(session.id)}" aria-label="Folder">
+      <datalist id="session-folder-options-${this.escapeHtml(session.id)}">
+        ${folders.map(folder => `<option value="${this.escapeHtml(folder)}"></option>`).join('')}
+      </datalist>
+      <input type="text" class="input" name="tags" placeholder="Tags, comma separated" aria-label="Tags">
+      <textarea class="input" name="notes" rows="3" maxlength="2000" placeholder="Notes" aria-label="Notes"></textarea>
+      <div class="session-edit-actions">
+        <button type="submit" class="action-btn">Save</button>
+        <button type="button" class="action-btn secondary" data-edit-cancel>Cancel</button>
+      </div>
+    `;
+    form.elements.name.value = displayName;
+    form.elements.folder.value = session.folder || '';
+    form.elements.tags.value = (session.tags || []).join(', ');
+    form.elements.notes.value = session.notes || '';
+
+    form.querySelector('[data-edit-cancel]').addEventListener('click', () => form.remove());
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const name = form.elements.name.value.trim();
+      if (!name) {
+        showToast('Enter a session name', 'error');
+        form.elements.name.focus();
+        return;
+      }
+      const changes = {
+        folder: form.elements.folder.value,
+        tags: form.elements.tags.value.split(','),
+        notes: form.elements.notes.value,
+      };
+      // Leaving an auto-save's name alone keeps it an auto-save
+      if (name !== displayName) changes.name = name;
+      await this.updateSession(session, changes, `Updated "${name}"`);
+    });
+
+    card.querySelector('.session-actions').before(form);
+    form.elements.name.focus();
+  }
+
+  async updateSession(session, changes, successMessage) {
+    try {
+      await this.send({ action: 'updateSessionMetadata', sessionId: session.id, changes });
+    } catch (err) {
+      showToast('Update failed: ' + err.message, 'error');
+      return false;
+    }
+    const refreshed = await this.refresh({ notifyFailure: false });
+    if (!refreshed) {
+      showToast(`${successMessage}, but the view could not refresh`, 'error');
+      return true;
+    }
+    showToast(successMessage, 'success');
+    return true;
+  }
+
+  // ── Tab editor ──
+
+  openEditor(session) {
+    this.closeDiff();
+    this.editorSession = session;
+    this.renderEditor();
+    this.editorEl.hidden = false;
+  }
+
+  closeEditor() {
+    this.editorEl.hidden = true;
+    this.editorSession = null;
+    this._dragTab = null;
+  }
+
+  renderEditor() {
+    const session = this.editorSession;
+    const windows = session.windows || [];
+    this.root.querySelector('#session-editor-title').textContent = `Editing "${session.name}"`;
+
+    const container = this.root.querySelector('#session-editor-windows');
+    container.innerHTML = '';
+    windows.forEach((savedWindow, windowIndex) => {
+      container.appendChild(this.createEditorWindow(savedWindow, windowIndex));
+    });
+    const newWindow = document.createElement('div');
+    newWindow.className = 'session-editor-window session-editor-new-window';
+    newWindow.textContent = 'Drop here to move a tab to a new window';
+    this.makeDropTarget(newWindow, windows.length, 0);
+    container.appendChild(newWindow);
+
+    const windowSelect = this.root.querySelector('#session-editor-window');
+    windowSelect.innerHTML = '';
+    for (let index = 0; index <= windows.length; index += 1) {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = index < windows.length ? `Window ${index + 1}` : 'New window';
+      windowSelect.appendChild(option);
+    }
+
+    const mergeSelect = this.root.querySelector('#session-editor-merge-source');
+    mergeSelect.innerHTML = '';
+    for (const other of this.sessions) {
+      if (other.id === session.id) continue;
+      const option = document.createElement('option');
+      option.value = other.id;
+      option.textContent = other.name;
+      mergeSelect.appendChild(option);
+    }
+    this.root.querySelector('#btn-merge-session').disabled = mergeSelect.options.length === 0;
+  }
+
+  createEditorWindow(savedWindow, windowIndex) {
+    const section = document.createElement('div');
+    section.className = 'session-editor-window';
+    const heading = document.createElement('div');
+    heading.className = 'session-editor-window-title';
+    heading.textContent = `Window ${windowIndex + 1} \u00b7 ${savedWindow.tabs.length} tab${savedWindow.tabs.length === 1 ? '' : 's'}`;
+    section.appendChild(heading);
+
+    const groups = new Map((savedWindow.groups || []).map(group => [group.id, group]));
+    for (const group of groups.values()) {
+      section.appendChild(this.createEditorGroup(group, windowIndex));
+    }
+
+    savedWindow.tabs.forEach((tab, index) => {
+      const row = document.createElement('div');
+      row.className = 'session-editor-tab';
+      row.draggable = true;
+      const group = groups.get(tab.groupId);
+      row.innerHTML = `
+        <span class="session-editor-tab-title" title="${this.escapeHtml(tab.url)}">${this.escapeHtml(tab.title || tab.url)}</span>
+        ${group ? `<span class="session-tag">${this.escapeHtml(group.title || 'Group')}</span>` : ''}
+      `;
+      const removeBtn = this.createBtn('\u00d7', 'action-btn danger icon-btn', () => {
+        void this.applyEdit({ type: 'removeTab', window: windowIndex, index, url: tab.url });
+      });
+      removeBtn.title = 'Remove tab';
+      row.appendChild(removeBtn);
+      row.addEventListener('dragstart', (e) => {
+        this._dragTab = { window: windowIndex, index, url: tab.url };
+        e.dataTransfer.effectAllowed = 'move';
+      });
+      row.addEventListener('dragend', () => { this._dragTab = null; });
+      this.makeDropTarget(row, windowIndex, index);
+      section.appendChild(row);
+    });
+
+    // Dropping on the window itself, below its tabs, appends
+    this.makeDropTarget(section, windowIndex, savedWindow.tabs.length);
+    return section;
+  }
+
+  createEditorGroup(group, windowIndex) {
+    const row = document.createElement('div');
+    row.className = 'session-editor-row session-editor-group';
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.className = 'input';
+    title.value = group.title || '';
+    title.placeholder = 'Unnamed group';
+    title.setAttribute('aria-label', 'Group name');
+    title.addEventListener('change', () => {
+      void this.applyEdit({ type: 'updateGroup', window: windowIndex, groupId: group.id, title: title.value });
+    });
+    const color = document.createElement('select');
+    color.className = 'setting-select';
+    color.setAttribute('aria-label', 'Group color');
+    for (const name of GROUP_COLORS) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      color.appendChild(option);
+    }
+    color.value = group.color || 'grey';
+    color.addEventListener('change', () => {
+      void this.applyEdit({ type: 'updateGroup', window: windowIndex, groupId: group.id, color: color.value });
+    });
+    row.append(title, color);
+    return row;
+  }
+
+  makeDropTarget(el, toWindow, toIndex) {
+    el.addEventListener('dragover', (e) => {
+      if (!this._dragTab) return;
+      e.preventDefault();
+      e.stopPropagation();
+      el.classList.add('drop-target');
+    });
+    el.addEventListener('dragleave', () => el.classList.remove('drop-target'));
+    el.addEventListener('drop', (e) => {
+      el.classList.remove('drop-target');
+      if (!this._dragTab) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const from = this._dragTab;
+      this._dragTab = null;
+      if (from.window === toWindow && (toIndex === from.index || toIndex === from.index + 1)) return;
+      void this.applyEdit({ type: 'moveTab', ...from, toWindow, toIndex });
+    });
+  }
+
+  /** Send one edit, then redraw the editor and list from the saved result. */
+  async applyEdit(edit) {
+    const session = this.editorSession;
+    if (!session) return false;
+    try {
+      this.editorSession = await this.send({ action: 'editSession', sessionId: session.id, edit });
+    } catch (err) {
+      showToast('Edit failed: ' + err.message, 'error');
+      await this.reloadEditor(session.id);
+      return false;
+    }
+    this.renderEditor();
+    await this.refresh();
+    return true;
+  }
+
+  async reloadEditor(sessionId) {
+    await this.refresh();
+    const current = this.sessions.find(s => s.id === sessionId);
+    if (current) {
+      this.editorSession = current;
+      this.renderEditor();
+    } else {
+      this.closeEditor();
+    }
+  }
+
+  async addEditorTab() {
+    const input = this.root.querySelector('#session-editor-url');
+    const url = input.value.trim();
+    if (!url) {
+      input.focus();
+      return;
+    }
+    const added = await this.applyEdit({
+      type: 'addTab',
+      window: Number(this.root.querySelector('#session-editor-window').value),
+      url,
+    });
+    if (added) input.value = '';
+  }
+
+  async mergeIntoEditor() {
+    const session = this.editorSession;
+    const sourceId = this.root.querySelector('#session-editor-merge-source').value;
+    const source = this.sessions.find(s => s.id === sourceId);
+    if (!session || !source) return;
+    const keepSource = this.root.querySelector('#session-editor-keep-source').checked;
+    try {
+      this.editorSession = await this.send({ action: 'mergeSessions', targetId: session.id, sourceId, keepSource });
+    } catch (err) {
+      showToast('Merge failed: ' + err.message, 'error');
+      return;
+    }
+    await this.refresh();
+    this.renderEditor();
+    showToast(keepSource
+      ? `Merged "${source.name}" into "${session.name}"`
+      : `Merged "${source.name}" into "${session.name}" and deleted it`, 'success');
+  }
+
+  // ── Diff ──
+
+  /** Compare a session with another session, or with open tabs when `toId` is null. */
+  async showDiff(fromId, toId) {
+    this.closeEditor();
+    let diff;
+    try {
+      diff = await this.send({ action: 'diffSessions', fromId, toId });
+    } catch (err) {
+      showToast('Compare failed: ' + err.message, 'error');
+      return;
+    }
+    this.diffFromId = fromId;
+    this.diffToId = toId;
+    this.renderDiffTargets(fromId, toId);
+    this.renderDiff(diff);
+    this.diffEl.hidden = false;
+  }
+
+  renderDiffTargets(fromId, toId) {
+    const select = this.root.querySelector('#session-diff-target');
+    select.innerHTML = '';
+    const live = document.createElement('option');
+    live.value = '';
+    live.textContent = 'Open tabs now';
+    select.appendChild(live);
+    for (const session of this.sessions) {
+      if (session.id === fromId) continue;
+      const option = document.createElement('option');
+      option.value = session.id;
+      option.textContent = session.name;
+      select.appendChild(option);
+    }
+    select.value = toId ?? '';
+  }
+
+  renderDiff(diff) {
+    this.root.querySelector('#session-diff-title').textContent = `${diff.from.name} \u2192 ${diff.to.name}`;
+    const body = this.root.querySelector('#session-diff-body');
+    body.innerHTML = '';
+
+    const tabLabel = (tab) => tab.title || tab.url;
+    const sections = [
+      ['removed', 'Removed', diff.removed.map(tabLabel)],
+      ['added', 'Added', diff.added.map(tabLabel)],
+      ['moved', 'Moved', diff.moved.map(tabLabel)],
+      ['groups', 'Groups changed', [
+        ...diff.groups.removed.map((group) => `Removed "${group.title}"`),
+        ...diff.groups.added.map((group) => `Added "${group.title}"`),
+        ...diff.groups.changed.map((change) =>
+          `"${change.title}": ${change.before.tabCount} \u2192 ${change.after.tabCount} tabs` +
+          (change.before.color !== change.after.color ? `, ${change.before.color} \u2192 ${change.after.color}` : '')),
+      ]],
+    ];
+
+    for (const [kind, label, items] of sections) {
+      if (items.length === 0) continue;
+      const section = document.createElement('details');
+      section.className = `session-diff-section ${kind}`;
+      const summary = document.createElement('summary');
+      summary.textContent = `${label} (${items.length})`;
+      section.appendChild(summary);
+      const list = document.createElement('ul');
+      for (const item of items) {
+        const li = document.createElement('li');
+        li.textContent = item;
+        li.title = item;
+        list.appendChild(li);
+      }
+      section.appendChild(list);
+      body.appendChild(section);
+    }
+
+    const unchanged = document.createElement('p');
+    unchanged.className = 'session-meta';
+    unchanged.textContent = body.children.length === 0
+      ? 'No differences'
+      : `${diff.unchanged} tab(s) unchanged`;
+    body.appendChild(unchanged);
+
+    const restoreBtn = this.root.querySelector('#btn-restore-removed');
+    restoreBtn.disabled = diff.removed.length === 0;
+    restoreBtn.textContent = diff.removed.length > 0
+      ? `Restore ${diff.removed.length} removed tab(s)`
+      : 'Restore removed tabs';
+  }
+
+  closeDiff() {
+    this.diffEl.hidden = true;
+    this.diffFromId = null;
+    this.diffToId = null;
+  }
+
+  async restoreRemoved() {
+    const restoreBtn = this.root.querySelector('#btn-restore-removed');
+    restoreBtn.disabled = true;
+    try {
+      const result = await this.send({
+        action: 'restoreRemovedTabs',
+        fromId: this.diffFromId,
+        toId: this.diffToId,
+        options: { mode: 'windows' },
+      });
+      this.showRestoreResult(result);
+    } catch (err) {
+      showToast(`Restore failed: ${err.message}`, 'error');
+    }
+    await this.showDiff(this.diffFromId, this.diffToId);
+  }
+
   async deleteSessionRecord(session) {
     let deletion;
     try {
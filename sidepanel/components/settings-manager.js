@@ -36,6 +36,10 @@ export class SettingsManager {
       });
     }
 
+    // Domains exempt from duplicate prevention
+    this.allowDomainsInput = rootEl.querySelector('#duplicate-allow-domains');
+    this.allowDomainsInput?.addEventListener('change', () => this.saveAllowDomains());
+
     // Bookmark Now button
     const bookmarkBtn = rootEl.querySelector('#btn-bookmark-now');
     if (bookmarkBtn) {
@@ -64,6 +68,10 @@ export class SettingsManager {
       const settings = await this.send({ action: 'getSettings' });
       const driveState = await Storage.get('driveSync');
       this.renderSettings(settings);
+      if (this.allowDomainsInput) {
+        const domains = await this.send({ action: 'getDuplicateAllowDomains' });
+        this.allowDomainsInput.value = domains.join('\n');
+      }
 
       // Show/hide Drive connected settings
       const driveConnected = driveState?.connected || false;
@@ -136,6 +144,16 @@ export class SettingsManager {
     }
   }
 
+  async saveAllowDomains() {
+    const domains = this.allowDomainsInput.value.split('\n').map((line) => line.trim()).filter(Boolean);
+    try {
+      const saved = await this.send({ action: 'saveDuplicateAllowDomains', domains });
+      this.allowDomainsInput.value = saved.join('\n');
+    } catch (err) {
+      this.notify('Failed to save allowed domains: ' + err.message, 'error');
+    }
+  }
+
   async bookmarkNow() {
     const btn = this.root.querySelector('#btn-bookmark-now');
     if (btn) {
@@ -12,6 +12,7 @@ import {
   portableImportToastType,
 } from '../portable-import-summary.js';
 import { renderActionableEmptyState } from './actionable-empty-state.js';
+import { createRestorePicker } from './restore-picker.js';
 
 const SAFE_FAVICON_SCHEMES = new Set(['http', 'https', 'chrome', 'data']);
 
@@ -232,6 +233,25 @@ export class StashList {
       restoreHereBtn.textContent = 'Restore here';
     });
 
+    const pickBtn = this.createBtn('Pick tabs', 'action-btn secondary', () => {
+      const existing = card.querySelector('.restore-picker');
+      if (existing) {
+        existing.remove();
+        return;
+      }
+      const picker = createRestorePicker(stash.windows || [], {
+        onCancel: () => picker.remove(),
+        onRestore: async (selection, mode) => {
+          this.activeRestoreId = stash.id;
+          await this.restoreStash(stash.id, { mode, selection });
+          this.activeRestoreId = null;
+          this.hideProgress(stash.id);
+          picker.remove();
+        },
+      });
+      actions.before(picker);
+    });
+
     // Per-stash Export button (download arrow)
     const exportBtn = this.createBtn('\u2913', 'stash-btn icon-btn', async () => {
       await this.exportSingleStash(stash);
@@ -258,6 +278,7 @@ export class StashList {
 
     actions.appendChild(restoreBtn);
     actions.appendChild(restoreHereBtn);
+    actions.appendChild(pickBtn);
     actions.appendChild(exportBtn);
     actions.appendChild(driveBtn);
     actions.appendChild(deleteBtn);
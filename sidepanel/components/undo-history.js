@@ -0,0 +1,105 @@
+// undo-history.js — Multi-level undo stack for destructive tab operations
+
+import { showToast } from './toast.js';
+import { sendOrThrow } from '../message-client.js';
+
+function formatAge(createdAt) {
+  const minutes = Math.floor((Date.now() - createdAt) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(createdAt).toLocaleDateString();
+}
+
+export class UndoHistory {
+  constructor(rootEl, toggleBtn) {
+    this.root = rootEl;
+    this.listEl = rootEl.querySelector('#undo-history-list');
+    this.undoBtn = rootEl.querySelector('#btn-undo-last');
+    this.clearBtn = rootEl.querySelector('#btn-clear-undo-history');
+    this.busy = false;
+
+    toggleBtn.addEventListener('click', () => this.toggle());
+    this.undoBtn.addEventListener('click', () => this.undoLast());
+    this.clearBtn.addEventListener('click', () => this.clear());
+  }
+
+  async toggle() {
+    const opening = this.root.classList.contains('hidden');
+    this.root.classList.toggle('hidden', !opening);
+    if (opening) await this.refresh();
+  }
+
+  async refresh() {
+    let entries;
+    try {
+      entries = await this.send({ action: 'listUndoHistory' });
+    } catch (err) {
+      showToast('Failed to load undo history: ' + err.message, 'error');
+      return;
+    }
+    this.render(entries);
+  }
+
+  render(entries) {
+    this.listEl.innerHTML = '';
+    this.undoBtn.disabled = this.busy || entries.length === 0;
+    this.clearBtn.disabled = this.busy || entries.length === 0;
+
+    if (entries.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'undo-history-empty';
+      empty.textContent = 'Nothing to undo';
+      this.listEl.appendChild(empty);
+      return;
+    }
+
+    entries.forEach((entry, index) => {
+      const row = document.createElement('div');
+      row.className = `undo-history-item${index === 0 ? ' next' : ''}`;
+      const label = document.createElement('span');
+      label.className = 'undo-history-label';
+      label.textContent = entry.label;
+      const age = document.createElement('span');
+      age.className = 'undo-history-age';
+      age.textContent = formatAge(entry.createdAt);
+      row.appendChild(label);
+      row.appendChild(age);
+      this.listEl.appendChild(row);
+    });
+  }
+
+  async undoLast() {
+    if (this.busy) return;
+    this.busy = true;
+    this.undoBtn.disabled = true;
+    try {
+      const result = await this.send({ action: 'undoLast' });
+      if (result.errors?.length > 0) {
+        showToast(`Partly undid "${result.label}": ${result.errors[0].error}`, 'error');
+      } else {
+        showToast(`Undid "${result.label}"`, 'success');
+      }
+    } catch (err) {
+      showToast('Undo failed: ' + err.message, 'error');
+    } finally {
+      this.busy = false;
+    }
+    await this.refresh();
+  }
+
+  async clear() {
+    try {
+      await this.send({ action: 'clearUndoHistory' });
+    } catch (err) {
+      showToast('Failed to clear undo history: ' + err.message, 'error');
+      return;
+    }
+    await this.refresh();
+  }
+
+  send(msg) {
+    return sendOrThrow(msg);
+  }
+}
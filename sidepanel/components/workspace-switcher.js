@@ -0,0 +1,209 @@
+// workspace-switcher.js — Header dropdown for switching this window between workspaces
+
+import { showToast } from './toast.js';
+import { showConfirm } from './confirm-dialog.js';
+import { sendOrThrow } from '../message-client.js';
+
+function formatAge(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+export class WorkspaceSwitcher {
+  constructor(rootEl, toggleBtn, { confirm = showConfirm } = {}) {
+    this.root = rootEl;
+    this.toggleBtn = toggleBtn;
+    this.listEl = rootEl.querySelector('#workspace-list');
+    this.saveBtn = rootEl.querySelector('#btn-save-workspace');
+    this.leaveSelect = rootEl.querySelector('#workspace-leave-action');
+    this.createForm = rootEl.querySelector('#workspace-create');
+    this.nameInput = rootEl.querySelector('#workspace-name');
+    this.captureBox = rootEl.querySelector('#workspace-capture');
+    this.confirm = confirm;
+    this.windowId = null;
+    this.busy = false;
+
+    toggleBtn.addEventListener('click', () => this.toggle());
+    this.saveBtn.addEventListener('click', () => this.saveCurrent());
+    this.createForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.create();
+    });
+  }
+
+  async toggle() {
+    const opening = this.root.classList.contains('hidden');
+    this.root.classList.toggle('hidden', !opening);
+    if (opening) await this.refresh();
+  }
+
+  async refresh() {
+    let workspaces;
+    try {
+      if (this.windowId === null) this.windowId = (await chrome.windows.getCurrent()).id;
+      workspaces = await this.send({ action: 'listWorkspaces', windowId: this.windowId });
+    } catch (err) {
+      showToast('Failed to load workspaces: ' + err.message, 'error');
+      return;
+    }
+    this.render(workspaces);
+  }
+
+  render(workspaces) {
+    this.listEl.innerHTML = '';
+    const current = workspaces.find((workspace) => workspace.current);
+    this.toggleBtn.dataset.tooltip = current ? `Workspace: ${current.name}` : 'Workspaces';
+    this.saveBtn.disabled = this.busy || !current;
+
+    if (workspaces.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'workspace-empty';
+      empty.textContent = 'No workspaces yet';
+      this.listEl.appendChild(empty);
+      return;
+    }
+
+    for (const workspace of workspaces) {
+      this.listEl.appendChild(this.createRow(workspace));
+    }
+  }
+
+  createRow(workspace) {
+    const row = document.createElement('div');
+    row.className = `workspace-item${workspace.current ? ' current' : ''}`;
+
+    const switchBtn = document.createElement('button');
+    switchBtn.className = 'workspace-switch';
+    switchBtn.disabled = this.busy || workspace.current;
+    const name = document.createElement('span');
+    name.className = 'workspace-name';
+    name.textContent = workspace.name;
+    const meta = document.createElement('span');
+    meta.className = 'workspace-meta';
+    const where = workspace.current
+      ? 'this window'
+      : workspace.openIn !== null ? 'open in another window' : formatAge(workspace.lastActiveAt);
+    meta.textContent = `${workspace.tabCount} tab${workspace.tabCount === 1 ? '' : 's'} · ${where}`;
+    switchBtn.append(name, meta);
+    switchBtn.addEventListener('click', () => this.switchTo(workspace));
+
+    const renameBtn = document.createElement('button');
+    renameBtn.className = 'workspace-action';
+    renameBtn.textContent = 'Rename';
+    renameBtn.addEventListener('click', () => this.startRename(row, workspace));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'workspace-action danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => this.remove(workspace));
+
+    row.append(switchBtn, renameBtn, deleteBtn);
+    return row;
+  }
+
+  startRename(row, workspace) {
+    const form = document.createElement('form');
+    form.className = 'workspace-rename';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'setting-input';
+    input.value = workspace.name;
+    input.maxLength = 60;
+    input.setAttribute('aria-label', 'Workspace name');
+    form.appendChild(input);
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      try {
+        await this.send({ action: 'renameWorkspace', workspaceId: workspace.id, name: input.value });
+      } catch (err) {
+        showToast('Rename failed: ' + err.message, 'error');
+        return;
+      }
+      await this.refresh();
+    });
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.refresh();
+    });
+    row.replaceWith(form);
+    input.focus();
+    input.select();
+  }
+
+  async switchTo(workspace) {
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      const result = await this.send({
+        action: 'switchWorkspace',
+        windowId: this.windowId,
+        workspaceId: workspace.id,
+        leaveAction: this.leaveSelect.value,
+      });
+      if (result.focused) {
+        showToast(`"${workspace.name}" is open in another window`, 'success');
+      } else if (result.outcome?.errors.length > 0) {
+        showToast(`Switched to "${workspace.name}", but ${result.outcome.errors.length} tab(s) failed to open`, 'error');
+      } else {
+        showToast(`Switched to "${workspace.name}"`, 'success');
+      }
+    } catch (err) {
+      showToast('Switch failed: ' + err.message, 'error');
+    } finally {
+      this.busy = false;
+    }
+    await this.refresh();
+  }
+
+  async saveCurrent() {
+    try {
+      const saved = await this.send({ action: 'saveWorkspace', windowId: this.windowId });
+      showToast(`Saved "${saved.name}"`, 'success');
+    } catch (err) {
+      showToast('Save failed: ' + err.message, 'error');
+      return;
+    }
+    await this.refresh();
+  }
+
+  async create() {
+    try {
+      const created = await this.send({
+        action: 'createWorkspace',
+        name: this.nameInput.value,
+        windowId: this.windowId,
+        capture: this.captureBox.checked,
+      });
+      showToast(`Created "${created.name}"`, 'success');
+    } catch (err) {
+      showToast('Create failed: ' + err.message, 'error');
+      return;
+    }
+    this.nameInput.value = '';
+    await this.refresh();
+  }
+
+  async remove(workspace) {
+    const ok = await this.confirm({
+      title: 'Delete workspace?',
+      message: `"${workspace.name}" and its saved tabs will be deleted. Open tabs stay open.`,
+      confirmLabel: 'Delete',
+      danger: true,
+    });
+    if (!ok) return;
+    try {
+      await this.send({ action: 'deleteWorkspace', workspaceId: workspace.id });
+    } catch (err) {
+      showToast('Delete failed: ' + err.message, 'error');
+      return;
+    }
+    await this.refresh();
+  }
+
+  send(msg) {
+    return sendOrThrow(msg);
+  }
+}
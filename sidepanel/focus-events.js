@@ -1,4 +1,4 @@
-const FOCUS_EVENT_TYPES = new Set(['focusDistraction', 'focusEnded']);
+const FOCUS_EVENT_TYPES = new Set(['focusDistraction', 'focusOverride', 'focusEnded']);
 
 export function createFocusRunCommand(action, state, details = {}) {
   const expectedRunId = typeof state?.runId === 'string' && state.runId.length > 0
@@ -15,7 +15,7 @@ export function focusMessageMatchesState(message, state) {
     message.runId === state.runId;
   if (!runMatches) return false;
 
-  if (message.type === 'focusDistraction') return state.status === 'active';
+  if (message.type === 'focusDistraction' || message.type === 'focusOverride') return state.status === 'active';
   if (message.type === 'focusEnded') {
     return state.status === 'active' || state.status === 'paused' || state.status === 'ending';
   }
@@ -26,7 +26,11 @@ export function handleFocusPanelMessage(message, focusPanel) {
   if (!focusMessageMatchesState(message, focusPanel?.state)) return false;
 
   if (message.type === 'focusDistraction') {
-    focusPanel._flashDistraction(message.domain, message.count);
+    focusPanel._flashDistraction(message.domain, message.count, message.reason);
+    return true;
+  }
+  if (message.type === 'focusOverride') {
+    focusPanel._showOverride(message.domain, message.count);
     return true;
   }
   if (message.type === 'focusEnded') {
@@ -51,7 +55,7 @@ export async function routePanelFocusMessage(message, focusPanel, {
   if (loadFocusState) {
     const durableState = await loadFocusState();
 
-    if (message.type === 'focusDistraction') {
+    if (message.type === 'focusDistraction' || message.type === 'focusOverride') {
       focusPanel.state = durableState;
       if (!focusMessageMatchesState(message, durableState)) return false;
     } else if (durableState) {
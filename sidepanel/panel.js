@@ -12,6 +12,9 @@ import { StashList } from './components/stash-list.js';
 import { SettingsManager } from './components/settings-manager.js';
 import { GlobalSearch } from './components/global-search.js';
 import { FocusPanel } from './components/focus-panel.js';
+import { UndoHistory } from './components/undo-history.js';
+import { RecoveryBanner } from './components/recovery-banner.js';
+import { WorkspaceSwitcher } from './components/workspace-switcher.js';
 import { showToast } from './components/toast.js';
 import { routePanelFocusMessage } from './focus-events.js';
 import { sendOrThrow } from './message-client.js';
@@ -76,6 +79,22 @@ const commandBar = new CommandBar(document.getElementById('command-bar'));
 const globalSearch = new GlobalSearch();
 document.getElementById('btn-search').addEventListener('click', () => globalSearch.toggle());
 
+// --- Undo history ---
+const undoHistory = new UndoHistory(
+  document.getElementById('undo-history'),
+  document.getElementById('btn-undo-history'),
+);
+
+// --- Recovery banner ---
+const recoveryBanner = new RecoveryBanner(document.getElementById('recovery-banner'));
+void recoveryBanner.refresh();
+
+// --- Workspaces ---
+const workspaceSwitcher = new WorkspaceSwitcher(
+  document.getElementById('workspace-switcher'),
+  document.getElementById('btn-workspaces'),
+);
+
 // --- Sub-tab mapping (subtab name → controller key) ---
 const subControllers = { domains: 'tabs', groups: 'groups', duplicates: 'duplicates' };
 
@@ -280,6 +299,9 @@ chrome.runtime.onMessage.addListener((message) => {
     void refreshController(controllers.tabs, 'tabs');
     void refreshGlobalStats();
   }
+  if (message.type === 'tabsChanged' || message.type === 'recoveryAvailable') {
+    void recoveryBanner.refresh();
+  }
   void routePanelFocusMessage(message, focusPanel, {
     loadFocusState: () => sendOrThrow({ action: 'getFocusState' }),
     updateFocusBtnState,
@@ -373,6 +373,32 @@ describe('Drive timestamps and deterministic merge', () => {
     expect(merged.tombstones.manualGroups).toEqual({ equal: 4, newer: 8 });
   });
 
+  test('merges optional custom Focus profiles only when either side carries them', async () => {
+    const { mergeDriveSyncDocuments, migrateDriveSyncDocument } = await syncModule();
+    expect(Object.keys(mergeDriveSyncDocuments(v2(), v2()))).toEqual([
+      'version', 'sessions', 'manualGroups', 'tombstones',
+    ]);
+    expect(() => migrateDriveSyncDocument(v2({ focusProfiles: [] }))).toThrow(/focusProfiles/);
+
+    const left = v2({
+      focusProfiles: {
+        'custom-a': { name: 'Old', modifiedAt: 3 },
+        'custom-gone': { name: 'Gone', modifiedAt: 4 },
+      },
+    });
+    const right = v2({
+      focusProfiles: { 'custom-a': { name: 'New', modifiedAt: 9 } },
+      tombstones: { sessions: {}, manualGroups: {}, focusProfiles: { 'custom-gone': 4 } },
+    });
+    for (const merged of [mergeDriveSyncDocuments(left, right), mergeDriveSyncDocuments(right, left)]) {
+      expect(Object.keys(merged)).toEqual([
+        'version', 'sessions', 'manualGroups', 'focusProfiles', 'tombstones',
+      ]);
+      expect(merged.focusProfiles).toEqual({ 'custom-a': { name: 'New', modifiedAt: 9 } });
+      expect(merged.tombstones.focusProfiles).toEqual({ 'custom-gone': 4 });
+    }
+  });
+
   test('distinguishes an absent tombstone from an explicit zero tombstone', async () => {
     const { mergeDriveSyncDocuments } = await syncModule();
     const entity = session('epoch', 0);
@@ -614,7 +640,8 @@ describe('atomic local Drive reconciliation', () => {
     });
     const document = await readLocalDriveSyncDocument();
     expect(document.version).toBe(2);
-    expect(harness.calls.storage.local.get).toEqual([[['sessions', 'manualGroups', 'driveSyncTombstones']]]);
+    expect(harness.calls.storage.local.get)
+      .toEqual([[['sessions', 'manualGroups', 'focusProfiles', 'driveSyncTombstones']]]);
 
     await writeLocalDriveSyncDocument(document);
     expect(harness.calls.storage.local.set).toEqual([[
@@ -0,0 +1,99 @@
+import { describe, expect, test } from 'bun:test';
+
+import { normalizeAllowDomains } from '../../core/duplicate-guard.js';
+import { installChromeMock } from '../helpers/chrome-mock.js';
+
+let importNonce = 0;
+
+async function installGuard(settings, local = {}) {
+  const harness = installChromeMock({
+    local: { tabkebabSettings: settings, ...local },
+    windows: [{ id: 1, focused: true }, { id: 2 }],
+    tabs: [
+      { id: 10, windowId: 1, index: 0, active: true, url: 'https://docs.test/guide', title: 'Guide' },
+      { id: 11, windowId: 1, index: 1, url: 'https://mail.test/inbox', title: 'Inbox' },
+    ],
+  });
+  const worker = await import(`../../service-worker.js?duplicate-guard=${++importNonce}`);
+  return { harness, worker };
+}
+
+function openTabIds(harness) {
+  return harness.snapshot().tabs.map((tab) => tab.id);
+}
+
+describe('duplicate prevention', () => {
+  test('switches to the open tab and closes a new copy, using the shared matching rules', async () => {
+    const { harness } = await installGuard({ duplicatePrevention: 'switch' });
+
+    const created = await chrome.tabs.create({ windowId: 2, url: 'https://docs.test/guide/?utm_source=feed' });
+
+    expect(openTabIds(harness)).toEqual([10, 11]);
+    expect(harness.calls.windows.update).toEqual([[1, { focused: true }]]);
+    expect(harness.calls.tabs.remove).toEqual([[[created.id]]]);
+  });
+
+  test('checks a blank new tab on its first navigation only', async () => {
+    const { harness } = await installGuard({ duplicatePrevention: 'switch' });
+
+    const blank = await chrome.tabs.create({ windowId: 1, url: 'chrome://newtab/' });
+    await chrome.tabs.update(blank.id, { url: 'https://other.test/' });
+    await chrome.tabs.update(blank.id, { url: 'https://mail.test/inbox' });
+    expect(openTabIds(harness)).toContain(blank.id);
+
+    const second = await chrome.tabs.create({ windowId: 1, url: 'about:blank' });
+    await chrome.tabs.update(second.id, { url: 'https://mail.test/inbox' });
+    expect(openTabIds(harness)).not.toContain(second.id);
+  });
+
+  test('respects window scope, allowlisted domains, and the off setting', async () => {
+    const { harness } = await installGuard(
+      { duplicatePrevention: 'switch', duplicatePreventionScope: 'window' },
+      { duplicateAllowDomains: ['mail.test'] },
+    );
+
+    const otherWindow = await chrome.tabs.create({ windowId: 2, url: 'https://docs.test/guide' });
+    const allowed = await chrome.tabs.create({ windowId: 1, url: 'https://mail.test/inbox' });
+    expect(openTabIds(harness)).toEqual(expect.arrayContaining([otherWindow.id, allowed.id]));
+
+    const off = await installGuard({});
+    const copy = await chrome.tabs.create({ windowId: 1, url: 'https://docs.test/guide' });
+    expect(openTabIds(off.harness)).toContain(copy.id);
+  });
+
+  test('offers to switch with a notification and acts on its button', async () => {
+    const { harness } = await installGuard({ duplicatePrevention: 'offer' });
+
+    const created = await chrome.tabs.create({ windowId: 2, url: 'https://docs.test/guide' });
+    const notificationId = `tabkebab-duplicate:${created.id}:10`;
+    expect(openTabIds(harness)).toContain(created.id);
+    expect(harness.calls.notifications.create).toEqual([[notificationId, expect.objectContaining({
+      title: 'Already open',
+      message: 'Guide',
+      buttons: [{ title: 'Switch to open tab' }],
+    })]]);
+
+    await chrome.notifications.onButtonClicked.dispatch(notificationId, 0);
+    expect(openTabIds(harness)).toEqual([10, 11]);
+    expect(harness.calls.notifications.clear).toEqual([[notificationId]]);
+  });
+
+  test('leaves tabs reopened by undo alone', async () => {
+    const { harness, worker } = await installGuard({ duplicatePrevention: 'switch' });
+
+    await expect(worker.handleMessage({ action: 'reopenTabs', urls: ['https://docs.test/guide'] }))
+      .resolves.toEqual({ created: 1 });
+    expect(harness.snapshot().tabs.filter((tab) => tab.url === 'https://docs.test/guide')).toHaveLength(2);
+  });
+
+  test('validates and stores the allowed domain list', async () => {
+    expect(normalizeAllowDomains([' Mail.Test ', 'mail.test', 'Chat.test.'])).toEqual(['mail.test', 'chat.test']);
+    expect(() => normalizeAllowDomains(['a.test/path'])).toThrow('Invalid allowed domain');
+    expect(() => normalizeAllowDomains('a.test')).toThrow(TypeError);
+
+    const { worker } = await installGuard({});
+    await expect(worker.handleMessage({ action: 'saveDuplicateAllowDomains', domains: ['WWW.Chat.test'] }))
+      .resolves.toEqual(['www.chat.test']);
+    await expect(worker.handleMessage({ action: 'getDuplicateAllowDomains' })).resolves.toEqual(['www.chat.test']);
+  });
+});
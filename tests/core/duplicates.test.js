@@ -1,6 +1,12 @@
 import { describe, expect, test } from 'bun:test';
 
-import { findDuplicates, findEmptyPages, normalizeUrl } from '../../core/duplicates.js';
+import {
+  findDuplicates,
+  findEmptyPages,
+  findSimilarTabs,
+  normalizeUrl,
+  similarityScore,
+} from '../../core/duplicates.js';
 import { installChromeMock } from '../helpers/chrome-mock.js';
 
 describe('duplicate URL identity', () => {
@@ -155,3 +161,57 @@ describe('collectUndoUrls', () => {
     expect(second).not.toBe(first);
   });
 });
+
+describe('findSimilarTabs', () => {
+  test('clusters one document at different anchors and tab params, newest first', async () => {
+    installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      tabs: [
+        { id: 1, windowId: 1, lastAccessed: 10, url: 'https://docs.google.com/document/d/abc/edit#heading=h.1', title: 'Roadmap - Google Docs' },
+        { id: 2, windowId: 1, lastAccessed: 30, url: 'https://docs.google.com/document/d/abc/edit?tab=t.2', title: 'Roadmap - Google Docs' },
+        { id: 3, windowId: 1, lastAccessed: 20, url: 'https://docs.google.com/document/d/abc/edit#heading=h.9', title: 'Roadmap - Google Docs' },
+        { id: 4, windowId: 1, lastAccessed: 40, url: 'https://docs.google.com/document/d/xyz/edit', title: 'Budget - Google Docs' },
+      ],
+    });
+
+    const clusters = await findSimilarTabs();
+
+    expect(clusters).toEqual([{
+      host: 'docs.google.com',
+      confidence: 1,
+      tabs: [
+        expect.objectContaining({ id: 2, lastAccessed: 30 }),
+        expect.objectContaining({ id: 3 }),
+        expect.objectContaining({ id: 1 }),
+      ],
+    }]);
+  });
+
+  test('groups result pages for one query but not different queries or exact copies', async () => {
+    installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      tabs: [
+        { id: 1, windowId: 1, url: 'https://www.google.com/search?q=bun+test', title: 'bun test - Google Search' },
+        { id: 2, windowId: 1, url: 'https://google.com/search?q=bun+test&start=10', title: 'bun test - Google Search' },
+        { id: 3, windowId: 1, url: 'https://www.google.com/search?q=chrome+tabs', title: 'chrome tabs - Google Search' },
+        { id: 4, windowId: 1, url: 'https://example.test/a', title: 'Same page' },
+        { id: 5, windowId: 1, url: 'https://example.test/a', title: 'Same page' },
+        { id: 6, windowId: 1, url: 'chrome://settings/', title: 'Settings' },
+        { id: 7, windowId: 1, url: 'chrome://settings/people', title: 'Settings' },
+      ],
+    });
+
+    const clusters = await findSimilarTabs();
+
+    expect(clusters.map((cluster) => cluster.tabs.map((tab) => tab.id))).toEqual([[1, 2]]);
+    const entryFor = (url, title) => ({
+      host: 'google.com',
+      segments: new URL(url).pathname.split('/').filter(Boolean),
+      tokens: new Set(title.toLowerCase().split(' ')),
+    });
+    expect(similarityScore(
+      entryFor('https://google.com/search', 'bun test - google search'),
+      entryFor('https://google.com/search', 'chrome tabs - google search'),
+    )).toBeLessThan(0.75);
+  });
+});
@@ -19,10 +19,13 @@ const EXPORTED_AT = '2026-07-19T12:00:00.000Z';
 const FULL_LOCAL_KEYS = [
   'sessions',
   'manualGroups',
+  'groupRules',
   'keepAwakeDomains',
   'tabkebabBookmarks',
   'tabkebabSettings',
   'focusProfilePrefs',
+  'focusProfiles',
+  'focusCategories',
   'focusHistory',
   'aiSettings',
 ];
@@ -242,10 +245,13 @@ describe('portable export orchestration', () => {
         'sessions',
         'stashes',
         'manualGroups',
+        'groupRules',
         'keepAwakeDomains',
         'bookmarks',
         'settings',
         'focusProfilePrefs',
+        'focusProfiles',
+        'focusCategories',
         'focusHistory',
         'aiSettings',
       ],
@@ -873,7 +879,7 @@ describe('transactional portable import', () => {
     expect(stashRepository.calls.replace).toHaveLength(2);
     expect(storage.calls.setMany).toHaveLength(2);
     expect(storage.calls.setMany[1].focusHistory).toBeUndefined();
-    expect(storage.calls.removeMany).toEqual([['aiSettings']]);
+    expect(storage.calls.removeMany).toEqual([['groupRules', 'focusProfiles', 'focusCategories', 'aiSettings']]);
     expect(storage.snapshot().driveSyncTombstones).toEqual({
       sessions: { retained: 9 },
       manualGroups: {},
@@ -976,7 +982,7 @@ describe('transactional portable import', () => {
     })).toBeTrue();
     expect(stashRepository.calls.replace).toHaveLength(2);
     expect(storage.calls.setMany).toHaveLength(2);
-    expect(storage.calls.removeMany).toEqual([['aiSettings']]);
+    expect(storage.calls.removeMany).toEqual([['groupRules', 'focusProfiles', 'focusCategories', 'aiSettings']]);
     expect(storage.snapshot().driveSyncTombstones).toEqual(tombstones());
     expect(storage.snapshot().unrelated).toBe('preserve');
   });
@@ -184,10 +184,13 @@ describe('portable export v2 envelope and sanitization', () => {
       'sessions',
       'stashes',
       'manualGroups',
+      'groupRules',
       'keepAwakeDomains',
       'bookmarks',
       'settings',
       'focusProfilePrefs',
+      'focusProfiles',
+      'focusCategories',
       'focusHistory',
       'aiSettings',
     ]);
@@ -198,6 +201,39 @@ describe('portable export v2 envelope and sanitization', () => {
     expect(parsed.stashes).toHaveLength(1);
   });
 
+  test('treats custom Focus profiles as an optional full section', () => {
+    const legacy = v2('full', fullSections());
+    const parsed = parsePortableExportDocument(legacy);
+    expect(parsed.focusProfiles).toEqual({});
+
+    const profile = {
+      name: 'Reading',
+      icon: 'Rd',
+      color: 'orange',
+      allowedDomains: ['arxiv.org'],
+      blockedDomains: [],
+      blockedCategories: ['social'],
+      suggestedDuration: 40,
+      createdAt: 1,
+      modifiedAt: 2,
+    };
+    const created = createPortableExportDocument(
+      'full',
+      fullSections({ focusProfiles: { 'custom-reading': profile } }),
+      EXPORTED_AT,
+    );
+    expect(parsePortableExportDocument(created).focusProfiles['custom-reading']).toEqual(profile);
+    for (const invalid of [
+      { coding: profile },
+      { 'custom-reading': { ...profile, color: 'magenta' } },
+      { 'custom-reading': { ...profile, suggestedDuration: 0 } },
+      { 'custom-reading': { ...profile, extra: true } },
+    ]) {
+      expect(() => parsePortableExportDocument(v2('full', fullSections({ focusProfiles: invalid }))))
+        .toThrow('Invalid portable export');
+    }
+  });
+
   test('requires only the named section for every partial kind', () => {
     for (const [kind, section, value] of [
       ['sessions', 'sessions', [session()]],
@@ -649,7 +685,49 @@ describe('portable resource boundaries', () => {
       .toThrow(/10,?000|record|limit/i);
   });
 
-  test('rejects more than 10,000 tabs in one session or stash record', () => {
+  test('validates Focus URL rules in profile preferences', () => {
+    const rules = [{ pattern: 'reddit.com/r/*', type: 'glob', action: 'allow' }];
+    const parsed = parsePortableExportDocument(v2('full', fullSections({
+      focusProfilePrefs: { coding: { rules } },
+    })));
+    expect({ ...parsed.focusProfilePrefs.coding.rules[0] }).toEqual(rules[0]);
+
+    for (const rule of [
+      { action: 'allow', type: 'regex', pattern: '(' },
+      { action: 'allow', type: 'glob', pattern: 'x.test', note: 'extra' },
+      'reddit.com',
+    ]) {
+      expect(() => parsePortableExportDocument(v2('full', fullSections({
+        focusProfilePrefs: { coding: { rules: [rule] } },
+      })))).toThrow(/focusProfilePrefs\.coding\.rules\[0\]/);
+    }
+  });
+
+  test('validates Focus category overlays and custom categories', () => {
+    const parsed = parsePortableExportDocument(v2('full', fullSections({
+      focusCategories: {
+        social: { added: ['Forum.TEST'], removed: ['x.com', 'not-curated.test'], createdAt: 1, modifiedAt: 2 },
+        'custom-abc': { name: 'Crypto', added: ['coins.test'] },
+      },
+    })));
+    expect({ ...parsed.focusCategories.social }).toEqual({
+      added: ['forum.test'], removed: ['x.com'], createdAt: 1, modifiedAt: 2,
+    });
+    expect({ ...parsed.focusCategories['custom-abc'] }).toEqual({ name: 'Crypto', icon: '🚫', added: ['coins.test'] });
+
+    for (const [id, record] of [
+      ['unknown', { added: [] }],
+      ['social', { name: 'Renamed' }],
+      ['custom-abc', { added: ['coins.test'] }],
+      ['custom-abc', { name: 'Crypto', added: ['127.0.0.1'] }],
+    ]) {
+      expect(() => parsePortableExportDocument(v2('full', fullSections({
+        focusCategories: { [id]: record },
+      })))).toThrow(new RegExp(`focusCategories\\.${id}`));
+    }
+  });
+
+    test('rejects more than 10,000 tabs in one session or stash record', () => {
     const tabs = Array.from({ length: MAX_PORTABLE_TABS_PER_RECORD + 1 },
       () => ({ url: 'https://x.test/' }));
     expect(() => parsePortableExportDocument(v2('sessions', {
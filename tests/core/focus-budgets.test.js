@@ -0,0 +1,102 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+import { MAX_BUDGET_CREDIT_MS, nextBudgetReset, normalizeFocusBudget } from '../../core/focus-budgets.js';
+
+const MINUTE = 60 * 1000;
+// Local noon, so a few simulated hours never cross midnight.
+const NOON = new Date(2026, 9, 14, 12, 0, 0).getTime();
+let importNonce = 0;
+
+async function loadBudgets(options = {}) {
+  const harness = installChromeMock(options);
+  const budgets = await import(`../../core/focus-budgets.js?focus-budgets=${++importNonce}`);
+  return { harness, budgets };
+}
+
+describe('Focus daily budgets', () => {
+  test('validates budgets and canonicalizes domains', () => {
+    expect(normalizeFocusBudget({ target: 'domain', value: 'https://WWW.Reddit.com/r/x', minutes: 10 }))
+      .toEqual({ target: 'domain', value: 'www.reddit.com', minutes: 10, enabled: true });
+    expect(normalizeFocusBudget({ id: 'budget-a1', target: 'category', value: 'video', minutes: 30, enabled: false }))
+      .toEqual({ id: 'budget-a1', target: 'category', value: 'video', minutes: 30, enabled: false });
+
+    expect(() => normalizeFocusBudget({ target: 'category', value: 'nope', minutes: 10 }))
+      .toThrow('Focus budget needs a valid category');
+    expect(() => normalizeFocusBudget({ target: 'domain', value: 'localhost', minutes: 10 }))
+      .toThrow('Focus budget needs a valid domain');
+    expect(() => normalizeFocusBudget({ target: 'domain', value: 'a.test', minutes: 0 }))
+      .toThrow('Focus budget minutes must be an integer from 1 to 1440');
+    expect(() => normalizeFocusBudget({ target: 'domain', value: 'a.test', minutes: 5, note: 'x' }))
+      .toThrow('Unknown focus budget field: note');
+  });
+
+  test('credits time on covered pages, caps long gaps and starts over each day', async () => {
+    const { budgets } = await loadBudgets();
+    const video = await budgets.saveFocusBudget({ target: 'category', value: 'video', minutes: 30 });
+    const news = await budgets.saveFocusBudget({ target: 'domain', value: 'news.test', minutes: 10 });
+
+    await budgets.recordBudgetActivity('https://www.youtube.com/watch?v=1', NOON);
+    await budgets.recordBudgetActivity('https://m.news.test/front', NOON + MINUTE);
+    // Ninety minutes away with the page still counted credits only the cap.
+    await budgets.recordBudgetActivity('https://work.test/', NOON + 91 * MINUTE);
+    await budgets.recordBudgetActivity(null, NOON + 95 * MINUTE);
+
+    expect(readStorageArea('local').focusBudgetUsage).toEqual({
+      date: '2026-10-14',
+      usedMs: { [video.id]: MINUTE, [news.id]: MAX_BUDGET_CREDIT_MS },
+      active: null,
+    });
+
+    await budgets.recordBudgetActivity('https://www.youtube.com/', NOON + 100 * MINUTE);
+    const listed = await budgets.listFocusBudgets(NOON + 101 * MINUTE);
+    expect(listed.map(({ label, usedMs, exhausted }) => ({ label, usedMs, exhausted }))).toEqual([
+      { label: 'Video & Streaming', usedMs: 2 * MINUTE, exhausted: false },
+      { label: 'news.test', usedMs: MAX_BUDGET_CREDIT_MS, exhausted: false },
+    ]);
+
+    const tomorrow = nextBudgetReset(NOON) + 10 * MINUTE;
+    await budgets.recordBudgetActivity(null, tomorrow);
+    expect(readStorageArea('local').focusBudgetUsage).toMatchObject({ date: '2026-10-15', usedMs: {} });
+  });
+
+  test('blocks pages covered by a spent budget until the limit is raised', async () => {
+    const { harness, budgets } = await loadBudgets({
+      windows: [{ id: 1, focused: true }],
+      tabs: [{ id: 7, windowId: 1, url: 'https://news.test/story', active: true }],
+    });
+    const news = await budgets.saveFocusBudget({ target: 'domain', value: 'news.test', minutes: 1 });
+
+    expect(await budgets.recordBudgetActivity('https://news.test/story', NOON)).toBeNull();
+    const spent = await budgets.recordBudgetActivity('https://news.test/story', NOON + MINUTE);
+    expect(spent).toMatchObject({ id: news.id });
+    expect(await budgets.findExhaustedBudget('https://live.news.test/', NOON + MINUTE)).toMatchObject({ id: news.id });
+    expect(await budgets.findExhaustedBudget('https://other.test/', NOON + MINUTE)).toBeNull();
+
+    expect(await budgets.blockOverBudgetTab({ tabId: 7, url: 'https://elsewhere.test/', budget: spent })).toBe(false);
+    expect(await budgets.blockOverBudgetTab({ tabId: 7, url: 'https://news.test/story', budget: spent })).toBe(true);
+    const redirect = new URL(harness.calls.tabs.update.at(-1)[1].url);
+    expect(redirect.pathname).toBe('/sidepanel/blocked.html');
+    expect(Object.fromEntries(redirect.searchParams)).toEqual({
+      budget: news.id,
+      url: 'https://news.test/story',
+      reason: 'Daily budget used up: news.test',
+    });
+
+    const info = await budgets.getBudgetBlockedPageInfo({ budgetId: news.id, url: 'https://news.test/story' }, NOON + MINUTE);
+    expect(info).toEqual({
+      blocking: true,
+      domain: 'news.test',
+      label: 'news.test',
+      minutes: 1,
+      resetsAt: nextBudgetReset(NOON),
+    });
+
+    await budgets.saveFocusBudget({ ...news, minutes: 20 });
+    expect((await budgets.getBudgetBlockedPageInfo({ budgetId: news.id, url: 'https://news.test/story' }, NOON + MINUTE)).blocking)
+      .toBe(false);
+    expect(await budgets.deleteFocusBudget(news.id)).toEqual({ deleted: true });
+    expect(readStorageArea('local').focusBudgetUsage.usedMs).toEqual({});
+    await expect(budgets.deleteFocusBudget(news.id)).rejects.toThrow('Focus budget not found');
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+import {
+  BLOCKLIST_CATEGORIES,
+  checkAgainstBlocklists,
+  parseDomainList,
+  resolveBlocklistCategories,
+} from '../../core/focus-blocklists.js';
+import { evaluateFocusPolicy } from '../../core/focus-policy.js';
+
+let importNonce = 0;
+
+async function loadCategories(local = {}) {
+  installChromeMock({ local });
+  return import(`../../core/focus-categories.js?focus-categories=${++importNonce}`);
+}
+
+describe('Focus blocklist categories', () => {
+  test('parses hosts files and plain domain lists', () => {
+    const { domains, skipped } = parseDomainList([
+      '# StevenBlack-style hosts file',
+      '127.0.0.1 localhost',
+      '0.0.0.0 ads.example.test tracker.example.test # inline comment',
+      '::1 ip6-localhost',
+      '',
+      'Forum.TEST',
+      'https://news.test/front',
+      'not a domain!',
+      'ads.example.test',
+    ].join('\r\n'));
+    expect(domains).toEqual(['ads.example.test', 'tracker.example.test', 'forum.test', 'news.test']);
+    expect(skipped).toBe(5);
+  });
+
+  test('overlays keep later curated domains while applying user additions and removals', () => {
+    const resolved = resolveBlocklistCategories({
+      social: { added: ['forum.test'], removed: ['x.com'], createdAt: 1, modifiedAt: 1 },
+    });
+    const curated = BLOCKLIST_CATEGORIES.social.domains.filter((domain) => domain !== 'x.com');
+    expect(resolved.social).toMatchObject({ builtIn: true, edited: true });
+    expect(resolved.social.domains).toEqual([...curated, 'forum.test']);
+    expect(resolved.video.edited).toBe(false);
+
+    expect(checkAgainstBlocklists('www.forum.test', ['social'], resolved))
+      .toEqual({ blocked: true, category: 'Social Media' });
+    expect(checkAgainstBlocklists('x.com', ['social'], resolved)).toEqual({ blocked: false, category: null });
+  });
+
+  test('stores built-in edits as a diff and drops overlays that change nothing', async () => {
+    const categories = await loadCategories();
+    const curated = BLOCKLIST_CATEGORIES.news.domains;
+    const edited = [...curated.filter((domain) => domain !== curated[0]), 'Paper.TEST'];
+
+    const saved = await categories.saveFocusCategory('news', { domains: edited }, 1_000);
+    expect(saved).toMatchObject({ id: 'news', edited: true });
+    expect(readStorageArea('local').focusCategories.news).toEqual({
+      added: ['paper.test'], removed: [curated[0]], createdAt: 1_000, modifiedAt: 1_000,
+    });
+    await expect(categories.saveFocusCategory('news', { name: 'Papers', domains: curated }))
+      .rejects.toThrow('Built-in focus categories can only change their domains');
+
+    await categories.saveFocusCategory('news', { domains: curated }, 2_000);
+    expect(readStorageArea('local').focusCategories).toEqual({});
+    expect((await categories.getFocusCategories()).find((cat) => cat.id === 'news').edited).toBe(false);
+  });
+
+  test('creates custom categories, imports lists into them and deletes them', async () => {
+    const categories = await loadCategories();
+    const created = await categories.saveFocusCategory(null, { name: 'Crypto', icon: '🪙', domains: ['coins.test'] }, 1_000);
+    expect(created).toMatchObject({ name: 'Crypto', icon: '🪙', builtIn: false, domains: ['coins.test'] });
+    expect(created.id).toMatch(/^custom-[a-z0-9]+$/);
+
+    const imported = await categories.importFocusCategoryDomains(
+      created.id,
+      '0.0.0.0 coins.test\n0.0.0.0 tokens.test\n0.0.0.0 localhost\n',
+      2_000,
+    );
+    expect(imported).toMatchObject({ added: 1, skipped: 1 });
+    expect(imported.category.domains).toEqual(['coins.test', 'tokens.test']);
+    expect(readStorageArea('local').focusCategories[created.id]).toMatchObject({ createdAt: 1_000, modifiedAt: 2_000 });
+
+    const ids = (await categories.getFocusCategories()).map((cat) => cat.id);
+    expect(ids.slice(0, Object.keys(BLOCKLIST_CATEGORIES).length)).toEqual(Object.keys(BLOCKLIST_CATEGORIES));
+    expect(ids.at(-1)).toBe(created.id);
+
+    expect(await categories.resetFocusCategory(created.id)).toEqual({ removed: true });
+    expect(await categories.resetFocusCategory(created.id)).toEqual({ removed: false });
+    await expect(categories.importFocusCategoryDomains(created.id, 'a.test'))
+      .rejects.toThrow('Focus category not found');
+    await expect(categories.saveFocusCategory('custom-missing', { name: 'X', domains: [] }))
+      .rejects.toThrow('Focus category not found');
+  });
+
+  test('a run blocks with the category lists it started with', async () => {
+    installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      tabs: [{ id: 1, windowId: 1, index: 0, url: 'https://work.test/', title: 'Work' }],
+    });
+    const categories = await import(`../../core/focus-categories.js?focus-categories=${++importNonce}`);
+    const focus = await import(`../../core/focus.js?focus-categories=${++importNonce}`);
+    const custom = await categories.saveFocusCategory(null, { name: 'Forums', domains: ['forum.test'] });
+    await categories.saveFocusCategory('social', {
+      domains: BLOCKLIST_CATEGORIES.social.domains.filter((domain) => domain !== 'x.com'),
+    });
+
+    const state = await focus.startFocus({
+      profileId: 'coding',
+      duration: 30,
+      tabAction: 'none',
+      blockedCategories: ['social', custom.id, 'custom-deleted'],
+    });
+    expect(Object.keys(state.blocklists)).toEqual(['social', custom.id]);
+    expect(evaluateFocusPolicy('https://forum.test/thread', state)).toMatchObject({ blocked: true, category: 'Forums' });
+    expect(evaluateFocusPolicy('https://x.com/home', state).blocked).toBe(false);
+
+    // Edits made mid-run wait for the next run.
+    await categories.resetFocusCategory(custom.id);
+    const stored = readStorageArea('local').focusState;
+    expect(evaluateFocusPolicy('https://forum.test/thread', stored).blocked).toBe(true);
+  });
+});
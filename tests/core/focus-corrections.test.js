@@ -0,0 +1,62 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+let importNonce = 0;
+
+async function loadCorrections(local = {}) {
+  installChromeMock({ local });
+  return import(`../../core/focus-corrections.js?focus-corrections=${++importNonce}`);
+}
+
+describe('Focus learned corrections', () => {
+  test('validates and stores verdicts per profile, newest first', async () => {
+    const corrections = await loadCorrections();
+    await expect(corrections.saveFocusCorrection('nope', 'docs.test', 'allow'))
+      .rejects.toThrow('Focus profile ID is invalid');
+    await expect(corrections.saveFocusCorrection('coding', 'localhost', 'allow'))
+      .rejects.toThrow('Focus correction needs a valid domain');
+    await expect(corrections.saveFocusCorrection('coding', 'docs.test', 'maybe'))
+      .rejects.toThrow('Focus correction verdict must be allow or block');
+
+    expect(await corrections.saveFocusCorrection('coding', 'https://Docs.TEST/guide', 'allow', 1_000))
+      .toEqual({ domain: 'docs.test', verdict: 'allow', createdAt: 1_000 });
+    await corrections.saveFocusCorrection('coding', 'feed.test', 'block', 2_000);
+    await corrections.saveFocusCorrection('writing', 'feed.test', 'allow', 3_000);
+    // A new verdict replaces the old one.
+    await corrections.saveFocusCorrection('coding', 'docs.test', 'block', 4_000);
+
+    expect(await corrections.getFocusCorrections('coding')).toEqual([
+      { domain: 'docs.test', verdict: 'block', createdAt: 4_000 },
+      { domain: 'feed.test', verdict: 'block', createdAt: 2_000 },
+    ]);
+    expect(await corrections.getFocusCorrections('research')).toEqual([]);
+
+    expect(await corrections.deleteFocusCorrection('writing', 'feed.test')).toEqual({ removed: true });
+    expect(await corrections.deleteFocusCorrection('writing', 'feed.test')).toEqual({ removed: false });
+    expect(readStorageArea('local').focusCorrections).not.toHaveProperty('writing');
+
+    await corrections.deleteProfileCorrections('coding');
+    expect(readStorageArea('local').focusCorrections).toEqual({});
+  });
+
+  test('matches subdomains and prefers the most specific verdict', async () => {
+    const corrections = await loadCorrections({
+      focusCorrections: {
+        coding: {
+          'google.com': { verdict: 'block', createdAt: 1 },
+          'docs.google.com': { verdict: 'allow', createdAt: 2 },
+          'broken.test': { verdict: 'perhaps', createdAt: 3 },
+        },
+      },
+    });
+    expect(await corrections.findFocusCorrection('coding', 'https://docs.google.com/document/d/1'))
+      .toMatchObject({ domain: 'docs.google.com', verdict: 'allow' });
+    expect(await corrections.findFocusCorrection('coding', 'https://news.google.com/'))
+      .toMatchObject({ domain: 'google.com', verdict: 'block' });
+    expect(await corrections.findFocusCorrection('coding', 'https://notgoogle.com/')).toBeNull();
+    expect(await corrections.findFocusCorrection('coding', 'https://broken.test/')).toBeNull();
+    expect(await corrections.findFocusCorrection('writing', 'https://docs.google.com/')).toBeNull();
+    expect(await corrections.findFocusCorrection('coding', 'chrome://settings/')).toBeNull();
+  });
+});
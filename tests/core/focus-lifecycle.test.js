@@ -1,6 +1,6 @@
 import { describe, expect, test } from 'bun:test';
 
-import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+import { blockedPageRedirects, installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
 
 let importNonce = 0;
 
@@ -325,7 +325,7 @@ describe('validateDistractionTarget', () => {
       release.resolve();
 
       expect(await pending).toBeNull();
-      expect(harness.calls.tabs.goBack).toEqual([]);
+      expect(blockedPageRedirects(harness)).toEqual([]);
       expect(harness.calls.tabs.remove).toEqual([]);
     });
   }
@@ -361,7 +361,7 @@ describe('validateDistractionTarget', () => {
     release.resolve();
 
     expect(await pending).toBeNull();
-    expect(harness.calls.tabs.goBack).toEqual([]);
+    expect(blockedPageRedirects(harness)).toEqual([]);
     expect(harness.calls.tabs.remove).toEqual([]);
   });
 
@@ -385,9 +385,9 @@ describe('validateDistractionTarget', () => {
         }
         return tab;
       };
-      chrome.tabs.goBack = async () => {
-        harness.calls.tabs.goBack.push([5]);
-        throw new Error('synthetic missing history');
+      chrome.tabs.update = async (tabId, properties) => {
+        harness.calls.tabs.update.push([tabId, properties]);
+        throw new Error('synthetic redirect failure');
       };
 
       const pending = focus.handleDistraction({
@@ -405,12 +405,12 @@ describe('validateDistractionTarget', () => {
       release.resolve();
 
       expect(await pending).toBeNull();
-      expect(harness.calls.tabs.goBack).toEqual([[5]]);
+      expect(blockedPageRedirects(harness)).toEqual([[5]]);
       expect(harness.calls.tabs.remove).toEqual([]);
     });
   }
 
-  test('does not await another state read between the final tab snapshot and goBack', async () => {
+  test('does not await another state read between the final tab snapshot and the redirect', async () => {
     const classifiedUrl = 'https://classified.test/final-order';
     const navigatedUrl = 'https://navigated.test/after-tab-read';
     const { focus, harness } = await loadFocus({
@@ -419,11 +419,11 @@ describe('validateDistractionTarget', () => {
     });
     const getStorage = chrome.storage.local.get.bind(chrome.storage.local);
     let focusStateReads = 0;
-    let goBackCompletedBeforeSecondRead = null;
+    let redirectCompletedBeforeSecondRead = null;
     chrome.storage.local.get = async (...args) => {
       const result = await getStorage(...args);
       if (args[0] === 'focusState' && ++focusStateReads === 2) {
-        goBackCompletedBeforeSecondRead = harness.calls.tabs.goBack.length === 1;
+        redirectCompletedBeforeSecondRead = blockedPageRedirects(harness).length === 1;
         await chrome.tabs.update(5, { url: navigatedUrl });
       }
       return result;
@@ -437,8 +437,8 @@ describe('validateDistractionTarget', () => {
       category: 'strict',
     });
 
-    expect(goBackCompletedBeforeSecondRead).toBeTrue();
-    expect(harness.calls.tabs.goBack).toEqual([[5]]);
+    expect(redirectCompletedBeforeSecondRead).toBeTrue();
+    expect(blockedPageRedirects(harness)).toEqual([[5]]);
   });
 });
 
@@ -0,0 +1,101 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+const MINUTE = 60 * 1000;
+let importNonce = 0;
+
+async function startLockedRun(extraTabs = []) {
+  const harness = installChromeMock({
+    windows: [{ id: 1, focused: true }],
+    tabs: [{ id: 1, windowId: 1, index: 0, url: 'https://work.test/', title: 'Work' }, ...extraTabs],
+  });
+  const focus = await import(`../../core/focus.js?focus-lock-in=${++importNonce}`);
+  const started = await focus.startFocus({
+    profileId: 'coding',
+    duration: 30,
+    tabAction: 'none',
+    blockedDomains: ['blocked.test'],
+    lockIn: { cooldownMinutes: 5 },
+  });
+  return { harness, focus, started };
+}
+
+describe('Focus lock-in', () => {
+  test('validates lock-in options and needs a timed run', async () => {
+    installChromeMock();
+    const focus = await import(`../../core/focus.js?focus-lock-in=${++importNonce}`);
+    await expect(focus.startFocus({ profileId: 'coding', duration: 0, tabAction: 'none', lockIn: { cooldownMinutes: 5 } }))
+      .rejects.toThrow('Focus lock-in needs a timed session');
+    await expect(focus.startFocus({ profileId: 'coding', duration: 30, tabAction: 'none', lockIn: { cooldownMinutes: 0 } }))
+      .rejects.toThrow('Focus lock-in cooldownMinutes must be an integer from 1 to 60');
+    expect(readStorageArea('local').focusState).toBeUndefined();
+  });
+
+  test('refuses pause, early end and replacement while the run is locked in', async () => {
+    const { focus, started } = await startLockedRun();
+    expect(started.lockIn).toEqual({ cooldownMinutes: 5, exitRequestedAt: null, emergencyExit: false });
+    expect(focus.isLockedIn(started)).toBe(true);
+
+    await expect(focus.pauseFocus(started.runId)).rejects.toBeInstanceOf(focus.FocusLockedError);
+    await expect(focus.endFocus({ expectedRunId: started.runId })).rejects.toBeInstanceOf(focus.FocusLockedError);
+    await expect(focus.startFocus({ profileId: 'writing', duration: 10, tabAction: 'none' }))
+      .rejects.toBeInstanceOf(focus.FocusLockedError);
+
+    const stored = readStorageArea('local').focusState;
+    expect(stored).toMatchObject({ runId: started.runId, status: 'active' });
+  });
+
+  test('the emergency exit opens after its cooldown and is recorded in history', async () => {
+    const { focus, started } = await startLockedRun();
+
+    const requested = await focus.requestEmergencyExit(started.runId);
+    expect(requested.lockIn.exitRequestedAt).toEqual(expect.any(Number));
+    await expect(focus.confirmEmergencyExit(started.runId)).rejects.toThrow('The emergency exit cooldown has not finished');
+
+    const cancelled = await focus.requestEmergencyExit(started.runId, { cancel: true });
+    expect(cancelled.lockIn.exitRequestedAt).toBeNull();
+    await expect(focus.confirmEmergencyExit(started.runId)).rejects.toThrow('No emergency exit has been requested');
+
+    await focus.requestEmergencyExit(started.runId);
+    const stored = readStorageArea('local').focusState;
+    await chrome.storage.local.set({
+      focusState: { ...stored, lockIn: { ...stored.lockIn, exitRequestedAt: Date.now() - 6 * MINUTE } },
+    });
+    const record = await focus.confirmEmergencyExit(started.runId);
+    expect(record.lockIn).toMatchObject({ cooldownMinutes: 5, emergencyExit: true });
+    expect(readStorageArea('local').focusState).toBeUndefined();
+    expect((await focus.getFocusHistory())[0]).toMatchObject({ runId: started.runId, lockIn: { emergencyExit: true } });
+  });
+
+  test('closes blocked tabs instead of redirecting them and refuses overrides', async () => {
+    const { harness, focus, started } = await startLockedRun([
+      { id: 2, windowId: 1, index: 1, url: 'https://blocked.test/feed', title: 'Feed' },
+    ]);
+
+    const result = await focus.handleDistraction({
+      runId: started.runId,
+      tabId: 2,
+      classifiedUrl: 'https://blocked.test/feed',
+      decision: { distraction: true, confidence: 1 },
+    });
+    expect(result).not.toBeNull();
+    expect(harness.calls.tabs.remove).toContainEqual([2]);
+    expect(harness.calls.tabs.update).toEqual([]);
+
+    expect(await focus.grantFocusOverride({ runId: started.runId, url: 'https://blocked.test/' })).toBeNull();
+    expect(await focus.getBlockedPageInfo({ runId: started.runId, url: 'https://blocked.test/' }))
+      .toMatchObject({ blocking: true, lockIn: true });
+  });
+
+  test('re-arming after a worker restart closes blocked tabs opened in the meantime', async () => {
+    const { harness, focus, started } = await startLockedRun([
+      { id: 2, windowId: 1, index: 1, url: 'https://blocked.test/', title: 'Blocked' },
+      { id: 3, windowId: 1, index: 2, url: 'https://docs.test/', title: 'Docs' },
+    ]);
+
+    expect(await focus.rearmFocusRun(started.runId)).toEqual([2]);
+    expect(harness.snapshot().tabs.map((tab) => tab.id)).toEqual([1, 3]);
+    expect(await focus.rearmFocusRun('other-run')).toEqual([]);
+  });
+});
@@ -152,7 +152,12 @@ describe('Focus allowlist policy', () => {
       blockedDomains: ['blocked.test'],
       strictMode: false,
       blockedCategories: [],
-    })).toEqual({ blocked: true, reason: 'blocklist', category: 'Blocked Domain' });
+    })).toEqual({
+      blocked: true,
+      reason: 'blocklist',
+      category: 'Blocked Domain',
+      rule: { action: 'block', type: 'domain', pattern: 'blocked.test' },
+    });
 
     expect(isInternalUrl({
       url: 'https://committed.test/',
@@ -170,7 +175,7 @@ describe('Focus allowlist policy', () => {
       blockedDomains: [],
       strictMode: true,
       blockedCategories: [],
-    })).toEqual({ blocked: true, reason: 'strict', category: 'Not in allowed list' });
+    })).toEqual({ blocked: true, reason: 'strict', category: 'Not in allowed list', rule: null });
   });
 
   test('policy evaluation allows internal pages before every blocking mode', async () => {
@@ -186,6 +191,7 @@ describe('Focus allowlist policy', () => {
       blocked: false,
       reason: null,
       category: null,
+      rule: null,
     });
   });
 
@@ -200,8 +206,9 @@ describe('Focus allowlist policy', () => {
 
     expect(evaluateFocusPolicy('https://reddit.com/r/focus', state)).toEqual({
       blocked: false,
-      reason: null,
+      reason: 'allowlist',
       category: null,
+      rule: { action: 'allow', type: 'domain', pattern: 'reddit.com' },
     });
   });
 
@@ -213,7 +220,12 @@ describe('Focus allowlist policy', () => {
       blockedDomains: ['blocked.test'],
       strictMode: false,
       blockedCategories: [],
-    })).toEqual({ blocked: true, reason: 'blocklist', category: 'Blocked Domain' });
+    })).toEqual({
+      blocked: true,
+      reason: 'blocklist',
+      category: 'Blocked Domain',
+      rule: { action: 'block', type: 'domain', pattern: 'blocked.test' },
+    });
   });
 
   test('strict mode with an empty allowlist blocks every non-internal URL', async () => {
@@ -230,6 +242,7 @@ describe('Focus allowlist policy', () => {
         blocked: true,
         reason: 'strict',
         category: 'Not in allowed list',
+        rule: null,
       });
     }
   });
@@ -242,7 +255,7 @@ describe('Focus allowlist policy', () => {
       blockedDomains: [],
       strictMode: false,
       blockedCategories: ['social'],
-    })).toEqual({ blocked: true, reason: 'category', category: 'Social Media' });
+    })).toEqual({ blocked: true, reason: 'category', category: 'Social Media', rule: null });
   });
 
   test('non-strict unmatched URLs remain unblocked', async () => {
@@ -253,7 +266,7 @@ describe('Focus allowlist policy', () => {
       blockedDomains: [],
       strictMode: false,
       blockedCategories: [],
-    })).toEqual({ blocked: false, reason: null, category: null });
+    })).toEqual({ blocked: false, reason: null, category: null, rule: null });
   });
 
   test('domain entry construction canonicalizes valid hosts and rejects invalid input', async () => {
@@ -317,4 +330,109 @@ describe('Focus allowlist policy', () => {
       { type: 'url', value: 'https://work.test/' },
     ]);
   });
+
+  test('a blocked-page override allows its domain until it expires', async () => {
+    const { evaluateFocusPolicy, hasActiveOverride } = await loadPolicy();
+    const state = {
+      blockedDomains: ['news.test'],
+      strictMode: true,
+      overrides: [{ domain: 'news.test', until: 1000 }],
+    };
+
+    expect(hasActiveOverride('https://www.news.test/story', state, 999)).toBe(true);
+    expect(evaluateFocusPolicy('https://news.test/', state, 999))
+      .toEqual({ blocked: false, reason: 'override', category: null, rule: null });
+    expect(evaluateFocusPolicy('https://news.test/', state, 1000).reason).toBe('blocklist');
+    // Strict mode still blocks every other site.
+    expect(evaluateFocusPolicy('https://other.test/', state, 999).reason).toBe('strict');
+  });
+
+  test('a specific allow rule carves a path out of a blocked domain and reports the rule', async () => {
+    const { evaluateFocusPolicy } = await loadPolicy();
+    const state = {
+      allowedDomains: [],
+      blockedDomains: ['reddit.com'],
+      rules: [{ action: 'allow', type: 'glob', pattern: 'reddit.com/r/programming*' }],
+      blockedCategories: ['social'],
+    };
+
+    expect(evaluateFocusPolicy('https://www.reddit.com/r/programming/comments/1', state).blocked).toBe(false);
+    expect(evaluateFocusPolicy('https://reddit.com/r/programming/comments/1', state)).toEqual({
+      blocked: false,
+      reason: 'rule',
+      category: null,
+      rule: { action: 'allow', type: 'glob', pattern: 'reddit.com/r/programming*' },
+    });
+    expect(evaluateFocusPolicy('https://reddit.com/r/funny', state)).toMatchObject({
+      blocked: true,
+      reason: 'blocklist',
+      rule: { action: 'block', type: 'domain', pattern: 'reddit.com' },
+    });
+  });
+
+  test('wildcard hosts, exact query globs and regexes rank by specificity with allow winning ties', async () => {
+    const { evaluateFocusPolicy, matchFocusRules } = await loadPolicy();
+    const state = {
+      strictMode: false,
+      rules: [
+        { action: 'block', type: 'glob', pattern: 'youtube.com' },
+        { action: 'allow', type: 'glob', pattern: 'youtube.com/playlist?list=XYZ' },
+        { action: 'allow', type: 'glob', pattern: '*.slack.com' },
+        { action: 'block', type: 'regex', pattern: '^https://[^/]+\\.slack\\.com/archives/random' },
+        { action: 'block', type: 'glob', pattern: 'news.test' },
+        { action: 'allow', type: 'glob', pattern: 'news.test' },
+      ],
+    };
+
+    expect(evaluateFocusPolicy('https://youtube.com/playlist?list=XYZ', state).blocked).toBe(false);
+    expect(evaluateFocusPolicy('https://youtube.com/playlist?list=ABC', state).blocked).toBe(true);
+    expect(evaluateFocusPolicy('https://youtube.com/watch?v=1', state).rule)
+      .toEqual({ action: 'block', type: 'glob', pattern: 'youtube.com' });
+    expect(evaluateFocusPolicy('https://team.slack.com/messages', state).reason).toBe('rule');
+    expect(evaluateFocusPolicy('https://slack.com/', state).blocked).toBe(false);
+    expect(evaluateFocusPolicy('https://team.slack.com/archives/random', state)).toMatchObject({
+      blocked: true,
+      category: 'Blocked by Rule',
+      rule: { type: 'regex' },
+    });
+    expect(evaluateFocusPolicy('https://NEWS.test/today', state).rule.action).toBe('allow');
+    expect(matchFocusRules('not a url', state)).toEqual([]);
+  });
+
+  test('an override beats block rules, but not strict mode on other sites', async () => {
+    const { evaluateFocusPolicy } = await loadPolicy();
+    const state = {
+      strictMode: true,
+      rules: [{ action: 'block', type: 'glob', pattern: 'news.test/*' }],
+      overrides: [{ domain: 'news.test', until: 1000 }],
+    };
+
+    expect(evaluateFocusPolicy('https://news.test/story', state, 999).reason).toBe('override');
+    expect(evaluateFocusPolicy('https://news.test/story', state, 1000).reason).toBe('rule');
+  });
+
+  test('rule construction validates globs and regexes and normalization keeps one of each', async () => {
+    const { createFocusRule, describeFocusRule, normalizeFocusRules } = await loadPolicy();
+
+    expect(createFocusRule('block', 'glob', '  https://Reddit.com/r/*  ')).toEqual({
+      action: 'block',
+      type: 'glob',
+      pattern: 'Reddit.com/r/*',
+    });
+    expect(createFocusRule('block', 'glob', '***')).toBeNull();
+    expect(createFocusRule('block', 'glob', 'a b')).toBeNull();
+    expect(createFocusRule('block', 'regex', '(unclosed')).toBeNull();
+    expect(createFocusRule('deny', 'glob', 'x.test')).toBeNull();
+    expect(createFocusRule('allow', 'wildcard', 'x.test')).toBeNull();
+
+    expect(normalizeFocusRules([
+      { action: 'allow', type: 'glob', pattern: 'x.test' },
+      { action: 'allow', type: 'glob', pattern: 'x.test' },
+      { action: 'block', type: 'regex', pattern: '[' },
+      null,
+    ])).toEqual([{ action: 'allow', type: 'glob', pattern: 'x.test' }]);
+
+    expect(describeFocusRule({ action: 'block', type: 'regex', pattern: 'a+' })).toBe('Blocked by rule /a+/');
+    expect(describeFocusRule({ action: 'allow', type: 'domain', pattern: 'x.test' })).toBe('Allowed: x.test');
+  });
 });
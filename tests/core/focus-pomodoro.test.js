@@ -0,0 +1,133 @@
+import { describe, expect, test } from 'bun:test';
+
+import {
+  PomodoroPhase,
+  advancePomodoroState,
+  createPomodoroState,
+  getPhaseRemainingMs,
+  normalizePomodoroOptions,
+  plannedPomodoroMinutes,
+} from '../../core/focus-pomodoro.js';
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+const MINUTE = 60 * 1000;
+let importNonce = 0;
+
+const PLAN = Object.freeze({
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakEvery: 2,
+  cycles: 3,
+});
+
+function runState(overrides = {}) {
+  return {
+    status: 'active',
+    runId: 'run-pomodoro',
+    startedAt: 0,
+    pausedAt: null,
+    pausedElapsed: 0,
+    distractionsBlocked: 0,
+    pomodoro: createPomodoroState(PLAN, 0),
+    ...overrides,
+  };
+}
+
+describe('Pomodoro cycle timing', () => {
+  test('validates plans and totals work plus the breaks between intervals', () => {
+    expect(normalizePomodoroOptions({ ...PLAN })).toEqual(PLAN);
+    expect(() => normalizePomodoroOptions({ ...PLAN, cycles: 0 })).toThrow('Pomodoro cycles must be an integer from 1 to 24');
+    expect(() => normalizePomodoroOptions({ ...PLAN, snooze: 1 })).toThrow('Unknown Pomodoro option: snooze');
+    expect(() => normalizePomodoroOptions(null)).toThrow(TypeError);
+
+    // work, short, work, long, work — no break after the last interval.
+    expect(plannedPomodoroMinutes(PLAN)).toBe(25 + 5 + 25 + 15 + 25);
+  });
+
+  test('advances through phases from paused-aware elapsed time and catches up after a long sleep', () => {
+    expect(advancePomodoroState(runState(), 24 * MINUTE)).toBeNull();
+
+    const onBreak = advancePomodoroState(runState({ distractionsBlocked: 2 }), 26 * MINUTE);
+    expect(onBreak.finished).toBe(false);
+    expect(onBreak.state.pomodoro).toMatchObject({
+      cycle: 1,
+      phase: PomodoroPhase.SHORT_BREAK,
+      phaseStartedAt: 25 * MINUTE,
+      phaseOffsetMs: 25 * MINUTE,
+      phaseDistractionsAt: 2,
+    });
+    expect(onBreak.state.pomodoro.intervals).toEqual([{
+      cycle: 1, phase: 'work', startedAt: 0, endedAt: 25 * MINUTE, durationMs: 25 * MINUTE, completed: true, distractionsBlocked: 2,
+    }]);
+    expect(getPhaseRemainingMs(onBreak.state, 26 * MINUTE)).toBe(4 * MINUTE);
+
+    // Ten paused minutes push every later boundary back.
+    const paused = runState({ pausedElapsed: 10 * MINUTE });
+    expect(advancePomodoroState(paused, 30 * MINUTE)).toBeNull();
+    const frozen = runState({ status: 'paused', pausedAt: 20 * MINUTE });
+    expect(advancePomodoroState(frozen, 90 * MINUTE)).toBeNull();
+
+    const slept = advancePomodoroState(runState(), 500 * MINUTE);
+    expect(slept.finished).toBe(true);
+    expect(slept.state.pomodoro.intervals.map((interval) => [interval.phase, interval.cycle])).toEqual([
+      ['work', 1], ['shortBreak', 1], ['work', 2], ['longBreak', 2],
+    ]);
+    expect(slept.state.pomodoro).toMatchObject({ cycle: 3, phase: 'work', phaseOffsetMs: 70 * MINUTE });
+  });
+
+  test('the engine relaxes blocking on breaks and records the whole cycle set as one history entry', async () => {
+    const harness = installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      tabs: [{ id: 1, windowId: 1, index: 0, url: 'https://work.test/', title: 'Work' }],
+    });
+    const focus = await import(`../../core/focus.js?focus-pomodoro=${++importNonce}`);
+
+    const started = await focus.startFocus({
+      profileId: 'coding',
+      duration: 10,
+      tabAction: 'none',
+      blockedDomains: ['blocked.test'],
+      pomodoro: { ...PLAN },
+    });
+    expect(started.duration).toBe(95);
+    expect(started.pomodoro).toMatchObject({ cycle: 1, phase: 'work', intervals: [] });
+    expect(harness.calls.alarms.create).toContainEqual(['focusPhase', { when: expect.any(Number) }]);
+
+    // Pretend the first work interval finished a minute ago.
+    const stored = readStorageArea('local').focusState;
+    await chrome.storage.local.set({ focusState: { ...stored, startedAt: stored.startedAt - 26 * MINUTE } });
+    const onBreak = await focus.handleFocusTick(started.runId);
+    expect(onBreak.pomodoro).toMatchObject({ phase: 'shortBreak', cycle: 1 });
+    expect(harness.calls.notifications.create).toEqual([[
+      `tabkebab-focus-phase:${started.runId}`,
+      expect.objectContaining({ title: 'Break time' }),
+    ]]);
+
+    await chrome.tabs.create({ windowId: 1, url: 'https://blocked.test/' });
+    const breakTab = harness.snapshot().tabs.find((tab) => tab.url === 'https://blocked.test/');
+    expect(await focus.validateDistractionTarget({
+      runId: started.runId,
+      tabId: breakTab.id,
+      classifiedUrl: 'https://blocked.test/',
+      decision: { distraction: true, confidence: 1 },
+    })).toBeNull();
+
+    // Sleep through the rest of the plan: the run ends on its own.
+    const later = readStorageArea('local').focusState;
+    await chrome.storage.local.set({ focusState: { ...later, startedAt: later.startedAt - 200 * MINUTE } });
+    const record = await focus.handleFocusTick(started.runId);
+    expect(readStorageArea('local').focusState).toBeUndefined();
+    expect(record.pomodoro).toMatchObject({ cycles: 3, cyclesCompleted: 3 });
+    expect(record.pomodoro.intervals.map((interval) => interval.phase)).toEqual([
+      'work', 'shortBreak', 'work', 'longBreak', 'work',
+    ]);
+    expect(readStorageArea('local').focusHistory).toEqual([expect.objectContaining({
+      runId: started.runId,
+      pomodoro: record.pomodoro,
+    })]);
+
+    await expect(focus.startFocus({ profileId: 'coding', tabAction: 'none', pomodoro: { cycles: 2 } }))
+      .rejects.toThrow(TypeError);
+  });
+});
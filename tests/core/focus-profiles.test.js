@@ -0,0 +1,193 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+async function loadProfiles() {
+  return import('../../core/focus-profiles.js');
+}
+
+function profileFields(overrides = {}) {
+  return {
+    name: 'Deep Reading',
+    icon: 'Rd',
+    color: 'orange',
+    allowedDomains: ['Arxiv.org ', 'arxiv.org', 'scholar.google.com'],
+    blockedDomains: ['news.test'],
+    blockedCategories: ['social'],
+    suggestedDuration: 40,
+    ...overrides,
+  };
+}
+
+describe('custom focus profiles', () => {
+  test('creates a custom profile that follows the built-ins in the merged getters', async () => {
+    installChromeMock();
+    const { BUILTIN_PROFILES, getAllProfiles, getProfileById, saveCustomProfile } = await loadProfiles();
+
+    const saved = await saveCustomProfile(null, profileFields(), 100);
+
+    expect(saved.id).toMatch(/^custom-[a-z0-9]+$/);
+    expect(saved).toEqual({
+      id: saved.id,
+      name: 'Deep Reading',
+      icon: 'Rd',
+      color: 'orange',
+      allowedDomains: ['arxiv.org', 'scholar.google.com'],
+      blockedDomains: ['news.test'],
+      blockedCategories: ['social'],
+      suggestedDuration: 40,
+      custom: true,
+    });
+    const all = await getAllProfiles();
+    expect(all.map((profile) => profile.id)).toEqual([
+      ...BUILTIN_PROFILES.map((profile) => profile.id),
+      saved.id,
+    ]);
+    await expect(getProfileById(saved.id)).resolves.toEqual(saved);
+    await expect(getProfileById('coding')).resolves.toBe(BUILTIN_PROFILES[0]);
+    expect(readStorageArea('local').focusProfiles[saved.id]).toMatchObject({
+      createdAt: 100,
+      modifiedAt: 100,
+    });
+  });
+
+  test('edits keep createdAt and always advance modifiedAt', async () => {
+    installChromeMock();
+    const { saveCustomProfile } = await loadProfiles();
+    const created = await saveCustomProfile(null, profileFields(), 500);
+
+    const edited = await saveCustomProfile(created.id, profileFields({ name: 'Renamed' }), 400);
+
+    expect(edited.name).toBe('Renamed');
+    expect(readStorageArea('local').focusProfiles[created.id]).toMatchObject({
+      name: 'Renamed',
+      createdAt: 500,
+      modifiedAt: 501,
+    });
+  });
+
+  test('rejects built-in edits, unknown fields, and out-of-range values without writing', async () => {
+    installChromeMock();
+    const { saveCustomProfile } = await loadProfiles();
+
+    await expect(saveCustomProfile('coding', profileFields(), 1)).rejects.toThrow(/Built-in/);
+    await expect(saveCustomProfile('custom-missing', profileFields(), 1)).rejects.toThrow(/not found/);
+    for (const invalid of [
+      { name: '   ' },
+      { color: 'magenta' },
+      { icon: 'toolong' },
+      { suggestedDuration: 0 },
+      { suggestedDuration: 12.5 },
+      { allowedDomains: 'github.com' },
+      { blockedCategories: [''] },
+      { apiKey: 'secret' },
+    ]) {
+      await expect(saveCustomProfile(null, profileFields(invalid), 1)).rejects.toThrow(TypeError);
+    }
+    expect(readStorageArea('local').focusProfiles).toBeUndefined();
+  });
+
+  test('duplicates built-in profiles into editable copies', async () => {
+    installChromeMock();
+    const { duplicateProfile, getAllProfiles } = await loadProfiles();
+
+    const copy = await duplicateProfile('writing', 10);
+
+    expect(copy).toMatchObject({
+      name: 'Writing copy',
+      icon: 'Aa',
+      color: 'purple',
+      allowedDomains: ['docs.google.com', 'notion.so', 'grammarly.com'],
+      blockedCategories: ['social', 'video', 'gaming', 'news'],
+      suggestedDuration: 25,
+      custom: true,
+    });
+    expect((await getAllProfiles()).filter((profile) => profile.custom)).toHaveLength(1);
+    await expect(duplicateProfile('missing', 10)).rejects.toThrow(/not found/);
+  });
+
+  test('deletion removes preferences and records a Drive tombstone beside retained kinds', async () => {
+    installChromeMock({
+      local: {
+        focusProfiles: {
+          'custom-keep': { ...profileFields({ name: 'Keep' }), createdAt: 1, modifiedAt: 1 },
+          'custom-drop': { ...profileFields({ name: 'Drop' }), createdAt: 2, modifiedAt: 30 },
+        },
+        focusProfilePrefs: { 'custom-drop': { duration: 10 }, coding: { duration: 20 } },
+        driveSyncTombstones: { sessions: { old: 5 }, manualGroups: {} },
+      },
+    });
+    const { deleteCustomProfile, getAllProfiles } = await loadProfiles();
+
+    const result = await deleteCustomProfile('custom-drop', 20);
+
+    expect(result).toEqual({ deleted: true, tombstoneAt: 30 });
+    const local = readStorageArea('local');
+    expect(Object.keys(local.focusProfiles)).toEqual(['custom-keep']);
+    expect(local.focusProfilePrefs).toEqual({ coding: { duration: 20 } });
+    expect(local.driveSyncTombstones).toEqual({
+      sessions: { old: 5 },
+      manualGroups: {},
+      focusProfiles: { 'custom-drop': 30 },
+    });
+    expect((await getAllProfiles()).map((profile) => profile.id)).toContain('custom-keep');
+    await expect(deleteCustomProfile('custom-drop', 40)).resolves.toEqual({
+      deleted: false,
+      tombstoneAt: null,
+    });
+    await expect(deleteCustomProfile('meeting', 40)).rejects.toThrow(/Built-in/);
+  });
+
+  test('skips corrupt stored records instead of hiding the whole picker', async () => {
+    installChromeMock({
+      local: {
+        focusProfiles: {
+          'custom-good': { ...profileFields({ name: 'Good' }), createdAt: 1, modifiedAt: 1 },
+          'custom-bad': { name: '', color: 'blue' },
+          coding: { ...profileFields({ name: 'Shadow' }), createdAt: 1, modifiedAt: 1 },
+        },
+      },
+    });
+    const { getAllProfiles } = await loadProfiles();
+
+    const custom = (await getAllProfiles()).filter((profile) => profile.custom);
+
+    expect(custom.map((profile) => profile.id)).toEqual(['custom-good']);
+  });
+
+  test('the default profile setting accepts built-in and custom IDs only', async () => {
+    const { SETTINGS_DEFAULTS, validateSettingsPatch } = await import('../../core/settings.js');
+
+    expect(validateSettingsPatch({ focusDefaultProfile: 'custom-abc123' }, SETTINGS_DEFAULTS)
+      .focusDefaultProfile).toBe('custom-abc123');
+    for (const invalid of ['custom-', 'custom-ABC', 'other', '__proto__', 7]) {
+      expect(() => validateSettingsPatch({ focusDefaultProfile: invalid }, SETTINGS_DEFAULTS)).toThrow();
+    }
+  });
+
+  test('deleting the default profile through the worker falls back to Coding', async () => {
+    installChromeMock({
+      local: {
+        focusProfiles: {
+          'custom-drop': { ...profileFields({ name: 'Drop' }), createdAt: 2, modifiedAt: 3 },
+        },
+      },
+    });
+    const worker = await import('../../service-worker.js?focus-profiles=delete-default');
+    const saved = [];
+
+    const result = await worker.handleMessage(
+      { action: 'deleteFocusProfile', profileId: 'custom-drop' },
+      {
+        getSettings: async () => ({ focusDefaultProfile: 'custom-drop' }),
+        saveSettings: async (patch) => { saved.push(patch); return patch; },
+      },
+    );
+
+    expect(result.deleted).toBe(true);
+    expect(saved).toEqual([{ focusDefaultProfile: 'coding' }]);
+    await expect(worker.handleMessage(
+      { action: 'deleteFocusProfile', profileId: 'custom-drop', extra: true },
+    )).rejects.toThrow();
+  });
+});
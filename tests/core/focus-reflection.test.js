@@ -0,0 +1,93 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+let importNonce = 0;
+
+function mockBrowser() {
+  return installChromeMock({
+    windows: [{ id: 1, focused: true }],
+    tabs: [{ id: 1, windowId: 1, index: 0, url: 'https://work.test/', title: 'Work' }],
+  });
+}
+
+describe('Focus goals and reflection', () => {
+  test('keeps the goal through the run and records the reflection on its history entry', async () => {
+    mockBrowser();
+    const focus = await import(`../../core/focus.js?focus-reflection=${++importNonce}`);
+    await expect(focus.startFocus({ profileId: 'coding', duration: 30, tabAction: 'none', goal: 7 }))
+      .rejects.toThrow('Focus goal must be text');
+    await expect(focus.startFocus({ profileId: 'coding', duration: 30, tabAction: 'none', goal: 'x'.repeat(201) }))
+      .rejects.toThrow('Focus goal must be at most 200 characters');
+    expect(readStorageArea('local').focusState).toBeUndefined();
+
+    const started = await focus.startFocus({
+      profileId: 'coding',
+      duration: 30,
+      tabAction: 'none',
+      goal: '  Ship the parser fix  ',
+    });
+    expect(started.goal).toBe('Ship the parser fix');
+    const record = await focus.endFocus({ expectedRunId: started.runId });
+    expect(record.goal).toBe('Ship the parser fix');
+    expect(record).not.toHaveProperty('reflection');
+
+    await expect(focus.saveFocusReflection(started.runId, { achieved: 'yes' }))
+      .rejects.toThrow('Focus reflection achieved must be true, false or null');
+    await expect(focus.saveFocusReflection('run-missing', { achieved: true }))
+      .rejects.toThrow('Focus session not found in history');
+
+    const saved = await focus.saveFocusReflection(started.runId, { achieved: true, note: ' Tests pass. ' }, 5_000);
+    expect(saved.reflection).toEqual({ achieved: true, note: 'Tests pass.', savedAt: 5_000 });
+    expect(readStorageArea('local').focusHistory[0]).toMatchObject({
+      runId: started.runId,
+      goal: 'Ship the parser fix',
+      reflection: { achieved: true, note: 'Tests pass.' },
+    });
+
+    // Without a goal there is nothing to achieve, so only the note is kept.
+    const second = await focus.startFocus({ profileId: 'coding', duration: 30, tabAction: 'none', goal: '   ' });
+    expect(second).not.toHaveProperty('goal');
+    await focus.endFocus({ expectedRunId: second.runId });
+    expect((await focus.saveFocusReflection(second.runId, { achieved: false, note: 'Meetings.' })).reflection)
+      .toMatchObject({ achieved: null, note: 'Meetings.' });
+  });
+
+  test('the worker saves reflections and exports history as a work log', async () => {
+    mockBrowser();
+    const worker = await import(`../../service-worker.js?focus-reflection=${++importNonce}`);
+    const started = await worker.handleMessage({
+      action: 'startFocus',
+      profileId: 'coding',
+      duration: 30,
+      tabAction: 'none',
+      goal: 'Draft, "v2" notes',
+    });
+    await worker.handleMessage({ action: 'endFocus', expectedRunId: started.runId });
+
+    await expect(worker.handleMessage({ action: 'saveFocusReflection', runId: started.runId, achieved: false }))
+      .rejects.toThrow('Focus reflection request is missing required fields');
+    await worker.handleMessage({
+      action: 'saveFocusReflection',
+      runId: started.runId,
+      achieved: false,
+      note: 'Got halfway',
+    });
+
+    const log = await worker.handleMessage({ action: 'exportFocusStats', format: 'log' });
+    expect(log).toMatchObject({ mimeType: 'text/csv' });
+    expect(log.filename).toMatch(/^tabkebab-focus-log-\d{4}-\d{2}-\d{2}\.csv$/);
+    const [header, row, end] = log.content.split('\n');
+    expect(header).toBe('date,start,profile,planned_minutes,focused_minutes,goal,achieved,note,distractions,overrides');
+    expect(row).toMatch(/^\d{4}-\d{2}-\d{2},\d{2}:\d{2},Coding,30,0,"Draft, ""v2"" notes",no,Got halfway,0,0$/);
+    expect(end).toBe('');
+
+    const json = JSON.parse((await worker.handleMessage({ action: 'exportFocusStats', format: 'json' })).content);
+    expect(json.log).toEqual([expect.objectContaining({
+      runId: started.runId,
+      goal: 'Draft, "v2" notes',
+      achieved: false,
+      note: 'Got halfway',
+    })]);
+  });
+});
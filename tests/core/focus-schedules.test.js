@@ -0,0 +1,148 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+// Focus reads storage while it loads, so import it under a mock.
+installChromeMock();
+const { FocusStatus, getFocusState, startFocus } = await import('../../core/focus.js');
+const {
+  localDateKey,
+  nextScheduleBoundary,
+  normalizeFocusSchedule,
+  reconcileFocusSchedules,
+} = await import('../../core/focus-schedules.js');
+
+let importNonce = 0;
+
+// Monday 19 October 2026, local time.
+function at(hours, minutes = 0, dayOffset = 0) {
+  return new Date(2026, 9, 19 + dayOffset, hours, minutes).getTime();
+}
+
+function weekdayBlock(overrides = {}) {
+  return {
+    id: 'sched-deepwork',
+    name: 'Deep work',
+    profileId: 'coding',
+    days: [1, 2, 3, 4, 5],
+    start: '09:00',
+    end: '11:30',
+    enabled: true,
+    ...overrides,
+  };
+}
+
+function installSchedules(schedules = [weekdayBlock()], local = {}) {
+  return installChromeMock({
+    local: {
+      focusSchedules: schedules,
+      tabkebabSettings: { focusTabAction: 'none' },
+      ...local,
+    },
+    windows: [{ id: 1, focused: true }],
+    tabs: [{ id: 1, windowId: 1, index: 0, url: 'https://work.test/', title: 'Work' }],
+  });
+}
+
+function scheduleRuns() {
+  return readStorageArea('local').focusScheduleRuns;
+}
+
+describe('Focus schedules', () => {
+  test('validates schedules and finds the next start or end across the week', () => {
+    expect(normalizeFocusSchedule({ profileId: 'coding', days: [5, 1, 1], start: '09:00', end: '11:30' }))
+      .toEqual({ name: '', profileId: 'coding', days: [1, 5], start: '09:00', end: '11:30', enabled: true });
+    expect(() => normalizeFocusSchedule(weekdayBlock({ end: '08:00' }))).toThrow('must end after it starts');
+    expect(() => normalizeFocusSchedule(weekdayBlock({ start: '9:00' }))).toThrow('HH:MM');
+    expect(() => normalizeFocusSchedule(weekdayBlock({ days: [] }))).toThrow(TypeError);
+    expect(() => normalizeFocusSchedule(weekdayBlock({ profileId: 'nope' }))).toThrow('valid profile');
+    expect(() => normalizeFocusSchedule(weekdayBlock({ repeat: true }))).toThrow('Unknown focus schedule field: repeat');
+
+    const schedules = [weekdayBlock()];
+    expect(nextScheduleBoundary(schedules, at(8))).toBe(at(9));
+    expect(nextScheduleBoundary(schedules, at(9))).toBe(at(11, 30));
+    // Friday evening rolls over the weekend to Monday morning.
+    expect(nextScheduleBoundary(schedules, at(12, 0, 4))).toBe(at(9, 0, 7));
+    expect(nextScheduleBoundary([weekdayBlock({ enabled: false })], at(8))).toBeNull();
+  });
+
+  test('starts a block at its start time, ends it at its end time, and does not restart it that day', async () => {
+    const harness = installSchedules();
+
+    const { started } = await reconcileFocusSchedules(at(9));
+    expect(started).toMatchObject({ status: FocusStatus.ACTIVE, profileId: 'coding', duration: 150, tabAction: 'none' });
+    expect(scheduleRuns()['sched-deepwork']).toEqual({
+      date: localDateKey(at(9)),
+      status: 'running',
+      runId: started.runId,
+      endsAt: at(11, 30),
+    });
+
+    expect(await reconcileFocusSchedules(at(10))).toEqual({ started: null, ended: [] });
+    expect((await reconcileFocusSchedules(at(11, 30))).ended).toEqual(['sched-deepwork']);
+    expect(await getFocusState()).toBeNull();
+    expect(harness.calls.runtime.sendMessage).toContainEqual([
+      expect.objectContaining({ type: 'focusEnded', runId: started.runId }),
+    ]);
+
+    await reconcileFocusSchedules(at(11, 0));
+    expect(await getFocusState()).toBeNull();
+  });
+
+  test('catches up on a missed start for the remaining time unless too little is left', async () => {
+    installSchedules();
+    const { started } = await reconcileFocusSchedules(at(10, 45));
+    expect(started.duration).toBe(45);
+
+    installSchedules();
+    expect((await reconcileFocusSchedules(at(11, 27))).started).toBeNull();
+    expect(scheduleRuns()['sched-deepwork'].status).toBe('missed');
+  });
+
+  test('yields to a manual session and lets go of a run a manual session replaced', async () => {
+    installSchedules();
+    const manual = await startFocus({ profileId: 'writing', duration: 0, tabAction: 'none' });
+    await reconcileFocusSchedules(at(9));
+    expect((await getFocusState()).runId).toBe(manual.runId);
+    expect(scheduleRuns()['sched-deepwork'].status).toBe('yielded');
+
+    installSchedules();
+    await reconcileFocusSchedules(at(9));
+    const replacement = await startFocus({ profileId: 'writing', duration: 0, tabAction: 'none' });
+    await reconcileFocusSchedules(at(11, 30));
+    expect(await getFocusState()).toMatchObject({ runId: replacement.runId, status: FocusStatus.ACTIVE });
+    expect(scheduleRuns()['sched-deepwork'].status).toBe('ended');
+  });
+
+  test('skip today ends the scheduled run and can be lifted through runtime messages', async () => {
+    const tomorrow = (new Date().getDay() + 1) % 7;
+    const harness = installSchedules([weekdayBlock({ days: [tomorrow] })]);
+    const worker = await import(`../../service-worker.js?focus-schedules=${++importNonce}`);
+    const monday = new Date(2026, 9, 19);
+    const onDay = (hours, minutes = 0) => at(hours, minutes, (tomorrow - monday.getDay() + 7) % 7);
+
+    await worker.handleMessage({ action: 'skipFocusSchedule', scheduleId: 'sched-deepwork', skip: false }, {
+      now: () => onDay(9, 5),
+    });
+    const { runId } = await getFocusState();
+    expect(harness.calls.alarms.create).toContainEqual(['focusSchedule', { when: onDay(11, 30) }]);
+
+    await worker.handleMessage({ action: 'skipFocusSchedule', scheduleId: 'sched-deepwork', skip: true }, {
+      now: () => onDay(9, 10),
+    });
+    expect(await getFocusState()).toBeNull();
+    const listed = await worker.handleMessage({ action: 'getFocusSchedules' }, { now: () => onDay(9, 15) });
+    expect(listed).toEqual([expect.objectContaining({ id: 'sched-deepwork', today: 'skipped' })]);
+
+    await worker.handleMessage({ action: 'skipFocusSchedule', scheduleId: 'sched-deepwork', skip: false }, {
+      now: () => onDay(9, 20),
+    });
+    expect((await getFocusState()).runId).not.toBe(runId);
+    expect((await getFocusState()).duration).toBe(130);
+
+    await expect(worker.handleMessage({ action: 'skipFocusSchedule', scheduleId: 'sched-deepwork' }))
+      .rejects.toThrow('Focus schedule request is missing required fields');
+    await expect(worker.handleMessage({ action: 'saveFocusSchedule', schedule: weekdayBlock({ id: 'sched-missing' }) }))
+      .rejects.toThrow('Focus schedule not found');
+  });
+});
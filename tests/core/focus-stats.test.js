@@ -0,0 +1,188 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+// Focus reads storage while it loads, so import it under a mock.
+installChromeMock();
+const {
+  computeFocusAnalytics,
+  exportFocusStats,
+  getFocusStats,
+  recordFocusDistraction,
+  recordFocusRun,
+} = await import('../../core/focus-stats.js');
+
+const MINUTE = 60 * 1000;
+let importNonce = 0;
+
+// Monday 19 October 2026, local time.
+function at(hours, minutes = 0, dayOffset = 0) {
+  return new Date(2026, 9, 19 + dayOffset, hours, minutes).getTime();
+}
+
+function run(overrides = {}) {
+  return {
+    id: 'focus-1',
+    runId: 'run-1',
+    profileId: 'coding',
+    profileName: 'Coding',
+    startedAt: at(9),
+    actualDurationMs: 30 * MINUTE,
+    distractionsBlocked: 2,
+    ...overrides,
+  };
+}
+
+describe('Focus stats', () => {
+  test('aggregates runs per day and profile once each and counts only Pomodoro work time', async () => {
+    installChromeMock();
+    expect(await recordFocusRun(run())).toBe(true);
+    expect(await recordFocusRun(run())).toBe(false);
+    await recordFocusRun(run({
+      runId: 'run-2',
+      profileId: 'writing',
+      profileName: 'Writing',
+      startedAt: at(14),
+      actualDurationMs: 55 * MINUTE,
+      distractionsBlocked: 1,
+      pomodoro: {
+        intervals: [
+          { phase: 'work', durationMs: 25 * MINUTE },
+          { phase: 'shortBreak', durationMs: 5 * MINUTE },
+          { phase: 'work', durationMs: 25 * MINUTE },
+        ],
+      },
+    }));
+    await Promise.all([
+      recordFocusDistraction({ domain: 'news.test', category: 'News' }),
+      recordFocusDistraction({ domain: 'news.test', category: 'News' }),
+      recordFocusDistraction({ domain: 'video.test', category: 'Video' }),
+    ]);
+
+    const stored = readStorageArea('local').focusStats;
+    expect(stored.days['2026-10-19']).toEqual({
+      focusedMs: 80 * MINUTE,
+      sessions: 2,
+      distractions: 3,
+      profiles: {
+        coding: { name: 'Coding', focusedMs: 30 * MINUTE, sessions: 1 },
+        writing: { name: 'Writing', focusedMs: 50 * MINUTE, sessions: 1 },
+      },
+    });
+    expect(stored.domains).toEqual({ 'news.test': 2, 'video.test': 1 });
+  });
+
+  test('summarizes recent days and weeks, streaks, breakdowns and the distraction rate', () => {
+    const day = (focusedMinutes, distractions = 0) => ({
+      focusedMs: focusedMinutes * MINUTE,
+      sessions: 1,
+      distractions,
+      profiles: { coding: { name: 'Coding', focusedMs: focusedMinutes * MINUTE, sessions: 1 } },
+    });
+    const stats = {
+      version: 1,
+      days: {
+        // A four-day streak last month, then Friday through Sunday.
+        '2026-09-01': day(60), '2026-09-02': day(60), '2026-09-03': day(60), '2026-09-04': day(60),
+        '2026-10-16': day(30, 3), '2026-10-17': day(30), '2026-10-18': day(60, 3),
+      },
+      domains: { 'a.test': 1, 'b.test': 5 },
+      categories: { News: 2 },
+      countedRunIds: [],
+    };
+
+    // Early Monday, before any focus today: the streak still stands.
+    const analytics = computeFocusAnalytics(stats, at(8));
+    expect(analytics.today).toBe(0);
+    expect(analytics.daily).toHaveLength(14);
+    expect(analytics.daily.at(-2)).toEqual({ date: '2026-10-18', minutes: 60 });
+    expect(analytics.thisWeek).toBe(0);
+    expect(analytics.weekly.at(-2)).toEqual({ weekStart: '2026-10-12', minutes: 120 });
+    expect(analytics.streak).toEqual({ current: 3, longest: 4 });
+    expect(analytics.profiles).toEqual([{ profileId: 'coding', name: 'Coding', minutes: 360, sessions: 7 }]);
+    expect(analytics.topDomains).toEqual([{ domain: 'b.test', count: 5 }, { domain: 'a.test', count: 1 }]);
+    expect(analytics.totals).toEqual({ minutes: 360, sessions: 7, distractions: 6, distractionsPerHour: 1 });
+
+    expect(computeFocusAnalytics(stats, at(8, 0, 2)).streak.current).toBe(0);
+  });
+
+  test('seeds from retained history and exports CSV or JSON through runtime messages', async () => {
+    installChromeMock({
+      local: {
+        focusHistory: [
+          run({ runId: 'run-2', startedAt: at(9, 0, 1), profileName: 'Deep, "hard" work' }),
+          run(),
+        ],
+      },
+    });
+    expect(Object.keys((await getFocusStats()).days)).toEqual(['2026-10-19', '2026-10-20']);
+    // A run already in history is not counted twice when it is recorded.
+    expect(await recordFocusRun(run())).toBe(false);
+
+    const csv = await exportFocusStats('csv', at(12));
+    expect(csv).toMatchObject({ filename: 'tabkebab-focus-stats-2026-10-19.csv', mimeType: 'text/csv' });
+    expect(csv.content.split('\n')).toEqual([
+      'date,focused_minutes,sessions,distractions,distractions_per_hour,profiles',
+      '2026-10-19,30,1,2,4,Coding: 30',
+      '2026-10-20,30,1,2,4,"Deep, ""hard"" work: 30"',
+      '',
+    ]);
+
+    const worker = await import(`../../service-worker.js?focus-stats=${++importNonce}`);
+    const json = await worker.handleMessage({ action: 'exportFocusStats', format: 'json' }, { now: () => at(12) });
+    const parsed = JSON.parse(json.content);
+    expect(parsed.summary.totals).toMatchObject({ minutes: 60, sessions: 2 });
+    expect(parsed).not.toHaveProperty('countedRunIds');
+    expect((await worker.handleMessage({ action: 'getFocusAnalytics' }, { now: () => at(12) })).today).toBe(30);
+
+    await expect(worker.handleMessage({ action: 'exportFocusStats', format: 'xml' }))
+      .rejects.toThrow('Focus stats export format must be csv, json or log');
+    await expect(worker.handleMessage({ action: 'exportFocusStats' }))
+      .rejects.toThrow('Focus stats export request is missing required fields');
+  });
+
+  test('the work log keeps free text that looks like a formula from being evaluated', async () => {
+    installChromeMock();
+    const history = [run({
+      profileName: '@Ops',
+      plannedDuration: 30,
+      goal: '=HYPERLINK("https://evil.test","Open")',
+      reflection: { achieved: true, note: '-done, mostly' },
+    })];
+
+    const log = await exportFocusStats('log', at(12), { history });
+    expect(log.content.split('\n')[1]).toBe(
+      `2026-10-19,09:00,'@Ops,30,30,"'=HYPERLINK(""https://evil.test"",""Open"")",yes,"'-done, mostly",2,0`,
+    );
+  });
+
+  test('ending a run and blocking a distraction feed the aggregate', async () => {
+    installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      tabs: [{ id: 1, windowId: 1, index: 0, url: 'https://work.test/', title: 'Work' }],
+    });
+    const focus = await import(`../../core/focus.js?focus-stats=${++importNonce}`);
+    const started = await focus.startFocus({
+      profileId: 'coding',
+      duration: 0,
+      tabAction: 'none',
+      blockedDomains: ['blocked.test'],
+    });
+
+    const tab = await chrome.tabs.create({ windowId: 1, url: 'https://blocked.test/feed' });
+    expect(await focus.handleDistraction({
+      runId: started.runId,
+      tabId: tab.id,
+      classifiedUrl: 'https://blocked.test/feed',
+      decision: { distraction: true, confidence: 1 },
+      category: 'Blocklist',
+    })).toMatchObject({ distractionsBlocked: 1 });
+    await focus.endFocus({ expectedRunId: started.runId });
+
+    const stats = readStorageArea('local').focusStats;
+    expect(stats.countedRunIds).toEqual([started.runId]);
+    expect(stats.domains).toEqual({ 'blocked.test': 1 });
+    expect(stats.categories).toEqual({ Blocklist: 1 });
+    expect(Object.values(stats.days)).toEqual([expect.objectContaining({ sessions: 1, distractions: 1 })]);
+  });
+});
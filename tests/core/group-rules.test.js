@@ -0,0 +1,308 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+async function loadRules() {
+  return import('../../core/group-rules.js');
+}
+
+function ruleFields(overrides = {}) {
+  return {
+    conditions: [{ type: 'urlGlob', value: '*.atlassian.net/browse/*' }],
+    groupName: 'Jira',
+    color: 'blue',
+    ...overrides,
+  };
+}
+
+function rule(id, order, overrides = {}) {
+  return {
+    id,
+    enabled: true,
+    match: 'all',
+    conditions: [{ type: 'domain', value: 'example.test' }],
+    groupName: 'Example',
+    color: 'green',
+    targetWindow: null,
+    order,
+    createdAt: 1,
+    modifiedAt: 1,
+    ...overrides,
+  };
+}
+
+describe('grouping rule matching', () => {
+  test('supports domain, URL glob, regex and title conditions', async () => {
+    const { ruleMatchesTab } = await loadRules();
+    const jira = { url: 'https://team.atlassian.net/browse/OPS-12', title: 'OPS-12 Standup notes' };
+    const cases = [
+      [{ type: 'domain', value: 'atlassian.net' }, true],
+      [{ type: 'domain', value: 'github.com' }, false],
+      [{ type: 'urlGlob', value: '*.atlassian.net/browse/*' }, true],
+      [{ type: 'urlGlob', value: 'https://*.atlassian.net/wiki/*' }, false],
+      [{ type: 'urlGlob', value: 'team.atlassian.net/browse/OPS-1?' }, true],
+      [{ type: 'regex', value: '/browse/ops-\\d+$' }, true],
+      [{ type: 'title', value: 'standup' }, true],
+      [{ type: 'title', value: 'retro' }, false],
+    ];
+    for (const [condition, expected] of cases) {
+      expect(ruleMatchesTab(rule('rule-a', 0, { conditions: [condition] }), jira)).toBe(expected);
+    }
+    const both = [{ type: 'domain', value: 'atlassian.net' }, { type: 'title', value: 'retro' }];
+    expect(ruleMatchesTab(rule('rule-a', 0, { conditions: both }), jira)).toBe(false);
+    expect(ruleMatchesTab(rule('rule-a', 0, { conditions: both, match: 'any' }), jira)).toBe(true);
+  });
+
+  test('plans the first enabled match and leaves pinned or grouped tabs alone', async () => {
+    const { planGroupRules } = await loadRules();
+    const rules = [
+      rule('rule-off', 0, { enabled: false, groupName: 'Disabled' }),
+      rule('rule-first', 1, { groupName: 'First', targetWindow: 2 }),
+      rule('rule-second', 2, { groupName: 'Second' }),
+    ];
+    const tabs = [
+      { id: 1, windowId: 20, groupId: -1, url: 'https://example.test/a', title: 'A' },
+      { id: 2, windowId: 10, groupId: -1, pinned: true, url: 'https://example.test/b' },
+      { id: 3, windowId: 10, groupId: 7, url: 'https://example.test/c' },
+      { id: 4, windowId: 10, groupId: -1, url: 'https://other.test/' },
+      { id: 5, windowId: 20, groupId: -1, pendingUrl: 'https://www.example.test/', url: '' },
+    ];
+
+    const plan = planGroupRules({
+      tabs,
+      windows: [{ id: 20, type: 'normal' }, { id: 10, type: 'normal' }],
+      groups: [{ id: 9, windowId: 20, title: 'First' }],
+      rules,
+    });
+
+    expect(plan).toEqual([
+      expect.objectContaining({ tabId: 1, ruleId: 'rule-first', fromWindowId: 20, windowId: 20, existingGroupId: 9 }),
+      expect.objectContaining({ tabId: 5, url: 'https://www.example.test/', windowId: 20, existingGroupId: 9 }),
+    ]);
+  });
+
+  test('keeps tabs in place when the target window is missing or incognito-incompatible', async () => {
+    const { planGroupRules } = await loadRules();
+    const tabs = [{ id: 1, windowId: 1, groupId: -1, url: 'https://example.test/' }];
+    const windows = [{ id: 1 }, { id: 2, incognito: true }];
+
+    for (const targetWindow of [2, 3]) {
+      const [assignment] = planGroupRules({
+        tabs,
+        windows,
+        groups: [],
+        rules: [rule('rule-a', 0, { targetWindow })],
+      });
+      expect(assignment.windowId).toBe(1);
+    }
+  });
+});
+
+describe('grouping rule storage', () => {
+  test('appends new rules, preserves position on edit and rejects invalid input', async () => {
+    installChromeMock();
+    const { getGroupRules, saveGroupRule } = await loadRules();
+
+    const first = await saveGroupRule(null, ruleFields(), 100);
+    const second = await saveGroupRule(null, ruleFields({ groupName: 'Docs' }), 200);
+    const edited = await saveGroupRule(first.id, ruleFields({ groupName: 'Tickets', targetWindow: 2 }), 50);
+
+    expect(first.id).toMatch(/^rule-[a-z0-9]+$/);
+    expect(edited).toMatchObject({ order: 0, groupName: 'Tickets', targetWindow: 2, createdAt: 100, modifiedAt: 101 });
+    expect((await getGroupRules()).map((entry) => entry.id)).toEqual([first.id, second.id]);
+
+    for (const invalid of [
+      { conditions: [] },
+      { conditions: [{ type: 'regex', value: '(' }] },
+      { conditions: [{ type: 'path', value: '/x' }] },
+      { groupName: '  ' },
+      { color: 'magenta' },
+      { targetWindow: 0 },
+      { apiKey: 'secret' },
+    ]) {
+      await expect(saveGroupRule(null, ruleFields(invalid), 1)).rejects.toThrow(TypeError);
+    }
+    await expect(saveGroupRule('rule-missing', ruleFields(), 1)).rejects.toThrow(/not found/);
+    expect(Object.keys(readStorageArea('local').groupRules)).toHaveLength(2);
+  });
+
+  test('reorders with a complete ID list and deletes by ID', async () => {
+    installChromeMock({
+      local: {
+        groupRules: {
+          'rule-a': { ...ruleFields({ groupName: 'A' }), order: 0, createdAt: 1, modifiedAt: 1 },
+          'rule-b': { ...ruleFields({ groupName: 'B' }), order: 1, createdAt: 1, modifiedAt: 1 },
+          'rule-bad': { groupName: '' },
+        },
+      },
+    });
+    const { deleteGroupRule, getGroupRules, reorderGroupRules } = await loadRules();
+
+    expect((await getGroupRules()).map((entry) => entry.id)).toEqual(['rule-a', 'rule-b']);
+    await expect(reorderGroupRules(['rule-b', 'rule-a'], 5)).rejects.toThrow(/every grouping rule/);
+
+    const reordered = await reorderGroupRules(['rule-b', 'rule-a', 'rule-bad'], 5);
+
+    expect(reordered.map((entry) => [entry.id, entry.order, entry.modifiedAt])).toEqual([
+      ['rule-b', 0, 5],
+      ['rule-a', 1, 5],
+    ]);
+    await expect(deleteGroupRule('rule-a')).resolves.toEqual({ deleted: true });
+    await expect(deleteGroupRule('rule-a')).resolves.toEqual({ deleted: false });
+    expect(Object.keys(readStorageArea('local').groupRules).sort()).toEqual(['rule-b', 'rule-bad']);
+  });
+});
+
+describe('grouping rule execution', () => {
+  test('previews without side effects, then groups, reuses and moves tabs', async () => {
+    const harness = installChromeMock({
+      windows: [{ id: 1 }, { id: 2 }],
+      tabs: [
+        { id: 11, windowId: 1, url: 'https://team.atlassian.net/browse/OPS-1', title: 'OPS-1' },
+        { id: 12, windowId: 2, url: 'https://team.atlassian.net/browse/OPS-2', title: 'OPS-2' },
+        { id: 13, windowId: 2, url: 'https://docs.test/', title: 'Docs' },
+      ],
+      groups: [{ id: 40, windowId: 2, title: 'Jira', color: 'blue' }],
+      local: {
+        groupRules: {
+          'rule-jira': { ...ruleFields({ targetWindow: 2 }), order: 0, createdAt: 1, modifiedAt: 1 },
+        },
+      },
+    });
+    const { applyGroupRules, previewGroupRules } = await loadRules();
+
+    const preview = await previewGroupRules();
+    expect(preview.map(({ tabId, windowId, existingGroupId }) => [tabId, windowId, existingGroupId]))
+      .toEqual([[11, 2, 40], [12, 2, 40]]);
+    expect(harness.calls.tabs.group).toEqual([]);
+    const draft = await previewGroupRules({ conditions: [{ type: 'domain', value: 'docs.test' }], groupName: 'Docs' });
+    expect(draft.map(({ tabId, existingGroupId }) => [tabId, existingGroupId])).toEqual([[13, null]]);
+
+    await expect(applyGroupRules()).resolves.toEqual({ tabsGrouped: 2, groupsCreated: 0, errors: 0 });
+
+    expect(harness.calls.tabs.move).toEqual([[[11], { windowId: 2, index: -1 }]]);
+    const tabs = harness.snapshot().tabs;
+    expect(tabs.filter((tab) => tab.groupId === 40).map((tab) => tab.id).sort()).toEqual([11, 12]);
+    expect(tabs.find((tab) => tab.id === 13).groupId).toBe(-1);
+  });
+
+  test('creates one titled group for tabs that match together', async () => {
+    const harness = installChromeMock({
+      tabs: [
+        { id: 1, windowId: 1, url: 'https://github.com/a/pull/1' },
+        { id: 2, windowId: 1, url: 'https://github.com/a/pull/2' },
+      ],
+      local: {
+        groupRules: {
+          'rule-pr': {
+            conditions: [{ type: 'regex', value: 'github\\.com/.+/pull/\\d+' }],
+            groupName: 'Reviews',
+            color: 'purple',
+            order: 0,
+          },
+        },
+      },
+    });
+    const { applyGroupRules } = await loadRules();
+
+    await Promise.all([applyGroupRules({ tabIds: [1] }), applyGroupRules({ tabIds: [2] })]);
+
+    const { groups, tabs } = harness.snapshot();
+    expect(groups).toEqual([expect.objectContaining({ title: 'Reviews', color: 'purple' })]);
+    expect(new Set(tabs.map((tab) => tab.groupId))).toEqual(new Set([groups[0].id]));
+  });
+
+  test('does no browser work when no enabled rule exists', async () => {
+    const harness = installChromeMock({ tabs: [{ id: 1, url: 'https://example.test/' }] });
+    const { applyGroupRules } = await loadRules();
+
+    await expect(applyGroupRules({ tabIds: [1] })).resolves.toEqual({
+      tabsGrouped: 0,
+      groupsCreated: 0,
+      errors: 0,
+    });
+    expect(harness.calls.tabs.query).toEqual([]);
+  });
+
+  test('a title change only runs rules that match on titles', async () => {
+    const harness = installChromeMock({
+      tabs: [{ id: 1, windowId: 1, url: 'https://example.test/', title: 'Standup notes' }],
+      local: { groupRules: { 'rule-url': ruleFields({ enabled: true, order: 0 }) } },
+    });
+    const { applyGroupRules } = await loadRules();
+
+    await applyGroupRules({ tabIds: [1], titleChanged: true });
+    expect(harness.calls.tabs.query).toEqual([]);
+
+    await chrome.storage.local.set({
+      groupRules: {
+        'rule-title': ruleFields({ conditions: [{ type: 'title', value: 'standup' }], groupName: 'Meetings', order: 0 }),
+      },
+    });
+    await expect(applyGroupRules({ tabIds: [1], titleChanged: true })).resolves
+      .toEqual({ tabsGrouped: 1, groupsCreated: 1, errors: 0 });
+    expect(harness.snapshot().groups).toEqual([expect.objectContaining({ title: 'Meetings' })]);
+  });
+});
+
+describe('grouping rule portability', () => {
+  test('full exports carry group rules as an optional validated section', async () => {
+    const { createPortableExportDocument, parsePortableExportDocument } = await import('../../core/export-schema.js');
+    const base = {
+      sessions: [],
+      stashes: [],
+      manualGroups: {},
+      keepAwakeDomains: [],
+      bookmarks: [],
+      settings: {},
+      focusProfilePrefs: {},
+      focusHistory: [],
+      aiSettings: { enabled: false, providerId: null, providerConfigs: {} },
+    };
+    const stored = { ...ruleFields(), enabled: true, match: 'all', targetWindow: null, order: 3, createdAt: 1, modifiedAt: 2 };
+
+    const legacy = createPortableExportDocument('full', base, '2026-07-14T12:00:00.000Z');
+    expect(parsePortableExportDocument(legacy).groupRules).toEqual({});
+    const created = createPortableExportDocument(
+      'full',
+      { ...base, groupRules: { 'rule-jira': stored } },
+      '2026-07-14T12:00:00.000Z',
+    );
+    expect(parsePortableExportDocument(created).groupRules['rule-jira']).toEqual(stored);
+
+    for (const invalid of [
+      { jira: stored },
+      { 'rule-jira': { ...stored, conditions: [{ type: 'regex', value: '[' }] } },
+      { 'rule-jira': { ...stored, order: -1 } },
+      { 'rule-jira': { ...stored, script: 'x' } },
+    ]) {
+      expect(() => createPortableExportDocument('full', { ...base, groupRules: invalid }, '2026-07-14T12:00:00.000Z'))
+        .toThrow('Invalid portable export');
+    }
+  });
+});
+
+describe('grouping rule worker messages', () => {
+  test('validate envelopes and run storage writes through the injected operations', async () => {
+    installChromeMock();
+    const worker = await import('../../service-worker.js?group-rules=messages');
+    const saved = [];
+    const options = {
+      now: () => 77,
+      saveGroupRule: async (...args) => { saved.push(args); return { id: 'rule-x' }; },
+    };
+
+    await expect(worker.handleMessage(
+      { action: 'saveGroupRule', ruleId: null, rule: ruleFields() },
+      options,
+    )).resolves.toEqual({ id: 'rule-x' });
+    expect(saved).toEqual([[null, ruleFields(), 77]]);
+
+    await expect(worker.handleMessage({ action: 'saveGroupRule', rule: ruleFields() }, options))
+      .rejects.toThrow(/missing required fields/);
+    await expect(worker.handleMessage({ action: 'previewGroupRules', rule: [] }))
+      .rejects.toThrow(/must be an object/);
+    await expect(worker.handleMessage({ action: 'deleteGroupRule', ruleId: 'rule-x', extra: 1 }))
+      .rejects.toThrow(/unexpected fields/);
+  });
+});
@@ -1,7 +1,13 @@
 import { describe, expect, test } from 'bun:test';
 
-import { executeNLAction, filterTabs, isValidTabFilter } from '../../core/nl-executor.js';
-import { installChromeMock } from '../helpers/chrome-mock.js';
+import {
+  executeNLAction,
+  filterTabs,
+  isValidNLUndo,
+  isValidTabFilter,
+  undoNLAction,
+} from '../../core/nl-executor.js';
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
 
 let workerImportNonce = 0;
 
@@ -90,6 +96,136 @@ describe('executeNLAction live-tab authority', () => {
   });
 });
 
+describe('executeNLAction extended actions', () => {
+  function installStateTabs() {
+    return installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      groups: [{ id: 5, windowId: 1, title: 'Research', color: 'green', collapsed: true }],
+      tabs: [
+        { id: 11, windowId: 1, active: true, url: 'https://a.test/', groupId: 5 },
+        { id: 12, windowId: 1, pinned: true, url: 'https://b.test/', mutedInfo: { muted: true } },
+        { id: 13, windowId: 1, url: 'https://c.test/', groupId: 5 },
+      ],
+    });
+  }
+
+  test('pin and mute change only tabs not already in that state and undo exactly those', async () => {
+    const harness = installStateTabs();
+    const tabs = await chrome.tabs.query({});
+
+    const pinned = await executeNLAction({ action: 'pin' }, tabs);
+    expect(pinned).toEqual({
+      executed: true,
+      message: 'Pinned 2 tab(s)',
+      undo: { action: 'unpin', tabIds: [11, 13] },
+    });
+    const muted = await executeNLAction({ action: 'mute' }, tabs);
+    expect(muted.undo).toEqual({ action: 'unmute', tabIds: [11, 13] });
+    expect(isValidNLUndo(pinned.undo)).toBe(true);
+
+    await expect(undoNLAction(pinned.undo)).resolves.toEqual({
+      undone: true,
+      message: 'Restored 2 tab(s)',
+    });
+    await undoNLAction(muted.undo);
+    const after = harness.snapshot().tabs;
+    expect(after.map((tab) => [tab.id, tab.pinned, tab.mutedInfo.muted])).toEqual([
+      [11, false, false],
+      [12, true, true],
+      [13, false, false],
+    ]);
+    await expect(executeNLAction({ action: 'unmute' }, [after[0]])).resolves.toEqual({
+      executed: true,
+      message: 'No tabs needed changing',
+    });
+  });
+
+  test('ungroup records group metadata and undo rejoins or recreates the group', async () => {
+    let harness = installStateTabs();
+    const result = await executeNLAction({ action: 'ungroup' }, await chrome.tabs.query({}));
+
+    expect(harness.calls.tabs.ungroup).toEqual([[[11, 13]]]);
+    expect(result.undo).toEqual({
+      action: 'regroup',
+      groups: [{
+        groupId: 5,
+        windowId: 1,
+        title: 'Research',
+        color: 'green',
+        collapsed: true,
+        tabIds: [11, 13],
+      }],
+    });
+    await undoNLAction(result.undo);
+    expect(harness.calls.tabs.group).toEqual([[{ groupId: 5, tabIds: [11, 13] }]]);
+
+    harness = installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      tabs: [{ id: 11, windowId: 1, url: 'https://a.test/' }],
+    });
+    await expect(undoNLAction(result.undo)).resolves.toEqual({
+      undone: true,
+      message: 'Regrouped 1 tab(s)',
+    });
+    expect(harness.snapshot().groups).toEqual([
+      expect.objectContaining({ title: 'Research', color: 'green', collapsed: true }),
+    ]);
+  });
+
+  test('undo payloads are validated strictly', () => {
+    for (const invalid of [
+      null,
+      { action: 'close', tabIds: [1] },
+      { action: 'pin', tabIds: [] },
+      { action: 'pin', tabIds: [1, 1] },
+      { action: 'mute', tabIds: [1], extra: true },
+      { action: 'regroup', groups: [] },
+      { action: 'regroup', groups: [{ groupId: 1, windowId: 1, title: 'x', color: 'magenta', collapsed: false, tabIds: [1] }] },
+      { action: 'regroup', groups: [{ groupId: 1, windowId: 1, title: 'x', color: 'red', tabIds: [1] }] },
+    ]) {
+      expect(isValidNLUndo(invalid)).toBe(false);
+    }
+  });
+
+  test('capturing actions delegate to worker operations with the matched tabs', async () => {
+    installStateTabs();
+    const tabs = await chrome.tabs.query({});
+    const calls = [];
+    const operations = {
+      stashTabs: async (matched, name) => {
+        calls.push(['stash', matched.map((tab) => tab.id), name]);
+        return { success: true, stash: { name: `${name} (3 tabs)`, tabCount: 3 } };
+      },
+      discardTabs: async (matched) => {
+        calls.push(['discard', matched.map((tab) => tab.id)]);
+        return { discarded: 2, skipped: 1, errors: [] };
+      },
+      createBookmarks: async () => ({ created: 1, destinations: ['Chrome Bookmarks'] }),
+      saveSession: async (matched, name) => {
+        calls.push(['session', matched.length, name]);
+        return { id: 's1' };
+      },
+    };
+
+    await expect(executeNLAction({ action: 'stash', name: ' Research ' }, tabs, operations))
+      .resolves.toEqual({ executed: true, message: 'Stashed 3 tab(s) as "Research (3 tabs)"' });
+    await expect(executeNLAction({ action: 'discard' }, tabs, operations))
+      .resolves.toEqual({ executed: true, message: 'Kebabbed 2 tab(s), skipped 1' });
+    await expect(executeNLAction({ action: 'bookmark' }, tabs, operations))
+      .resolves.toEqual({ executed: true, message: 'Bookmarked 3 tab(s) to Chrome Bookmarks' });
+    await expect(executeNLAction({ action: 'saveSession', name: 'Trip' }, tabs, operations))
+      .resolves.toEqual({ executed: true, message: 'Saved 3 tab(s) as "Trip"' });
+    expect(calls).toEqual([
+      ['stash', [11, 12, 13], 'Research'],
+      ['discard', [11, 12, 13]],
+      ['session', 3, 'Trip'],
+    ]);
+    await expect(executeNLAction({ action: 'stash' }, tabs)).resolves.toEqual({
+      error: 'Stashing is not available',
+    });
+  });
+});
+
 describe('filterTabs domain identity', () => {
   test('matches an exact host and true subdomains only', () => {
     const tabs = [
@@ -211,6 +347,72 @@ describe('filterTabs domain identity', () => {
   });
 });
 
+describe('filterTabs extended predicates', () => {
+  const NOW = 10 * 24 * 60 * 60_000;
+  const tabs = [
+    { id: 1, windowId: 5, groupId: -1, pinned: true, url: 'https://youtube.com/a', title: 'Song', lastAccessed: NOW - 3 * 24 * 60 * 60_000 },
+    { id: 2, windowId: 5, groupId: 70, audible: true, url: 'https://youtube.com/b', title: 'Talk', lastAccessed: NOW - 2 * 24 * 60 * 60_000 },
+    { id: 3, windowId: 9, groupId: 71, discarded: true, url: 'https://youtube.com/c', title: 'Clip', lastAccessed: NOW - 60_000 },
+    { id: 4, windowId: 9, groupId: -1, url: 'https://github.com/o/r/pull/12/', title: 'PR 12' },
+    { id: 5, windowId: 9, groupId: -1, url: 'https://github.com/o/r/pull/12', title: 'PR 12 copy' },
+  ];
+  const context = { now: NOW, groups: [{ id: 70, title: 'Research' }, { id: 71, title: 'Later' }] };
+  const match = (filter) => ids(filterTabs(tabs, filter, context));
+
+  test('covers tab state, access time, window, group, regex, and duplicates', () => {
+    expect(match({ pinned: true })).toEqual([1]);
+    expect(match({ audible: true })).toEqual([2]);
+    expect(match({ discarded: false, domain: 'youtube.com' })).toEqual([1, 2]);
+    expect(match({ lastAccessedOlderThan: 1440 })).toEqual([1, 2]);
+    expect(match({ lastAccessedNewerThan: 60 })).toEqual([3]);
+    expect(match({ windowIndex: 2 })).toEqual([3, 4, 5]);
+    expect(match({ inGroup: ' research ' })).toEqual([2]);
+    expect(match({ urlRegex: '/pull/\\d+/?$' })).toEqual([4, 5]);
+    expect(match({ titleRegex: '^pr 12$' })).toEqual([4]);
+    expect(match({ duplicateOf: true })).toEqual([5]);
+    expect(match({ duplicateOf: 'https://github.com/o/r/pull/12' })).toEqual([4, 5]);
+  });
+
+  test('composes AND, OR, and NOT for "except" commands', () => {
+    expect(match({
+      domain: 'youtube.com',
+      lastAccessedOlderThan: 1440,
+      not: { pinned: true },
+    })).toEqual([2]);
+    expect(match({ anyOf: [{ audible: true }, { inGroup: 'Later' }] })).toEqual([2, 3]);
+    expect(match({ not: { anyOf: [{ domain: 'youtube.com' }, { duplicateOf: true }] } })).toEqual([4]);
+  });
+
+  test('rejects unknown keys, malformed values, and oversized composition', () => {
+    const nested = (depth) => (depth === 0 ? { pinned: true } : { not: nested(depth - 1) });
+    for (const filter of [
+      { domain: 'youtube.com', exceptPinned: true },
+      { pinned: 'yes' },
+      { lastAccessedOlderThan: 0 },
+      { lastAccessedNewerThan: 1.5 },
+      { windowIndex: 0 },
+      { inGroup: '  ' },
+      { urlRegex: '(' },
+      { titleRegex: 'x'.repeat(201) },
+      { duplicateOf: false },
+      { duplicateOf: 'javascript:alert(1)' },
+      { anyOf: [] },
+      { anyOf: [{ pinned: true }, { bogus: 1 }] },
+      { not: {} },
+      nested(4),
+    ]) {
+      expect(isValidTabFilter(filter)).toBe(false);
+      expect(filterTabs(tabs, filter, context)).toEqual([]);
+    }
+    expect(isValidTabFilter(nested(3))).toBe(true);
+  });
+
+  test('tabs without a last-access time never match either side of a cutoff', () => {
+    expect(match({ lastAccessedOlderThan: 1, domain: 'github.com' })).toEqual([]);
+    expect(match({ lastAccessedNewerThan: 1, domain: 'github.com' })).toEqual([]);
+  });
+});
+
 describe('natural-language destructive command authority', () => {
   test('re-queries live tabs after delayed AI parsing before showing a close preview', async () => {
     const gate = deferred();
@@ -405,4 +607,209 @@ describe('natural-language destructive command authority', () => {
       context.restore();
     }
   });
+
+  test('treats nested title predicates as unknowable during a pending navigation', async () => {
+    const context = await importWorkerWithAi([
+      { id: 11, windowId: 1, active: true, url: 'https://old.test/', pendingUrl: 'https://safe.test/next', title: 'Old page' },
+      { id: 12, windowId: 1, active: false, url: 'https://safe.test/settled', title: 'Settled' },
+    ], async () => ({
+      parsed: {
+        action: 'close',
+        filter: { domain: 'safe.test', not: { anyOf: [{ titleRegex: '^keep' }] } },
+        confirmation: 'Close safe.test tabs?',
+      },
+    }));
+
+    try {
+      const preview = await chrome.runtime.sendMessage({
+        action: 'executeNLCommand',
+        command: 'close safe.test tabs except ones titled keep',
+      });
+      expect(preview.parsedCommand.tabIds).toEqual([12]);
+    } finally {
+      context.restore();
+    }
+  });
+
+  test('routes kebab through confirmation and discards only eligible approved tabs', async () => {
+    const context = await importWorkerWithAi([
+      { id: 11, windowId: 1, active: true, url: 'https://reddit.com/r/a', title: 'Active' },
+      { id: 12, windowId: 1, active: false, url: 'https://reddit.com/r/b', title: 'Idle' },
+      { id: 13, windowId: 1, active: false, url: 'https://safe.test/', title: 'Other' },
+    ], async () => ({ parsed: { action: 'discard', filter: { domain: 'reddit.com' } } }));
+
+    try {
+      const preview = await chrome.runtime.sendMessage({
+        action: 'executeNLCommand',
+        command: 'kebab everything on reddit',
+      });
+      expect(preview.confirmation).toBe('Kebab (unload) 2 tab(s)?');
+      expect(context.harness.calls.tabs.discard).toEqual([]);
+
+      expect(await chrome.runtime.sendMessage({
+        action: 'confirmNLCommand',
+        parsedCommand: preview.parsedCommand,
+      })).toEqual({ executed: true, message: 'Kebabbed 1 tab(s), skipped 1' });
+      expect(context.harness.calls.tabs.discard).toEqual([[12]]);
+    } finally {
+      context.restore();
+    }
+  });
+
+  test('saves only the approved tabs as a named session', async () => {
+    const context = await importWorkerWithAi([
+      { id: 11, windowId: 1, active: true, url: 'https://docs.test/a', title: 'Doc A' },
+      { id: 12, windowId: 1, active: false, url: 'https://other.test/', title: 'Other' },
+    ], async () => ({
+      parsed: { action: 'saveSession', filter: { domain: 'docs.test' }, name: 'Docs' },
+    }));
+
+    try {
+      const preview = await chrome.runtime.sendMessage({
+        action: 'executeNLCommand',
+        command: 'save my docs tabs as a session called Docs',
+      });
+      expect(await chrome.runtime.sendMessage({
+        action: 'confirmNLCommand',
+        parsedCommand: preview.parsedCommand,
+      })).toEqual({ executed: true, message: 'Saved 1 tab(s) as "Docs"' });
+
+      const [session] = readStorageArea('local').sessions;
+      expect(session.name).toBe('Docs');
+      expect(session.windows[0].tabs.map((tab) => tab.url)).toEqual(['https://docs.test/a']);
+    } finally {
+      context.restore();
+    }
+  });
+
+  test('pins immediately and accepts only a well-formed undo request', async () => {
+    const context = await importWorkerWithAi([
+      { id: 11, windowId: 1, active: true, url: 'https://docs.test/a', title: 'Doc A' },
+    ], async () => ({ parsed: { action: 'pin', filter: { domain: 'docs.test' } } }));
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: 'executeNLCommand',
+        command: 'pin my docs',
+      });
+      expect(result.undo).toEqual({ action: 'unpin', tabIds: [11] });
+      expect(context.harness.snapshot().tabs[0].pinned).toBe(true);
+
+      expect(await chrome.runtime.sendMessage({
+        action: 'undoNLCommand',
+        undo: { action: 'unpin', tabIds: [-1] },
+      })).toEqual({ error: 'Invalid command undo' });
+      expect(await chrome.runtime.sendMessage({
+        action: 'undoNLCommand',
+        undo: result.undo,
+      })).toEqual({ undone: true, message: 'Restored 1 tab(s)' });
+      expect(context.harness.snapshot().tabs[0].pinned).toBe(false);
+    } finally {
+      context.restore();
+    }
+  });
+});
+
+describe('natural-language command plans', () => {
+  const planTabs = [
+    { id: 11, windowId: 1, active: true, url: 'https://github.com/o/r/pull/1', title: 'PR 1' },
+    { id: 12, windowId: 1, active: false, url: 'https://github.com/o/r/pull/2', title: 'PR 2' },
+    { id: 13, windowId: 1, active: false, url: 'https://docs.test/guide', title: 'Guide' },
+    { id: 14, windowId: 1, active: false, url: 'https://video.test/', title: 'Video' },
+  ];
+  const planResponse = async () => ({
+    parsed: {
+      steps: [
+        { action: 'group', filter: { urlContains: '/pull/' }, groupName: 'PRs', color: 'purple', confirmation: 'x' },
+        { action: 'move', filter: { domain: 'docs.test' } },
+        { action: 'mute', filter: { domain: 'nothing.test' } },
+      ],
+      confirmation: 'Group PRs and move docs?',
+    },
+  });
+
+  test('previews every step with its matched tabs and executes nothing', async () => {
+    const context = await importWorkerWithAi(planTabs, planResponse);
+
+    try {
+      const preview = await chrome.runtime.sendMessage({
+        action: 'executeNLCommand',
+        command: 'group my GitHub PRs and move docs to a new window',
+      });
+
+      expect(preview.plan.confirmation).toBe('Group PRs and move docs?');
+      expect(preview.plan.steps.map((step) => [step.action, step.tabIds])).toEqual([
+        ['group', [11, 12]],
+        ['move', [13]],
+        ['mute', []],
+      ]);
+      expect(preview.plan.steps[0]).toMatchObject({ groupName: 'PRs', color: 'purple' });
+      expect(preview.plan.steps[0]).not.toHaveProperty('confirmation');
+      expect(context.harness.calls.tabs.group).toEqual([]);
+      expect(context.harness.calls.windows.create).toEqual([]);
+    } finally {
+      context.restore();
+    }
+  });
+
+  test('runs only approved steps and tabs in order and reports each outcome', async () => {
+    const context = await importWorkerWithAi(planTabs, planResponse);
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: 'confirmNLPlan',
+        steps: [
+          { action: 'group', filter: { urlContains: '/pull/' }, groupName: 'PRs', color: 'purple', tabIds: [12] },
+          { action: 'pin', filter: { domain: 'docs.test' }, tabIds: [13] },
+          { action: 'close', filter: { domain: 'docs.test' }, tabIds: [14] },
+        ],
+      });
+
+      expect(result).toEqual({
+        executed: true,
+        message: 'Completed 2 of 3 step(s)',
+        steps: [
+          { action: 'group', executed: true, message: 'Grouped 1 tab(s) as "PRs"' },
+          {
+            action: 'pin',
+            executed: true,
+            message: 'Pinned 1 tab(s)',
+            undo: { action: 'unpin', tabIds: [13] },
+          },
+          { action: 'close', error: 'No tabs matched that description' },
+        ],
+      });
+      expect(context.harness.calls.tabs.group[0][0].tabIds).toEqual([12]);
+      expect(context.harness.calls.tabs.remove).toEqual([]);
+    } finally {
+      context.restore();
+    }
+  });
+
+  test('rejects malformed plans before touching any tab', async () => {
+    const context = await importWorkerWithAi(planTabs, async () => ({
+      parsed: { steps: [{ action: 'find', filter: { domain: 'github.com' } }] },
+    }));
+
+    try {
+      expect(await chrome.runtime.sendMessage({
+        action: 'executeNLCommand',
+        command: 'find and then find',
+      })).toEqual({ error: 'AI returned an invalid plan step' });
+
+      for (const steps of [
+        [],
+        [{ action: 'close', filter: { domain: 'github.com' }, tabIds: [11], confirmation: 'x' }],
+        [{ action: 'group', filter: { domain: 'github.com' }, color: 'magenta', tabIds: [11] }],
+        Array.from({ length: 7 }, () => ({ action: 'pin', filter: { domain: 'github.com' }, tabIds: [11] })),
+      ]) {
+        expect(await chrome.runtime.sendMessage({ action: 'confirmNLPlan', steps }))
+          .toEqual({ error: 'Invalid command plan' });
+      }
+      expect(context.harness.calls.tabs.remove).toEqual([]);
+      expect(context.harness.calls.tabs.update).toEqual([]);
+    } finally {
+      context.restore();
+    }
+  });
 });
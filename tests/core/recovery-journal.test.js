@@ -0,0 +1,150 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+let importNonce = 0;
+
+function tab(id, windowId, index, name, overrides = {}) {
+  return { id, windowId, index, url: `https://${name}.test/`, title: name, ...overrides };
+}
+
+function savedTab(name, overrides = {}) {
+  return { url: `https://${name}.test/`, title: name, favIconUrl: '', pinned: false, ...overrides };
+}
+
+function loadJournal() {
+  return import(`../../core/recovery-journal.js?recovery=${++importNonce}`);
+}
+
+describe('Recovery journal', () => {
+  test('a closed window whose tabs are gone becomes a recovery point', async () => {
+    const harness = installChromeMock({
+      windows: [{ id: 1, focused: true }, { id: 2 }],
+      tabs: [
+        tab(10, 1, 0, 'a', { groupId: 5, active: true }),
+        tab(11, 1, 1, 'b'),
+        { id: 12, windowId: 1, index: 2, url: 'chrome://settings/', title: 'Settings' },
+        tab(20, 2, 0, 'b', { active: true }),
+      ],
+      groups: [{ id: 5, windowId: 1, title: 'Docs', color: 'blue', collapsed: false }],
+    });
+    const journal = await loadJournal();
+
+    expect(await journal.recordLiveState(1_000)).toEqual({ addedPoints: 0 });
+    const writes = harness.calls.storage.local.set.length;
+    expect(await journal.recordLiveState(1_500)).toEqual({ addedPoints: 0 });
+    expect(harness.calls.storage.local.set).toHaveLength(writes);
+
+    // Every tab of the second window is still open in the first.
+    await chrome.windows.remove(2);
+    expect(await journal.recordLiveState(2_000)).toEqual({ addedPoints: 0 });
+
+    await chrome.windows.remove(1);
+    expect(await journal.recordLiveState(3_000)).toEqual({ addedPoints: 1 });
+    const [point] = readStorageArea('local').recoveryPoints;
+    expect(point).toMatchObject({ reason: 'window-closed', createdAt: 3_000, tabCount: 2 });
+    expect(point.windows).toEqual([{
+      tabCount: 2,
+      tabs: [savedTab('a', { groupId: 5 }), savedTab('b')],
+      groups: [{ id: 5, title: 'Docs', color: 'blue', collapsed: false }],
+    }]);
+    expect(await journal.listRecoveryPoints()).toEqual([{
+      id: point.id, reason: 'window-closed', createdAt: 3_000, tabCount: 2, windowCount: 1, missingCount: 2,
+    }]);
+
+    const outcome = await journal.recoverPoint(point.id);
+    expect(outcome).toMatchObject({ complete: true, restoredCount: 2, windowsCreated: 1, groupsRestored: 1 });
+    expect(readStorageArea('local').recoveryPoints).toEqual([]);
+    await expect(journal.recoverPoint(point.id)).rejects.toThrow('Recovery point not found');
+  });
+
+  test('a journal from an earlier browser run offers the tabs that did not come back', async () => {
+    installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      tabs: [tab(10, 1, 0, 'x', { active: true })],
+      local: {
+        recoveryJournal: {
+          runId: 'before-crash',
+          updatedAt: 1,
+          windows: [{ windowId: 9, tabCount: 2, tabs: [savedTab('x'), savedTab('y')] }],
+        },
+      },
+    });
+    const journal = await loadJournal();
+
+    expect(await journal.recordLiveState(5_000)).toEqual({ addedPoints: 1 });
+    const stored = readStorageArea('local');
+    expect(stored.recoveryJournal.runId).toBe(readStorageArea('session').recoveryJournalRun);
+    expect(stored.recoveryJournal.windows).toEqual([{ windowId: 1, tabCount: 1, tabs: [savedTab('x')] }]);
+    const [listed] = await journal.listRecoveryPoints();
+    expect(listed).toMatchObject({ reason: 'startup', tabCount: 2, missingCount: 1 });
+
+    // Once Chrome reopens the missing tab, there is nothing left to offer.
+    await chrome.tabs.create({ windowId: 1, url: 'https://y.test/' });
+    expect(await journal.listRecoveryPoints()).toEqual([]);
+    await journal.dismissRecoveryPoint(listed.id);
+    expect(readStorageArea('local').recoveryPoints).toEqual([]);
+  });
+
+  test('the worker debounces journal writes on an alarm and serves recovery requests', async () => {
+    const harness = installChromeMock({
+      windows: [{ id: 1, focused: true }, { id: 2 }],
+      tabs: [tab(10, 1, 0, 'a', { active: true }), tab(20, 2, 0, 'b', { active: true })],
+    });
+    const worker = await import(`../../service-worker.js?recovery=${++importNonce}`);
+
+    await chrome.tabs.create({ windowId: 1, url: 'https://c.test/' });
+    await chrome.tabs.create({ windowId: 1, url: 'https://d.test/' });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(harness.calls.alarms.create.filter(([name]) => name === 'recoveryJournal'))
+      .toEqual([['recoveryJournal', { when: expect.any(Number) }]]);
+
+    await worker.handleAlarm({ name: 'recoveryJournal' });
+    await chrome.windows.remove(2);
+    await worker.handleAlarm({ name: 'recoveryJournal' });
+    expect(harness.calls.runtime.sendMessage).toContainEqual([{ type: 'recoveryAvailable' }]);
+
+    await expect(worker.handleMessage({ action: 'recoverRecoveryPoint' }))
+      .rejects.toThrow('Recovery request is missing required fields');
+    const [point] = await worker.handleMessage({ action: 'listRecoveryPoints' });
+    expect(point).toMatchObject({ reason: 'window-closed', missingCount: 1 });
+    const outcome = await worker.handleMessage({ action: 'recoverRecoveryPoint', pointId: point.id });
+    expect(outcome).toMatchObject({ complete: true, restoredCount: 1 });
+    expect(await worker.handleMessage({ action: 'listRecoveryPoints' })).toEqual([]);
+  });
+
+  test('recovered tabs keep their groups while duplicate prevention and grouping rules are on', async () => {
+    const harness = installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      tabs: [tab(10, 1, 0, 'a', { active: true })],
+      local: {
+        tabkebabSettings: { duplicatePrevention: 'switch', duplicatePreventionScope: 'global' },
+        groupRules: {
+          'rule-b': { conditions: [{ type: 'domain', value: 'b.test' }], groupName: 'Elsewhere', color: 'blue', order: 0 },
+        },
+        recoveryPoints: [{
+          id: 'point-1',
+          reason: 'window-closed',
+          createdAt: 1,
+          tabCount: 2,
+          windows: [{
+            tabCount: 2,
+            tabs: [savedTab('b', { groupId: 3 }), savedTab('c', { groupId: 3 })],
+            groups: [{ id: 3, title: 'Docs', color: 'green', collapsed: false }],
+          }],
+        }],
+      },
+    });
+    const worker = await import(`../../service-worker.js?recovery=${++importNonce}`);
+
+    const outcome = await worker.handleMessage({ action: 'recoverRecoveryPoint', pointId: 'point-1' });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(outcome).toMatchObject({ complete: true, restoredCount: 2, groupsRestored: 1 });
+    const { tabs, groups } = harness.snapshot();
+    expect(groups.map(({ title }) => title)).toEqual(['Docs']);
+    expect(tabs.filter((entry) => entry.groupId === groups[0].id).map(({ url }) => url).sort())
+      .toEqual(['https://b.test/', 'https://c.test/']);
+    expect(harness.calls.tabs.remove).toEqual([]);
+  });
+});
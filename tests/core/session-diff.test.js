@@ -0,0 +1,150 @@
+import { describe, expect, test } from 'bun:test';
+
+import { diffSessionWindows } from '../../core/sessions.js';
+import { installChromeMock } from '../helpers/chrome-mock.js';
+
+let importNonce = 0;
+
+function tab(url, extra = {}) {
+  return { url, title: url.replace('https://', ''), ...extra };
+}
+
+function session(id, windows, createdAt = 1) {
+  return { id, name: `Session ${id}`, version: 2, createdAt, modifiedAt: createdAt, windows };
+}
+
+describe('session diff', () => {
+  test('lists added, removed and moved tabs and changed groups', () => {
+    const before = [
+      {
+        tabs: [
+          tab('https://a.test/'),
+          tab('https://b.test/', { groupId: 1 }),
+          tab('https://c.test/', { groupId: 1 }),
+          tab('https://d.test/'),
+          tab('https://e.test/'),
+        ],
+        groups: [{ id: 1, title: 'Work', color: 'blue' }],
+      },
+      { tabs: [tab('https://x.test/'), tab('https://y.test/')] },
+    ];
+    const after = [
+      { tabs: [tab('https://y.test/'), tab('https://x.test/'), tab('https://new.test/')] },
+      {
+        tabs: [
+          tab('https://a.test/'),
+          tab('https://c.test/', { groupId: 9 }),
+          tab('https://e.test/', { groupId: 9 }),
+          tab('https://d.test/'),
+        ],
+        groups: [{ id: 9, title: 'Work', color: 'red' }, { id: 10, title: 'Empty', color: 'grey' }],
+      },
+    ];
+
+    const diff = diffSessionWindows(before, after);
+
+    expect(diff.removed.map((entry) => entry.url)).toEqual(['https://b.test/']);
+    expect(diff.removed[0]).toMatchObject({ windowIndex: 0, index: 1, group: 'Work' });
+    expect(diff.added.map((entry) => entry.url)).toEqual(['https://new.test/']);
+    // Window order flipped, but each window kept its tabs; only reorders count as moves.
+    expect(diff.moved.map((entry) => [entry.url, entry.from])).toEqual([
+      ['https://d.test/', { windowIndex: 0, index: 3 }],
+      ['https://x.test/', { windowIndex: 1, index: 0 }],
+    ]);
+    expect(diff.unchanged).toBe(4);
+    expect(diff.groups).toEqual({
+      added: [{ title: 'Empty', color: 'grey', tabCount: 0 }],
+      removed: [],
+      changed: [{
+        title: 'Work',
+        before: { title: 'Work', color: 'blue', tabCount: 2 },
+        after: { title: 'Work', color: 'red', tabCount: 2 },
+      }],
+    });
+  });
+
+  test('pairs repeated and trailing-slash variants of a URL in order', () => {
+    const diff = diffSessionWindows(
+      [{ tabs: [tab('https://a.test/'), tab('https://a.test/'), tab('https://b.test/')] }, { tabs: [tab('https://c.test/')] }],
+      [{ tabs: [tab('https://a.test/'), tab('https://b.test//')] }, { tabs: [tab('https://c.test/'), tab('https://b.test/')] }],
+    );
+
+    expect(diff.removed.map((entry) => entry.url)).toEqual(['https://a.test/']);
+    expect(diff.added.map((entry) => entry.url)).toEqual(['https://b.test/']);
+    expect(diff.moved).toEqual([]);
+  });
+
+  test('diffs against the live browser and restores only the tabs that disappeared', async () => {
+    const snapshot = session('before', [
+      {
+        tabs: [
+          tab('https://keep.test/'),
+          tab('https://lost-1.test/', { groupId: 4 }),
+          tab('https://lost-2.test/', { groupId: 4 }),
+        ],
+        groups: [{ id: 4, title: 'Research', color: 'green', collapsed: false }],
+      },
+    ]);
+    const harness = installChromeMock({
+      local: { sessions: [snapshot] },
+      windows: [{ id: 1, focused: true }],
+      tabs: [
+        { id: 1, windowId: 1, index: 0, url: 'https://keep.test/', title: 'Keep' },
+        { id: 2, windowId: 1, index: 1, url: 'https://fresh.test/', title: 'Fresh' },
+      ],
+    });
+    const worker = await import(`../../service-worker.js?session-diff=${++importNonce}`);
+
+    const diff = await worker.handleMessage({ action: 'diffSessions', fromId: 'before', toId: null });
+    expect(diff.from).toEqual({ id: 'before', name: 'Session before', createdAt: 1 });
+    expect(diff.to).toMatchObject({ id: null, name: 'Open tabs' });
+    expect(diff.removed.map((entry) => entry.url)).toEqual(['https://lost-1.test/', 'https://lost-2.test/']);
+    expect(diff.added.map((entry) => entry.url)).toEqual(['https://fresh.test/']);
+    expect(diff.groups.removed).toEqual([{ title: 'Research', color: 'green', tabCount: 2 }]);
+
+    const result = await worker.handleMessage({
+      action: 'restoreRemovedTabs',
+      fromId: 'before',
+      toId: null,
+      options: { mode: 'here', discarded: false },
+    });
+    expect(result).toMatchObject({ requestedCount: 2, restoredCount: 2, groupsRestored: 1 });
+    const urls = harness.snapshot().tabs.map((entry) => entry.url);
+    expect(urls.filter((url) => url === 'https://keep.test/')).toHaveLength(1);
+    expect(urls).toEqual(expect.arrayContaining(['https://lost-1.test/', 'https://lost-2.test/']));
+
+    await expect(worker.handleMessage({ action: 'diffSessions', fromId: 'missing', toId: null }))
+      .rejects.toThrow('Session not found');
+    await expect(worker.handleMessage({ action: 'diffSessions', fromId: 'before' }))
+      .rejects.toThrow('Session diff request is missing required fields');
+  });
+
+  test('pairs tabs with the saved URL normalization profile', async () => {
+    const snapshot = session('before', [{ tabs: [tab('https://docs.test/guide?utm_source=mail#intro')] }]);
+    installChromeMock({
+      local: { sessions: [snapshot] },
+      windows: [{ id: 1, focused: true }],
+      tabs: [{ id: 1, windowId: 1, index: 0, url: 'https://docs.test/guide', title: 'Guide' }],
+    });
+    const worker = await import(`../../service-worker.js?session-diff=${++importNonce}`);
+
+    // The default profile strips tracking parameters but keeps fragments.
+    let diff = await worker.handleMessage({ action: 'diffSessions', fromId: 'before', toId: null });
+    expect(diff.removed.map((entry) => entry.url)).toEqual(['https://docs.test/guide?utm_source=mail#intro']);
+
+    const { DEFAULT_URL_NORMALIZATION } = await import('../../core/url-normalization.js');
+    await worker.handleMessage({
+      action: 'saveUrlNormalization',
+      profile: { ...DEFAULT_URL_NORMALIZATION, ignoreFragment: true },
+    });
+    diff = await worker.handleMessage({ action: 'diffSessions', fromId: 'before', toId: null });
+    expect(diff).toMatchObject({ removed: [], added: [], unchanged: 1 });
+    const result = await worker.handleMessage({
+      action: 'restoreRemovedTabs',
+      fromId: 'before',
+      toId: null,
+      options: { mode: 'here', discarded: false },
+    });
+    expect(result).toMatchObject({ requestedCount: 0, restoredCount: 0 });
+  });
+});
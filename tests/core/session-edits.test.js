@@ -0,0 +1,124 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+import { applySessionEdit } from '../../core/session-edits.js';
+
+let importNonce = 0;
+
+function tab(name, overrides = {}) {
+  return { url: `https://${name}.test/`, title: name, favIconUrl: '', pinned: false, ...overrides };
+}
+
+function windows() {
+  return [
+    {
+      tabCount: 3,
+      tabs: [tab('a', { groupId: 7 }), tab('b', { groupId: 7 }), tab('c')],
+      groups: [{ id: 7, title: 'Docs', color: 'blue', collapsed: false }],
+    },
+    { tabCount: 1, tabs: [tab('d')] },
+  ];
+}
+
+function titles(result) {
+  return result.map((savedWindow) => savedWindow.tabs.map(({ title }) => title));
+}
+
+describe('Session tab edits', () => {
+  test('removes, reorders, moves and adds tabs without touching the input', () => {
+    const original = windows();
+    const reordered = applySessionEdit(original, {
+      type: 'moveTab', window: 0, index: 0, url: 'https://a.test/', toWindow: 0, toIndex: 3,
+    });
+    expect(titles(reordered)).toEqual([['b', 'c', 'a'], ['d']]);
+    expect(reordered[0].tabs[2].groupId).toBe(7);
+    expect(titles(original)).toEqual([['a', 'b', 'c'], ['d']]);
+
+    // Leaving its window takes a tab out of its group; the emptied window goes.
+    const moved = applySessionEdit(original, {
+      type: 'moveTab', window: 1, index: 0, url: 'https://d.test/', toWindow: 0, toIndex: 1,
+    });
+    expect(titles(moved)).toEqual([['a', 'd', 'b', 'c']]);
+    expect(moved[0].tabCount).toBe(4);
+    const toNewWindow = applySessionEdit(original, {
+      type: 'moveTab', window: 0, index: 1, url: 'https://b.test/', toWindow: 2, toIndex: 0,
+    });
+    expect(titles(toNewWindow)).toEqual([['a', 'c'], ['d'], ['b']]);
+    expect(toNewWindow[2].tabs[0]).not.toHaveProperty('groupId');
+
+    // A group with no tabs left is dropped with them.
+    const ungrouped = applySessionEdit(
+      applySessionEdit(original, { type: 'removeTab', window: 0, index: 0, url: 'https://a.test/' }),
+      { type: 'removeTab', window: 0, index: 0, url: 'https://b.test/' },
+    );
+    expect(ungrouped[0]).toEqual({ tabCount: 1, tabs: [tab('c')] });
+
+    const added = applySessionEdit(original, { type: 'addTab', window: 1, url: ' https://e.test/page ' });
+    expect(added[1].tabs[1]).toEqual({ url: 'https://e.test/page', title: 'https://e.test/page', favIconUrl: '', pinned: false });
+
+    const recolored = applySessionEdit(original, { type: 'updateGroup', window: 0, groupId: 7, title: ' Specs ', color: 'red' });
+    expect(recolored[0].groups).toEqual([{ id: 7, title: 'Specs', color: 'red', collapsed: false }]);
+  });
+
+  test('rejects stale, malformed and emptying edits', () => {
+    const original = windows();
+    expect(() => applySessionEdit(original, { type: 'removeTab', window: 0, index: 0, url: 'https://b.test/' }))
+      .toThrow('Session tab no longer matches; reopen the editor');
+    expect(() => applySessionEdit(original, { type: 'removeTab', window: 5, index: 0, url: 'https://a.test/' }))
+      .toThrow('Session edit window is out of range');
+    expect(() => applySessionEdit(original, { type: 'rename' }))
+      .toThrow('Session edit type must be removeTab, moveTab, updateGroup or addTab');
+    expect(() => applySessionEdit(original, { type: 'addTab', window: 0, url: 'javascript:alert(1)' }))
+      .toThrow('Enter a full web address, such as https://example.com');
+    expect(() => applySessionEdit(original, { type: 'addTab', window: 0, url: 'https://e.test/', pinned: true }))
+      .toThrow('Unknown addTab field: pinned');
+    expect(() => applySessionEdit(original, { type: 'updateGroup', window: 0, groupId: 7, color: 'teal' }))
+      .toThrow('Group color is not a Chrome group color');
+    expect(() => applySessionEdit(original, { type: 'updateGroup', window: 1, groupId: 7, title: 'x' }))
+      .toThrow('Saved group not found');
+    expect(() => applySessionEdit([{ tabCount: 1, tabs: [tab('a')] }], { type: 'removeTab', window: 0, index: 0, url: 'https://a.test/' }))
+      .toThrow('A session needs at least one tab; delete it instead');
+  });
+
+  test('the worker saves edits with a newer modifiedAt and merges sessions', async () => {
+    installChromeMock({
+      local: {
+        sessions: [
+          { id: 'project', name: 'Project', version: 2, createdAt: 1_000, modifiedAt: 9_000, windows: windows() },
+          { id: 'extra', name: 'Extra', version: 2, createdAt: 500, modifiedAt: 500, windows: [{ tabCount: 1, tabs: [tab('x')] }] },
+          { id: 'legacy', name: 'Legacy', createdAt: 100, tabs: [{ url: 'https://l.test/', title: 'l', windowId: 3 }] },
+        ],
+      },
+    });
+    const worker = await import(`../../service-worker.js?session-edits=${++importNonce}`);
+    await expect(worker.handleMessage({ action: 'editSession', sessionId: 'project' }))
+      .rejects.toThrow('Session edit request is missing required fields');
+
+    const edited = await worker.handleMessage({
+      action: 'editSession',
+      sessionId: 'project',
+      edit: { type: 'removeTab', window: 0, index: 2, url: 'https://c.test/' },
+    });
+    expect(edited.modifiedAt).toBeGreaterThan(9_000);
+    expect(titles(edited.windows)).toEqual([['a', 'b'], ['d']]);
+
+    await expect(worker.handleMessage({ action: 'mergeSessions', targetId: 'project', sourceId: 'project', keepSource: false }))
+      .rejects.toThrow('Choose a different session to merge');
+    const merged = await worker.handleMessage({ action: 'mergeSessions', targetId: 'project', sourceId: 'extra', keepSource: false });
+    expect(titles(merged.windows)).toEqual([['a', 'b'], ['d'], ['x']]);
+    expect(merged.modifiedAt).toBeGreaterThan(edited.modifiedAt);
+    const stored = readStorageArea('local');
+    expect(stored.sessions.map(({ id }) => id)).toEqual(['project', 'legacy']);
+    expect(stored.driveSyncTombstones.sessions).toHaveProperty('extra');
+
+    // A v1 session keeps its place and is rewritten as v2 by its first edit.
+    const legacy = await worker.handleMessage({
+      action: 'editSession',
+      sessionId: 'legacy',
+      edit: { type: 'addTab', window: 0, url: 'https://m.test/', title: 'm' },
+    });
+    expect(legacy).toMatchObject({ version: 2, name: 'Legacy' });
+    expect(titles(legacy.windows)).toEqual([['l', 'm']]);
+    expect(readStorageArea('local').sessions[1]).not.toHaveProperty('tabs');
+  });
+});
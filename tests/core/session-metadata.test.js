@@ -0,0 +1,131 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+import { mergeDriveSyncDocuments } from '../../core/drive-sync.js';
+import { createPortableExportDocument, parsePortableExportDocument } from '../../core/export-schema.js';
+import { normalizeSessionMetadataChanges } from '../../core/session-metadata.js';
+
+let importNonce = 0;
+
+function session(id, timestamp, overrides = {}) {
+  return {
+    id,
+    name: id,
+    version: 2,
+    createdAt: timestamp,
+    modifiedAt: timestamp,
+    windows: [{ tabCount: 1, tabs: [{ url: `https://${id}.test/`, title: id }] }],
+    ...overrides,
+  };
+}
+
+function driveDocument(sessions) {
+  return { version: 2, sessions, manualGroups: {}, tombstones: { sessions: {}, manualGroups: {} } };
+}
+
+describe('Session metadata', () => {
+  test('validates edits and applies them with a forward clock', async () => {
+    expect(normalizeSessionMetadataChanges({ tags: [' Work ', 'work', '', 'Q3'], folder: '  ', pinned: false }))
+      .toEqual({ tags: ['Work', 'Q3'], folder: undefined, pinned: undefined });
+    expect(() => normalizeSessionMetadataChanges({})).toThrow('Session changes are empty');
+    expect(() => normalizeSessionMetadataChanges({ color: 'red' })).toThrow('Unknown session field: color');
+    expect(() => normalizeSessionMetadataChanges({ name: '   ' })).toThrow('Session name must not be empty');
+    expect(() => normalizeSessionMetadataChanges({ pinned: 'yes' })).toThrow('Session pinned must be a boolean');
+    expect(() => normalizeSessionMetadataChanges({ tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }))
+      .toThrow('A session has at most 20 tags');
+
+    installChromeMock({ local: { sessions: [session('trip', 1_000), session('work', 500)] } });
+    const sessions = await import(`../../core/sessions.js?session-metadata=${++importNonce}`);
+    await expect(sessions.updateSessionMetadata('missing', { pinned: true })).rejects.toThrow('Session not found');
+
+    // The clock never moves backwards past the last capture.
+    const updated = await sessions.updateSessionMetadata('trip', {
+      name: ' Japan trip ',
+      notes: 'Flights and hotels',
+      tags: ['travel'],
+      folder: 'Personal',
+      pinned: true,
+    }, 400);
+    expect(updated).toMatchObject({
+      name: 'Japan trip',
+      notes: 'Flights and hotels',
+      tags: ['travel'],
+      folder: 'Personal',
+      pinned: true,
+      modifiedAt: 1_001,
+      metadataModifiedAt: 1_001,
+    });
+
+    await sessions.updateSessionMetadata('trip', { notes: '', folder: null, pinned: false }, 5_000);
+    const [stored] = readStorageArea('local').sessions;
+    expect(stored).toMatchObject({ name: 'Japan trip', tags: ['travel'], metadataModifiedAt: 5_000 });
+    expect(stored).not.toHaveProperty('notes');
+    expect(stored).not.toHaveProperty('folder');
+    expect(stored).not.toHaveProperty('pinned');
+  });
+
+  test('the worker edits sessions and pinned auto-saves outlive retention', async () => {
+    installChromeMock({ local: { sessions: [session('kept', 1_000)] } });
+    const worker = await import(`../../service-worker.js?session-metadata=${++importNonce}`);
+    await expect(worker.handleMessage({ action: 'updateSessionMetadata', sessionId: 'kept' }))
+      .rejects.toThrow('Session update request is missing required fields');
+    const updated = await worker.handleMessage({
+      action: 'updateSessionMetadata',
+      sessionId: 'kept',
+      changes: { tags: ['focus'] },
+    });
+    expect(updated.tags).toEqual(['focus']);
+
+    const now = 20 * 24 * 60 * 60 * 1000;
+    const deleted = [];
+    await worker.autoSaveSession({
+      getTabs: async () => [{ id: 1 }, { id: 2 }],
+      loadSettings: async () => ({ autoSaveRetentionDays: 1 }),
+      saveSnapshot: async () => {},
+      getStorage: async () => [
+        session('newest', now - 1, { name: '[Auto] newest' }),
+        session('second', now - 2, { name: '[Auto] second' }),
+        session('pinned', 1, { name: '[Auto] pinned', pinned: true }),
+        session('expired', 2, { name: '[Auto] expired' }),
+      ],
+      deleteSessions: async (ids) => deleted.push(...ids),
+      now: () => now,
+    });
+    expect(deleted).toEqual(['expired']);
+  });
+
+  test('sync keeps the newer metadata edit and imports reject malformed metadata', () => {
+    // Renamed on one device, then recaptured on another without the rename.
+    const renamed = session('s1', 1_000, {
+      name: 'Renamed',
+      tags: ['kept'],
+      pinned: true,
+      modifiedAt: 2_000,
+      metadataModifiedAt: 2_000,
+    });
+    const recaptured = session('s1', 1_000, {
+      modifiedAt: 3_000,
+      windows: [{ tabCount: 1, tabs: [{ url: 'https://new.test/', title: 'New' }] }],
+    });
+
+    const left = mergeDriveSyncDocuments(driveDocument([renamed]), driveDocument([recaptured]));
+    const right = mergeDriveSyncDocuments(driveDocument([recaptured]), driveDocument([renamed]));
+    expect(left).toEqual(right);
+    expect(left.sessions[0]).toMatchObject({
+      name: 'Renamed',
+      tags: ['kept'],
+      pinned: true,
+      modifiedAt: 3_000,
+      metadataModifiedAt: 2_000,
+      windows: [{ tabs: [{ url: 'https://new.test/' }] }],
+    });
+
+    expect(() => mergeDriveSyncDocuments(driveDocument([session('s2', 1, { pinned: false })]), driveDocument([])))
+      .toThrow('Invalid Drive sync document: sessions[0].pinned must be true when present');
+
+    const document = createPortableExportDocument('sessions', { sessions: [session('s3', 1)] }, '2026-10-19T12:00:00.000Z');
+    document.sessions[0].tags = ['a', 'A'];
+    expect(() => parsePortableExportDocument(document))
+      .toThrow('Invalid portable export: sessions[0].tags contain duplicate A');
+  });
+});
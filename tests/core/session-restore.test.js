@@ -714,4 +714,76 @@ describe('restoreSession', () => {
     });
     expect(harness.calls.tabs.create).toEqual([]);
   });
+
+  test('a selection restores only the chosen tabs with their groups', async () => {
+    const session = {
+      id: 'partial-restore',
+      name: 'Partial restore',
+      version: 2,
+      createdAt: 1,
+      modifiedAt: 1,
+      windows: [
+        {
+          tabCount: 3,
+          tabs: [
+            { url: 'https://partial.test/one', groupId: 10 },
+            { url: 'https://partial.test/two', groupId: 10 },
+            { url: 'https://partial.test/three', groupId: 11 },
+          ],
+          groups: [
+            { id: 10, title: 'Chosen', color: 'green' },
+            { id: 11, title: 'Skipped', color: 'red' },
+          ],
+        },
+        { tabCount: 1, tabs: [{ url: 'https://partial.test/four' }] },
+      ],
+    };
+    const harness = installChromeMock({ local: { sessions: [session] } });
+
+    await expect(restoreSession(session.id, { mode: 'windows', selection: [] }))
+      .rejects.toThrow('Restore selection must list at least one tab');
+    await expect(restoreSession(session.id, { mode: 'windows', selection: [{ window: 1, index: 1 }] }))
+      .rejects.toThrow('Restore selection names a tab that is not saved');
+
+    const result = await restoreSession(session.id, {
+      mode: 'windows',
+      discarded: false,
+      selection: [{ window: 0, index: 1 }, { window: 0, index: 0 }],
+    });
+    expect(result).toMatchObject({ requestedCount: 2, restoredCount: 2, complete: true, windowsCreated: 1, groupsRestored: 1 });
+    expect(harness.snapshot().tabs.map((tab) => tab.url).filter((url) => url.startsWith('https://partial.test/')))
+      .toEqual(['https://partial.test/one', 'https://partial.test/two']);
+    expect(harness.snapshot().groups.map((group) => group.title)).toEqual(['Chosen']);
+  });
+
+  test('the worker restore keeps saved groups away from grouping rules and internal options', async () => {
+    const session = makeSession([
+      { url: 'https://rules.test/one', title: 'One', groupId: 10 },
+      { url: 'https://rules.test/two', title: 'Two', groupId: 10 },
+    ], [{ id: 10, title: 'Saved', color: 'green', collapsed: false }]);
+    const harness = installHereChromeMock({
+      tabs: [{ id: 5, windowId: 1, index: 0, active: true, url: 'https://rules.test/one' }],
+      local: {
+        sessions: [session],
+        groupRules: {
+          'rule-any': { conditions: [{ type: 'domain', value: 'rules.test' }], groupName: 'Ruled', color: 'blue', order: 0 },
+        },
+      },
+    });
+    const worker = await import('../../service-worker.js?session-restore=rules');
+
+    // `skipDuplicates` is internal to the coordinator, so the open copy is still skipped.
+    const result = await worker.handleMessage({
+      action: 'restoreSession',
+      sessionId: session.id,
+      options: { mode: 'here', discarded: false, skipDuplicates: false },
+    });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(result).toMatchObject({ restoredCount: 1, skippedDuplicate: 1, groupsRestored: 1 });
+    const { tabs, groups } = harness.snapshot();
+    expect(groups.map((group) => group.title)).toEqual(['Saved']);
+    expect(tabs.find((tab) => tab.url === 'https://rules.test/two').groupId).toBe(groups[0].id);
+    expect(tabs.find((tab) => tab.id === 5).groupId).toBe(-1);
+  });
 });
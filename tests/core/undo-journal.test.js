@@ -0,0 +1,151 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+let importNonce = 0;
+
+// A fresh module instance stands in for a restarted service worker.
+async function loadJournal() {
+  return import(`../../core/undo-journal.js?restart=${++importNonce}`);
+}
+
+function installBrowser(overrides = {}) {
+  return installChromeMock({
+    windows: [{ id: 1, focused: true }, { id: 2 }],
+    groups: [{ id: 7, windowId: 1, title: 'Docs', color: 'green', collapsed: false }],
+    tabs: [
+      { id: 11, windowId: 1, pinned: true, url: 'https://pinned.test/' },
+      { id: 12, windowId: 1, groupId: 7, url: 'https://docs.test/a' },
+      { id: 13, windowId: 1, groupId: 7, url: 'https://docs.test/b' },
+      { id: 21, windowId: 2, url: 'https://other.test/' },
+      { id: 22, windowId: 2, url: 'chrome://settings/' },
+    ],
+    ...overrides,
+  });
+}
+
+describe('undo journal', () => {
+  test('reopens closed tabs into their window, position, pin state and group after a restart', async () => {
+    const harness = installBrowser();
+    const { captureClosure, recordUndo } = await loadJournal();
+
+    const steps = await captureClosure([11, 13, 22]);
+    await chrome.tabs.remove([11, 13, 22]);
+    await recordUndo('Closed 3 tab(s)', steps, 500);
+
+    const { listUndoEntries, undoLatest } = await loadJournal();
+    expect(await listUndoEntries()).toEqual([
+      { id: expect.stringMatching(/^undo-/), label: 'Closed 3 tab(s)', createdAt: 500, tabCount: 2 },
+    ]);
+    expect(await undoLatest()).toEqual({
+      undone: true,
+      label: 'Closed 3 tab(s)',
+      restored: 2,
+      errors: [],
+    });
+
+    const window1 = harness.snapshot().tabs
+      .filter((tab) => tab.windowId === 1)
+      .sort((a, b) => a.index - b.index);
+    expect(window1.map((tab) => [tab.url, tab.pinned, tab.groupId])).toEqual([
+      ['https://pinned.test/', true, -1],
+      ['https://docs.test/a', false, 7],
+      ['https://docs.test/b', false, 7],
+    ]);
+    expect(readStorageArea('local').undoJournal).toEqual([]);
+    await expect(undoLatest()).resolves.toEqual({ error: 'Nothing to undo' });
+  });
+
+  test('recreates a closed window and a vanished group with its recorded look', async () => {
+    const harness = installBrowser();
+    const { captureClosure, recordUndo, undoLatest } = await loadJournal();
+
+    const steps = await captureClosure([12, 13]);
+    await chrome.tabs.remove([12, 13]);
+    await chrome.windows.remove(1);
+    await recordUndo('Closed docs', steps);
+
+    await undoLatest();
+
+    const reopened = harness.snapshot().tabs.filter((tab) => tab.url.startsWith('https://docs.test/'));
+    expect(reopened).toHaveLength(2);
+    expect(new Set(reopened.map((tab) => tab.windowId)).size).toBe(1);
+    expect(reopened[0].windowId).not.toBe(1);
+    const group = harness.snapshot().groups.find((candidate) => candidate.id === reopened[0].groupId);
+    expect(group).toMatchObject({ title: 'Docs', color: 'green' });
+    expect(reopened[1].groupId).toBe(reopened[0].groupId);
+  });
+
+  test('moves rearranged tabs back and restores membership, skipping reused tab IDs', async () => {
+    const harness = installBrowser();
+    const { captureLayout, recordUndo, undoLatest } = await loadJournal();
+
+    const steps = await captureLayout();
+    await chrome.tabs.ungroup([12, 13]);
+    await chrome.tabs.move([12, 13], { windowId: 2, index: 0 });
+    await chrome.tabs.update(21, { url: 'https://reused.test/' });
+    await chrome.tabs.move(21, { windowId: 1, index: 0 });
+    await recordUndo('Consolidated windows', steps);
+
+    await undoLatest();
+
+    const tabs = harness.snapshot().tabs;
+    const byId = new Map(tabs.map((tab) => [tab.id, tab]));
+    expect([12, 13].map((id) => [byId.get(id).windowId, byId.get(id).groupId])).toEqual([
+      [1, 7],
+      [1, 7],
+    ]);
+    expect(byId.get(21).windowId).toBe(1);
+  });
+
+  test('keeps only the newest entries and skips inverses with nothing to restore', async () => {
+    installBrowser();
+    const { MAX_UNDO_ENTRIES, captureClosure, listUndoEntries, recordUndo } = await loadJournal();
+
+    await expect(recordUndo('Nothing', await captureClosure([22]))).resolves.toBeNull();
+    for (let index = 0; index < MAX_UNDO_ENTRIES + 2; index++) {
+      await recordUndo(`Entry ${index}`, await captureClosure([21]), index);
+    }
+
+    const entries = await listUndoEntries();
+    expect(entries).toHaveLength(MAX_UNDO_ENTRIES);
+    expect(entries[0].label).toBe(`Entry ${MAX_UNDO_ENTRIES + 1}`);
+    expect(entries.at(-1).label).toBe('Entry 2');
+  });
+
+  test('undoing a stash reopens its tabs and deletes the stash', async () => {
+    installBrowser({ failures: { 'tabs.create': [null, new Error('synthetic tab failure')] } });
+    const { captureClosure, recordUndo, undoLatest } = await loadJournal();
+    const removed = [];
+    const removeStash = async (id) => removed.push(id);
+
+    await recordUndo('Auto-stashed 1 idle tab(s)', await captureClosure([21], { stashId: 'stash-a' }));
+    await chrome.tabs.remove(21);
+    await expect(undoLatest({ removeStash })).resolves.toMatchObject({ restored: 1, errors: [] });
+    expect(removed).toEqual(['stash-a']);
+
+    // A stash whose tabs could not be reopened is kept.
+    await recordUndo('Auto-stashed 1 idle tab(s)', await captureClosure([12], { stashId: 'stash-b' }));
+    await chrome.tabs.remove(12);
+    const outcome = await undoLatest({ removeStash });
+    expect(outcome.errors).toEqual([{ type: 'reopen', error: 'synthetic tab failure' }]);
+    expect(removed).toEqual(['stash-a']);
+  });
+
+  test('worker close and ungroup handlers journal their inverses', async () => {
+    const harness = installBrowser();
+    const worker = await import(`../../service-worker.js?undo-journal=${++importNonce}`);
+
+    await worker.handleMessage({ action: 'ungroupTabs', tabIds: [12, 13] });
+    await worker.handleMessage({ action: 'closeTabs', tabIds: [21] });
+
+    expect((await worker.handleMessage({ action: 'listUndoHistory' })).map((entry) => entry.label))
+      .toEqual(['Closed 1 tab(s)', 'Ungrouped 2 tab(s)']);
+
+    await worker.handleMessage({ action: 'undoLast' });
+    expect(harness.snapshot().tabs.filter((tab) => tab.url === 'https://other.test/')).toHaveLength(1);
+    await worker.handleMessage({ action: 'undoLast' });
+    expect(harness.snapshot().tabs.filter((tab) => tab.groupId === 7).map((tab) => tab.id)).toEqual([12, 13]);
+    await expect(worker.handleMessage({ action: 'clearUndoHistory' })).resolves.toEqual({ cleared: true });
+  });
+});
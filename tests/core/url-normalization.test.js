@@ -0,0 +1,124 @@
+import { describe, expect, test } from 'bun:test';
+
+import { findDuplicates, normalizeUrl } from '../../core/duplicates.js';
+import { restoreSession } from '../../core/sessions.js';
+import {
+  DEFAULT_URL_NORMALIZATION,
+  getUrlNormalization,
+  normalizeUrlProfile,
+} from '../../core/url-normalization.js';
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+function profile(overrides = {}) {
+  return { ...DEFAULT_URL_NORMALIZATION, ...overrides };
+}
+
+describe('URL normalization profile', () => {
+  test('default profile strips tracking params but keeps fragments, scheme, www and case', () => {
+    const defaults = profile();
+    expect(normalizeUrl('https://news.test/a?utm_source=x&id=4&fbclid=abc', defaults))
+      .toBe('https://news.test/a?id=4');
+    expect(normalizeUrl('https://news.test/a?UTM_Medium=mail', defaults)).toBe('https://news.test/a');
+    expect(normalizeUrl('https://news.test/a?q=a%20b&x=1', defaults)).toBe('https://news.test/a?q=a%20b&x=1');
+    expect(normalizeUrl('https://news.test/a#top', defaults)).toBe('https://news.test/a#top');
+    expect(normalizeUrl('http://www.news.test/A', defaults)).toBe('http://www.news.test/A');
+  });
+
+  test('optional rules fold fragment, scheme, www and path case but keep hash routes', () => {
+    const loose = profile({ ignoreFragment: true, ignoreScheme: true, ignoreWww: true, caseFoldPath: true });
+    expect(normalizeUrl('http://www.docs.test/Guide/#intro', loose))
+      .toBe(normalizeUrl('https://docs.test/guide', loose));
+    expect(normalizeUrl('https://app.test/#/one', loose)).not.toBe(normalizeUrl('https://app.test/#/two', loose));
+    expect(normalizeUrl('ftp://files.test/a', loose)).toBe('ftp://files.test/a');
+    expect(normalizeUrl('chrome://settings/', loose)).toBe('chrome://settings/');
+  });
+
+  test('domain rules keep only listed params on the domain and its subdomains', () => {
+    const youtube = profile({ domainRules: [{ domain: 'youtube.com', keepParams: ['v'] }] });
+    expect(normalizeUrl('https://www.youtube.com/watch?v=abc&t=42&list=L1', youtube))
+      .toBe('https://www.youtube.com/watch?v=abc');
+    expect(normalizeUrl('https://m.youtube.com/watch?feature=share&v=abc', youtube))
+      .toBe('https://m.youtube.com/watch?v=abc');
+    expect(normalizeUrl('https://notyoutube.com/watch?v=abc&t=42', youtube))
+      .toBe('https://notyoutube.com/watch?v=abc&t=42');
+  });
+
+  test('defaults ship without domain rules, so searches and playlists stay distinct', async () => {
+    const defaults = profile();
+    expect(defaults.domainRules).toEqual([]);
+    expect(normalizeUrl('https://www.youtube.com/results?search_query=cats', defaults))
+      .not.toBe(normalizeUrl('https://www.youtube.com/results?search_query=dogs', defaults));
+    expect(normalizeUrl('https://www.youtube.com/playlist?list=AAA', defaults))
+      .not.toBe(normalizeUrl('https://www.youtube.com/playlist?list=BBB', defaults));
+
+    installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      tabs: [
+        { id: 1, windowId: 1, index: 0, url: 'https://www.youtube.com/playlist?list=AAA' },
+        { id: 2, windowId: 1, index: 1, url: 'https://www.youtube.com/playlist?list=BBB' },
+      ],
+    });
+    expect(await findDuplicates()).toEqual([]);
+  });
+
+  test('validates profiles and falls back to defaults for corrupt storage', async () => {
+    expect(normalizeUrlProfile(profile({
+      trackingParams: [' ref ', 'ref', 'utm_*'],
+      domainRules: [{ domain: 'WWW.Example.COM.', keepParams: ['id'] }],
+    }))).toMatchObject({
+      trackingParams: ['ref', 'utm_*'],
+      domainRules: [{ domain: 'www.example.com', keepParams: ['id'] }],
+    });
+    expect(() => normalizeUrlProfile(profile({ extra: true }))).toThrow('Unknown URL normalization field: extra');
+    expect(() => normalizeUrlProfile(profile({ ignoreWww: 'yes' }))).toThrow('ignoreWww must be a boolean');
+    expect(() => normalizeUrlProfile(profile({ trackingParams: ['a=b'] }))).toThrow(TypeError);
+    expect(() => normalizeUrlProfile(profile({ domainRules: [{ domain: 'a.test/path', keepParams: [] }] })))
+      .toThrow('Domain rule 1 needs a domain');
+    expect(() => normalizeUrlProfile(profile({ domainRules: [{ domain: 'a.test', keepParams: ['v*'] }] })))
+      .toThrow('exact names');
+
+    installChromeMock({ local: { urlNormalization: { stripTrackingParams: 'no' } } });
+    expect(await getUrlNormalization()).toEqual(DEFAULT_URL_NORMALIZATION);
+  });
+
+  test('the duplicate finder and session restore share the saved profile', async () => {
+    const session = {
+      id: 'norm-session',
+      name: 'Normalized',
+      version: 2,
+      createdAt: 1,
+      modifiedAt: 1,
+      windows: [{ tabs: [
+        { url: 'https://docs.test/guide?utm_campaign=spring', title: 'Tracked copy' },
+        { url: 'http://www.docs.test/guide#intro', title: 'Loose copy' },
+      ] }],
+    };
+    const harness = installChromeMock({
+      local: { sessions: [session] },
+      windows: [{ id: 1, focused: true }],
+      tabs: [
+        { id: 1, windowId: 1, index: 0, url: 'https://docs.test/guide', title: 'Guide' },
+        { id: 2, windowId: 1, index: 1, url: 'https://docs.test/guide?utm_source=feed', title: 'Guide again' },
+        { id: 3, windowId: 1, index: 2, url: 'https://www.docs.test/guide#intro', title: 'Guide anchor' },
+      ],
+    });
+    const worker = await import('../../service-worker.js?url-normalization');
+
+    expect((await findDuplicates()).map((group) => group.tabs.map((tab) => tab.id))).toEqual([[1, 2]]);
+
+    const saved = await worker.handleMessage({
+      action: 'saveUrlNormalization',
+      profile: profile({ ignoreFragment: true, ignoreScheme: true, ignoreWww: true }),
+    });
+    expect(readStorageArea('local').urlNormalization).toEqual(saved);
+    expect(await worker.handleMessage({ action: 'getUrlNormalization' })).toEqual(saved);
+    expect((await findDuplicates()).map((group) => group.tabs.map((tab) => tab.id))).toEqual([[1, 2, 3]]);
+
+    const result = await restoreSession(session.id, { mode: 'here', discarded: false });
+    expect(result).toMatchObject({ restoredCount: 0, skippedDuplicate: 2 });
+    expect(harness.calls.tabs.create).toEqual([]);
+
+    await expect(worker.handleMessage({ action: 'saveUrlNormalization', profile: { ignoreWww: true } }))
+      .rejects.toThrow(TypeError);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, expect, test } from 'bun:test';
+
+import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+
+let importNonce = 0;
+
+function workspace(id, name, windows = [], lastActiveAt = 1) {
+  return { id, name, windows, createdAt: 1, modifiedAt: 1, lastActiveAt };
+}
+
+function windowUrls(harness, windowId) {
+  return harness.snapshot().tabs
+    .filter((tab) => tab.windowId === windowId)
+    .sort((left, right) => left.index - right.index)
+    .map(({ url }) => url);
+}
+
+function loadWorkspaces() {
+  return import(`../../core/workspaces.js?workspaces=${++importNonce}`);
+}
+
+describe('Workspaces', () => {
+  test('switching saves the shown workspace and restores the target with its groups', async () => {
+    const harness = installChromeMock({
+      windows: [{ id: 1, focused: true }, { id: 2 }],
+      tabs: [
+        { id: 10, windowId: 1, index: 0, url: 'https://a.test/', title: 'a', groupId: 5 },
+        { id: 11, windowId: 1, index: 1, url: 'https://b.test/', title: 'b', active: true },
+        { id: 12, windowId: 1, index: 2, url: 'chrome://settings/', title: 'Settings' },
+        { id: 20, windowId: 2, index: 0, url: 'https://x.test/', title: 'x' },
+      ],
+      groups: [{ id: 5, windowId: 1, title: 'Docs', color: 'blue', collapsed: false }],
+      local: {
+        workspaces: {
+          alpha: workspace('alpha', 'Alpha'),
+          beta: workspace('beta', 'Beta', [{
+            tabCount: 2,
+            tabs: [
+              { url: 'https://x.test/', title: 'x', favIconUrl: '', pinned: false },
+              { url: 'https://c.test/', title: 'c', favIconUrl: '', pinned: false, groupId: 9 },
+            ],
+            groups: [{ id: 9, title: 'Reading', color: 'red', collapsed: false }],
+          }], 2),
+        },
+      },
+      session: { workspaceWindows: { 1: 'alpha' } },
+    });
+    const workspaces = await loadWorkspaces();
+    const stashed = [];
+
+    const result = await workspaces.switchWorkspace(
+      { windowId: 1, workspaceId: 'beta' },
+      { now: 5_000, stash: async (record) => stashed.push(record) },
+    );
+    expect(result).toMatchObject({ savedWorkspaceId: 'alpha', stashId: null, focused: false });
+    expect(result.outcome).toMatchObject({ restoredCount: 2, skippedDuplicate: 0, groupsRestored: 1 });
+    expect(stashed).toEqual([]);
+
+    const stored = readStorageArea('local').workspaces;
+    expect(stored.alpha.windows[0].tabs.map(({ url }) => url)).toContain('https://a.test/');
+    expect(stored.alpha.windows[0].groups).toEqual([{ id: 5, title: 'Docs', color: 'blue', collapsed: false }]);
+    expect(stored.alpha).toMatchObject({ modifiedAt: 5_000, lastActiveAt: 5_000 });
+    expect(stored.beta.lastActiveAt).toBe(5_000);
+
+    // The settings page cannot be saved, so it stays; a URL open elsewhere still opens.
+    expect(windowUrls(harness, 1)).toEqual(['chrome://settings/', 'https://x.test/', 'https://c.test/']);
+    expect(harness.snapshot().groups.find(({ title }) => title === 'Reading')).toMatchObject({ windowId: 1, color: 'red' });
+    expect(readStorageArea('session').workspaceWindows).toEqual({ 1: 'beta' });
+
+    const listed = await workspaces.listWorkspaces(1);
+    expect(listed.map(({ name, current, tabCount }) => [name, current, tabCount]))
+      .toEqual([['Alpha', false, 3], ['Beta', true, 2]]);
+  });
+
+  test('an unbound window is stashed first and a workspace shown elsewhere is focused', async () => {
+    const harness = installChromeMock({
+      windows: [{ id: 1, focused: true }, { id: 2 }],
+      tabs: [
+        { id: 10, windowId: 1, index: 0, url: 'https://a.test/', title: 'a', active: true },
+        { id: 11, windowId: 1, index: 1, url: 'https://b.test/', title: 'b' },
+        { id: 20, windowId: 2, index: 0, url: 'https://x.test/', title: 'x' },
+      ],
+      local: { workspaces: { shown: workspace('shown', 'Shown') } },
+      session: { workspaceWindows: { 2: 'shown', 9: 'gone' } },
+    });
+    const workspaces = await loadWorkspaces();
+    const stashed = [];
+    const stash = async (record) => stashed.push(record);
+
+    await expect(workspaces.createWorkspace(' shown ')).rejects.toThrow('A workspace named "shown" already exists');
+    const empty = await workspaces.createWorkspace('Empty', {}, 3_000);
+    await expect(workspaces.switchWorkspace({ windowId: 1, workspaceId: empty.id, leaveAction: 'keep' }))
+      .rejects.toThrow('Workspace leave action must be close or stash');
+
+    const result = await workspaces.switchWorkspace({ windowId: 1, workspaceId: empty.id }, { now: 4_000, stash });
+    expect(stashed).toHaveLength(1);
+    expect(stashed[0]).toMatchObject({ id: result.stashId, name: 'Before Empty (2 tabs)', source: 'workspace', tabCount: 2 });
+    // An empty workspace leaves the placeholder tab open.
+    expect(windowUrls(harness, 1)).toEqual(['about:blank']);
+
+    const focused = await workspaces.switchWorkspace({ windowId: 1, workspaceId: 'shown' }, { now: 5_000, stash });
+    expect(focused).toMatchObject({ focused: true, workspace: { openIn: 2 } });
+    expect(harness.calls.windows.update.at(-1)).toEqual([2, { focused: true }]);
+    expect(windowUrls(harness, 2)).toEqual(['https://x.test/']);
+    expect(stashed).toHaveLength(1);
+  });
+
+  test('the worker switch is not undone by duplicate prevention or grouping rules', async () => {
+    const harness = installChromeMock({
+      windows: [{ id: 1, focused: true }, { id: 2 }],
+      tabs: [
+        { id: 10, windowId: 1, index: 0, url: 'https://a.test/', title: 'a', active: true },
+        { id: 20, windowId: 2, index: 0, url: 'https://x.test/', title: 'x', active: true },
+      ],
+      local: {
+        tabkebabSettings: { duplicatePrevention: 'switch', duplicatePreventionScope: 'global' },
+        groupRules: {
+          'rule-x': {
+            conditions: [{ type: 'domain', value: 'x.test' }],
+            groupName: 'Elsewhere',
+            color: 'blue',
+            order: 0,
+          },
+        },
+        workspaces: {
+          alpha: workspace('alpha', 'Alpha'),
+          beta: workspace('beta', 'Beta', [{
+            tabCount: 1,
+            tabs: [{ url: 'https://x.test/', title: 'x', favIconUrl: '', pinned: false, groupId: 9 }],
+            groups: [{ id: 9, title: 'Reading', color: 'red', collapsed: false }],
+          }]),
+        },
+      },
+      session: { workspaceWindows: { 1: 'alpha' } },
+    });
+    const worker = await import(`../../service-worker.js?workspaces=${++importNonce}`);
+
+    const result = await worker.handleMessage({
+      action: 'switchWorkspace', windowId: 1, workspaceId: 'beta', leaveAction: 'close',
+    }, { now: () => 5_000 });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(result.outcome).toMatchObject({ restoredCount: 1, groupsRestored: 1 });
+    expect(windowUrls(harness, 1)).toEqual(['https://x.test/']);
+    const restored = harness.snapshot().tabs.find((tab) => tab.windowId === 1);
+    expect(harness.snapshot().groups.find(({ id }) => id === restored.groupId)).toMatchObject({ title: 'Reading' });
+    expect(harness.calls.windows.update).toEqual([]);
+  });
+
+  test('the worker creates, saves, renames and deletes workspaces and forgets closed windows', async () => {
+    installChromeMock({
+      windows: [{ id: 1, focused: true }, { id: 2 }],
+      tabs: [
+        { id: 10, windowId: 1, index: 0, url: 'https://a.test/', title: 'a', active: true },
+        { id: 20, windowId: 2, index: 0, url: 'https://x.test/', title: 'x', active: true },
+      ],
+    });
+    const worker = await import(`../../service-worker.js?workspaces=${++importNonce}`);
+    await expect(worker.handleMessage({ action: 'createWorkspace', name: 'Work' }))
+      .rejects.toThrow('Workspace create request is missing required fields');
+    await expect(worker.handleMessage({ action: 'createWorkspace', name: 'Work', windowId: -1, capture: true }))
+      .rejects.toThrow('Workspace window ID must be a non-negative integer');
+
+    const work = await worker.handleMessage({ action: 'createWorkspace', name: ' Work ', windowId: 2, capture: true });
+    expect(work).toMatchObject({ name: 'Work', tabCount: 1, openIn: 2, current: true });
+    await expect(worker.handleMessage({ action: 'saveWorkspace', windowId: 1 }))
+      .rejects.toThrow('This window is not showing a workspace');
+
+    await chrome.tabs.create({ windowId: 2, url: 'https://y.test/' });
+    const saved = await worker.handleMessage({ action: 'saveWorkspace', windowId: 2 });
+    expect(saved.tabCount).toBe(2);
+    const renamed = await worker.handleMessage({ action: 'renameWorkspace', workspaceId: work.id, name: 'Deep work' });
+    expect(renamed.name).toBe('Deep work');
+
+    await chrome.windows.remove(2);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(readStorageArea('session').workspaceWindows).toEqual({});
+    const [listed] = await worker.handleMessage({ action: 'listWorkspaces', windowId: 1 });
+    expect(listed).toMatchObject({ name: 'Deep work', tabCount: 2, openIn: null, current: false });
+
+    await worker.handleMessage({ action: 'deleteWorkspace', workspaceId: work.id });
+    expect(readStorageArea('local').workspaces).toEqual({});
+  });
+});
@@ -298,6 +298,8 @@ function createCalls() {
       'disable',
     ]),
     sidePanel: methods(['open', 'setOptions', 'getOptions', 'setPanelBehavior']),
+    notifications: methods(['create', 'clear']),
+    idle: methods(['queryState', 'setDetectionInterval']),
     bookmarks: methods([
       'get',
       'getTree',
@@ -399,6 +401,7 @@ export function installChromeMock(overrides = {}) {
     tabs = [],
     windows = [],
     groups = [],
+    idleState = 'active',
     failures = {},
     runtimeHandler = null,
   } = overrides;
@@ -416,6 +419,8 @@ export function installChromeMock(overrides = {}) {
     windows: [],
     groups: [],
     alarms: new Map(),
+    notifications: new Map(),
+    idle: { state: idleState, detectionIntervalInSeconds: 60 },
     bookmarks: [
       { id: '0', title: '', children: [{ id: '1', parentId: '0', title: 'Bookmarks bar', children: [] }] },
     ],
@@ -647,7 +652,9 @@ export function installChromeMock(overrides = {}) {
   const windowsEvents = makeEventSet(['onCreated', 'onFocusChanged', 'onRemoved']);
   const tabGroupsEvents = makeEventSet(['onCreated', 'onMoved', 'onRemoved', 'onUpdated']);
   const alarmsOnAlarm = createChromeEvent();
+  const idleOnStateChanged = createChromeEvent();
   const actionOnClicked = createChromeEvent();
+  const notificationsEvents = makeEventSet(['onButtonClicked', 'onClicked', 'onClosed']);
   const bookmarksEvents = makeEventSet([
     'onChanged',
     'onChildrenReordered',
@@ -1206,6 +1213,23 @@ export function installChromeMock(overrides = {}) {
     }),
   };
 
+  const notificationsApi = {
+    ...notificationsEvents,
+    create: makeRecordedStateMethod('notifications', 'create', (id, options) => {
+      state.notifications.set(id, clone(options));
+      return id;
+    }),
+    clear: makeRecordedStateMethod('notifications', 'clear', (id) => state.notifications.delete(id)),
+  };
+
+  const idleApi = {
+    onStateChanged: idleOnStateChanged,
+    queryState: makeRecordedStateMethod('idle', 'queryState', () => state.idle.state),
+    setDetectionInterval: makeRecordedStateMethod('idle', 'setDetectionInterval', (seconds) => {
+      state.idle.detectionIntervalInSeconds = seconds;
+    }),
+  };
+
   function flattenBookmarks(nodes = state.bookmarks) {
     return nodes.flatMap((node) => [node, ...flattenBookmarks(node.children ?? [])]);
   }
@@ -1371,8 +1395,10 @@ export function installChromeMock(overrides = {}) {
     alarms: alarmsApi,
     action: actionApi,
     sidePanel: sidePanelApi,
+    notifications: notificationsApi,
     bookmarks: bookmarksApi,
     identity: identityApi,
+    idle: idleApi,
   };
 
   function snapshot() {
@@ -1404,6 +1430,10 @@ export function installChromeMock(overrides = {}) {
       harness.runtimeHandler = handler;
     },
     snapshot,
+    async setIdleState(idleState) {
+      state.idle.state = idleState;
+      await idleOnStateChanged.dispatch(idleState);
+    },
     connect(name = 'test-port') {
       return runtime.connect({ name });
     },
@@ -1434,3 +1464,11 @@ export function readStorageArea(areaName) {
   }
   return clone(activeHarness.storageState[areaName]);
 }
+
+/** Focus redirects to its blocked page as `[tabId]` entries, in call order. */
+export function blockedPageRedirects(harness) {
+  return harness.calls.tabs.update
+    .filter(([, properties]) => typeof properties?.url === 'string' &&
+      properties.url.includes('/sidepanel/blocked.html?'))
+    .map(([tabId]) => [tabId]);
+}
@@ -12,6 +12,7 @@ import { runAbortableAttempt } from '../../core/ai/request-lifecycle.js';
 import { startChromeAIBroker } from '../../sidepanel/chrome-ai-broker.js';
 import { deferred } from '../helpers/deferred.js';
 import {
+  blockedPageRedirects,
   createRuntimePortPair,
   installChromeMock,
   installWebLocksMock,
@@ -706,7 +707,7 @@ describe('Chrome AI Focus foreground boundary', () => {
 
       await chrome.tabs.update(11, { url: classifiedUrl });
 
-      expect(harness.calls.tabs.goBack).toEqual([]);
+      expect(blockedPageRedirects(harness)).toEqual([]);
       expect(harness.calls.tabs.remove).toEqual([]);
       expect(harness.calls.sidePanel.open).toEqual([]);
       expect(harness.calls.runtime.sendMessage.filter(
@@ -767,7 +768,7 @@ describe('Chrome AI Focus foreground boundary', () => {
 
     await chrome.tabs.update(11, { url: classifiedUrl });
     await waitFor(
-      () => harness.calls.tabs.goBack.length === 1,
+      () => blockedPageRedirects(harness).length === 1,
       'cached classification did not reach the live Focus guard',
     );
 
@@ -1,6 +1,6 @@
 import { describe, expect, test } from 'bun:test';
 
-import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+import { blockedPageRedirects, installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
 
 let importNonce = 0;
 
@@ -113,7 +113,7 @@ async function importWorkerWithDeferredAi(overrides = {}) {
 
 function focusSideEffectCounts(harness) {
   return {
-    goBack: harness.calls.tabs.goBack.length,
+    redirects: blockedPageRedirects(harness).length,
     remove: harness.calls.tabs.remove.length,
     sidePanel: harness.calls.sidePanel.open.length,
     badgeText: harness.calls.action.setBadgeText.length,
@@ -128,12 +128,12 @@ async function assertNoNewFocusEffects(harness, before) {
   await Bun.sleep(5);
   const after = focusSideEffectCounts(harness);
   expect({
-    goBack: after.goBack,
+    redirects: after.redirects,
     remove: after.remove,
     sidePanel: after.sidePanel,
     notifications: after.notifications,
   }).toEqual({
-    goBack: before.goBack,
+    redirects: before.redirects,
     remove: before.remove,
     sidePanel: before.sidePanel,
     notifications: before.notifications,
@@ -221,7 +221,7 @@ describe('deferred Focus classification authority', () => {
       });
       await navigation;
       await waitFor(
-        () => context.harness.calls.tabs.goBack.length === 1,
+        () => blockedPageRedirects(context.harness).length === 1,
         'first confident result did not seed and act through the live guard',
       );
 
@@ -231,7 +231,7 @@ describe('deferred Focus classification authority', () => {
       await chrome.tabs.update(11, { url: context.classifiedUrl });
       await assertNoNewFocusEffects(context.harness, pausedBaseline);
       expect(context.completeCalls()).toBe(1);
-      expect(before.goBack).toBe(1);
+      expect(before.redirects).toBe(1);
     } finally {
       context.restore();
     }
@@ -239,7 +239,7 @@ describe('deferred Focus classification authority', () => {
 });
 
 describe('point-of-side-effect fallback validation', () => {
-  test('a goBack failure followed by navigation away cannot remove the tab', async () => {
+  test('a redirect failure followed by navigation away cannot remove the tab', async () => {
     const blockedUrl = 'https://blocked.test/path';
     const harness = installChromeMock({
       local: {
@@ -251,23 +251,25 @@ describe('point-of-side-effect fallback validation', () => {
       },
       windows: [{ id: 1, focused: true }],
       tabs: [{ id: 11, windowId: 1, url: 'https://origin.test/', active: true }],
-      failures: { 'tabs.goBack': new Error('no history') },
     });
     await import(`../../service-worker.js?focus-fallback=${++importNonce}`);
     await waitFor(
       () => harness.calls.tabGroups.query.length === 1,
       'worker startup did not complete Focus group lookup',
     );
-    const goBack = chrome.tabs.goBack.bind(chrome.tabs);
-    chrome.tabs.goBack = async (tabId) => {
-      await chrome.tabs.update(tabId, { url: 'chrome://settings/' });
-      return goBack(tabId);
+    const update = chrome.tabs.update.bind(chrome.tabs);
+    let redirectAttempts = 0;
+    chrome.tabs.update = async (tabId, properties) => {
+      if (!properties?.url?.includes('/sidepanel/blocked.html?')) return update(tabId, properties);
+      redirectAttempts++;
+      await update(tabId, { url: 'chrome://settings/' });
+      throw new Error('synthetic redirect failure');
     };
 
     await chrome.tabs.update(11, { url: blockedUrl });
     await waitFor(
-      () => harness.calls.tabs.goBack.length === 1,
-      'blocked navigation did not attempt goBack',
+      () => redirectAttempts === 1,
+      'blocked navigation did not attempt the blocked-page redirect',
     );
     await Bun.sleep(5);
 
@@ -1,6 +1,6 @@
 import { describe, expect, test } from 'bun:test';
 
-import { installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
+import { blockedPageRedirects, installChromeMock, readStorageArea } from '../helpers/chrome-mock.js';
 
 let importNonce = 0;
 
@@ -173,15 +173,15 @@ describe('Focus service-worker integration', () => {
       url: blockedUrl,
     });
     await Bun.sleep(1);
-    expect(harness.calls.tabs.goBack).toEqual([]);
+    expect(blockedPageRedirects(harness)).toEqual([]);
 
     gate.resolve();
     await navigation;
     await waitFor(
-      () => harness.calls.tabs.goBack.length === 1,
+      () => blockedPageRedirects(harness).length === 1,
       'pre-ready strict navigation was dropped instead of enforced after rebinding',
     );
-    expect(harness.calls.tabs.goBack).toEqual([[1]]);
+    expect(blockedPageRedirects(harness)).toEqual([[1]]);
   });
 
   test('a strict tab creation delivered before startup rebinding waits and is enforced', async () => {
@@ -210,15 +210,15 @@ describe('Focus service-worker integration', () => {
     await importWorker();
     const creation = chrome.tabs.onCreated.dispatch(harness.snapshot().tabs[0]);
     await Bun.sleep(1);
-    expect(harness.calls.tabs.goBack).toEqual([]);
+    expect(blockedPageRedirects(harness)).toEqual([]);
 
     gate.resolve();
     await creation;
     await waitFor(
-      () => harness.calls.tabs.goBack.length === 1,
+      () => blockedPageRedirects(harness).length === 1,
       'pre-ready strict tab creation was dropped instead of enforced after rebinding',
     );
-    expect(harness.calls.tabs.goBack).toEqual([[1]]);
+    expect(blockedPageRedirects(harness)).toEqual([[1]]);
   });
 
   test('worker initialization rebinds a paused run and leaves title-only preferences unchanged', async () => {
@@ -303,10 +303,10 @@ describe('Focus service-worker integration', () => {
 
     await chrome.tabs.update(1, { url: 'https://blocked.test/next' });
     await waitFor(
-      () => harness.calls.tabs.goBack.length === 1,
+      () => blockedPageRedirects(harness).length === 1,
       'navigation trusted a stale group ID after startup query failure',
     );
-    expect(harness.calls.tabs.goBack).toEqual([[1]]);
+    expect(blockedPageRedirects(harness)).toEqual([[1]]);
   });
 
   test('expired Focus alarm waits for startup while read-only messages stay fail-closed', async () => {
@@ -400,10 +400,10 @@ describe('Focus service-worker integration', () => {
       url: blockedUrl,
     });
     await waitFor(
-      () => harness.calls.tabs.goBack.length === 1,
+      () => blockedPageRedirects(harness).length === 1,
       'navigation trusted a recycled group ID after rebound persistence failed',
     );
-    expect(harness.calls.tabs.goBack).toEqual([[1]]);
+    expect(blockedPageRedirects(harness)).toEqual([[1]]);
   });
 
   for (const initialFailure of [false, true]) {
@@ -601,23 +601,23 @@ describe('Focus service-worker integration', () => {
       url: exactUrl,
     });
     await Bun.sleep(1);
-    expect(harness.calls.tabs.goBack).toEqual([]);
+    expect(blockedPageRedirects(harness)).toEqual([]);
     expect(aiSettingsReadCount()).toBe(aiReadsBeforeAllowedNavigation);
 
     const prefixExtension = `${exactUrl}/extra`;
     await chrome.tabs.update(1, { url: prefixExtension });
     await waitFor(
-      () => harness.calls.tabs.goBack.length === 1,
+      () => blockedPageRedirects(harness).length === 1,
       'strict navigation did not reject the URL prefix extension',
     );
-    expect(harness.calls.tabs.goBack).toEqual([[1]]);
+    expect(blockedPageRedirects(harness)).toEqual([[1]]);
 
     await chrome.tabs.onUpdated.dispatch(2, { url: 'https://blocked.test/' }, {
       ...harness.snapshot().tabs.find(({ id }) => id === 2),
       url: 'https://blocked.test/',
     });
     await Bun.sleep(1);
-    expect(harness.calls.tabs.goBack).toEqual([[1]]);
+    expect(blockedPageRedirects(harness)).toEqual([[1]]);
     expect(aiSettingsReadCount()).toBe(aiReadsBeforeAllowedNavigation);
 
     await chrome.tabs.onUpdated.dispatch(3, { url: 'chrome://settings/' }, {
@@ -625,7 +625,7 @@ describe('Focus service-worker integration', () => {
       url: 'chrome://settings/',
     });
     await Bun.sleep(1);
-    expect(harness.calls.tabs.goBack).toEqual([[1]]);
+    expect(blockedPageRedirects(harness)).toEqual([[1]]);
     expect(aiSettingsReadCount()).toBe(aiReadsBeforeAllowedNavigation);
   });
 
@@ -656,9 +656,259 @@ describe('Focus service-worker integration', () => {
 
     await chrome.tabs.update(1, { url: blockedUrl });
     await waitFor(
-      () => harness.calls.tabs.goBack.length === 1,
+      () => blockedPageRedirects(harness).length === 1,
       'changeInfo.url was ignored in favor of the tab pendingUrl',
     );
-    expect(harness.calls.tabs.goBack).toEqual([[1]]);
+    expect(blockedPageRedirects(harness)).toEqual([[1]]);
+  });
+
+  test('blocked navigations land on the blocked page and a deliberate override is counted apart', async () => {
+    const blockedUrl = 'https://blocked.test/feed?item=1';
+    const harness = installChromeMock({
+      local: { focusState: runtimeState({ blockedDomains: ['blocked.test'] }) },
+      windows: [{ id: 1, focused: true }],
+      tabs: [{ id: 1, windowId: 1, url: 'https://work.test/' }],
+    });
+    const worker = await importWorker();
+    await waitFor(
+      () => harness.calls.tabGroups.query.length === 1,
+      'worker startup did not complete its group lookup',
+    );
+
+    await chrome.tabs.update(1, { url: blockedUrl });
+    await waitFor(() => blockedPageRedirects(harness).length === 1, 'blocked navigation was not redirected');
+    const redirect = new URL(harness.snapshot().tabs[0].url);
+    expect(redirect.pathname).toBe('/sidepanel/blocked.html');
+    expect(Object.fromEntries(redirect.searchParams)).toEqual({
+      runId: 'existing-focus-run',
+      url: blockedUrl,
+      category: 'Blocked Domain',
+      reason: 'Blocked: blocked.test',
+    });
+    expect(harness.calls.tabs.goBack).toEqual([]);
+
+    const page = { runId: 'existing-focus-run', url: blockedUrl };
+    expect(await worker.handleMessage({ action: 'getBlockedPageInfo', ...page })).toMatchObject({
+      blocking: true,
+      domain: 'blocked.test',
+      profileName: 'Coding',
+      overridesUsed: 0,
+      overrideMinutes: 5,
+    });
+
+    // The page's countdown and typed phrase are enforced by the worker too.
+    const allow = { action: 'allowBlockedPage', ...page, phrase: 'I am choosing to break my focus' };
+    await expect(worker.handleMessage({ action: 'allowBlockedPage', ...page }))
+      .rejects.toThrow('Blocked page request is missing required fields');
+    await expect(worker.handleMessage({ ...allow, phrase: 'let me in' }))
+      .rejects.toThrow('Type the override phrase exactly to continue');
+    await expect(worker.handleMessage(allow)).rejects.toThrow('Wait 15 seconds on the blocked page before overriding');
+    expect(readStorageArea('local').focusState).toMatchObject({
+      overrideOffers: [{ domain: 'blocked.test', offeredAt: expect.any(Number) }],
+    });
+    expect(readStorageArea('local').focusState.overrides).toBeUndefined();
+
+    const later = () => Date.now() + 15_000;
+    const override = await worker.handleMessage(allow, { now: later });
+    expect(override).toEqual({ domain: 'blocked.test', until: expect.any(Number) });
+    expect(readStorageArea('local').focusState.overrideOffers).toEqual([]);
+    expect(readStorageArea('local').focusState).toMatchObject({ distractionsBlocked: 1, overridesUsed: 1 });
+    expect((await worker.handleMessage({ action: 'getBlockedPageInfo', ...page })).blocking).toBe(false);
+
+    await chrome.tabs.update(1, { url: blockedUrl });
+    await Bun.sleep(5);
+    expect(blockedPageRedirects(harness)).toEqual([[1]]);
+
+    const record = await worker.handleMessage({ action: 'endFocus', expectedRunId: 'existing-focus-run' });
+    expect(record).toMatchObject({ distractionsBlocked: 1, overridesUsed: 1 });
+    expect(await worker.handleMessage(allow, { now: later }))
+      .toEqual({ error: 'Focus session is no longer active' });
+    await expect(worker.handleMessage({ action: 'allowBlockedPage', runId: 'existing-focus-run' }))
+      .rejects.toThrow('Blocked page request is missing required fields');
+  });
+
+  test('a locked-in run is re-armed on restart, refuses early ends and exits only after the cooldown', async () => {
+    const lockIn = { cooldownMinutes: 5, exitRequestedAt: null, emergencyExit: false };
+    const harness = installChromeMock({
+      local: { focusState: runtimeState({ blockedDomains: ['blocked.test'], lockIn }) },
+      windows: [{ id: 1, focused: true }],
+      tabs: [
+        { id: 1, windowId: 1, url: 'https://work.test/' },
+        { id: 2, windowId: 1, url: 'https://blocked.test/opened-while-asleep' },
+      ],
+    });
+    const worker = await importWorker();
+    await waitFor(() => harness.calls.tabs.remove.length === 1, 'restart did not sweep blocked tabs');
+    expect(harness.snapshot().tabs.map((tab) => tab.id)).toEqual([1]);
+    expect(harness.calls.alarms.create).toContainEqual(['focusTick', { periodInMinutes: 1 }]);
+
+    const runId = 'existing-focus-run';
+    await expect(worker.handleMessage({ action: 'endFocus', expectedRunId: runId }))
+      .rejects.toThrow('Focus lock-in is on');
+    await expect(worker.handleMessage({ action: 'pauseFocus', expectedRunId: runId }))
+      .rejects.toThrow('pausing is disabled');
+    await expect(worker.handleMessage({ action: 'requestFocusEmergencyExit', expectedRunId: runId }))
+      .rejects.toThrow('Focus emergency exit request is missing required fields');
+
+    const requested = await worker.handleMessage({ action: 'requestFocusEmergencyExit', expectedRunId: runId, cancel: false });
+    await chrome.storage.local.set({
+      focusState: { ...requested, lockIn: { ...requested.lockIn, exitRequestedAt: Date.now() - 5 * 60 * 1000 } },
+    });
+    const record = await worker.handleMessage({ action: 'confirmFocusEmergencyExit', expectedRunId: runId });
+    expect(record.lockIn).toMatchObject({ emergencyExit: true });
+    expect(readStorageArea('local').focusState).toBeUndefined();
+  });
+
+  test('category messages validate their fields and save through the worker', async () => {
+    installChromeMock();
+    const worker = await importWorker();
+
+    await expect(worker.handleMessage({ action: 'saveFocusCategory', category: { domains: [] } }))
+      .rejects.toThrow('Focus category request is missing required fields');
+    await expect(worker.handleMessage({ action: 'importFocusCategoryDomains', categoryId: 'social' }))
+      .rejects.toThrow('Focus category import request is missing required fields');
+
+    const created = await worker.handleMessage({
+      action: 'saveFocusCategory',
+      categoryId: null,
+      category: { name: 'Forums', domains: ['forum.test'] },
+    });
+    const imported = await worker.handleMessage({
+      action: 'importFocusCategoryDomains',
+      categoryId: created.id,
+      text: 'board.test\n',
+    });
+    expect(imported).toMatchObject({ added: 1, skipped: 0 });
+    expect((await worker.handleMessage({ action: 'getFocusCategories' })).at(-1))
+      .toMatchObject({ id: created.id, domains: ['board.test', 'forum.test'] });
+    expect(await worker.handleMessage({ action: 'resetFocusCategory', categoryId: created.id }))
+      .toEqual({ removed: true });
+  });
+
+  test('daily budgets count the active tab, stop when idle and block a spent budget on navigation', async () => {
+    const today = new Date();
+    const date = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    const harness = installChromeMock({
+      windows: [{ id: 1, focused: true }],
+      tabs: [
+        { id: 1, windowId: 1, url: 'https://work.test/', active: true },
+        { id: 2, windowId: 1, url: 'https://news.test/front' },
+      ],
+    });
+    const worker = await importWorker();
+
+    const budget = await worker.handleMessage({
+      action: 'saveFocusBudget',
+      budget: { target: 'domain', value: 'news.test', minutes: 5 },
+    });
+    expect(harness.calls.alarms.create).toContainEqual(['focusBudget', { periodInMinutes: 1 }]);
+    await expect(worker.handleMessage({ action: 'deleteFocusBudget' }))
+      .rejects.toThrow('Focus budget request is missing required fields');
+
+    await chrome.tabs.update(2, { active: true });
+    await worker.handleAlarm({ name: 'focusBudget' });
+    expect(readStorageArea('local').focusBudgetUsage.active).toMatchObject({ url: 'https://news.test/front' });
+
+    await harness.setIdleState('idle');
+    await worker.handleAlarm({ name: 'focusBudget' });
+    expect(readStorageArea('local').focusBudgetUsage.active).toBeNull();
+
+    await chrome.storage.local.set({ focusBudgetUsage: { date, usedMs: { [budget.id]: 5 * 60 * 1000 }, active: null } });
+    await chrome.tabs.update(1, { url: 'https://live.news.test/' });
+    await waitFor(() => harness.snapshot().tabs[0].url.includes('/sidepanel/blocked.html?'), 'spent budget did not block');
+    const blockedUrl = new URL(harness.snapshot().tabs[0].url);
+    expect(blockedUrl.searchParams.get('budget')).toBe(budget.id);
+
+    const info = await worker.handleMessage({
+      action: 'getBudgetBlockedPageInfo',
+      budgetId: budget.id,
+      url: 'https://live.news.test/',
+    });
+    expect(info).toMatchObject({ blocking: true, domain: 'live.news.test', label: 'news.test', minutes: 5 });
+    expect((await worker.handleMessage({ action: 'getFocusBudgets' }))[0]).toMatchObject({ exhausted: true });
+
+    await worker.handleMessage({ action: 'deleteFocusBudget', budgetId: budget.id });
+    expect(harness.snapshot().alarms.map((alarm) => alarm.name)).not.toContain('focusBudget');
+  });
+
+  test('learned corrections settle AI-detected pages before the AI is asked', async () => {
+    const harness = installChromeMock({
+      local: {
+        focusState: runtimeState({ aiBlocking: true }),
+        focusCorrections: {
+          coding: {
+            'docs.test': { verdict: 'allow', createdAt: 1 },
+            'feed.test': { verdict: 'block', createdAt: 2 },
+          },
+          writing: { 'chatter.test': { verdict: 'allow', createdAt: 3 } },
+        },
+      },
+      windows: [{ id: 1, focused: true }],
+      tabs: [{ id: 1, windowId: 1, url: 'https://work.test/' }],
+    });
+    const { AIClient } = await import('../../core/ai/ai-client.js');
+    const originalComplete = AIClient.complete;
+    const originalAvailable = AIClient.isAvailable;
+    const prompts = [];
+    AIClient.isAvailable = async () => true;
+    AIClient.complete = async (request) => {
+      prompts.push(request.userPrompt);
+      return { parsed: { distraction: true, category: 'social media', confidence: 0.9 } };
+    };
+    try {
+      const worker = await importWorker();
+      await waitFor(
+        () => harness.calls.tabGroups.query.length === 1,
+        'worker startup did not complete its group lookup',
+      );
+      const lastRedirect = () => Object.fromEntries(new URL(harness.snapshot().tabs[0].url).searchParams);
+
+      await chrome.tabs.update(1, { url: 'https://api.docs.test/v1' });
+      await Bun.sleep(5);
+      expect(blockedPageRedirects(harness)).toEqual([]);
+
+      await chrome.tabs.update(1, { url: 'https://www.feed.test/' });
+      await waitFor(() => blockedPageRedirects(harness).length === 1, 'learned block was not applied');
+      expect(lastRedirect()).toEqual({
+        runId: 'existing-focus-run',
+        url: 'https://www.feed.test/',
+        category: 'Learned block',
+        reason: 'Blocked: learned for this profile (feed.test)',
+      });
+      expect(prompts).toEqual([]);
+
+      // Another profile's corrections do not apply to this run.
+      await chrome.tabs.update(1, { url: 'https://chatter.test/' });
+      await waitFor(() => blockedPageRedirects(harness).length === 2, 'AI verdict was not applied');
+      expect(prompts).toHaveLength(1);
+      expect(lastRedirect()).toMatchObject({ url: 'https://chatter.test/', category: 'social media', ai: '1' });
+      expect(await worker.handleMessage({ action: 'getBlockedPageInfo', runId: 'existing-focus-run', url: 'https://chatter.test/' }))
+        .toMatchObject({ blocking: true, profileId: 'coding', domain: 'chatter.test' });
+
+      // "Not a distraction" from the blocked page.
+      expect(await worker.handleMessage({
+        action: 'saveFocusCorrection',
+        profileId: 'coding',
+        domain: 'chatter.test',
+        verdict: 'allow',
+      })).toEqual({ domain: 'chatter.test', verdict: 'allow', createdAt: expect.any(Number) });
+      await chrome.tabs.update(1, { url: 'https://chatter.test/' });
+      await Bun.sleep(5);
+      expect(blockedPageRedirects(harness)).toHaveLength(2);
+      expect(prompts).toHaveLength(1);
+
+      expect((await worker.handleMessage({ action: 'getFocusCorrections', profileId: 'coding' })).map(({ domain }) => domain))
+        .toEqual(['chatter.test', 'feed.test', 'docs.test']);
+      await expect(worker.handleMessage({ action: 'saveFocusCorrection', profileId: 'coding', domain: 'x.test' }))
+        .rejects.toThrow('Focus correction request is missing required fields');
+      await expect(worker.handleMessage({ action: 'saveFocusCorrection', profileId: 'coding', domain: 'x.test', verdict: 'maybe' }))
+        .rejects.toThrow('Focus correction verdict must be allow or block');
+      expect(await worker.handleMessage({ action: 'deleteFocusCorrection', profileId: 'coding', domain: 'feed.test' }))
+        .toEqual({ removed: true });
+      expect(Object.keys(readStorageArea('local').focusCorrections.coding)).toEqual(['docs.test', 'chatter.test']);
+    } finally {
+      AIClient.complete = originalComplete;
+      AIClient.isAvailable = originalAvailable;
+    }
   });
 });
@@ -89,4 +89,41 @@ describe('restoreStash handler disposition', () => {
     expect(saved).toEqual([]);
     expect(stash).toEqual(original);
   });
+
+  test('removes only the restored tabs after a partial restore', async () => {
+    const applyDisposition = await getDispositionHandler();
+    const stash = makeStash('partial-stash', [
+      { url: 'https://restore.test/keep' },
+      { url: 'https://restore.test/take' },
+    ]);
+    const selection = [{ window: 0, index: 1 }];
+    const deleted = [];
+    const saved = [];
+    installChromeMock({ windows: [{ id: 1, focused: true }] });
+
+    const result = await restoreStashTabs(stash, { mode: 'here', discarded: false, selection });
+    expect(result).toMatchObject({ requestedCount: 1, restoredCount: 1, complete: true });
+    const disposition = await applyDisposition(stash, result, true, {
+      selection,
+      deleteSource: async (id) => deleted.push(id),
+      saveSource: async (record) => saved.push(record),
+    });
+
+    expect(disposition).toEqual({ deleted: false, markedRestored: false, removedTabs: true });
+    expect(deleted).toEqual([]);
+    expect(saved).toEqual([{
+      ...stash,
+      tabCount: 1,
+      windows: [{ tabCount: 1, tabs: [{ url: 'https://restore.test/keep' }] }],
+    }]);
+
+    // Picking every tab removes the stash as a full restore would.
+    const everything = [{ window: 0, index: 0 }, { window: 0, index: 1 }];
+    await applyDisposition(stash, { ...result, requestedCount: 2, restoredCount: 2 }, true, {
+      selection: everything,
+      deleteSource: async (id) => deleted.push(id),
+      saveSource: async (record) => saved.push(record),
+    });
+    expect(deleted).toEqual(['partial-stash']);
+  });
 });
@@ -9,11 +9,15 @@ const COMPONENTS = [
   ['DuplicateFinder', '../../sidepanel/components/duplicate-finder.js'],
   ['FocusPanel', '../../sidepanel/components/focus-panel.js'],
   ['GroupEditor', '../../sidepanel/components/group-editor.js'],
+  ['GroupRules', '../../sidepanel/components/group-rules.js'],
+  ['RecoveryBanner', '../../sidepanel/components/recovery-banner.js'],
   ['SessionManager', '../../sidepanel/components/session-manager.js'],
   ['SettingsManager', '../../sidepanel/components/settings-manager.js'],
   ['StashList', '../../sidepanel/components/stash-list.js'],
   ['TabList', '../../sidepanel/components/tab-list.js'],
+  ['UndoHistory', '../../sidepanel/components/undo-history.js'],
   ['WindowList', '../../sidepanel/components/window-list.js'],
+  ['WorkspaceSwitcher', '../../sidepanel/components/workspace-switcher.js'],
 ];
 
 const AUDITED_SIDE_PANEL_FILES = [
@@ -27,13 +31,18 @@ const AUDITED_SIDE_PANEL_FILES = [
   'sidepanel/components/focus-panel.js',
   'sidepanel/components/global-search.js',
   'sidepanel/components/group-editor.js',
+  'sidepanel/components/group-rules.js',
+  'sidepanel/components/recovery-banner.js',
+  'sidepanel/components/restore-picker.js',
   'sidepanel/components/session-manager.js',
   'sidepanel/components/settings-manager.js',
   'sidepanel/components/smart-group-fallback.js',
   'sidepanel/components/stash-list.js',
   'sidepanel/components/tab-list.js',
   'sidepanel/components/toast.js',
+  'sidepanel/components/undo-history.js',
   'sidepanel/components/window-list.js',
+  'sidepanel/components/workspace-switcher.js',
   'sidepanel/panel.js',
 ];
 
@@ -427,6 +436,41 @@ describe('checked component messaging boundary', () => {
     }
   });
 
+  test('DuplicateFinder hides stale near-duplicates when their lookup fails', async () => {
+    const classes = await importComponentsWithoutDocument();
+    const DuplicateFinder = classes.find(([name]) => name === 'DuplicateFinder')[1];
+    const dom = installToastDocument();
+    const badges = [];
+    globalThis.document.dispatchEvent = (event) => badges.push(event.detail);
+    try {
+      installChromeMock({
+        runtimeHandler: async (message) => {
+          if (message.action === 'findDuplicates') return [];
+          if (message.action === 'findEmptyPages') return [];
+          if (message.action === 'findSimilarTabs') return { error: 'similarity index failed' };
+          throw new Error(`Unexpected action: ${message.action}`);
+        },
+      });
+      const finder = Object.create(DuplicateFinder.prototype);
+      finder.render = () => {};
+      finder.renderEmptyPages = () => {};
+      finder.similarSection = { hidden: false };
+      finder.similarListEl = dom.createElement();
+      finder.similarListEl.appendChild(dom.createElement());
+      finder.similar = [{ host: 'stale.test', confidence: 0.9, tabs: [] }];
+
+      await expect(finder.scan()).resolves.toBeUndefined();
+
+      expect(badges).toEqual([{ count: 0 }]);
+      expect(finder.similar).toEqual([]);
+      expect(finder.similarSection.hidden).toBe(true);
+      expect(finder.similarListEl.children).toEqual([]);
+      expect(dom.toasts).toEqual([]);
+    } finally {
+      dom.restore();
+    }
+  });
+
   test('AISettings adds an existing keep-awake domain with one idempotent checked request', async () => {
     const classes = await importComponentsWithoutDocument();
     const AISettings = classes.find(([name]) => name === 'AISettings')[1];